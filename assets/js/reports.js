@@ -28,6 +28,13 @@
          */
         charts: {},
 
+        /**
+         * Tile sparkline Chart.js instances indexed by tile ID
+         *
+         * @type {Object.<string, Chart>}
+         */
+        sparklines: {},
+
         /**
          * Original chart configurations for refresh (preserves styling)
          *
@@ -35,6 +42,48 @@
          */
         chartConfigs: {},
 
+        /**
+         * Drill-down path per chart, from the top level down ({key, label} items)
+         *
+         * @type {Object.<string, Array>}
+         */
+        chartDrilldowns: {},
+
+        /**
+         * Top-level chart data, restored when leaving a drill-down
+         *
+         * @type {Object.<string, Object>}
+         */
+        chartRootData: {},
+
+        /**
+         * Data point keys of the level currently shown in each chart
+         *
+         * @type {Object.<string, Array>}
+         */
+        chartKeys: {},
+
+        /**
+         * In-flight chart drill-down requests indexed by chart ID
+         *
+         * @type {Object.<string, jqXHR>}
+         */
+        chartRequests: {},
+
+        /**
+         * Data shown in each heatmap (for CSV downloads)
+         *
+         * @type {Object.<string, Object>}
+         */
+        heatmapData: {},
+
+        /**
+         * Device pixel ratios of the charts resized for printing, restored afterwards
+         *
+         * @type {Object.<string, number|undefined>}
+         */
+        printRatios: {},
+
         /**
          * Table column configurations for refresh
          *
@@ -42,6 +91,55 @@
          */
         tableConfigs: {},
 
+        /**
+         * Page, sort and search state for server-side tables
+         *
+         * @type {Object.<string, Object>}
+         */
+        tableStates: {},
+
+        /**
+         * In-flight server-side table requests indexed by component ID
+         *
+         * @type {Object.<string, jqXHR>}
+         */
+        tableRequests: {},
+
+        /**
+         * Debounce timers for server-side table search
+         *
+         * @type {Object.<string, number>}
+         */
+        tableSearchTimers: {},
+
+        /**
+         * Observer that loads lazy components as they scroll into view
+         *
+         * @type {IntersectionObserver|null}
+         */
+        lazyObserver: null,
+
+        /**
+         * In-flight single component requests indexed by component ID
+         *
+         * @type {Object.<string, jqXHR>}
+         */
+        componentRequests: {},
+
+        /**
+         * Debounce timers for searchable filter fields
+         *
+         * @type {Object.<string, number>}
+         */
+        filterSearchTimers: {},
+
+        /**
+         * In-flight filter option requests indexed by filter key
+         *
+         * @type {Object.<string, jqXHR>}
+         */
+        filterRequests: {},
+
         /**
          * Auto-refresh interval timer
          *
@@ -63,6 +161,111 @@
          */
         lastUpdatedTimer: null,
 
+        /**
+         * In-flight request for refreshAllComponents()
+         *
+         * @type {jqXHR|null}
+         */
+        refreshRequest: null,
+
+        /**
+         * Live update stream (Server-Sent Events)
+         *
+         * @type {EventSource|null}
+         */
+        eventSource: null,
+
+        /**
+         * ID of the last live update event, sent when reconnecting
+         *
+         * @type {string|null}
+         */
+        streamLastEventId: null,
+
+        /**
+         * Stream errors since the last event was received
+         *
+         * @type {number}
+         */
+        streamErrors: 0,
+
+        /**
+         * Whether live updates failed and auto-refresh fell back to polling
+         *
+         * @type {boolean}
+         */
+        liveFallback: false,
+
+        /**
+         * Content hashes of the component data currently shown, by component ID
+         *
+         * @type {Object.<string, string>}
+         */
+        componentHashes: {},
+
+        /**
+         * ETag of the last components response, for conditional refreshes
+         *
+         * @type {string|null}
+         */
+        componentsEtag: null,
+
+        /**
+         * Whether the last refreshAllComponents() request failed
+         *
+         * @type {boolean}
+         */
+        refreshFailed: false,
+
+        /**
+         * When the page (and its server-rendered data) was loaded
+         *
+         * @type {Date|null}
+         */
+        loadedAt: null,
+
+        /**
+         * Saved views the current user can see
+         *
+         * @type {Array<Object>}
+         */
+        views: [],
+
+        /**
+         * Scheduled emails for the report
+         *
+         * @type {Array<Object>}
+         */
+        schedules: [],
+
+        /**
+         * Component order and classes from before layout editing started, restored on cancel
+         *
+         * @type {Object|null}
+         */
+        layoutSnapshot: null,
+
+        /**
+         * Component being dragged while editing the layout
+         *
+         * @type {HTMLElement|null}
+         */
+        layoutDragItem: null,
+
+        /**
+         * Running exports indexed by export ID (token, in-flight request, retry timer)
+         *
+         * @type {Object.<string, Object>}
+         */
+        exportJobs: {},
+
+        /**
+         * Number of times a failed export batch is retried before giving up
+         *
+         * @type {number}
+         */
+        exportRetryLimit: 4,
+
         /* ========================================================================
          * INITIALIZATION
          * ======================================================================== */
@@ -73,13 +276,23 @@
          * @returns {void}
          */
         init: function () {
+            this.loadedAt = new Date();
             this.repositionScreenMetaLinks();
             this.repositionNotices();
             this.initMobileTabs();
             this.bindEvents();
             this.initCharts();
+            this.initSparklines();
             this.initTables();
+            this.initLazyComponents();
+            this.initCacheBadges();
+            this.initFilterBar();
+            this.initExports();
+            this.initViews();
+            this.initSchedules();
+            this.loadExportHistory();
             this.initRefresh();
+            this.initPrint();
         },
 
         /* ========================================================================
@@ -177,16 +390,75 @@
             $(document).on('click', '.reports-date-picker-apply', this.onApplyCustomDate.bind(this));
             $(document).on('click', '.reports-date-picker-cancel', this.onCancelCustomDate.bind(this));
             $(document).on('click', this.onDocumentClick.bind(this));
+            $(window).on('popstate', this.onPopState.bind(this));
+
+            // Filter bar
+            $(document).on('submit', '.reports-filter-form', this.onFilterSubmit.bind(this));
+            $(document).on('change', '.reports-filter-field :input', this.onFilterFieldChange.bind(this));
+            $(document).on('input', '.reports-filter-ajax-search', this.onFilterAjaxSearch.bind(this));
+            $(document).on('click', '.reports-filter-ajax-option', this.onFilterAjaxSelect.bind(this));
+            $(document).on('click', '.reports-filter-chip-remove', this.onFilterChipRemove.bind(this));
+            $(document).on('click', '.reports-filter-clear-all', this.onFilterClearAll.bind(this));
+
+            // Charts
+            $(document).on('click', '.reports-chart-breadcrumb-item', this.onChartBreadcrumbClick.bind(this));
 
             // Tables
+            $(document).on('click', '.reports-component-refresh', this.onComponentRefresh.bind(this));
+            $(document).on('click', '.reports-component-retry', this.onComponentRetry.bind(this));
             $(document).on('click', '.reports-table th.sortable', this.onTableSort.bind(this));
             $(document).on('click', '.reports-table-pages button', this.onTablePage.bind(this));
+            $(document).on('input', '.reports-table-search-input', this.onTableSearch.bind(this));
+
+            // Downloads
+            $(document).on('click', '.reports-component-download-toggle', this.onDownloadToggle.bind(this));
+            $(document).on('click', '.reports-component-download-item', this.onDownloadItemClick.bind(this));
+
+            // Print
+            $(document).on('click', '.reports-print-toggle', this.onPrintToggle.bind(this));
+            $(document).on('click', '.reports-print-item', this.onPrintItemClick.bind(this));
+            $(window).on('beforeprint', this.onBeforePrint.bind(this));
+            $(window).on('afterprint', this.onAfterPrint.bind(this));
 
             // Exports
             $(document).on('click', '.reports-export-button', this.onExportClick.bind(this));
+            $(document).on('change', '.reports-export-format-select', this.onExportFormatChange.bind(this));
+            $(document).on('click', '.reports-export-cancel', this.onExportCancel.bind(this));
+            $(document).on('click', '.reports-export-resume-button', this.onExportResume.bind(this));
+            $(document).on('click', '.reports-export-discard-button', this.onExportDiscard.bind(this));
+            $(document).on('click', '.reports-export-history-delete', this.onExportHistoryDelete.bind(this));
 
             // Refresh
             $(document).on('click', '.reports-refresh-button', this.onRefreshClick.bind(this));
+
+            // Saved views
+            $(document).on('click', '.reports-views-toggle', this.onViewsToggle.bind(this));
+            $(document).on('submit', '.reports-views-form', this.onViewSave.bind(this));
+            $(document).on('click', '.reports-view-default', this.onViewDefault.bind(this));
+            $(document).on('click', '.reports-view-share', this.onViewShare.bind(this));
+            $(document).on('click', '.reports-view-delete', this.onViewDelete.bind(this));
+
+            // Scheduled emails
+            $(document).on('click', '.reports-schedules-toggle', this.onSchedulesToggle.bind(this));
+            $(document).on('change', '.reports-schedule-frequency', this.onScheduleFrequencyChange.bind(this));
+            $(document).on('change', '.reports-schedule-tab', this.onScheduleTabChange.bind(this));
+            $(document).on('submit', '.reports-schedules-form', this.onScheduleSave.bind(this));
+            $(document).on('click', '.reports-schedule-test', this.onScheduleTest.bind(this));
+            $(document).on('click', '.reports-schedule-pause', this.onSchedulePause.bind(this));
+            $(document).on('click', '.reports-schedule-delete', this.onScheduleDelete.bind(this));
+
+            // Layout
+            $(document).on('click', '.reports-layout-edit', this.onLayoutEdit.bind(this));
+            $(document).on('click', '.reports-layout-save', this.onLayoutSave.bind(this));
+            $(document).on('click', '.reports-layout-cancel', this.onLayoutCancel.bind(this));
+            $(document).on('click', '.reports-layout-reset', this.onLayoutReset.bind(this));
+            $(document).on('click', '.reports-layout-hide', this.onLayoutHideToggle.bind(this));
+            $(document).on('change', '.reports-layout-width', this.onLayoutWidthChange.bind(this));
+            $(document).on('keydown', '.reports-layout-move', this.onLayoutMoveKeydown.bind(this));
+            $(document).on('dragstart', '.reports-layout-editing [draggable="true"]', this.onLayoutDragStart.bind(this));
+            $(document).on('dragover', '.reports-layout-editing .reports-components > *, .reports-layout-editing .reports-components > .reports-tiles-grid > *', this.onLayoutDragOver.bind(this));
+            $(document).on('drop', '.reports-layout-editing .reports-components', this.onLayoutDrop.bind(this));
+            $(document).on('dragend', '.reports-layout-editing [draggable="true"]', this.onLayoutDragEnd.bind(this));
         },
 
         /* ========================================================================
@@ -243,7 +515,12 @@
             this.lastUpdated = new Date();
 
             if (autoRefresh > 0) {
-                this.startAutoRefresh(autoRefresh);
+                if (this.canUseLiveUpdates()) {
+                    this.startLiveUpdates();
+                } else {
+                    this.startAutoRefresh(autoRefresh);
+                }
+
                 this.startLastUpdatedTimer();
 
                 $(document).on('visibilitychange', this.onVisibilityChange.bind(this));
@@ -287,6 +564,13 @@
          * @returns {void}
          */
         updateLastUpdatedText: function () {
+            $('.reports-last-updated').toggleClass('reports-last-updated--failed', this.refreshFailed);
+
+            if (this.refreshFailed) {
+                $('.reports-last-updated-text').text(this.i18n('refreshFailed'));
+                return;
+            }
+
             if (!this.lastUpdated) {
                 return;
             }
@@ -323,41 +607,199 @@
                     clearInterval(this.refreshTimer);
                     this.refreshTimer = null;
                 }
+
+                this.stopLiveUpdates();
             } else {
                 if (autoRefresh > 0) {
-                    this.startAutoRefresh(autoRefresh);
+                    if (this.canUseLiveUpdates()) {
+                        // Reconnecting with the last event ID sends whatever changed while hidden
+                        this.startLiveUpdates();
+                    } else {
+                        this.startAutoRefresh(autoRefresh);
+                    }
+                }
+            }
+        },
+
+        /* ========================================================================
+         * LIVE UPDATES
+         * ======================================================================== */
+
+        /**
+         * Check whether auto-refresh should use the live update stream
+         *
+         * @returns {boolean}
+         */
+        canUseLiveUpdates: function () {
+            return $('.reports-refresh-controls').data('live-updates') === true &&
+                typeof window.EventSource !== 'undefined' &&
+                !this.liveFallback;
+        },
+
+        /**
+         * Subscribe to changed components for the current tab, date range and filters
+         *
+         * @returns {void}
+         */
+        startLiveUpdates: function () {
+            const reportId = $('.reports-wrap').data('report-id');
+
+            this.stopLiveUpdates();
+
+            if (!reportId) {
+                return;
+            }
+
+            const params = {
+                report_id: reportId,
+                tab: this.getCurrentTab(),
+                date_preset: this.getCurrentDatePreset(),
+                date_start: this.getCurrentDateStart(),
+                date_end: this.getCurrentDateEnd(),
+                ...this.getCurrentFilters(),
+                _wpnonce: ReportsAdmin.restNonce
+            };
+
+            if (this.streamLastEventId) {
+                params.last_event_id = this.streamLastEventId;
+            }
+
+            const source = new EventSource(this.getRestUrl('stream', params));
+
+            source.addEventListener('ready', this.onStreamEvent.bind(this));
+            source.addEventListener('ping', this.onStreamEvent.bind(this));
+            source.addEventListener('components', this.onStreamEvent.bind(this));
+            source.addEventListener('error', this.onStreamError.bind(this));
+
+            this.streamErrors = 0;
+            this.eventSource = source;
+        },
+
+        /**
+         * Close the live update stream
+         *
+         * @returns {void}
+         */
+        stopLiveUpdates: function () {
+            if (this.eventSource) {
+                this.eventSource.close();
+                this.eventSource = null;
+            }
+        },
+
+        /**
+         * Handle a live update event
+         *
+         * @param {MessageEvent} e - Stream event
+         * @returns {void}
+         */
+        onStreamEvent: function (e) {
+            this.streamLastEventId = e.lastEventId || this.streamLastEventId;
+            this.streamErrors = 0;
+
+            if (e.type === 'components') {
+                const data = JSON.parse(e.data);
+
+                Object.assign(this.componentHashes, data.hashes || {});
+                this.updateComponents(data.components || {});
+                this.updateCacheBadges(data.cache || {}, Object.keys(data.hashes || {}));
+
+                if (data.period_label) {
+                    this.updatePeriodLabel(data.period_label);
                 }
             }
+
+            this.refreshFailed = false;
+            this.lastUpdated = new Date();
+            this.updateLastUpdatedText();
+        },
+
+        /**
+         * Handle a live update stream error
+         *
+         * The browser reconnects on its own when the server closes the stream.
+         * If the stream is refused, or keeps failing without delivering events,
+         * auto-refresh falls back to polling.
+         *
+         * @returns {void}
+         */
+        onStreamError: function () {
+            const source = this.eventSource;
+
+            if (!source) {
+                return;
+            }
+
+            this.streamErrors++;
+
+            if (source.readyState !== EventSource.CLOSED && this.streamErrors < 3) {
+                return;
+            }
+
+            const autoRefresh = parseInt($('.reports-refresh-controls').data('auto-refresh'), 10);
+
+            this.stopLiveUpdates();
+            this.liveFallback = true;
+
+            if (autoRefresh > 0 && !document.hidden) {
+                this.startAutoRefresh(autoRefresh);
+            }
         },
 
         /**
          * Handle refresh button click
          *
+         * Shift-click skips the server-side component cache.
+         *
          * @param {Event} e - Click event
          * @returns {void}
          */
         onRefreshClick: function (e) {
             e.preventDefault();
-            this.refreshAllComponents();
+            this.refreshAllComponents(false, e.shiftKey);
         },
 
         /**
          * Refresh all components on the current tab
          *
+         * @param {boolean=} force       - Abort an in-flight refresh instead of skipping (e.g. after the date range changed)
+         * @param {boolean=} bypassCache - Skip cached component data on the server
          * @returns {void}
          */
-        refreshAllComponents: function () {
+        refreshAllComponents: function (force, bypassCache) {
             const $button = $('.reports-refresh-button');
             const $wrap = $('.reports-wrap');
             const reportId = $wrap.data('report-id');
 
-            if (!reportId || $button.hasClass('refreshing')) {
+            if (!reportId) {
                 return;
             }
 
+            if (this.refreshRequest) {
+                if (!force) {
+                    return;
+                }
+
+                this.refreshRequest.abort();
+            }
+
             $button.addClass('refreshing');
             $('.reports-content').addClass('reports-component-refreshing');
 
+            this.refreshServerTables(force, bypassCache);
+            this.refreshLazyComponents(force, bypassCache);
+
+            // The URL changed, so a different saved view (or none) may match it
+            if (force) {
+                this.renderViews();
+            }
+
+            // The stream compares against the old date range and filters; start a new one
+            if (force && this.eventSource) {
+                this.streamLastEventId = null;
+                this.startLiveUpdates();
+            }
+
             const filters = this.getCurrentFilters();
 
             const requestData = {
@@ -369,45 +811,149 @@
                 ...filters
             };
 
-            $.ajax({
+            // Only changed components come back; a forced refresh (new date range or filters) asks for everything,
+            // as does a cache bypass, so every cache badge is updated even when the data didn't change
+            const conditional = !force && !bypassCache && Object.keys(this.componentHashes).length > 0;
+
+            if (conditional) {
+                requestData.hashes = this.componentHashes;
+            }
+
+            if (bypassCache) {
+                requestData.bypass_cache = 1;
+            }
+
+            const request = $.ajax({
                 url: ReportsAdmin.restUrl + 'components',
                 method: 'GET',
                 data: requestData,
                 beforeSend: (xhr) => {
                     xhr.setRequestHeader('X-WP-Nonce', ReportsAdmin.restNonce);
+
+                    if (conditional && this.componentsEtag) {
+                        xhr.setRequestHeader('If-None-Match', this.componentsEtag);
+                    }
                 },
-                success: (response) => {
+                success: (response, status, xhr) => {
+                    this.refreshFailed = false;
+                    this.lastUpdated = new Date();
+
+                    // Components the server didn't send are unchanged, so their data is current again
+                    this.markRefreshedComponentsFresh();
+
+                    if (xhr.status === 304 || !response) {
+                        return;
+                    }
+
+                    this.componentsEtag = xhr.getResponseHeader('ETag') || null;
+
+                    if (response.hashes) {
+                        Object.assign(this.componentHashes, response.hashes);
+                    }
+
                     if (response.success && response.components) {
                         this.updateComponents(response.components);
                     }
+
+                    this.updateCacheBadges(response.cache || {}, Object.keys(response.hashes || {}));
+
+                    if (response.date_range) {
+                        ReportsAdmin.dateRange = response.date_range;
+                    }
+
+                    if (response.period_label) {
+                        this.updatePeriodLabel(response.period_label);
+                    }
                 },
-                error: (xhr) => {
-                    console.error('Refresh failed:', xhr.responseJSON);
+                error: (xhr, status) => {
+                    if (status !== 'abort') {
+                        console.error('Refresh failed:', xhr.responseJSON);
+                        this.refreshFailed = true;
+                        this.markRefreshedComponentsStale();
+                    }
                 },
                 complete: () => {
+                    if (this.refreshRequest !== request) {
+                        return;
+                    }
+
+                    this.refreshRequest = null;
                     $button.removeClass('refreshing');
                     $('.reports-content').removeClass('reports-component-refreshing');
 
-                    this.lastUpdated = new Date();
                     this.updateLastUpdatedText();
                 }
             });
+
+            this.refreshRequest = request;
         },
 
         /**
-         * Update multiple components with new data
+         * Clear the stale badge from components covered by refreshAllComponents()
+         *
+         * Components still showing an error keep it until they load again.
          *
-         * @param {Object} components - Component data keyed by component ID
          * @returns {void}
          */
-        updateComponents: function (components) {
-            $.each(components, (componentId, data) => {
-                const $component = $('[data-component-id="' + componentId + '"]');
+        markRefreshedComponentsFresh: function () {
+            $('.reports-stale-badge').closest('[data-component-id]').each((index, element) => {
+                const $component = $(element);
+
+                if ($component.hasClass('reports-component-lazy') || this.isServerTable($component.data('component-id'))) {
+                    return;
+                }
+
+                if (!$component.find('.reports-component-error').length) {
+                    this.clearComponentStale($component);
+                }
+            });
+        },
+
+        /**
+         * Mark every component covered by refreshAllComponents() as stale
+         *
+         * Lazy components and server-side tables load separately and keep
+         * their own state.
+         *
+         * @returns {void}
+         */
+        markRefreshedComponentsStale: function () {
+            $('.reports-component-refresh').closest('[data-component-id]').each((index, element) => {
+                const $component = $(element);
+                const componentId = $component.data('component-id');
+
+                if ($component.hasClass('reports-component-lazy') || this.isServerTable(componentId)) {
+                    return;
+                }
+
+                this.markComponentStale($component);
+            });
+        },
+
+        /**
+         * Update multiple components with new data
+         *
+         * Entries with an `error` (the component's callback threw) show the
+         * error inline and keep the previous data, flagged as stale.
+         *
+         * @param {Object} components - Component data keyed by component ID
+         * @returns {void}
+         */
+        updateComponents: function (components) {
+            $.each(components, (componentId, data) => {
+                const $component = $('[data-component-id="' + componentId + '"]');
 
                 if (!$component.length) {
                     return;
                 }
 
+                if (data.error) {
+                    this.onComponentLoadFailed($component, data.error);
+                    return;
+                }
+
+                this.onComponentLoaded($component);
+
                 if (data.type === 'tile' || $component.hasClass('reports-tile')) {
                     this.updateTile($component, data);
                 } else if (data.type === 'chart' || $component.hasClass('reports-chart-wrapper')) {
@@ -430,7 +976,12 @@
                 $tile.find('.reports-tile-value').text(data.formatted_value || data.value);
             }
 
-            if (data.change !== undefined) {
+            if (data.change === null) {
+                $tile.find('.reports-tile-change')
+                    .removeClass('change-up change-down')
+                    .addClass('change-neutral')
+                    .empty();
+            } else if (data.change !== undefined) {
                 const $change = $tile.find('.reports-tile-change');
                 let changeClass = 'change-neutral';
                 let icon = 'minus';
@@ -448,68 +999,124 @@
                     .addClass(changeClass)
                     .html('<span class="dashicons dashicons-' + icon + '"></span> ' + Math.abs(data.change).toFixed(1) + '%');
             }
+
+            if (data.alerts !== undefined) {
+                this.updateTileAlerts($tile, data.alerts);
+            }
+
+            if (data.sparkline) {
+                this.renderSparkline($tile.find('.reports-sparkline-canvas'), $tile.data('component-id'), data.sparkline);
+            }
+
+            if (data.target !== undefined) {
+                this.updateTileTarget($tile, data.target);
+            }
+        },
+
+        /**
+         * Update a tile's progress bar or gauge towards its target
+         *
+         * @param {jQuery}      $tile  - Tile element
+         * @param {Object|null} target - Target data, or null when the value or target isn't numeric
+         * @returns {void}
+         */
+        updateTileTarget: function ($tile, target) {
+            const $target = $tile.find('.reports-tile-target');
+            const percent = target ? Math.min(100, Math.max(0, target.percent)) : 0;
+
+            $target.toggleClass('reports-tile-target-met', !!(target && target.met));
+            $target.find('[role="progressbar"]').attr('aria-valuenow', Math.round(percent));
+            $target.find('.reports-tile-progress-fill').css('width', percent + '%');
+            $target.find('.reports-tile-gauge-fill').attr('stroke-dasharray', percent + ' 100');
+            $target.find('.reports-tile-gauge-text').text(target ? Math.round(target.percent) + '%' : '');
+            $target.find('.reports-tile-target-percent').text(target ? target.percent_label : '');
+            $target.find('.reports-tile-target-goal').text(target ? target.target_label : '');
+            $target.find('.reports-tile-target-projection').text(target ? target.projection_label : '');
+        },
+
+        /**
+         * Highlight a tile whose alert rules are triggered
+         *
+         * @param {jQuery}        $tile  - Tile element
+         * @param {Array<Object>} alerts - Triggered alerts with severity and message
+         * @returns {void}
+         */
+        updateTileAlerts: function ($tile, alerts) {
+            $tile.removeClass('reports-tile-alert reports-tile-alert-warning reports-tile-alert-error');
+            $tile.find('.reports-tile-alert-badge').remove();
+
+            if (!alerts.length) {
+                return;
+            }
+
+            const severity = alerts.some((alert) => alert.severity === 'error') ? 'error' : 'warning';
+            const messages = alerts.map((alert) => alert.message).join('\n');
+
+            $tile.addClass('reports-tile-alert reports-tile-alert-' + severity);
+            $tile.find('.reports-tile-label').after(
+                '<span class="reports-tile-alert-badge dashicons dashicons-warning" role="img"' +
+                ' aria-label="' + this.escapeHtml(messages) + '" title="' + this.escapeHtml(messages) + '"></span>'
+            );
         },
 
         /**
          * Update a chart component with new data
          *
          * Preserves the original chart styling (colors, tension, fill, etc.)
-         * while updating only the data values.
+         * while updating only the data values. Refreshed top-level data is
+         * stored and, when the chart is drilled down, the current level is
+         * reloaded instead.
          *
-         * @param {string} chartId - Chart identifier
-         * @param {Object} data    - Chart data with labels and datasets
+         * @param {string}   chartId   - Chart identifier
+         * @param {Object}   data      - Chart data with labels and datasets
+         * @param {boolean=} drilldown - Data is a drill-down level (or the restored top level)
          * @returns {void}
          */
-        updateChart: function (chartId, data) {
+        updateChart: function (chartId, data, drilldown) {
             const chart = this.charts[chartId];
             const originalConfig = this.chartConfigs[chartId];
+            const chartType = originalConfig?.chartType || originalConfig?.type || chart?.config.type;
 
-            if (!chart || !data.labels || !data.datasets) {
+            if ((!chart && chartType !== 'heatmap') || !data.labels || !data.datasets) {
                 return;
             }
 
-            // Update labels
-            chart.data.labels = data.labels;
+            if (!drilldown) {
+                this.chartRootData[chartId] = data;
 
-            // Update datasets while preserving styling from original config
-            const defaultColors = ReportsAdmin.chartDefaults?.colors || [
-                '#3b82f6', '#10b981', '#f59e0b', '#ef4444',
-                '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16'
-            ];
+                if ((this.chartDrilldowns[chartId] || []).length) {
+                    this.loadChartDrilldown(chartId, this.chartDrilldowns[chartId]);
+                    return;
+                }
+            }
 
-            chart.data.datasets = data.datasets.map((newDataset, index) => {
-                // Get original dataset styling if available
-                const originalDataset = originalConfig?.data?.datasets?.[index] || {};
-                const color = defaultColors[index % defaultColors.length];
+            if (chartType === 'heatmap') {
+                this.renderHeatmap(chartId, data);
+                return;
+            }
 
-                // Merge new data with original styling
-                const mergedDataset = {
-                    ...newDataset
-                };
+            this.chartKeys[chartId] = data.keys || [];
 
-                // Apply styling based on chart type
-                const chartType = originalConfig?.type || chart.config.type;
+            // Update labels
+            chart.data.labels = data.labels;
 
-                if (chartType === 'line' || chartType === 'area') {
-                    mergedDataset.borderColor = originalDataset.borderColor || newDataset.borderColor || color;
-                    mergedDataset.backgroundColor = originalDataset.backgroundColor || newDataset.backgroundColor || this.hexToRgba(color, 0.1);
-                    mergedDataset.tension = originalDataset.tension !== undefined ? originalDataset.tension : (newDataset.tension !== undefined ? newDataset.tension : 0.3);
-                    mergedDataset.fill = originalDataset.fill !== undefined ? originalDataset.fill : (newDataset.fill !== undefined ? newDataset.fill : true);
-                    mergedDataset.borderWidth = originalDataset.borderWidth || newDataset.borderWidth || 2;
-                    mergedDataset.pointRadius = originalDataset.pointRadius !== undefined ? originalDataset.pointRadius : (newDataset.pointRadius !== undefined ? newDataset.pointRadius : 3);
-                    mergedDataset.pointHoverRadius = originalDataset.pointHoverRadius || newDataset.pointHoverRadius || 5;
-                } else if (chartType === 'bar') {
-                    mergedDataset.backgroundColor = originalDataset.backgroundColor || newDataset.backgroundColor || defaultColors;
-                    mergedDataset.borderRadius = originalDataset.borderRadius !== undefined ? originalDataset.borderRadius : (newDataset.borderRadius !== undefined ? newDataset.borderRadius : 4);
-                    mergedDataset.borderWidth = originalDataset.borderWidth || newDataset.borderWidth || 0;
-                } else if (chartType === 'pie' || chartType === 'doughnut') {
-                    mergedDataset.backgroundColor = originalDataset.backgroundColor || newDataset.backgroundColor || defaultColors;
-                    mergedDataset.borderWidth = originalDataset.borderWidth !== undefined ? originalDataset.borderWidth : (newDataset.borderWidth !== undefined ? newDataset.borderWidth : 1);
-                    mergedDataset.borderColor = originalDataset.borderColor || newDataset.borderColor || '#fff';
-                }
+            // Update datasets while preserving styling from original config
+            chart.data.datasets = this.styleChartDatasets(
+                originalConfig || {type: chart.config.type},
+                data.datasets,
+                originalConfig?.data?.datasets
+            );
 
-                return mergedDataset;
-            });
+            // Re-apply the comparison overlay
+            if (data.comparison) {
+                chart.data.datasets = chart.data.datasets.concat(
+                    this.buildComparisonDatasets(chart.data.datasets, data.comparison, chartType, data.labels.length)
+                );
+
+                $('[data-component-id="' + chartId + '"] .reports-chart-compare').text(data.comparison.period_label || '').show();
+            } else {
+                $('[data-component-id="' + chartId + '"] .reports-chart-compare').hide();
+            }
 
             // Use 'none' animation mode for smoother refresh
             chart.update('none');
@@ -518,11 +1125,13 @@
         /**
          * Update a table component with new data
          *
-         * Rebuilds table rows based on stored column configuration.
+         * Rebuilds table rows based on stored column configuration. Formatted
+         * columns use the cells formatted by the server, so currency amounts
+         * match the server-rendered table.
          *
          * @param {jQuery} $wrapper    - Table wrapper element
          * @param {string} componentId - Component identifier
-         * @param {Object} data        - Table data with rows
+         * @param {Object} data        - Table data with rows and formatted cells
          * @returns {void}
          */
         updateTable: function ($wrapper, componentId, data) {
@@ -530,7 +1139,7 @@
                 return;
             }
 
-            const $table = $wrapper.find('.reports-table');
+            const $table = this.ensureTable($wrapper, componentId);
             const $tbody = $table.find('tbody');
             const config = this.tableConfigs[componentId] || {};
             const columns = config.columns || [];
@@ -548,12 +1157,17 @@
                     this.escapeHtml(emptyMessage) +
                     '</td></tr>'
                 );
+
+                if (config.serverSide) {
+                    this.renderTablePagination($wrapper.find('.reports-table-container'), 1, 0, config.perPage || 10);
+                }
                 return;
             }
 
             // Build rows
-            data.rows.forEach((row) => {
+            data.rows.forEach((row, rowIndex) => {
                 const $tr = $('<tr>');
+                const formatted = data.formatted?.[rowIndex] || {};
 
                 // If we have column config, use it for ordering and formatting
                 if (columns.length > 0) {
@@ -563,7 +1177,9 @@
 
                         // Apply format if specified
                         if (col.format) {
-                            cellValue = this.formatCellValue(cellValue, col.format);
+                            cellValue = formatted[columnKey] !== undefined
+                                ? formatted[columnKey]
+                                : this.formatCellValue(cellValue, col.format, col);
                         }
 
                         const $td = $('<td>')
@@ -624,29 +1240,90 @@
                 $tbody.append($tr);
             });
 
-            // Re-apply pagination if enabled
             const $container = $wrapper.find('.reports-table-container');
-            if ($container.data('paginated')) {
-                $container.data('current-page', 1);
-                this.applyTablePagination($container);
+
+            // Server-side tables receive a single page plus the total count
+            if (config.serverSide) {
+                this.applyTableSearch($wrapper);
+                this.renderTablePagination($container, data.page || 1, data.total || 0, data.per_page || config.perPage || 10);
+                return;
+            }
+
+            // Re-apply search (which also re-applies pagination)
+            $container.data('current-page', 1);
+            this.applyTableSearch($wrapper);
+        },
+
+        /**
+         * Get a table's element, building it from the column config if the
+         * server rendered the empty state or a lazy skeleton instead
+         *
+         * @param {jQuery} $wrapper    - Table wrapper element
+         * @param {string} componentId - Component identifier
+         * @returns {jQuery}
+         */
+        ensureTable: function ($wrapper, componentId) {
+            const $container = $wrapper.find('.reports-table-container');
+            let $table = $container.find('.reports-table');
+
+            if ($table.length) {
+                return $table;
+            }
+
+            const config = this.tableConfigs[componentId] || {};
+            const state = this.tableStates[componentId] || {};
+            const $headerRow = $('<tr>');
+
+            (config.columns || []).forEach((col) => {
+                const $th = $('<th>')
+                    .attr('data-column', col.key)
+                    .text(col.label);
+
+                if (col.sortable) {
+                    $th.addClass('sortable');
+
+                    if (config.serverSide && state.orderby === col.key) {
+                        $th.addClass('sorted-' + state.order);
+                    }
+                }
+
+                $headerRow.append($th);
+            });
+
+            if ((config.rowActions || []).length > 0) {
+                $headerRow.append($('<th>').addClass('reports-table-actions-col').text(this.i18n('actions')));
             }
+
+            $table = $('<table class="reports-table widefat striped"><thead></thead><tbody></tbody></table>');
+            $table.find('thead').append($headerRow);
+
+            $container.find('.reports-table-empty, .reports-skeleton-rows').remove();
+            $container.prepend($table);
+
+            return $table;
         },
 
         /**
          * Format a cell value based on format type
          *
-         * @param {*}      value  - The value to format
-         * @param {string} format - Format type
+         * Mirrors the PHP format_value() method so refreshed cells match
+         * the server-rendered output.
+         *
+         * @param {*}       value  - The value to format
+         * @param {string}  format - Format type
+         * @param {Object=} column - Column configuration (for currency option)
          * @returns {string}
          */
-        formatCellValue: function (value, format) {
+        formatCellValue: function (value, format, column) {
             switch (format) {
                 case 'number':
                     return this.formatNumber(value);
+                case 'decimal':
+                    return this.formatDecimal(value);
                 case 'currency':
-                    return this.formatCurrency(value);
+                    return this.formatCurrency(value, column?.currency);
                 case 'percentage':
-                    return parseFloat(value).toFixed(1) + '%';
+                    return this.formatPercentage(value);
                 case 'date':
                     return this.formatDate(value);
                 case 'datetime':
@@ -656,55 +1333,267 @@
             }
         },
 
+        /**
+         * Get the locale used for number and date formatting
+         *
+         * @returns {string|undefined} BCP 47 locale tag, or undefined for the browser default
+         */
+        getLocale: function () {
+            return ReportsAdmin.locale || undefined;
+        },
+
         /**
          * Format a number with locale-specific separators
          *
+         * Fractional numbers get two decimals; strings and whole numbers are
+         * truncated to integers, as number_format_i18n() does in PHP.
+         *
          * @param {number|string} value - Value to format
          * @returns {string}
          */
         formatNumber: function (value) {
             const num = parseFloat(value);
             if (isNaN(num)) return value;
-            return num.toLocaleString();
+
+            const decimals = typeof value === 'number' && !Number.isInteger(value) ? 2 : 0;
+
+            return new Intl.NumberFormat(this.getLocale(), {
+                minimumFractionDigits: decimals,
+                maximumFractionDigits: decimals
+            }).format(decimals ? num : Math.trunc(num));
+        },
+
+        /**
+         * Format a number with two decimal places
+         *
+         * @param {number|string} value - Value to format
+         * @returns {string}
+         */
+        formatDecimal: function (value) {
+            const num = parseFloat(value);
+            if (isNaN(num)) return value;
+
+            return new Intl.NumberFormat(this.getLocale(), {
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            }).format(num);
+        },
+
+        /**
+         * Format a percentage with one decimal place
+         *
+         * @param {number|string} value - Value to format (e.g. 12.5 for 12.5%)
+         * @returns {string}
+         */
+        formatPercentage: function (value) {
+            const num = parseFloat(value);
+            if (isNaN(num)) return value;
+
+            return new Intl.NumberFormat(this.getLocale(), {
+                minimumFractionDigits: 1,
+                maximumFractionDigits: 1
+            }).format(num) + '%';
         },
 
         /**
-         * Format a currency value (basic implementation)
+         * Format a currency value
          *
-         * @param {number|string} value - Value to format (in cents or dollars)
+         * Integers and numeric strings are treated as minor units (cents),
+         * fractional numbers as major units, matching format_value() in PHP.
+         * The number of minor units comes from the currency itself (e.g. 0 for JPY).
+         * JSON drops the fraction of whole floats (100.0 arrives as 100), so
+         * refreshed tiles and table cells use the server-formatted values and
+         * this is only a fallback when those are missing.
+         *
+         * @param {number|string} value    - Value to format
+         * @param {string=}       currency - ISO 4217 currency code (defaults to USD)
          * @returns {string}
          */
-        formatCurrency: function (value) {
+        formatCurrency: function (value, currency) {
             const num = parseFloat(value);
             if (isNaN(num)) return value;
-            // Assuming value is in major currency units
-            return '$' + num.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2});
+
+            let formatter;
+
+            try {
+                formatter = new Intl.NumberFormat(this.getLocale(), {
+                    style: 'currency',
+                    currency: (currency || 'USD').toUpperCase()
+                });
+            } catch (e) {
+                return this.formatDecimal(num);
+            }
+
+            const isMajorUnits = typeof value === 'number' && !Number.isInteger(value);
+            const minorDigits = formatter.resolvedOptions().maximumFractionDigits;
+            const amount = isMajorUnits ? num : Math.trunc(num) / Math.pow(10, minorDigits);
+
+            return formatter.format(amount);
         },
 
         /**
-         * Format a date value
+         * Format a date value using the WordPress date format
          *
-         * @param {string} value - Date string
+         * @param {string|number} value - Date string or Unix timestamp
          * @returns {string}
          */
         formatDate: function (value) {
-            if (!value) return '';
-            const date = new Date(value);
-            if (isNaN(date.getTime())) return value;
-            return date.toLocaleDateString();
+            return this.formatDateValue(value, ReportsAdmin.dateFormat || 'F j, Y');
         },
 
         /**
-         * Format a datetime value
+         * Format a datetime value using the WordPress date and time formats
          *
-         * @param {string} value - Datetime string
+         * @param {string|number} value - Datetime string or Unix timestamp
          * @returns {string}
          */
         formatDateTime: function (value) {
+            const format = (ReportsAdmin.dateFormat || 'F j, Y') + ' ' + (ReportsAdmin.timeFormat || 'g:i a');
+
+            return this.formatDateValue(value, format);
+        },
+
+        /**
+         * Format a date value with a PHP date() format string in the site timezone
+         *
+         * Datetime strings without a timezone are treated as UTC (as stored in
+         * the database) and converted to the site timezone. Date-only strings
+         * (Y-m-d) are already local and are not shifted.
+         *
+         * @param {string|number} value  - Date string or Unix timestamp
+         * @param {string}        format - PHP date() format string
+         * @returns {string}
+         */
+        formatDateValue: function (value, format) {
             if (!value) return '';
-            const date = new Date(value);
+
+            const str = String(value).trim();
+            let date;
+            let isLocal = false;
+
+            if (typeof value === 'number') {
+                date = new Date(value * 1000);
+            } else if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+                date = new Date(str + 'T00:00:00Z');
+                isLocal = true;
+            } else if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(str)) {
+                date = new Date(str.replace(' ', 'T') + 'Z');
+            } else {
+                date = new Date(str);
+            }
+
             if (isNaN(date.getTime())) return value;
-            return date.toLocaleString();
+
+            return this.formatPhpDate(this.getDateParts(date, isLocal), format);
+        },
+
+        /**
+         * Get calendar parts for a date in the site timezone
+         *
+         * @param {Date}    date    - Date to convert
+         * @param {boolean} isLocal - Whether the date already holds local values (in UTC fields)
+         * @returns {Object} year, month, day, hour, minute, second, weekday (0 = Sunday)
+         */
+        getDateParts: function (date, isLocal) {
+            let timeZone = 'UTC';
+            const siteZone = ReportsAdmin.timezone || 'UTC';
+            const offsetMatch = siteZone.match(/^([+-])(\d{2}):(\d{2})$/);
+
+            if (!isLocal) {
+                if (offsetMatch) {
+                    // Manual UTC offsets are not valid IANA zones; shift the date instead
+                    const minutes = (parseInt(offsetMatch[2], 10) * 60 + parseInt(offsetMatch[3], 10)) * (offsetMatch[1] === '-' ? -1 : 1);
+                    date = new Date(date.getTime() + minutes * 60000);
+                } else {
+                    timeZone = siteZone;
+                }
+            }
+
+            const parts = {};
+
+            try {
+                new Intl.DateTimeFormat('en-US', {
+                    timeZone: timeZone,
+                    year: 'numeric',
+                    month: 'numeric',
+                    day: 'numeric',
+                    hour: 'numeric',
+                    minute: 'numeric',
+                    second: 'numeric',
+                    hourCycle: 'h23'
+                }).formatToParts(date).forEach((part) => {
+                    if (part.type !== 'literal') {
+                        parts[part.type] = parseInt(part.value, 10);
+                    }
+                });
+            } catch (e) {
+                return this.getDateParts(date, true);
+            }
+
+            parts.hour = parts.hour % 24;
+            parts.weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+
+            return parts;
+        },
+
+        /**
+         * Build a date string from calendar parts using a PHP date() format
+         *
+         * Supports the format characters commonly used in WordPress date and
+         * time settings. Month and day names come from Intl in the site locale.
+         *
+         * @param {Object} parts  - Calendar parts from getDateParts()
+         * @param {string} format - PHP date() format string
+         * @returns {string}
+         */
+        formatPhpDate: function (parts, format) {
+            const locale = this.getLocale();
+            const utcDate = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+            const name = (options) => new Intl.DateTimeFormat(locale, {timeZone: 'UTC', ...options}).format(utcDate);
+            const pad = (num) => String(num).padStart(2, '0');
+            const hour12 = parts.hour % 12 || 12;
+            const ordinal = (day) => {
+                if (day >= 11 && day <= 13) return 'th';
+                return {1: 'st', 2: 'nd', 3: 'rd'}[day % 10] || 'th';
+            };
+
+            let output = '';
+
+            for (let i = 0; i < format.length; i++) {
+                const char = format[i];
+
+                switch (char) {
+                    case 'd': output += pad(parts.day); break;
+                    case 'j': output += parts.day; break;
+                    case 'S': output += ordinal(parts.day); break;
+                    case 'D': output += name({weekday: 'short'}); break;
+                    case 'l': output += name({weekday: 'long'}); break;
+                    case 'N': output += parts.weekday || 7; break;
+                    case 'w': output += parts.weekday; break;
+                    case 'F': output += name({month: 'long'}); break;
+                    case 'M': output += name({month: 'short'}); break;
+                    case 'm': output += pad(parts.month); break;
+                    case 'n': output += parts.month; break;
+                    case 'Y': output += parts.year; break;
+                    case 'y': output += pad(parts.year % 100); break;
+                    case 'a': output += parts.hour < 12 ? 'am' : 'pm'; break;
+                    case 'A': output += parts.hour < 12 ? 'AM' : 'PM'; break;
+                    case 'g': output += hour12; break;
+                    case 'h': output += pad(hour12); break;
+                    case 'G': output += parts.hour; break;
+                    case 'H': output += pad(parts.hour); break;
+                    case 'i': output += pad(parts.minute); break;
+                    case 's': output += pad(parts.second); break;
+                    case '\\':
+                        i++;
+                        output += format[i] || '';
+                        break;
+                    default:
+                        output += char;
+                }
+            }
+
+            return output;
         },
 
         /**
@@ -731,6 +1620,21 @@
             return str.replace(/'/g, "\\'").replace(/"/g, '\\"');
         },
 
+        /**
+         * Build a REST endpoint URL with query parameters
+         *
+         * Handles REST URLs that already carry a query string (plain permalinks).
+         *
+         * @param {string} endpoint - Endpoint path relative to the reports namespace
+         * @param {Object} params   - Query parameters
+         * @returns {string}
+         */
+        getRestUrl: function (endpoint, params) {
+            const url = ReportsAdmin.restUrl + endpoint;
+
+            return url + (url.indexOf('?') === -1 ? '?' : '&') + $.param(params);
+        },
+
         /* ========================================================================
          * URL PARAMETER HELPERS
          * ======================================================================== */
@@ -754,7 +1658,7 @@
         getCurrentDatePreset: function () {
             const url = new URL(window.location.href);
 
-            return url.searchParams.get('date_preset') || 'this_month';
+            return url.searchParams.get('date_preset') || ReportsAdmin.defaultPreset || 'this_month';
         },
 
         /**
@@ -782,6 +1686,10 @@
         /**
          * Get all filter parameters from URL
          *
+         * Multi-value parameters (filter_x[]) become arrays and keyed
+         * parameters (filter_x[min]) become objects, so jQuery serializes
+         * them back into the same shape for the REST API.
+         *
          * @returns {Object}
          */
         getCurrentFilters: function () {
@@ -789,8 +1697,18 @@
             const filters = {};
 
             url.searchParams.forEach((value, key) => {
-                if (key.indexOf('filter_') === 0) {
+                if (key.indexOf('filter_') !== 0) {
+                    return;
+                }
+
+                const match = key.match(/^([^\[]+)\[([^\]]*)\]$/);
+
+                if (!match) {
                     filters[key] = value;
+                } else if (match[2] === '') {
+                    filters[match[1]] = [].concat(filters[match[1]] || [], value);
+                } else {
+                    filters[match[1]] = $.extend({}, filters[match[1]], {[match[2]]: value});
                 }
             });
 
@@ -815,6 +1733,8 @@
             const $dropdown = $picker.find('.reports-date-picker-dropdown');
 
             $('.reports-date-picker-dropdown').not($dropdown).hide();
+            $('.reports-views-dropdown').hide();
+            $('.reports-views-toggle').attr('aria-expanded', 'false');
             $dropdown.toggle();
         },
 
@@ -888,10 +1808,34 @@
                 $('.reports-date-picker-custom').hide();
                 $('.reports-date-picker-presets').show();
             }
+
+            if (!$(e.target).closest('.reports-filter-ajax').length) {
+                $('.reports-filter-ajax').each((index, element) => {
+                    this.closeFilterAjaxResults($(element));
+                });
+            }
+
+            if (!$(e.target).closest('.reports-views').length) {
+                $('.reports-views-dropdown').hide();
+                $('.reports-views-toggle').attr('aria-expanded', 'false');
+            }
+
+            if (!$(e.target).closest('.reports-component-download').length) {
+                this.closeDownloadMenus();
+            }
+
+            if (!$(e.target).closest('.reports-print').length) {
+                $('.reports-print-menu').hide();
+                $('.reports-print-toggle[aria-expanded]').attr('aria-expanded', 'false');
+            }
         },
 
         /**
-         * Apply a date range and reload the page
+         * Apply a date range
+         *
+         * Updates the URL with history.pushState and refreshes components in
+         * place. Falls back to a full page load when the tab contains content
+         * that can only be rendered on the server.
          *
          * @param {string}  preset    - Date preset key
          * @param {string=} startDate - Custom start date (YYYY-MM-DD)
@@ -911,374 +1855,3956 @@
                 url.searchParams.delete('date_end');
             }
 
-            window.location.href = url.toString();
+            if (!this.canRefreshInPlace()) {
+                window.location.href = url.toString();
+                return;
+            }
+
+            window.history.pushState({reports: true}, '', url.toString());
+
+            this.syncDateRangeUI();
+            this.refreshAllComponents(true);
         },
 
-        /* ========================================================================
-         * CHARTS
-         * ======================================================================== */
+        /**
+         * Check whether the current tab can be updated without a page load
+         *
+         * Tabs using a render callback and HTML components are rendered on the
+         * server only, so they need a full page load to reflect a new state.
+         *
+         * @returns {boolean}
+         */
+        canRefreshInPlace: function () {
+            const $content = $('.reports-content');
+
+            return !!(window.history && window.history.pushState) &&
+                $content.find('[data-component-id]').length > 0 &&
+                $content.find('.reports-html-component').length === 0;
+        },
 
         /**
-         * Initialize all chart components
+         * Handle browser back/forward navigation between date ranges and filters
          *
          * @returns {void}
          */
-        initCharts: function () {
-            if (typeof Chart === 'undefined') {
-                console.warn('Chart.js not loaded');
+        onPopState: function () {
+            if (!this.canRefreshInPlace()) {
+                window.location.reload();
                 return;
             }
 
-            $('.reports-chart-canvas').each((index, element) => {
-                const $canvas = $(element);
-                const chartId = $canvas.data('chart-id');
-                const chartConfig = $canvas.data('chart-config');
-
-                if (chartConfig && chartId) {
-                    // Store the original config for refresh preservation
-                    this.chartConfigs[chartId] = JSON.parse(JSON.stringify(chartConfig));
-                    this.createChart(element, chartId, chartConfig);
-                }
-            });
+            this.syncDateRangeUI();
+            this.syncFiltersUI();
+            this.refreshAllComponents(true);
         },
 
         /**
-         * Create a Chart.js instance
+         * Sync the date picker, tab links and filter form with the date range in the URL
          *
-         * @param {HTMLCanvasElement} canvas  - Canvas element
-         * @param {string}            chartId - Chart identifier
-         * @param {Object}            config  - Chart.js configuration
          * @returns {void}
          */
-        createChart: function (canvas, chartId, config) {
-            if (this.charts[chartId]) {
-                this.charts[chartId].destroy();
-            }
+        syncDateRangeUI: function () {
+            const preset = this.getCurrentDatePreset();
+            const startDate = this.getCurrentDateStart();
+            const endDate = this.getCurrentDateEnd();
+            const $picker = $('.reports-date-picker');
+            const $presetButton = $picker.find('.reports-date-preset').filter((index, element) => {
+                return $(element).data('preset') === preset;
+            });
 
-            const ctx = canvas.getContext('2d');
-            const defaultColors = ReportsAdmin.chartDefaults?.colors || [
-                '#3b82f6', '#10b981', '#f59e0b', '#ef4444',
-                '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16'
-            ];
+            // Picker state
+            $picker.find('.reports-date-preset').removeClass('active');
+            $presetButton.addClass('active');
+            $picker.find('.reports-date-picker-dropdown, .reports-date-picker-custom').hide();
+            $picker.find('.reports-date-picker-presets').show();
 
-            if (config.data && config.data.datasets) {
-                config.data.datasets = config.data.datasets.map((dataset, index) => {
-                    const color = defaultColors[index % defaultColors.length];
-
-                    if (config.type === 'line') {
-                        dataset.borderColor = dataset.borderColor || color;
-                        dataset.backgroundColor = dataset.backgroundColor || this.hexToRgba(color, 0.1);
-                        dataset.tension = dataset.tension !== undefined ? dataset.tension : 0.3;
-                        dataset.fill = dataset.fill !== false;
-                    } else if (config.type === 'bar') {
-                        dataset.backgroundColor = dataset.backgroundColor || defaultColors;
-                        dataset.borderRadius = dataset.borderRadius !== undefined ? dataset.borderRadius : 4;
-                    } else if (config.type === 'pie' || config.type === 'doughnut') {
-                        dataset.backgroundColor = dataset.backgroundColor || defaultColors;
-                    }
+            if (startDate && endDate) {
+                $picker.find('.reports-date-start').val(startDate);
+                $picker.find('.reports-date-end').val(endDate);
+            }
+
+            // Provisional label until the server responds with the period label
+            if (preset === 'custom' && startDate && endDate) {
+                this.updatePeriodLabel(this.formatDate(startDate) + ' – ' + this.formatDate(endDate));
+            } else if ($presetButton.length) {
+                this.updatePeriodLabel($presetButton.text().trim());
+            }
+
+            // Keep the date range when switching tabs
+            $('.reports-tab').each((index, element) => {
+                const href = $(element).attr('href');
+
+                if (href) {
+                    $(element).attr('href', this.applyDateParams(new URL(href, window.location.href)).toString());
+                }
+            });
 
-                    return dataset;
+            // Keep the date range when submitting the filter form
+            const $form = $('.reports-filter-form');
+
+            if ($form.length) {
+                ['date_preset', 'date_start', 'date_end'].forEach((param) => {
+                    $form.find('input[type="hidden"][name="' + param + '"]').remove();
                 });
 
-                // Update the stored config with the processed datasets
-                this.chartConfigs[chartId].data.datasets = JSON.parse(JSON.stringify(config.data.datasets));
+                this.applyDateParams(new URL(window.location.href)).searchParams.forEach((value, key) => {
+                    if (key.indexOf('date_') === 0) {
+                        $form.prepend($('<input type="hidden">').attr('name', key).val(value));
+                    }
+                });
             }
+        },
 
-            const options = $.extend(true, {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        display: config.data.datasets && config.data.datasets.length > 1,
-                        position: 'top'
-                    }
+        /**
+         * Copy the current date range parameters onto a URL
+         *
+         * @param {URL} url - URL to update
+         * @returns {URL}
+         */
+        applyDateParams: function (url) {
+            const current = new URL(window.location.href);
+
+            ['date_preset', 'date_start', 'date_end'].forEach((param) => {
+                const value = current.searchParams.get(param);
+
+                if (value) {
+                    url.searchParams.set(param, value);
+                } else {
+                    url.searchParams.delete(param);
                 }
-            }, config.options || {});
+            });
 
-            if (config.type === 'line' || config.type === 'bar') {
-                options.scales = options.scales || {
-                    y: {beginAtZero: true}
-                };
+            return url;
+        },
+
+        /**
+         * Update the date picker label and the period shown on tiles and charts
+         *
+         * @param {string} label - Human-readable period label
+         * @returns {void}
+         */
+        updatePeriodLabel: function (label) {
+            $('.reports-date-picker-label').text(label);
+            $('.reports-tile-period').text(label);
+            $('.reports-chart-period').text('— ' + label);
+        },
+
+        /* ========================================================================
+         * FILTER BAR
+         * ======================================================================== */
+
+        /**
+         * Initialize the tab filter bar
+         *
+         * @returns {void}
+         */
+        initFilterBar: function () {
+            if (!$('.reports-filter-bar').length) {
+                return;
             }
 
-            this.charts[chartId] = new Chart(ctx, {
-                type: config.type,
-                data: config.data,
-                options: options
+            this.renderFilterChips();
+        },
+
+        /**
+         * Handle filter form submit
+         *
+         * @param {Event} e - Submit event
+         * @returns {void}
+         */
+        onFilterSubmit: function (e) {
+            e.preventDefault();
+
+            this.applyFilters();
+        },
+
+        /**
+         * Apply the filter form values
+         *
+         * Updates the filter_* URL parameters with history.pushState and
+         * refreshes components in place, falling back to a full page load
+         * when the tab can only be rendered on the server.
+         *
+         * @returns {void}
+         */
+        applyFilters: function () {
+            const url = new URL(window.location.href);
+            const $form = $('.reports-filter-form');
+
+            Array.from(url.searchParams.keys()).forEach((key) => {
+                if (key.indexOf('filter_') === 0) {
+                    url.searchParams.delete(key);
+                }
+            });
+
+            $form.serializeArray().forEach((field) => {
+                if (field.name.indexOf('filter_') === 0 && field.value !== '') {
+                    url.searchParams.append(field.name, field.value);
+                }
             });
+
+            if (!this.canRefreshInPlace()) {
+                window.location.href = url.toString();
+                return;
+            }
+
+            window.history.pushState({reports: true}, '', url.toString());
+
+            this.renderFilterChips();
+            this.refreshAllComponents(true);
         },
 
         /**
-         * Convert hex color to rgba
+         * Sync the filter form with the filter values in the URL
          *
-         * @param {string} hex   - Hex color (e.g., '#3b82f6')
-         * @param {number} alpha - Alpha value (0-1)
-         * @returns {string} RGBA color string
+         * @returns {void}
          */
-        hexToRgba: function (hex, alpha) {
-            const r = parseInt(hex.slice(1, 3), 16);
-            const g = parseInt(hex.slice(3, 5), 16);
-            const b = parseInt(hex.slice(5, 7), 16);
+        syncFiltersUI: function () {
+            const filters = this.getCurrentFilters();
+            const $fields = $('.reports-filter-field');
 
-            return 'rgba(' + r + ', ' + g + ', ' + b + ', ' + alpha + ')';
+            $fields.each((index, element) => {
+                const $field = $(element);
+                const param = 'filter_' + $field.data('filter');
+                const value = filters[param] !== undefined ? filters[param] : this.getFilterDefault($field);
+
+                if ($field.data('filter-type') === 'ajax_select') {
+                    this.syncFilterAjaxValue($field, value);
+                } else {
+                    this.setFilterFieldValue($field, value);
+                }
+            });
+
+            // Parents are set above, so dependent options can be loaded for the restored values
+            $fields.filter('[data-depends-on]').each((index, element) => {
+                const $field = $(element);
+
+                if ($field.data('filter-type') !== 'ajax_select') {
+                    this.loadFilterOptions($field, this.getFilterFieldValue($field), false);
+                }
+            });
+
+            this.renderFilterChips();
         },
 
-        /* ========================================================================
-         * TABLES
-         * ======================================================================== */
+        /**
+         * Get a filter field by filter key
+         *
+         * @param {string} key - Filter key (without the 'filter_' prefix)
+         * @returns {jQuery}
+         */
+        getFilterField: function (key) {
+            return $('.reports-filter-field').filter((index, element) => {
+                return String($(element).data('filter')) === String(key);
+            });
+        },
 
         /**
-         * Initialize all table components
+         * Get the default value of a filter field
+         *
+         * @param {jQuery} $field - Filter field element
+         * @returns {*}
+         */
+        getFilterDefault: function ($field) {
+            try {
+                return JSON.parse($field.attr('data-default') || '""');
+            } catch (error) {
+                return '';
+            }
+        },
+
+        /**
+         * Get the current form value of a filter field
+         *
+         * @param {jQuery} $field - Filter field element
+         * @returns {string|Array|Object}
+         */
+        getFilterFieldValue: function ($field) {
+            switch ($field.data('filter-type')) {
+                case 'multiselect':
+                    return $field.find('select').val() || [];
+
+                case 'ajax_select':
+                    return $field.find('.reports-filter-ajax-value').val() || '';
+
+                case 'checkbox': {
+                    const $input = $field.find('input[type="checkbox"]');
+
+                    return $input.is(':checked') ? $input.val() : '';
+                }
+
+                case 'number_range':
+                    return {
+                        min: $field.find('input[name$="[min]"]').val() || '',
+                        max: $field.find('input[name$="[max]"]').val() || ''
+                    };
+
+                case 'select':
+                    return $field.find('select').val() || '';
+
+                default:
+                    return $field.find('input').first().val() || '';
+            }
+        },
+
+        /**
+         * Set the form value of a filter field
          *
+         * @param {jQuery} $field - Filter field element
+         * @param {*}      value  - Value in the shape returned by getFilterFieldValue()
          * @returns {void}
          */
-        initTables: function () {
-            $('.reports-table-wrapper').each((index, element) => {
-                const $wrapper = $(element);
-                const componentId = $wrapper.data('component-id');
+        setFilterFieldValue: function ($field, value) {
+            switch ($field.data('filter-type')) {
+                case 'multiselect':
+                    $field.find('select').val([].concat(value || []).map(String));
+                    break;
 
-                if (componentId) {
-                    // Try to get config from data attribute first (PHP-provided)
-                    const dataConfig = $wrapper.data('table-config');
-                    if (dataConfig) {
-                        this.tableConfigs[componentId] = dataConfig;
-                    } else {
-                        // Fall back to extracting from DOM
-                        this.extractTableConfig($wrapper, componentId);
+                case 'ajax_select':
+                    $field.find('.reports-filter-ajax-value').val(value || '');
+
+                    if (!value) {
+                        $field.find('.reports-filter-ajax-search').val('').data('selected-label', '');
+                    }
+                    break;
+
+                case 'checkbox':
+                    $field.find('input[type="checkbox"]').prop('checked', !!value && value !== '0');
+                    break;
+
+                case 'number_range':
+                    value = value || {};
+                    $field.find('input[name$="[min]"]').val(value.min !== undefined ? value.min : '');
+                    $field.find('input[name$="[max]"]').val(value.max !== undefined ? value.max : '');
+                    break;
+
+                case 'select': {
+                    const select = $field.find('select').val(String(value)).get(0);
+
+                    // Fall back to the first option when the value is no longer available
+                    if (select && select.selectedIndex === -1) {
+                        select.selectedIndex = 0;
+                    }
+                    break;
+                }
+
+                default:
+                    $field.find('input').first().val(value !== undefined && value !== null ? value : '');
+            }
+        },
+
+        /**
+         * Normalize a filter value for comparison
+         *
+         * @param {*} value - Filter value
+         * @returns {string|Array|Object}
+         */
+        normalizeFilterValue: function (value) {
+            if (Array.isArray(value)) {
+                return value.map(String).sort();
+            }
+
+            if (value && typeof value === 'object') {
+                return {
+                    min: value.min !== undefined && value.min !== null ? String(value.min) : '',
+                    max: value.max !== undefined && value.max !== null ? String(value.max) : ''
+                };
+            }
+
+            if (value === true) {
+                return '1';
+            }
+
+            return value === false || value === null || value === undefined ? '' : String(value);
+        },
+
+        /**
+         * Check whether a filter field has a non-empty, non-default value
+         *
+         * @param {jQuery} $field - Filter field element
+         * @returns {boolean}
+         */
+        isFilterActive: function ($field) {
+            const value = this.normalizeFilterValue(this.getFilterFieldValue($field));
+            const isEmpty = Array.isArray(value) ? value.length === 0 :
+                (typeof value === 'object' ? value.min === '' && value.max === '' : value === '');
+
+            if (isEmpty) {
+                return false;
+            }
+
+            return JSON.stringify(value) !== JSON.stringify(this.normalizeFilterValue(this.getFilterDefault($field)));
+        },
+
+        /**
+         * Get the human-readable value of a filter field for its chip
+         *
+         * @param {jQuery} $field - Filter field element
+         * @returns {string}
+         */
+        getFilterChipValue: function ($field) {
+            const value = this.getFilterFieldValue($field);
+
+            switch ($field.data('filter-type')) {
+                case 'select':
+                case 'multiselect':
+                    return $field.find('option:selected').map((index, option) => {
+                        return $(option).text().trim();
+                    }).get().join(', ');
+
+                case 'ajax_select':
+                    return $field.find('.reports-filter-ajax-search').data('selected-label') || value;
+
+                case 'checkbox':
+                    return this.i18n('filterYes');
+
+                case 'date':
+                    return this.formatDate(value);
+
+                case 'number_range': {
+                    const min = value.min !== '' ? this.formatDecimal(parseFloat(value.min)) : '';
+                    const max = value.max !== '' ? this.formatDecimal(parseFloat(value.max)) : '';
+
+                    if (min && max) {
+                        return min + ' – ' + max;
                     }
+
+                    return min ? '≥ ' + min : '≤ ' + max;
+                }
+
+                default:
+                    return value;
+            }
+        },
+
+        /**
+         * Render removable chips for the active filters
+         *
+         * @returns {void}
+         */
+        renderFilterChips: function () {
+            const $chips = $('.reports-filter-chips');
+            const $list = $chips.find('.reports-filter-chips-list').empty();
+
+            $('.reports-filter-field').each((index, element) => {
+                const $field = $(element);
+
+                if (!this.isFilterActive($field)) {
+                    return;
                 }
+
+                const label = $field.data('label');
+
+                $('<span class="reports-filter-chip">')
+                    .attr('data-filter', $field.data('filter'))
+                    .append($('<span class="reports-filter-chip-label">').text(label + ':'))
+                    .append(' ')
+                    .append($('<span class="reports-filter-chip-value">').text(this.getFilterChipValue($field)))
+                    .append(
+                        $('<button type="button" class="reports-filter-chip-remove">')
+                            .attr('aria-label', this.i18n('removeFilter', label))
+                            .append('<span class="dashicons dashicons-no-alt"></span>')
+                    )
+                    .appendTo($list);
             });
 
-            $('.reports-table-container[data-paginated="true"]').each((index, element) => {
-                const $container = $(element);
+            $chips.toggle($list.children().length > 0);
+        },
 
-                $container.data('current-page', 1);
-                this.applyTablePagination($container);
+        /**
+         * Handle filter chip remove click
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onFilterChipRemove: function (e) {
+            e.preventDefault();
+
+            const key = $(e.currentTarget).closest('.reports-filter-chip').data('filter');
+
+            this.clearFilterField(this.getFilterField(key));
+            this.applyFilters();
+        },
+
+        /**
+         * Handle clear all filters click
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onFilterClearAll: function (e) {
+            e.preventDefault();
+
+            $('.reports-filter-field').each((index, element) => {
+                this.clearFilterField($(element));
+            });
+
+            this.applyFilters();
+        },
+
+        /**
+         * Reset a filter field and the filters depending on it to their defaults
+         *
+         * @param {jQuery} $field - Filter field element
+         * @returns {void}
+         */
+        clearFilterField: function ($field) {
+            const key = $field.data('filter');
+
+            this.setFilterFieldValue($field, this.getFilterDefault($field));
+
+            $('.reports-filter-field[data-depends-on="' + key + '"]').each((index, element) => {
+                this.clearFilterField($(element));
             });
+
+            this.reloadDependentFilters(key);
+        },
+
+        /**
+         * Handle filter field change (reload options of dependent filters)
+         *
+         * @param {Event} e - Change event
+         * @returns {void}
+         */
+        onFilterFieldChange: function (e) {
+            if ($(e.target).hasClass('reports-filter-ajax-search')) {
+                return;
+            }
+
+            const key = $(e.currentTarget).closest('.reports-filter-field').data('filter');
+
+            this.reloadDependentFilters(key);
+        },
+
+        /**
+         * Reload the options of filters that depend on a filter, resetting their values
+         *
+         * @param {string} key - Parent filter key
+         * @returns {void}
+         */
+        reloadDependentFilters: function (key) {
+            $('.reports-filter-field[data-depends-on="' + key + '"]').each((index, element) => {
+                const $field = $(element);
+
+                this.loadFilterOptions($field, this.getFilterDefault($field), true);
+            });
+        },
+
+        /**
+         * Load the options of a dependent select filter for its parent's value
+         *
+         * @param {jQuery}  $field   - Filter field element
+         * @param {*}       selected - Value to select once the options are loaded
+         * @param {boolean} cascade  - Also reload filters depending on this one
+         * @returns {void}
+         */
+        loadFilterOptions: function ($field, selected, cascade) {
+            const key = $field.data('filter');
+
+            // Searchable filters fetch options on demand, so only the value is reset
+            if ($field.data('filter-type') === 'ajax_select') {
+                this.setFilterFieldValue($field, selected);
+
+                if (cascade) {
+                    this.reloadDependentFilters(key);
+                }
+                return;
+            }
+
+            const $select = $field.find('select');
+
+            $select.prop('disabled', true);
+
+            this.requestFilterOptions($field, {}, (options) => {
+                $select.empty();
+
+                options.forEach((option) => {
+                    $('<option>').val(option.value).text(option.label).appendTo($select);
+                });
+
+                $select.prop('disabled', false);
+                this.setFilterFieldValue($field, selected);
+
+                if (cascade) {
+                    this.reloadDependentFilters(key);
+                }
+            }, () => {
+                $select.prop('disabled', false);
+            });
+        },
+
+        /**
+         * Request filter options from the REST API
+         *
+         * @param {jQuery}    $field   - Filter field element
+         * @param {Object}    args     - Extra request args (search, include)
+         * @param {Function}  success  - Called with an array of {value, label} options
+         * @param {Function=} failure  - Called when the request fails
+         * @returns {void}
+         */
+        requestFilterOptions: function ($field, args, success, failure) {
+            const key = $field.data('filter');
+            const dependsOn = $field.data('depends-on');
+
+            if (this.filterRequests[key]) {
+                this.filterRequests[key].abort();
+            }
+
+            const requestData = {
+                report_id: $('.reports-wrap').data('report-id'),
+                tab: $('.reports-filter-bar').data('tab') || this.getCurrentTab(),
+                filter: key,
+                parent: dependsOn ? this.getFilterFieldValue(this.getFilterField(dependsOn)) : '',
+                ...args,
+                ...this.getCurrentFilters()
+            };
+
+            const request = $.ajax({
+                url: ReportsAdmin.restUrl + 'filter-options',
+                method: 'GET',
+                data: requestData,
+                beforeSend: (xhr) => {
+                    xhr.setRequestHeader('X-WP-Nonce', ReportsAdmin.restNonce);
+                },
+                success: (response) => {
+                    if (response.success) {
+                        success(response.options || []);
+                    }
+                },
+                error: (xhr, status) => {
+                    if (status !== 'abort') {
+                        console.error('Filter options failed:', xhr.responseJSON);
+
+                        if (failure) {
+                            failure();
+                        }
+                    }
+                },
+                complete: () => {
+                    if (this.filterRequests[key] === request) {
+                        delete this.filterRequests[key];
+                    }
+                }
+            });
+
+            this.filterRequests[key] = request;
+        },
+
+        /**
+         * Handle typing in a searchable filter
+         *
+         * @param {Event} e - Input event
+         * @returns {void}
+         */
+        onFilterAjaxSearch: function (e) {
+            const $input = $(e.currentTarget);
+            const $field = $input.closest('.reports-filter-field');
+            const $wrap = $input.closest('.reports-filter-ajax');
+            const key = $field.data('filter');
+            const term = $input.val().trim();
+
+            clearTimeout(this.filterSearchTimers[key]);
+
+            if (term === '') {
+                $input.data('selected-label', '');
+                $wrap.find('.reports-filter-ajax-value').val('').trigger('change');
+                $wrap.find('.reports-filter-ajax-results').empty().hide();
+                return;
+            }
+
+            this.filterSearchTimers[key] = setTimeout(() => {
+                this.requestFilterOptions($field, {search: term}, (options) => {
+                    this.renderFilterAjaxResults($wrap, options);
+                });
+            }, 250);
+        },
+
+        /**
+         * Render the result list of a searchable filter
+         *
+         * @param {jQuery} $wrap   - Searchable filter wrapper
+         * @param {Array}  options - Array of {value, label}
+         * @returns {void}
+         */
+        renderFilterAjaxResults: function ($wrap, options) {
+            const $results = $wrap.find('.reports-filter-ajax-results').empty();
+
+            if (!options.length) {
+                $('<li class="reports-filter-ajax-empty">').text(this.i18n('noResults')).appendTo($results);
+            }
+
+            options.forEach((option) => {
+                $('<li>').append(
+                    $('<button type="button" class="reports-filter-ajax-option">')
+                        .attr('data-value', option.value)
+                        .text(option.label)
+                ).appendTo($results);
+            });
+
+            $results.show();
+        },
+
+        /**
+         * Handle choosing a searchable filter result
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onFilterAjaxSelect: function (e) {
+            e.preventDefault();
+
+            const $option = $(e.currentTarget);
+            const $wrap = $option.closest('.reports-filter-ajax');
+            const label = $option.text();
+
+            $wrap.find('.reports-filter-ajax-search').val(label).data('selected-label', label);
+            $wrap.find('.reports-filter-ajax-value').val(String($option.attr('data-value'))).trigger('change');
+            $wrap.find('.reports-filter-ajax-results').empty().hide();
+        },
+
+        /**
+         * Close the result list of a searchable filter, restoring the selected label
+         *
+         * @param {jQuery} $wrap - Searchable filter wrapper
+         * @returns {void}
+         */
+        closeFilterAjaxResults: function ($wrap) {
+            const $results = $wrap.find('.reports-filter-ajax-results');
+
+            if (!$results.is(':visible')) {
+                return;
+            }
+
+            const $input = $wrap.find('.reports-filter-ajax-search');
+
+            $results.empty().hide();
+            $input.val($input.data('selected-label') || '');
+        },
+
+        /**
+         * Set a searchable filter value, looking up the label of values not already shown
+         *
+         * @param {jQuery} $field - Filter field element
+         * @param {string} value  - Filter value
+         * @returns {void}
+         */
+        syncFilterAjaxValue: function ($field, value) {
+            const $hidden = $field.find('.reports-filter-ajax-value');
+            const $input = $field.find('.reports-filter-ajax-search');
+
+            value = value ? String(value) : '';
+
+            if ($hidden.val() === value) {
+                return;
+            }
+
+            this.setFilterFieldValue($field, value);
+
+            if (!value) {
+                return;
+            }
+
+            $input.val(value).data('selected-label', value);
+
+            this.requestFilterOptions($field, {include: [value]}, (options) => {
+                const match = options.find((option) => option.value === value);
+
+                if (match) {
+                    $input.val(match.label).data('selected-label', match.label);
+                    this.renderFilterChips();
+                }
+            });
+        },
+
+        /* ========================================================================
+         * SPARKLINES
+         * ======================================================================== */
+
+        /**
+         * Draw the sparklines of server-rendered tiles
+         *
+         * @returns {void}
+         */
+        initSparklines: function () {
+            if (typeof Chart === 'undefined') {
+                return;
+            }
+
+            $('.reports-sparkline-canvas').each((index, element) => {
+                const $canvas = $(element);
+                const series = $canvas.data('sparkline');
+
+                if (series) {
+                    this.renderSparkline($canvas, $canvas.closest('.reports-tile').data('component-id'), series);
+                }
+            });
+        },
+
+        /**
+         * Draw or update a tile's sparkline
+         *
+         * Updates the existing chart in place on refresh so the line doesn't
+         * flash. The tooltip shows the values formatted like the tile's value.
+         *
+         * @param {jQuery} $canvas - Sparkline canvas
+         * @param {string} tileId  - Tile component ID
+         * @param {Object} series  - Labels, values and formatted values
+         * @returns {void}
+         */
+        renderSparkline: function ($canvas, tileId, series) {
+            if (!$canvas.length || typeof Chart === 'undefined') {
+                return;
+            }
+
+            const chart = this.sparklines[tileId];
+
+            if (chart && chart.canvas === $canvas[0]) {
+                chart.data.labels = series.labels;
+                chart.data.datasets[0].data = series.values;
+                chart.data.datasets[0].formatted = series.formatted;
+                chart.update('none');
+                return;
+            }
+
+            if (chart) {
+                chart.destroy();
+            }
+
+            const color = $canvas.data('sparkline-color') || ReportsAdmin.chartDefaults?.colors?.[0] || '#3b82f6';
+
+            this.sparklines[tileId] = new Chart($canvas[0].getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels: series.labels,
+                    datasets: [{
+                        data: series.values,
+                        formatted: series.formatted,
+                        borderColor: color,
+                        backgroundColor: this.hexToRgba(color, 0.1),
+                        borderWidth: 1.5,
+                        fill: true,
+                        tension: 0.3,
+                        pointRadius: 0,
+                        pointHoverRadius: 3,
+                        spanGaps: true
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    interaction: {mode: 'index', intersect: false},
+                    layout: {padding: 2},
+                    scales: {
+                        x: {display: false},
+                        y: {display: false}
+                    },
+                    plugins: {
+                        legend: {display: false},
+                        tooltip: {
+                            displayColors: false,
+                            callbacks: {
+                                title: (items) => items[0]?.label || '',
+                                label: (item) => item.dataset.formatted?.[item.dataIndex] || String(item.raw)
+                            }
+                        }
+                    }
+                }
+            });
+        },
+
+        /* ========================================================================
+         * CHARTS
+         * ======================================================================== */
+
+        /**
+         * Initialize all chart components
+         *
+         * @returns {void}
+         */
+        initCharts: function () {
+            if (typeof Chart === 'undefined') {
+                console.warn('Chart.js not loaded');
+                return;
+            }
+
+            $('.reports-chart-canvas').each((index, element) => {
+                const $canvas = $(element);
+                const chartId = $canvas.data('chart-id');
+                const chartConfig = $canvas.data('chart-config');
+
+                if (chartConfig && chartId) {
+                    // Store the original config for refresh preservation
+                    this.chartConfigs[chartId] = JSON.parse(JSON.stringify(chartConfig));
+                    this.createChart(element, chartId, chartConfig);
+                }
+            });
+        },
+
+        /**
+         * Create a Chart.js instance
+         *
+         * @param {HTMLCanvasElement} canvas  - Canvas element
+         * @param {string}            chartId - Chart identifier
+         * @param {Object}            config  - Chart.js configuration
+         * @returns {void}
+         */
+        createChart: function (canvas, chartId, config) {
+            if (this.charts[chartId]) {
+                this.charts[chartId].destroy();
+            }
+
+            const chartType = config.chartType || config.type;
+
+            // Heatmaps are HTML grids rather than Chart.js charts
+            if (chartType === 'heatmap') {
+                this.renderHeatmap(chartId, config.data || {});
+                return;
+            }
+
+            const ctx = canvas.getContext('2d');
+
+            if (config.data && config.data.datasets) {
+                config.data.datasets = this.styleChartDatasets(config, config.data.datasets);
+
+                // Update the stored config with the processed datasets
+                this.chartConfigs[chartId].data.datasets = JSON.parse(JSON.stringify(config.data.datasets));
+
+                // Overlay the comparison period (not stored, rebuilt on every refresh)
+                if (config.comparison) {
+                    config.data.datasets = config.data.datasets.concat(
+                        this.buildComparisonDatasets(config.data.datasets, config.comparison, chartType, (config.data.labels || []).length)
+                    );
+                }
+            }
+
+            const options = $.extend(true, {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: config.data.datasets && config.data.datasets.length > 1,
+                        position: 'top'
+                    }
+                }
+            }, config.options || {});
+
+            if (config.type === 'line' || config.type === 'bar') {
+                options.scales = options.scales || {
+                    y: {beginAtZero: true}
+                };
+            }
+
+            // Tooltips and value axis ticks use the chart's tooltip_format
+            const format = config.format || {};
+            let tooltipLabel = this.getChartTooltipLabel;
+
+            if (chartType === 'funnel') {
+                tooltipLabel = this.getFunnelTooltipLabel;
+            } else if (config.comparison) {
+                tooltipLabel = this.getComparisonTooltipLabel;
+            }
+
+            options.plugins = options.plugins || {};
+            options.plugins.tooltip = options.plugins.tooltip || {};
+            options.plugins.tooltip.callbacks = {
+                ...(options.plugins.tooltip.callbacks || {}),
+                label: (context) => tooltipLabel.call(this, context, format)
+            };
+
+            if (options.scales && chartType !== 'funnel') {
+                const valueAxis = options.indexAxis === 'y' ? 'x' : 'y';
+
+                if (options.scales[valueAxis]) {
+                    options.scales[valueAxis].ticks = {
+                        callback: (value) => this.formatChartValue(value, format, true),
+                        ...(options.scales[valueAxis].ticks || {})
+                    };
+                }
+
+                // The secondary axis of combo charts holds plain numbers (e.g. order counts)
+                if (options.scales.y1) {
+                    options.scales.y1.ticks = {
+                        callback: (value) => this.formatChartValue(value, {type: 'number'}, true),
+                        ...(options.scales.y1.ticks || {})
+                    };
+                }
+            }
+
+            // Drill-down: filter, open a URL or load a nested level on click
+            if (config.onClick) {
+                options.onClick = (event, elements) => {
+                    this.onChartClick(chartId, elements);
+                };
+                options.onHover = (event, elements) => {
+                    event.native.target.style.cursor = elements.length && this.isChartClickable(chartId) ? 'pointer' : 'default';
+                };
+            }
+
+            this.chartKeys[chartId] = config.keys || [];
+            this.chartRootData[chartId] = {
+                labels: config.data.labels || [],
+                datasets: this.chartConfigs[chartId].data?.datasets || [],
+                keys: config.keys || [],
+                comparison: config.comparison || null
+            };
+
+            this.charts[chartId] = new Chart(ctx, {
+                type: config.type,
+                data: config.data,
+                options: options
+            });
+        },
+
+        /**
+         * Check whether clicking a data point does anything at the chart's current level
+         *
+         * @param {string} chartId - Chart identifier
+         * @returns {boolean}
+         */
+        isChartClickable: function (chartId) {
+            const onClick = this.chartConfigs[chartId]?.onClick;
+
+            if (!onClick) {
+                return false;
+            }
+
+            if (onClick.action === 'drilldown') {
+                return (this.chartDrilldowns[chartId] || []).length < onClick.maxDepth;
+            }
+
+            return true;
+        },
+
+        /**
+         * Handle a click on a chart data point
+         *
+         * @param {string} chartId  - Chart identifier
+         * @param {Array}  elements - Active Chart.js elements
+         * @returns {void}
+         */
+        onChartClick: function (chartId, elements) {
+            const chart = this.charts[chartId];
+            const onClick = this.chartConfigs[chartId]?.onClick;
+
+            if (!chart || !onClick || !elements.length || !this.isChartClickable(chartId)) {
+                return;
+            }
+
+            const element = elements[0];
+            const dataset = chart.data.datasets[element.datasetIndex] || {};
+
+            // Comparison points belong to another period
+            if (dataset.isComparison) {
+                return;
+            }
+
+            const label = chart.data.labels[element.index];
+            const keys = this.chartKeys[chartId] || [];
+            const value = dataset.data ? dataset.data[element.index] : '';
+            const point = {
+                index: element.index,
+                label: label !== undefined && label !== null ? String(label) : '',
+                key: keys[element.index] !== undefined ? String(keys[element.index]) : String(label),
+                dataset: dataset.label || '',
+                value: value !== null && typeof value === 'object' ? '' : value
+            };
+
+            switch (onClick.action) {
+                case 'filter':
+                    this.applyChartFilter(onClick.filter, point.key);
+                    break;
+
+                case 'url':
+                    this.openChartUrl(onClick, point);
+                    break;
+
+                case 'drilldown':
+                    this.loadChartDrilldown(chartId, (this.chartDrilldowns[chartId] || []).concat({
+                        key: point.key,
+                        label: point.label
+                    }));
+                    break;
+            }
+        },
+
+        /**
+         * Apply a tab filter from a clicked data point
+         *
+         * Values are matched against the filter's option values first and
+         * then its option labels, so charts can use labels as keys.
+         *
+         * @param {string} filterKey - Filter key (without the 'filter_' prefix)
+         * @param {string} value     - Clicked key or label
+         * @returns {void}
+         */
+        applyChartFilter: function (filterKey, value) {
+            const $field = this.getFilterField(filterKey);
+
+            if (!$field.length) {
+                const url = new URL(window.location.href);
+
+                url.searchParams.set('filter_' + filterKey, value);
+
+                if (!this.canRefreshInPlace()) {
+                    window.location.href = url.toString();
+                    return;
+                }
+
+                window.history.pushState({reports: true}, '', url.toString());
+                this.refreshAllComponents(true);
+                return;
+            }
+
+            const type = $field.data('filter-type');
+            const $option = $field.find('option').filter((index, option) => {
+                return option.value === value;
+            });
+            const $labelOption = $field.find('option').filter((index, option) => {
+                return $(option).text().trim() === value;
+            });
+
+            if (!$option.length && $labelOption.length) {
+                value = $labelOption.first().val();
+            }
+
+            // Resets filters depending on this one as well
+            this.clearFilterField($field);
+
+            if (type === 'ajax_select') {
+                this.syncFilterAjaxValue($field, value);
+            } else {
+                this.setFilterFieldValue($field, type === 'multiselect' ? [value] : value);
+            }
+
+            this.reloadDependentFilters(filterKey);
+            this.applyFilters();
+        },
+
+        /**
+         * Open the URL template of a clickable chart
+         *
+         * Supports {label}, {key}, {dataset}, {value} and {index} placeholders.
+         *
+         * @param {Object} onClick - Chart click configuration
+         * @param {Object} point   - Clicked data point
+         * @returns {void}
+         */
+        openChartUrl: function (onClick, point) {
+            let url = onClick.url;
+
+            Object.keys(point).forEach((key) => {
+                url = url.split('{' + key + '}').join(encodeURIComponent(point[key]));
+            });
+
+            if (onClick.target) {
+                window.open(url, onClick.target);
+            } else {
+                window.location.href = url;
+            }
+        },
+
+        /**
+         * Load a drill-down level into a chart
+         *
+         * An empty path restores the top-level data.
+         *
+         * @param {string} chartId - Chart identifier
+         * @param {Array}  path    - Clicked {key, label} items from the top level down
+         * @returns {void}
+         */
+        loadChartDrilldown: function (chartId, path) {
+            const $wrapper = $('.reports-chart-wrapper[data-component-id="' + chartId + '"]');
+
+            if (this.chartRequests[chartId]) {
+                this.chartRequests[chartId].abort();
+            }
+
+            if (!path.length) {
+                this.chartDrilldowns[chartId] = [];
+                this.updateChart(chartId, this.chartRootData[chartId], true);
+                this.renderChartBreadcrumb(chartId);
+                return;
+            }
+
+            $wrapper.addClass('reports-component-refreshing');
+
+            const requestData = {
+                report_id: $('.reports-wrap').data('report-id'),
+                component_id: chartId,
+                date_preset: this.getCurrentDatePreset(),
+                date_start: this.getCurrentDateStart(),
+                date_end: this.getCurrentDateEnd(),
+                path: path.map((item) => item.key),
+                ...this.getCurrentFilters()
+            };
+
+            const request = $.ajax({
+                url: ReportsAdmin.restUrl + 'chart-drilldown',
+                method: 'GET',
+                data: requestData,
+                beforeSend: (xhr) => {
+                    xhr.setRequestHeader('X-WP-Nonce', ReportsAdmin.restNonce);
+                },
+                success: (response) => {
+                    if (response.success) {
+                        this.chartDrilldowns[chartId] = path;
+                        this.updateChart(chartId, response, true);
+                        this.renderChartBreadcrumb(chartId);
+                    }
+                },
+                error: (xhr, status) => {
+                    if (status !== 'abort') {
+                        console.error('Drill-down failed:', xhr.responseJSON);
+                    }
+                },
+                complete: () => {
+                    if (this.chartRequests[chartId] === request) {
+                        delete this.chartRequests[chartId];
+                        $wrapper.removeClass('reports-component-refreshing');
+                    }
+                }
+            });
+
+            this.chartRequests[chartId] = request;
+        },
+
+        /**
+         * Render the drill-down breadcrumb of a chart
+         *
+         * @param {string} chartId - Chart identifier
+         * @returns {void}
+         */
+        renderChartBreadcrumb: function (chartId) {
+            const $nav = $('.reports-chart-wrapper[data-component-id="' + chartId + '"] .reports-chart-breadcrumb');
+            const path = this.chartDrilldowns[chartId] || [];
+
+            $nav.empty().toggle(path.length > 0);
+
+            if (!path.length) {
+                return;
+            }
+
+            $('<button type="button" class="button-link reports-chart-breadcrumb-item">')
+                .attr('data-depth', 0)
+                .text(this.i18n('drilldownAll'))
+                .appendTo($nav);
+
+            path.forEach((item, index) => {
+                $nav.append('<span class="reports-chart-breadcrumb-sep" aria-hidden="true">›</span>');
+
+                if (index === path.length - 1) {
+                    $('<span class="reports-chart-breadcrumb-current" aria-current="page">').text(item.label).appendTo($nav);
+                } else {
+                    $('<button type="button" class="button-link reports-chart-breadcrumb-item">')
+                        .attr('data-depth', index + 1)
+                        .text(item.label)
+                        .appendTo($nav);
+                }
+            });
+        },
+
+        /**
+         * Handle drill-down breadcrumb click
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onChartBreadcrumbClick: function (e) {
+            e.preventDefault();
+
+            const $item = $(e.currentTarget);
+            const chartId = $item.closest('.reports-chart-wrapper').data('component-id');
+            const depth = parseInt($item.data('depth'), 10) || 0;
+
+            this.loadChartDrilldown(chartId, (this.chartDrilldowns[chartId] || []).slice(0, depth));
+        },
+
+        /**
+         * Apply the default styling of a chart type to its datasets
+         *
+         * Styling set on the dataset by the data callback wins over the
+         * defaults, and styling of the first render (originalDatasets) wins
+         * over both, so refreshes and drill-downs keep the chart's look.
+         * Funnel values are turned into centered floating bars.
+         *
+         * @param {Object}         config             - Chart config with type, chartType and style
+         * @param {Array<Object>}  datasets           - Datasets from the data callback
+         * @param {Array<Object>=} originalDatasets   - Styled datasets of the first render
+         * @returns {Array<Object>}
+         */
+        styleChartDatasets: function (config, datasets, originalDatasets) {
+            const chartType = config.chartType || config.type;
+            const style = config.style || {};
+            const palette = style.colors && style.colors.length ? style.colors : (ReportsAdmin.chartDefaults?.colors || [
+                '#3b82f6', '#10b981', '#f59e0b', '#ef4444',
+                '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16'
+            ]);
+
+            return datasets.map((dataset, index) => {
+                const original = (originalDatasets || [])[index] || {};
+                const color = palette[index % palette.length];
+                const styled = {...dataset};
+                const pick = (key, fallback) => {
+                    if (original[key] !== undefined) {
+                        return original[key];
+                    }
+
+                    return dataset[key] !== undefined ? dataset[key] : fallback;
+                };
+
+                // Combo charts draw bars unless a dataset asks for a line
+                const type = chartType === 'combo' ? (dataset.type || 'bar') : chartType;
+
+                if (type === 'line' || type === 'area') {
+                    let fill = style.fill;
+
+                    if (chartType === 'area') {
+                        fill = style.stacked && index > 0 ? '-1' : 'origin';
+                    } else if (chartType === 'combo') {
+                        fill = false;
+                    }
+
+                    styled.borderColor = pick('borderColor', color);
+                    styled.backgroundColor = pick('backgroundColor', this.fadeColor(color, chartType === 'area' ? 0.25 : 0.1));
+                    styled.tension = pick('tension', style.tension !== undefined ? style.tension : 0.3);
+                    styled.fill = pick('fill', fill);
+                    styled.borderWidth = pick('borderWidth', 2);
+                    styled.pointRadius = pick('pointRadius', chartType === 'area' ? 0 : 3);
+                    styled.pointHoverRadius = pick('pointHoverRadius', 5);
+                    styled.order = pick('order', 0);
+                } else if (type === 'bar' || type === 'horizontal_bar') {
+                    // A single series gets a color per bar, several series a color each
+                    styled.backgroundColor = pick('backgroundColor', datasets.length === 1 && chartType !== 'combo' ? palette : color);
+                    styled.borderRadius = pick('borderRadius', style.stacked ? 0 : 4);
+                    styled.borderWidth = pick('borderWidth', 0);
+                    styled.order = pick('order', 1);
+                } else if (type === 'scatter' || type === 'bubble') {
+                    styled.backgroundColor = pick('backgroundColor', this.fadeColor(color, type === 'bubble' ? 0.5 : 0.7));
+                    styled.borderColor = pick('borderColor', color);
+                    styled.borderWidth = pick('borderWidth', 1);
+
+                    if (type === 'scatter') {
+                        styled.pointRadius = pick('pointRadius', 4);
+                        styled.pointHoverRadius = pick('pointHoverRadius', 6);
+                    }
+                } else if (type === 'pie' || type === 'doughnut') {
+                    styled.backgroundColor = pick('backgroundColor', palette);
+                    styled.borderWidth = pick('borderWidth', 1);
+                    styled.borderColor = pick('borderColor', '#fff');
+                } else if (type === 'funnel') {
+                    const values = (dataset.data || []).map((value) => parseFloat(value) || 0);
+
+                    styled.funnelValues = values;
+                    styled.data = values.map((value) => [-value / 2, value / 2]);
+                    styled.backgroundColor = pick('backgroundColor', values.map((value, step) => {
+                        return this.fadeColor(color, Math.max(0.35, 1 - step * 0.15));
+                    }));
+                    styled.borderRadius = pick('borderRadius', 2);
+                    styled.borderSkipped = false;
+                    styled.barPercentage = pick('barPercentage', 0.95);
+                    styled.categoryPercentage = pick('categoryPercentage', 1);
+                }
+
+                return styled;
+            });
+        },
+
+        /**
+         * Format a chart value for tooltips and axis ticks
+         *
+         * Chart data holds plain numbers, so currency amounts are in major units
+         * (dollars, not cents). Compact output shortens large values for axis
+         * ticks (e.g. "$1.2K").
+         *
+         * @param {number|string} value   - Value to format
+         * @param {Object}        format  - Chart format ({type, currency})
+         * @param {boolean=}      compact - Use compact notation
+         * @returns {string}
+         */
+        formatChartValue: function (value, format, compact) {
+            const num = parseFloat(value);
+            if (isNaN(num)) return value;
+
+            const type = format?.type || 'number';
+            const options = compact
+                ? {notation: 'compact', maximumFractionDigits: 1}
+                : {maximumFractionDigits: 2};
+
+            switch (type) {
+                case 'currency':
+                    try {
+                        return new Intl.NumberFormat(this.getLocale(), {
+                            ...options,
+                            style: 'currency',
+                            currency: (format.currency || 'USD').toUpperCase()
+                        }).format(num);
+                    } catch (e) {
+                        return this.formatDecimal(num);
+                    }
+
+                case 'percentage':
+                    return compact
+                        ? new Intl.NumberFormat(this.getLocale(), options).format(num) + '%'
+                        : this.formatPercentage(num);
+
+                case 'decimal':
+                    return compact
+                        ? new Intl.NumberFormat(this.getLocale(), options).format(num)
+                        : this.formatDecimal(num);
+
+                default:
+                    return new Intl.NumberFormat(this.getLocale(), options).format(num);
+            }
+        },
+
+        /**
+         * Format a tooltip item's value
+         *
+         * Datasets on the secondary axis of combo charts are plain numbers.
+         *
+         * @param {Object}        context - Chart.js tooltip context
+         * @param {number|string} value   - Value to format
+         * @param {Object}        format  - Chart format ({type, currency})
+         * @returns {string}
+         */
+        formatChartTooltipValue: function (context, value, format) {
+            return this.formatChartValue(value, context.dataset.yAxisID === 'y1' ? {type: 'number'} : format);
+        },
+
+        /**
+         * Default tooltip label callback
+         *
+         * @param {Object} context - Chart.js tooltip context
+         * @param {Object} format  - Chart format ({type, currency})
+         * @returns {string}
+         */
+        getChartTooltipLabel: function (context, format) {
+            const chartType = context.chart.config.type;
+            const parsed = context.parsed;
+            const label = context.dataset.label ? context.dataset.label + ': ' : '';
+
+            if (chartType === 'pie' || chartType === 'doughnut') {
+                return label + this.formatChartTooltipValue(context, parsed, format);
+            }
+
+            if (chartType === 'scatter' || chartType === 'bubble') {
+                return label + '(' + this.formatNumber(parsed.x) + ', ' + this.formatChartTooltipValue(context, parsed.y, format) + ')';
+            }
+
+            const value = context.chart.options.indexAxis === 'y' ? parsed.x : parsed.y;
+
+            return label + this.formatChartTooltipValue(context, value, format);
+        },
+
+        /**
+         * Tooltip label callback for funnel charts
+         *
+         * Shows the step's value with its conversion from the first and the
+         * previous step.
+         *
+         * @param {Object} context - Chart.js tooltip context
+         * @param {Object} format  - Chart format ({type, currency})
+         * @returns {string}
+         */
+        getFunnelTooltipLabel: function (context, format) {
+            const values = context.dataset.funnelValues || [];
+            const value = values[context.dataIndex] || 0;
+            const previous = values[context.dataIndex - 1];
+            let label = (context.dataset.label ? context.dataset.label + ': ' : '') + this.formatChartTooltipValue(context, value, format);
+
+            if (context.dataIndex > 0 && values[0]) {
+                label += ' (' + this.i18n('funnelTotal', this.formatPercentage(value / values[0] * 100));
+
+                if (previous) {
+                    label += ', ' + this.i18n('funnelPrevious', this.formatPercentage(value / previous * 100));
+                }
+
+                label += ')';
+            }
+
+            return label;
+        },
+
+        /**
+         * Render a heatmap chart as a grid of shaded cells
+         *
+         * Labels are the columns (e.g. hours) and each dataset is a row (e.g.
+         * a weekday), shaded from the lowest to the highest value.
+         *
+         * @param {string} chartId - Chart identifier
+         * @param {Object} data    - Chart data with labels and datasets
+         * @returns {void}
+         */
+        renderHeatmap: function (chartId, data) {
+            const $container = $('[data-component-id="' + chartId + '"] .reports-chart-container');
+            const style = this.chartConfigs[chartId]?.style || {};
+            const format = this.chartConfigs[chartId]?.format || {};
+            const color = style.colors?.[0] || ReportsAdmin.chartDefaults?.colors?.[0] || '#3b82f6';
+            const labels = data.labels || [];
+            const rows = data.datasets || [];
+            const values = rows.flatMap((row) => (row.data || []).map(parseFloat)).filter((value) => !isNaN(value));
+            const min = values.length ? Math.min(...values) : 0;
+            const max = values.length ? Math.max(...values) : 0;
+
+            this.heatmapData[chartId] = data;
+
+            let html = '<table class="reports-heatmap"><thead><tr><td></td>';
+
+            labels.forEach((label) => {
+                html += '<th scope="col">' + this.escapeHtml(label) + '</th>';
+            });
+
+            html += '</tr></thead><tbody>';
+
+            rows.forEach((row) => {
+                html += '<tr><th scope="row">' + this.escapeHtml(row.label || '') + '</th>';
+
+                labels.forEach((label, index) => {
+                    const value = parseFloat(row.data?.[index]);
+                    const hasValue = !isNaN(value);
+                    const intensity = max > min ? (value - min) / (max - min) : 1;
+                    const text = (row.label ? row.label + ', ' : '') + label + ': ' + (hasValue ? this.formatChartValue(value, format) : '–');
+
+                    html += '<td title="' + this.escapeHtml(text) + '" style="background-color: ' +
+                        (hasValue ? this.fadeColor(color, 0.08 + intensity * 0.92) : 'transparent') + ';">' +
+                        '<span class="screen-reader-text">' + this.escapeHtml(text) + '</span></td>';
+                });
+
+                html += '</tr>';
+            });
+
+            html += '</tbody></table>';
+
+            const legend = values.length ? '<div class="reports-heatmap-legend">' +
+                '<span>' + this.escapeHtml(this.formatChartValue(min, format, true)) + '</span>' +
+                '<span class="reports-heatmap-scale" style="background: linear-gradient(to right, ' + this.fadeColor(color, 0.08) + ', ' + this.fadeColor(color, 1) + ');"></span>' +
+                '<span>' + this.escapeHtml(this.formatChartValue(max, format, true)) + '</span>' +
+                '</div>' : '';
+
+            $container.find('canvas').hide();
+            $container.find('.reports-heatmap-wrap').remove();
+            $container.append('<div class="reports-heatmap-wrap">' + html + legend + '</div>');
+        },
+
+        /**
+         * Build faded, dashed datasets for the comparison period
+         *
+         * Comparison values are aligned with the current period by index (day
+         * offset), padded or truncated to the number of current labels.
+         *
+         * @param {Array}  datasets   - Current period datasets (already styled)
+         * @param {Object} comparison - Comparison data with label and datasets
+         * @param {string} chartType  - Chart type
+         * @param {number} length     - Number of labels in the current period
+         * @returns {Array}
+         */
+        buildComparisonDatasets: function (datasets, comparison, chartType, length) {
+            const defaultColors = ReportsAdmin.chartDefaults?.colors || [
+                '#3b82f6', '#10b981', '#f59e0b', '#ef4444',
+                '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16'
+            ];
+
+            return (comparison.datasets || []).map((dataset, index) => {
+                const current = datasets[index] || {};
+                const fallback = defaultColors[index % defaultColors.length];
+                const color = chartType === 'bar' ? (current.backgroundColor || fallback) : (current.borderColor || fallback);
+                const data = Array.from({length: length}, (value, offset) => {
+                    return dataset.data && dataset.data[offset] !== undefined ? dataset.data[offset] : null;
+                });
+
+                const comparisonDataset = {
+                    label: (dataset.label || current.label || '') + ' (' + comparison.label + ')',
+                    data: data,
+                    isComparison: true,
+                    comparisonIndex: index
+                };
+
+                if (chartType === 'bar') {
+                    comparisonDataset.backgroundColor = this.fadeColor(color, 0.35);
+                    comparisonDataset.borderColor = this.fadeColor(color, 0.8);
+                    comparisonDataset.borderWidth = 1;
+                    comparisonDataset.borderDash = [4, 3];
+                    comparisonDataset.borderRadius = current.borderRadius !== undefined ? current.borderRadius : 4;
+                } else {
+                    comparisonDataset.borderColor = this.fadeColor(color, 0.5);
+                    comparisonDataset.backgroundColor = 'transparent';
+                    comparisonDataset.borderDash = [6, 4];
+                    comparisonDataset.borderWidth = 2;
+                    comparisonDataset.fill = false;
+                    comparisonDataset.pointRadius = 0;
+                    comparisonDataset.pointHoverRadius = 4;
+                    comparisonDataset.tension = current.tension !== undefined ? current.tension : 0.3;
+                }
+
+                return comparisonDataset;
+            });
+        },
+
+        /**
+         * Tooltip label callback for charts with a comparison overlay
+         *
+         * Adds the percentage change against the comparison value to current
+         * period items.
+         *
+         * @param {Object} context - Chart.js tooltip context
+         * @param {Object} format  - Chart format ({type, currency})
+         * @returns {string}
+         */
+        getComparisonTooltipLabel: function (context, format) {
+            const dataset = context.dataset;
+            const value = context.parsed.y;
+            let label = (dataset.label ? dataset.label + ': ' : '') + this.formatChartTooltipValue(context, value, format);
+
+            if (dataset.isComparison) {
+                return label;
+            }
+
+            const comparison = context.chart.data.datasets.find((item) => {
+                return item.isComparison && item.comparisonIndex === context.datasetIndex;
+            });
+            const previous = comparison ? comparison.data[context.dataIndex] : null;
+
+            if (previous !== null && previous !== undefined && parseFloat(previous) !== 0 && !isNaN(parseFloat(previous))) {
+                const delta = ((value - previous) / Math.abs(previous)) * 100;
+
+                label += ' (' + (delta > 0 ? '+' : '') + this.formatPercentage(delta) + ')';
+            }
+
+            return label;
+        },
+
+        /**
+         * Apply transparency to a color or array of colors
+         *
+         * Non-hex colors are returned unchanged.
+         *
+         * @param {string|Array} color - Hex color or array of hex colors
+         * @param {number}       alpha - Alpha value (0-1)
+         * @returns {string|Array}
+         */
+        fadeColor: function (color, alpha) {
+            if (Array.isArray(color)) {
+                return color.map((item) => this.fadeColor(item, alpha));
+            }
+
+            return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color) ? this.hexToRgba(color, alpha) : color;
+        },
+
+        /**
+         * Convert hex color to rgba
+         *
+         * @param {string} hex   - Hex color (e.g., '#3b82f6')
+         * @param {number} alpha - Alpha value (0-1)
+         * @returns {string} RGBA color string
+         */
+        hexToRgba: function (hex, alpha) {
+            const r = parseInt(hex.slice(1, 3), 16);
+            const g = parseInt(hex.slice(3, 5), 16);
+            const b = parseInt(hex.slice(5, 7), 16);
+
+            return 'rgba(' + r + ', ' + g + ', ' + b + ', ' + alpha + ')';
+        },
+
+        /* ========================================================================
+         * DOWNLOADS
+         * ======================================================================== */
+
+        /**
+         * Open or close a component's download menu
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onDownloadToggle: function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const $toggle = $(e.currentTarget);
+            const $menu = $toggle.siblings('.reports-component-download-menu');
+            const open = !$menu.is(':visible');
+
+            this.closeDownloadMenus();
+            $menu.toggle(open);
+            $toggle.attr('aria-expanded', open ? 'true' : 'false');
+        },
+
+        /**
+         * Close every open download menu
+         *
+         * @returns {void}
+         */
+        closeDownloadMenus: function () {
+            $('.reports-component-download-menu').hide();
+            $('.reports-component-download-toggle').attr('aria-expanded', 'false');
+        },
+
+        /**
+         * Download a component in the chosen format
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onDownloadItemClick: function (e) {
+            e.preventDefault();
+
+            const format = $(e.currentTarget).data('format');
+            const $component = $(e.currentTarget).closest('[data-component-id]');
+            const componentId = $component.data('component-id');
+
+            this.closeDownloadMenus();
+
+            if ($component.hasClass('reports-table-wrapper')) {
+                this.downloadTableCsv($component, componentId);
+            } else if (format === 'csv') {
+                this.downloadHeatmapCsv($component, componentId);
+            } else {
+                this.downloadChartImage($component, componentId, format);
+            }
+        },
+
+        /**
+         * Save a file generated in the browser
+         *
+         * @param {Blob}   blob     - File contents
+         * @param {string} filename - File name
+         * @returns {void}
+         */
+        saveDownload: function (blob, filename) {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        },
+
+        /**
+         * Build a download file name from the component title and date range
+         *
+         * @param {string} title       - Component title
+         * @param {string} componentId - Component identifier (used when there is no title)
+         * @param {string} extension   - File extension
+         * @returns {string}
+         */
+        getDownloadFilename: function (title, componentId, extension) {
+            const start = this.getCurrentDateStart();
+            const end = this.getCurrentDateEnd();
+            const range = start && end ? start + '_' + end : this.getCurrentDatePreset();
+            const slug = (title || '')
+                .normalize('NFKD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-+|-+$/g, '');
+
+            return [slug || componentId, range].filter(Boolean).join('-') + '.' + extension;
+        },
+
+        /**
+         * Build CSV file contents
+         *
+         * Starts with a byte order mark so Excel reads the file as UTF-8, like
+         * the server-side exports.
+         *
+         * @param {Array.<Array>} rows - Rows of cell values, header first
+         * @returns {Blob}
+         */
+        buildCsv: function (rows) {
+            const csv = rows.map((row) => {
+                return row.map((value) => {
+                    const text = value === null || value === undefined ? '' : String(value);
+
+                    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+                }).join(',');
+            }).join('\r\n');
+
+            return new Blob(['\ufeff' + csv + '\r\n'], {type: 'text/csv;charset=utf-8'});
+        },
+
+        /**
+         * Download the rows a table currently shows as CSV
+         *
+         * Rows matching the search are saved in their displayed order, across
+         * all pages, with their formatted values. Server-side tables only hold
+         * the page that is loaded.
+         *
+         * @param {jQuery} $wrapper    - Table wrapper element
+         * @param {string} componentId - Component identifier
+         * @returns {void}
+         */
+        downloadTableCsv: function ($wrapper, componentId) {
+            const config = this.tableConfigs[componentId] || {};
+            const $table = $wrapper.find('.reports-table');
+            const header = (config.columns || []).map((col) => col.label || col.key || col);
+            const rows = [];
+
+            $table.find('tbody tr')
+                .not('.reports-table-empty-row, .reports-table-no-matches, .reports-table-search-miss')
+                .each((index, row) => {
+                    rows.push($(row).find('td').not('.reports-table-actions').map((i, cell) => $(cell).text().trim()).get());
+                });
+
+            // Tables refreshed without a column config output every row value
+            if (!header.length) {
+                $table.find('thead th').not('.reports-table-actions-col').each((index, th) => {
+                    header.push($(th).text().trim());
+                });
+            }
+
+            const title = $wrapper.find('.reports-table-title').text().trim();
+
+            this.saveDownload(this.buildCsv([header].concat(rows)), this.getDownloadFilename(title, componentId, 'csv'));
+        },
+
+        /**
+         * Download the values of a heatmap as CSV
+         *
+         * @param {jQuery} $wrapper    - Chart wrapper element
+         * @param {string} componentId - Component identifier
+         * @returns {void}
+         */
+        downloadHeatmapCsv: function ($wrapper, componentId) {
+            const data = this.heatmapData[componentId];
+
+            if (!data) {
+                return;
+            }
+
+            const rows = [[''].concat(data.labels || [])];
+
+            (data.datasets || []).forEach((dataset) => {
+                rows.push([dataset.label || ''].concat(dataset.data || []));
+            });
+
+            this.saveDownload(this.buildCsv(rows), this.getDownloadFilename(this.getChartDownloadTitle($wrapper), componentId, 'csv'));
+        },
+
+        /**
+         * Get a chart's title without the period and comparison labels
+         *
+         * @param {jQuery} $wrapper - Chart wrapper element
+         * @returns {string}
+         */
+        getChartDownloadTitle: function ($wrapper) {
+            return $wrapper.find('.reports-chart-title').first().clone().children().remove().end().text().trim();
+        },
+
+        /**
+         * Download a chart as an image with its title and date range
+         *
+         * PNG files hold the drawn chart. SVG files lay the title and date
+         * range out as text above the chart, which is embedded as an image
+         * since Chart.js only draws to a canvas.
+         *
+         * @param {jQuery} $wrapper    - Chart wrapper element
+         * @param {string} componentId - Component identifier
+         * @param {string} format      - png or svg
+         * @returns {void}
+         */
+        downloadChartImage: function ($wrapper, componentId, format) {
+            const chart = this.charts[componentId];
+
+            if (!chart) {
+                return;
+            }
+
+            const title = this.getChartDownloadTitle($wrapper);
+            const subtitle = [
+                $('.reports-date-picker-label').first().text().trim(),
+                $wrapper.find('.reports-chart-compare:visible').text().trim()
+            ].filter(Boolean).join(' · ');
+            const padding = 16;
+            const font = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+            const titleY = title ? padding + 16 : padding;
+            const subtitleY = subtitle ? titleY + 20 : titleY;
+            const chartY = subtitleY + (title || subtitle ? 16 : 0);
+            const width = chart.width + padding * 2;
+            const height = chartY + chart.height + padding;
+            const filename = this.getDownloadFilename(title, componentId, format);
+
+            if (format === 'svg') {
+                const svg = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"' +
+                    ' width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">' +
+                    '<rect width="100%" height="100%" fill="#fff"/>' +
+                    (title ? '<text x="' + padding + '" y="' + titleY + '" font-family="' + this.escapeHtml(font) + '" font-size="15" font-weight="600" fill="#1d2327">' + this.escapeHtml(title) + '</text>' : '') +
+                    (subtitle ? '<text x="' + padding + '" y="' + subtitleY + '" font-family="' + this.escapeHtml(font) + '" font-size="12" fill="#646970">' + this.escapeHtml(subtitle) + '</text>' : '') +
+                    '<image x="' + padding + '" y="' + chartY + '" width="' + chart.width + '" height="' + chart.height + '"' +
+                    ' xlink:href="' + chart.toBase64Image('image/png', 1) + '"/>' +
+                    '</svg>';
+
+                this.saveDownload(new Blob([svg], {type: 'image/svg+xml;charset=utf-8'}), filename);
+                return;
+            }
+
+            const ratio = chart.currentDevicePixelRatio || window.devicePixelRatio || 1;
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+
+            canvas.width = width * ratio;
+            canvas.height = height * ratio;
+            ctx.scale(ratio, ratio);
+
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, width, height);
+
+            if (title) {
+                ctx.font = '600 15px ' + font;
+                ctx.fillStyle = '#1d2327';
+                ctx.fillText(title, padding, titleY);
+            }
+
+            if (subtitle) {
+                ctx.font = '12px ' + font;
+                ctx.fillStyle = '#646970';
+                ctx.fillText(subtitle, padding, subtitleY);
+            }
+
+            ctx.drawImage(chart.canvas, padding, chartY, chart.width, chart.height);
+
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    this.saveDownload(blob, filename);
+                }
+            }, 'image/png');
+        },
+
+        /* ========================================================================
+         * PRINT
+         * ======================================================================== */
+
+        /**
+         * Open the print dialog once the full report print view has loaded
+         *
+         * @returns {void}
+         */
+        initPrint: function () {
+            if ($('.reports-wrap').data('print') !== 'all') {
+                return;
+            }
+
+            if (document.readyState === 'complete') {
+                this.printReport();
+            } else {
+                $(window).on('load', () => this.printReport());
+            }
+        },
+
+        /**
+         * Print, or open the print menu of reports with several tabs
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onPrintToggle: function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const $toggle = $(e.currentTarget);
+            const $menu = $toggle.siblings('.reports-print-menu');
+
+            if (!$menu.length) {
+                this.printReport();
+                return;
+            }
+
+            const open = !$menu.is(':visible');
+
+            $menu.toggle(open);
+            $toggle.attr('aria-expanded', open ? 'true' : 'false');
+        },
+
+        /**
+         * Print the current tab, or open the full report print view
+         *
+         * The full report opens in a new window with the current date range and
+         * filters, and prints itself once loaded.
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onPrintItemClick: function (e) {
+            e.preventDefault();
+
+            $('.reports-print-menu').hide();
+            $('.reports-print-toggle').attr('aria-expanded', 'false');
+
+            if ($(e.currentTarget).data('scope') === 'all') {
+                const url = new URL(window.location.href);
+
+                url.searchParams.set('print', 'all');
+                window.open(url.toString(), '_blank');
+                return;
+            }
+
+            this.printReport();
+        },
+
+        /**
+         * Load lazy components that haven't been scrolled into view, then print
+         *
+         * @returns {void}
+         */
+        printReport: function () {
+            const requests = [];
+
+            $('.reports-component-lazy[data-lazy-state="pending"]').each((index, element) => {
+                const componentId = $(element).data('component-id');
+
+                if (this.lazyObserver) {
+                    this.lazyObserver.unobserve(element);
+                }
+
+                this.loadComponent($(element));
+
+                if (this.componentRequests[componentId]) {
+                    requests.push(this.componentRequests[componentId]);
+                }
+            });
+
+            $.when(...requests).always(() => {
+                window.print();
+            });
+        },
+
+        /**
+         * Prepare the page for printing
+         *
+         * Updates the print heading with the current date range and time, and
+         * redraws charts at print resolution for the printed page width. Table
+         * rows on other pages are shown by the print stylesheet.
+         *
+         * @returns {void}
+         */
+        onBeforePrint: function () {
+            const period = $('.reports-date-picker-label').first().text().trim();
+
+            if (period) {
+                $('.reports-print-period').text(period);
+            }
+
+            $('.reports-print-generated').text(this.i18n('generatedAt', this.formatDateTime(Math.floor(Date.now() / 1000))));
+
+            const ratio = Math.max(2, window.devicePixelRatio || 1);
+
+            Object.entries({...this.charts, ...this.sparklines}).forEach(([id, chart]) => {
+                if (!(id in this.printRatios)) {
+                    this.printRatios[id] = chart.options.devicePixelRatio;
+                }
+
+                chart.options.devicePixelRatio = ratio;
+                chart.resize();
+            });
+        },
+
+        /**
+         * Restore charts to their screen size and resolution after printing
+         *
+         * @returns {void}
+         */
+        onAfterPrint: function () {
+            Object.entries({...this.charts, ...this.sparklines}).forEach(([id, chart]) => {
+                if (!(id in this.printRatios)) {
+                    return;
+                }
+
+                chart.options.devicePixelRatio = this.printRatios[id];
+                chart.resize();
+            });
+
+            this.printRatios = {};
+        },
+
+        /* ========================================================================
+         * TABLES
+         * ======================================================================== */
+
+        /**
+         * Initialize all table components
+         *
+         * @returns {void}
+         */
+        initTables: function () {
+            $('.reports-table-wrapper').each((index, element) => {
+                const $wrapper = $(element);
+                const componentId = $wrapper.data('component-id');
+
+                if (componentId) {
+                    // Try to get config from data attribute first (PHP-provided)
+                    const dataConfig = $wrapper.data('table-config');
+                    if (dataConfig) {
+                        this.tableConfigs[componentId] = dataConfig;
+                    } else {
+                        // Fall back to extracting from DOM
+                        this.extractTableConfig($wrapper, componentId);
+                    }
+                }
+            });
+
+            $('.reports-table-container[data-paginated="true"]').each((index, element) => {
+                const $container = $(element);
+                const componentId = $container.closest('.reports-table-wrapper').data('component-id');
+                const config = this.tableConfigs[componentId] || {};
+
+                $container.data('current-page', 1);
+
+                if (config.serverSide) {
+                    this.tableStates[componentId] = {
+                        page: 1,
+                        orderby: config.orderby || '',
+                        order: config.order || 'asc',
+                        search: ''
+                    };
+                    this.renderTablePagination($container, 1, config.total || 0, config.perPage || 10);
+                    return;
+                }
+
+                this.applyTablePagination($container);
+            });
+        },
+
+        /**
+         * Check whether a table is paged, sorted and searched on the server
+         *
+         * @param {string} componentId - Component identifier
+         * @returns {boolean}
+         */
+        isServerTable: function (componentId) {
+            return !!(this.tableConfigs[componentId] && this.tableConfigs[componentId].serverSide);
+        },
+
+        /**
+         * Load the current page of a server-side table via the REST API
+         *
+         * @param {jQuery}   $wrapper    - Table wrapper element
+         * @param {string}   componentId - Component identifier
+         * @param {boolean=} bypassCache - Skip cached data on the server
+         * @returns {jqXHR}
+         */
+        loadServerTable: function ($wrapper, componentId, bypassCache) {
+            const config = this.tableConfigs[componentId] || {};
+            const state = this.tableStates[componentId] || {page: 1, orderby: '', order: 'asc', search: ''};
+
+            if (this.tableRequests[componentId]) {
+                this.tableRequests[componentId].abort();
+            }
+
+            $wrapper.addClass('reports-component-refreshing');
+
+            const requestData = {
+                report_id: $('.reports-wrap').data('report-id'),
+                component_id: componentId,
+                date_preset: this.getCurrentDatePreset(),
+                date_start: this.getCurrentDateStart(),
+                date_end: this.getCurrentDateEnd(),
+                page: state.page,
+                per_page: config.perPage || 10,
+                orderby: state.orderby,
+                order: state.order,
+                search: state.search,
+                ...this.getCurrentFilters()
+            };
+
+            if (bypassCache) {
+                requestData.bypass_cache = 1;
+            }
+
+            const request = $.ajax({
+                url: ReportsAdmin.restUrl + 'table',
+                method: 'GET',
+                data: requestData,
+                beforeSend: (xhr) => {
+                    xhr.setRequestHeader('X-WP-Nonce', ReportsAdmin.restNonce);
+                },
+                success: (response) => {
+                    if (response.success) {
+                        state.page = response.page;
+                        this.onComponentLoaded($wrapper);
+                        this.updateTable($wrapper, componentId, response);
+                        this.updateCacheBadges(response.cache || {}, [componentId]);
+                    }
+                },
+                error: (xhr, status) => {
+                    if (status !== 'abort') {
+                        this.onComponentLoadFailed($wrapper, xhr.responseJSON?.message);
+                    }
+                },
+                complete: () => {
+                    if (this.tableRequests[componentId] === request) {
+                        delete this.tableRequests[componentId];
+                        $wrapper.removeClass('reports-component-refreshing');
+                    }
+                }
+            });
+
+            this.tableStates[componentId] = state;
+            this.tableRequests[componentId] = request;
+
+            return request;
+        },
+
+        /**
+         * Reload every server-side table
+         *
+         * @param {boolean=} resetPage   - Go back to the first page (e.g. after the date range changed)
+         * @param {boolean=} bypassCache - Skip cached data on the server
+         * @returns {void}
+         */
+        refreshServerTables: function (resetPage, bypassCache) {
+            $('.reports-table-container[data-server-side="true"]').each((index, element) => {
+                const $wrapper = $(element).closest('.reports-table-wrapper');
+                const componentId = $wrapper.data('component-id');
+
+                // Lazy tables load (and reload) through refreshLazyComponents()
+                if ($wrapper.hasClass('reports-component-lazy')) {
+                    return;
+                }
+
+                if (resetPage && this.tableStates[componentId]) {
+                    this.tableStates[componentId].page = 1;
+                }
+
+                this.loadServerTable($wrapper, componentId, bypassCache);
+            });
+        },
+
+        /**
+         * Extract table configuration from DOM for refresh (fallback)
+         *
+         * @param {jQuery} $wrapper    - Table wrapper element
+         * @param {string} componentId - Component identifier
+         * @returns {void}
+         */
+        extractTableConfig: function ($wrapper, componentId) {
+            const $table = $wrapper.find('.reports-table');
+            const $container = $wrapper.find('.reports-table-container');
+            const columns = [];
+            const rowActions = [];
+
+            // Extract column info from headers
+            $table.find('thead th').each(function () {
+                const $th = $(this);
+                const columnKey = $th.data('column');
+
+                // Skip the actions column
+                if ($th.hasClass('reports-table-actions-col')) {
+                    return;
+                }
+
+                if (columnKey) {
+                    columns.push({
+                        key: columnKey,
+                        label: $th.text().trim(),
+                        sortable: $th.hasClass('sortable'),
+                        format: '' // Can't determine format from DOM
+                    });
+                }
+            });
+
+            // Extract row actions from first row (if exists)
+            const $firstRowActions = $table.find('tbody tr:first .reports-row-actions-wrap a');
+            $firstRowActions.each(function () {
+                const $link = $(this);
+                const classes = $link.attr('class') || '';
+                const keyMatch = classes.match(/reports-row-action-(\S+)/);
+                const actionKey = keyMatch ? keyMatch[1] : '';
+
+                if (actionKey && actionKey !== 'row') {
+                    rowActions.push({
+                        key: actionKey,
+                        label: $link.text().trim(),
+                        url: $link.attr('href') || '#',
+                        class: $link.attr('class')?.replace(/reports-row-action[^\s]*/g, '').trim() || '',
+                        confirm: $link.attr('onclick')?.match(/confirm\('([^']+)'\)/)?.[1] || '',
+                        target: $link.attr('target') || ''
+                    });
+                }
+            });
+
+            // Store configuration
+            this.tableConfigs[componentId] = {
+                columns: columns,
+                rowActions: rowActions,
+                emptyMessage: $wrapper.find('.reports-table-empty p').text() || this.i18n('noData'),
+                paginated: $container.data('paginated') === true || $container.data('paginated') === 'true',
+                perPage: parseInt($container.data('per-page'), 10) || 10
+            };
+        },
+
+        /**
+         * Handle table column sort click
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onTableSort: function (e) {
+            const $th = $(e.currentTarget);
+            const $table = $th.closest('.reports-table');
+            const columnIndex = $th.index();
+            const isAsc = $th.hasClass('sorted-asc');
+
+            $table.find('th').removeClass('sorted-asc sorted-desc');
+            $th.addClass(isAsc ? 'sorted-desc' : 'sorted-asc');
+
+            const $wrapper = $table.closest('.reports-table-wrapper');
+            const componentId = $wrapper.data('component-id');
+
+            if (this.isServerTable(componentId)) {
+                const state = this.tableStates[componentId];
+
+                state.orderby = $th.data('column');
+                state.order = isAsc ? 'desc' : 'asc';
+                state.page = 1;
+                this.loadServerTable($wrapper, componentId);
+                return;
+            }
+
+            const $tbody = $table.find('tbody');
+            const rows = $tbody.find('tr').not('.reports-table-no-matches').toArray();
+
+            rows.sort((a, b) => {
+                const aVal = $(a).find('td').eq(columnIndex).text().trim();
+                const bVal = $(b).find('td').eq(columnIndex).text().trim();
+
+                const aNum = parseFloat(aVal.replace(/[^0-9.-]/g, ''));
+                const bNum = parseFloat(bVal.replace(/[^0-9.-]/g, ''));
+
+                if (!isNaN(aNum) && !isNaN(bNum)) {
+                    return isAsc ? bNum - aNum : aNum - bNum;
+                }
+
+                return isAsc ? bVal.localeCompare(aVal) : aVal.localeCompare(bVal);
+            });
+
+            $tbody.append(rows);
+
+            // Re-apply pagination so the current page reflects the new order
+            const $container = $table.closest('.reports-table-container');
+            if ($container.data('paginated')) {
+                this.applyTablePagination($container);
+            }
+        },
+
+        /**
+         * Handle table pagination button click
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onTablePage: function (e) {
+            const $button = $(e.currentTarget);
+
+            if ($button.prop('disabled')) {
+                return;
+            }
+
+            const page = parseInt($button.data('page'), 10);
+            const $container = $button.closest('.reports-table-container');
+            const $wrapper = $container.closest('.reports-table-wrapper');
+            const componentId = $wrapper.data('component-id');
+
+            if (this.isServerTable(componentId)) {
+                this.tableStates[componentId].page = page;
+                this.loadServerTable($wrapper, componentId);
+                return;
+            }
+
+            $container.data('current-page', page);
+            this.applyTablePagination($container);
+        },
+
+        /**
+         * Handle table search input
+         *
+         * @param {Event} e - Input event
+         * @returns {void}
+         */
+        onTableSearch: function (e) {
+            const $input = $(e.currentTarget);
+            const $wrapper = $input.closest('.reports-table-wrapper');
+            const componentId = $wrapper.data('component-id');
+
+            // Server-side tables search on the server, debounced while typing
+            if (this.isServerTable(componentId)) {
+                clearTimeout(this.tableSearchTimers[componentId]);
+
+                this.tableSearchTimers[componentId] = setTimeout(() => {
+                    const state = this.tableStates[componentId];
+
+                    state.search = ($input.val() || '').trim();
+                    state.page = 1;
+                    this.loadServerTable($wrapper, componentId);
+                }, 300);
+                return;
+            }
+
+            $wrapper.find('.reports-table-container').data('current-page', 1);
+            this.applyTableSearch($wrapper);
+        },
+
+        /**
+         * Apply the search term to a table
+         *
+         * Marks non-matching rows, highlights matched text and re-applies
+         * pagination so page counts reflect the filtered set.
+         *
+         * @param {jQuery} $wrapper - Table wrapper element
+         * @returns {void}
+         */
+        applyTableSearch: function ($wrapper) {
+            const $container = $wrapper.find('.reports-table-container');
+            const $tbody = $container.find('.reports-table tbody');
+            const term = ($wrapper.find('.reports-table-search-input').val() || '').trim().toLowerCase();
+            const $rows = $tbody.find('tr').not('.reports-table-empty-row, .reports-table-no-matches');
+            let matches = 0;
+
+            this.clearHighlights($tbody);
+            $tbody.find('.reports-table-no-matches').remove();
+
+            // Server-side tables are already filtered; only highlight matches
+            if (this.isServerTable($wrapper.data('component-id'))) {
+                if (term) {
+                    $rows.find('td').not('.reports-table-actions').each((i, cell) => this.highlightText(cell, term));
+                }
+                return;
+            }
+
+            $rows.each((index, row) => {
+                const $cells = $(row).find('td').not('.reports-table-actions');
+                const text = $cells.map((i, cell) => $(cell).text()).get().join(' ').toLowerCase();
+                const isMatch = !term || text.indexOf(term) !== -1;
+
+                $(row).toggleClass('reports-table-search-miss', !isMatch);
+
+                if (isMatch) {
+                    matches++;
+
+                    if (term) {
+                        $cells.each((i, cell) => this.highlightText(cell, term));
+                    }
+                }
+            });
+
+            if (term && $rows.length && !matches) {
+                const colSpan = $container.find('.reports-table thead th').length || 1;
+
+                $tbody.append(
+                    '<tr class="reports-table-no-matches"><td colspan="' + colSpan + '">' +
+                    this.escapeHtml(this.i18n('noMatches')) +
+                    '</td></tr>'
+                );
+            }
+
+            if ($container.data('paginated')) {
+                this.applyTablePagination($container);
+            } else {
+                $rows.show();
+                $rows.filter('.reports-table-search-miss').hide();
+            }
+        },
+
+        /**
+         * Wrap occurrences of a term within an element's text nodes in <mark> tags
+         *
+         * @param {HTMLElement} element - Element to search within
+         * @param {string}      term    - Lowercase search term
+         * @returns {void}
+         */
+        highlightText: function (element, term) {
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+            const nodes = [];
+
+            while (walker.nextNode()) {
+                nodes.push(walker.currentNode);
+            }
+
+            nodes.forEach((node) => {
+                const text = node.nodeValue;
+                const lower = text.toLowerCase();
+                let index = lower.indexOf(term);
+
+                if (index === -1) {
+                    return;
+                }
+
+                const fragment = document.createDocumentFragment();
+                let lastIndex = 0;
+
+                while (index !== -1) {
+                    fragment.appendChild(document.createTextNode(text.slice(lastIndex, index)));
+
+                    const mark = document.createElement('mark');
+                    mark.className = 'reports-table-highlight';
+                    mark.textContent = text.slice(index, index + term.length);
+                    fragment.appendChild(mark);
+
+                    lastIndex = index + term.length;
+                    index = lower.indexOf(term, lastIndex);
+                }
+
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+                node.parentNode.replaceChild(fragment, node);
+            });
+        },
+
+        /**
+         * Remove search highlights from a table body
+         *
+         * @param {jQuery} $tbody - Table body element
+         * @returns {void}
+         */
+        clearHighlights: function ($tbody) {
+            $tbody.find('mark.reports-table-highlight').each(function () {
+                const parent = this.parentNode;
+
+                parent.replaceChild(document.createTextNode(this.textContent), this);
+                parent.normalize();
+            });
+        },
+
+        /**
+         * Apply pagination to a table
+         *
+         * @param {jQuery} $container - Table container element
+         * @returns {void}
+         */
+        applyTablePagination: function ($container) {
+            const $table = $container.find('.reports-table');
+            const $allRows = $table.find('tbody tr').not('.reports-table-no-matches');
+            const $rows = $allRows.not('.reports-table-search-miss');
+            const perPage = parseInt($container.data('per-page'), 10) || 10;
+            const totalRows = $rows.length;
+            const totalPages = Math.ceil(totalRows / perPage);
+            const currentPage = Math.max(1, Math.min($container.data('current-page') || 1, totalPages));
+            const start = (currentPage - 1) * perPage;
+
+            // Hide all rows, then show only the current page of matching rows
+            $allRows.hide();
+            $rows.slice(start, start + perPage).show();
+
+            this.renderTablePagination($container, currentPage, totalRows, perPage);
+        },
+
+        /**
+         * Render pagination info and page buttons for a table
+         *
+         * @param {jQuery} $container  - Table container element
+         * @param {number} currentPage - Current page (1-based)
+         * @param {number} totalRows   - Total number of rows across all pages
+         * @param {number} perPage     - Rows per page
+         * @returns {void}
+         */
+        renderTablePagination: function ($container, currentPage, totalRows, perPage) {
+            const totalPages = Math.ceil(totalRows / perPage);
+            const start = (currentPage - 1) * perPage;
+            const showing = Math.min(start + perPage, totalRows);
+
+            // Get or create pagination container
+            let $pagination = $container.find('.reports-table-pagination');
+            if (!$pagination.length && totalPages > 1) {
+                $pagination = $('<div class="reports-table-pagination"><span class="reports-table-info"></span><div class="reports-table-pages"></div></div>');
+                $container.append($pagination);
+            }
+
+            if (!$pagination.length) {
+                return;
+            }
+
+            // Update info text
+            $pagination.find('.reports-table-info').text(
+                this.i18n('showing', Math.min(start + 1, totalRows), showing, totalRows)
+            );
+
+            // Build page buttons
+            const $pages = $pagination.find('.reports-table-pages');
+            $pages.empty();
+
+            // Only show pagination controls if there's more than one page
+            if (totalPages <= 1) {
+                $pagination.hide();
+                return;
+            }
+
+            $pagination.show();
+
+            // Previous button
+            const $prevBtn = $('<button type="button" class="button">&laquo; Prev</button>')
+                .data('page', currentPage - 1)
+                .prop('disabled', currentPage <= 1);
+            $pages.append($prevBtn);
+
+            // Page number buttons (with ellipsis for many pages)
+            const maxVisiblePages = 5;
+            let startPage = Math.max(1, currentPage - Math.floor(maxVisiblePages / 2));
+            let endPage = Math.min(totalPages, startPage + maxVisiblePages - 1);
+
+            // Adjust start if we're near the end
+            if (endPage - startPage < maxVisiblePages - 1) {
+                startPage = Math.max(1, endPage - maxVisiblePages + 1);
+            }
+
+            // First page + ellipsis
+            if (startPage > 1) {
+                $pages.append(
+                    $('<button type="button" class="button">1</button>').data('page', 1)
+                );
+                if (startPage > 2) {
+                    $pages.append('<span class="ellipsis">…</span>');
+                }
+            }
+
+            // Page numbers
+            for (let i = startPage; i <= endPage; i++) {
+                const $pageBtn = $('<button type="button" class="button"></button>')
+                    .text(i)
+                    .data('page', i);
+
+                if (i === currentPage) {
+                    $pageBtn.addClass('button-primary').prop('disabled', true);
+                }
+
+                $pages.append($pageBtn);
+            }
+
+            // Ellipsis + last page
+            if (endPage < totalPages) {
+                if (endPage < totalPages - 1) {
+                    $pages.append('<span class="ellipsis">…</span>');
+                }
+                $pages.append(
+                    $('<button type="button" class="button"></button>')
+                        .text(totalPages)
+                        .data('page', totalPages)
+                );
+            }
+
+            // Next button
+            const $nextBtn = $('<button type="button" class="button">Next &raquo;</button>')
+                .data('page', currentPage + 1)
+                .prop('disabled', currentPage >= totalPages);
+            $pages.append($nextBtn);
+        },
+
+        /* ========================================================================
+         * COMPONENT LOADING
+         * ======================================================================== */
+
+        /**
+         * Load lazy components as they scroll into view
+         *
+         * Falls back to loading them all straight away in browsers without
+         * IntersectionObserver.
+         *
+         * @returns {void}
+         */
+        initLazyComponents: function () {
+            const $lazy = $('.reports-component-lazy');
+
+            if (!$lazy.length) {
+                return;
+            }
+
+            $lazy.attr('data-lazy-state', 'pending').attr('aria-busy', 'true');
+
+            if (!('IntersectionObserver' in window)) {
+                $lazy.each((index, element) => {
+                    this.loadComponent($(element));
+                });
+                return;
+            }
+
+            this.lazyObserver = new IntersectionObserver(this.onLazyIntersect.bind(this), {
+                rootMargin: '200px 0px'
+            });
+
+            $lazy.each((index, element) => {
+                this.lazyObserver.observe(element);
+            });
+        },
+
+        /**
+         * Handle lazy components entering the viewport
+         *
+         * @param {IntersectionObserverEntry[]} entries - Observed entries
+         * @returns {void}
+         */
+        onLazyIntersect: function (entries) {
+            entries.forEach((entry) => {
+                if (!entry.isIntersecting) {
+                    return;
+                }
+
+                this.lazyObserver.unobserve(entry.target);
+                this.loadComponent($(entry.target));
+            });
+        },
+
+        /**
+         * Fetch a single component's data for the current date range and filters
+         *
+         * Used to load lazy components and for per-component refresh and retry.
+         * Server-side tables load their current page via the table endpoint;
+         * everything else uses the single component endpoint.
+         *
+         * @param {jQuery}   $component  - Component element
+         * @param {boolean=} bypassCache - Skip cached data on the server
+         * @returns {void}
+         */
+        loadComponent: function ($component, bypassCache) {
+            const componentId = $component.data('component-id');
+
+            if (this.componentRequests[componentId]) {
+                this.componentRequests[componentId].abort();
+            }
+
+            if ($component.hasClass('reports-component-lazy') && $component.attr('data-lazy-state') !== 'loaded') {
+                $component.attr('data-lazy-state', 'loading');
+            }
+
+            $component.attr('aria-busy', 'true');
+            $component.find('.reports-component-refresh').addClass('refreshing');
+
+            let request;
+
+            if ($component.hasClass('reports-table-wrapper') && this.isServerTable(componentId)) {
+                request = this.loadServerTable($component, componentId, bypassCache);
+            } else {
+                const requestData = {
+                    report_id: $('.reports-wrap').data('report-id'),
+                    component_id: componentId,
+                    date_preset: this.getCurrentDatePreset(),
+                    date_start: this.getCurrentDateStart(),
+                    date_end: this.getCurrentDateEnd(),
+                    ...this.getCurrentFilters()
+                };
+
+                if (bypassCache) {
+                    requestData.bypass_cache = 1;
+                }
+
+                request = $.ajax({
+                    url: ReportsAdmin.restUrl + 'component',
+                    method: 'GET',
+                    data: requestData,
+                    beforeSend: (xhr) => {
+                        xhr.setRequestHeader('X-WP-Nonce', ReportsAdmin.restNonce);
+                    },
+                    success: (response) => {
+                        if (!response.success || !response.component) {
+                            this.onComponentLoadFailed($component);
+                            return;
+                        }
+
+                        Object.assign(this.componentHashes, response.hashes || {});
+
+                        // Each tile in a group reports its own errors
+                        if (response.component.type === 'tiles_group') {
+                            this.onComponentLoaded($component);
+                            this.updateComponents(response.component.tiles || {});
+                        } else {
+                            this.updateComponents({[componentId]: response.component});
+                        }
+
+                        this.updateCacheBadges(response.cache || {}, Object.keys(response.hashes || {}));
+                    },
+                    error: (xhr, status) => {
+                        if (status !== 'abort') {
+                            this.onComponentLoadFailed($component, xhr.responseJSON?.message);
+                        }
+                    }
+                });
+            }
+
+            this.componentRequests[componentId] = request;
+
+            request.always(() => {
+                if (this.componentRequests[componentId] === request) {
+                    delete this.componentRequests[componentId];
+                    $component.removeAttr('aria-busy');
+                    $component.find('.reports-component-refresh').removeClass('refreshing');
+                }
+            });
+        },
+
+        /**
+         * Mark a component as successfully loaded
+         *
+         * Clears skeletons, errors and the stale badge.
+         *
+         * @param {jQuery} $component - Component element
+         * @returns {void}
+         */
+        onComponentLoaded: function ($component) {
+            if ($component.hasClass('reports-component-lazy')) {
+                $component.attr('data-lazy-state', 'loaded');
+                $component.find('.reports-skeleton, .reports-skeleton-rows').remove();
+            }
+
+            $component.children('.reports-component-error').remove();
+            $component.data('updated-at', new Date());
+            this.clearComponentStale($component);
+        },
+
+        /**
+         * Show a component's load error and mark its current data as stale
+         *
+         * @param {jQuery}  $component - Component element
+         * @param {string=} message    - Error message
+         * @returns {void}
+         */
+        onComponentLoadFailed: function ($component, message) {
+            // A lazy component that never loaded has no data to keep showing
+            if ($component.hasClass('reports-component-lazy') && $component.attr('data-lazy-state') !== 'loaded') {
+                $component.attr('data-lazy-state', 'error');
+            } else {
+                this.markComponentStale($component);
+            }
+
+            this.showComponentError($component, message || this.i18n('loadFailed'));
+        },
+
+        /**
+         * Reload lazy components that have already been shown
+         *
+         * Components still waiting to scroll into view load with the current
+         * date range and filters when they appear.
+         *
+         * @param {boolean=} resetPage   - Send server-side tables back to the first page
+         * @param {boolean=} bypassCache - Skip cached data on the server
+         * @returns {void}
+         */
+        refreshLazyComponents: function (resetPage, bypassCache) {
+            $('.reports-component-lazy').each((index, element) => {
+                const $component = $(element);
+                const state = $component.attr('data-lazy-state');
+                const componentId = $component.data('component-id');
+
+                if (state !== 'loaded' && state !== 'error') {
+                    return;
+                }
+
+                if (resetPage && this.tableStates[componentId]) {
+                    this.tableStates[componentId].page = 1;
+                }
+
+                this.loadComponent($component, bypassCache);
+            });
+        },
+
+        /**
+         * Show an error with a retry button in a component
+         *
+         * @param {jQuery} $component - Component element
+         * @param {string} message    - Error message
+         * @returns {void}
+         */
+        showComponentError: function ($component, message) {
+            $component.children('.reports-component-error').remove();
+
+            $component.append(
+                '<div class="reports-component-error" role="alert">' +
+                '<span class="dashicons dashicons-warning"></span>' +
+                '<span class="reports-component-error-message">' + this.escapeHtml(message) + '</span>' +
+                '<button type="button" class="button button-small reports-component-retry">' + this.escapeHtml(this.i18n('retry')) + '</button>' +
+                '</div>'
+            );
+        },
+
+        /**
+         * Flag a component's data as out of date after a failed refresh
+         *
+         * @param {jQuery} $component - Component element
+         * @returns {void}
+         */
+        markComponentStale: function ($component) {
+            const $tools = $component.find('.reports-component-tools').first();
+
+            if (!$tools.length) {
+                return;
+            }
+
+            const updatedAt = $component.data('updated-at') || this.loadedAt;
+            const time = updatedAt.toLocaleTimeString(this.getLocale(), {hour: 'numeric', minute: '2-digit'});
+            let $badge = $tools.find('.reports-stale-badge');
+
+            if (!$badge.length) {
+                $badge = $('<span class="reports-stale-badge"></span>').text(this.i18n('stale'));
+                $tools.prepend($badge);
+            }
+
+            $badge.attr('title', this.i18n('staleTitle', time));
+            $component.addClass('reports-component-stale');
+        },
+
+        /**
+         * Remove a component's stale-data badge
+         *
+         * @param {jQuery} $component - Component element
+         * @returns {void}
+         */
+        clearComponentStale: function ($component) {
+            $component.find('.reports-stale-badge').remove();
+            $component.removeClass('reports-component-stale');
+        },
+
+        /**
+         * Show cache badges for components rendered from cached data
+         *
+         * @returns {void}
+         */
+        initCacheBadges: function () {
+            const ages = {};
+
+            $('[data-cache-age]').each((index, element) => {
+                ages[$(element).data('component-id')] = parseInt($(element).attr('data-cache-age'), 10);
+            });
+
+            this.updateCacheBadges(ages, Object.keys(ages));
+        },
+
+        /**
+         * Update cache badges after components were loaded
+         *
+         * Tiles in a group share the group's badge, which shows the oldest
+         * cached tile.
+         *
+         * @param {Object}   ages         - Age in seconds of cached data, keyed by component ID
+         * @param {string[]} componentIds - Components the response covered
+         * @returns {void}
+         */
+        updateCacheBadges: function (ages, componentIds) {
+            const hosts = new Map();
+
+            componentIds.forEach((componentId) => {
+                const $component = $('[data-component-id="' + componentId + '"]');
+
+                if (!$component.length) {
+                    return;
+                }
+
+                const $group = $component.closest('.reports-tiles-wrapper');
+                const host = ($group.length ? $group : $component)[0];
+                const age = ages[componentId] !== undefined ? ages[componentId] : null;
+                const current = hosts.has(host) ? hosts.get(host) : null;
+
+                hosts.set(host, age === null ? current : Math.max(age, current || 0));
+            });
+
+            hosts.forEach((age, host) => {
+                this.setCacheBadge($(host), age);
+            });
+        },
+
+        /**
+         * Show or remove a component's cache badge
+         *
+         * @param {jQuery}      $component - Component element
+         * @param {number|null} age        - Age of the cached data in seconds, or null if it is fresh
+         * @returns {void}
+         */
+        setCacheBadge: function ($component, age) {
+            const $tools = $component.find('.reports-component-tools').first();
+
+            $tools.find('.reports-cache-badge').remove();
+
+            if (!$tools.length || age === null) {
+                return;
+            }
+
+            let text;
+
+            if (age < 60) {
+                text = this.i18n('cachedSeconds', age);
+            } else if (age < 3600) {
+                text = this.i18n('cachedMinutes', Math.floor(age / 60));
+            } else {
+                text = this.i18n('cachedHours', Math.floor(age / 3600));
+            }
+
+            const $badge = $('<span class="reports-cache-badge"></span>')
+                .text(text)
+                .attr('title', this.i18n('cachedTitle'));
+
+            $tools.prepend($badge);
+        },
+
+        /**
+         * Handle a component's refresh button click
+         *
+         * Shift-click skips the server-side component cache.
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onComponentRefresh: function (e) {
+            e.preventDefault();
+
+            this.loadComponent($(e.currentTarget).closest('[data-component-id]'), e.shiftKey);
+        },
+
+        /**
+         * Handle retry click on a component error
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onComponentRetry: function (e) {
+            e.preventDefault();
+
+            this.loadComponent($(e.currentTarget).closest('[data-component-id]'));
+        },
+
+        /* ========================================================================
+         * SAVED VIEWS
+         * ======================================================================== */
+
+        /**
+         * Render the saved views menu
+         *
+         * @returns {void}
+         */
+        initViews: function () {
+            if (!$('.reports-views').length) {
+                return;
+            }
+
+            this.views = ReportsAdmin.views || [];
+            this.renderViews();
+        },
+
+        /**
+         * Get the current tab, date range and filters for saving as a view
+         *
+         * @returns {Object}
+         */
+        getViewState: function () {
+            const filters = {};
+
+            $.each(this.getCurrentFilters(), (key, value) => {
+                filters[key.replace(/^filter_/, '')] = value;
+            });
+
+            return {
+                tab: this.getCurrentTab() || ReportsAdmin.defaultTab || '',
+                date_preset: this.getCurrentDatePreset(),
+                date_start: this.getCurrentDateStart(),
+                date_end: this.getCurrentDateEnd(),
+                filters: filters
+            };
+        },
+
+        /**
+         * Get a comparable key for the report state in a URL
+         *
+         * Defaults are filled in and filters sorted, so a view's URL matches
+         * the current URL however its parameters were added.
+         *
+         * @param {string} href - Report URL
+         * @returns {string}
+         */
+        getViewKey: function (href) {
+            const url = new URL(href, window.location.href);
+            const preset = url.searchParams.get('date_preset') || ReportsAdmin.defaultPreset || 'this_month';
+            const params = [
+                'tab=' + (url.searchParams.get('tab') || ReportsAdmin.defaultTab || ''),
+                'date_preset=' + preset
+            ];
+            const filters = [];
+
+            if (preset === 'custom') {
+                params.push('date_start=' + (url.searchParams.get('date_start') || ''));
+                params.push('date_end=' + (url.searchParams.get('date_end') || ''));
+            }
+
+            url.searchParams.forEach((value, key) => {
+                if (key.indexOf('filter_') === 0 && value !== '') {
+                    filters.push(key + '=' + value);
+                }
+            });
+
+            return params.concat(filters.sort()).join('&');
+        },
+
+        /**
+         * Get the saved view matching the current URL
+         *
+         * @returns {Object|null}
+         */
+        getActiveView: function () {
+            const key = this.getViewKey(window.location.href);
+
+            return this.views.find((view) => this.getViewKey(view.url) === key) || null;
+        },
+
+        /**
+         * Render the list of saved views and label the menu with the active one
+         *
+         * @returns {void}
+         */
+        renderViews: function () {
+            const $menu = $('.reports-views');
+
+            if (!$menu.length) {
+                return;
+            }
+
+            const $list = $menu.find('.reports-views-list').empty();
+            const active = this.getActiveView();
+
+            this.views.forEach((view) => {
+                let shared = '';
+                let actions = '<button type="button" class="reports-view-default" aria-pressed="' + (view.is_default ? 'true' : 'false') + '" title="' + this.escapeHtml(this.i18n(view.is_default ? 'isDefault' : 'setDefault')) + '">' +
+                    '<span class="dashicons ' + (view.is_default ? 'dashicons-star-filled' : 'dashicons-star-empty') + '"></span>' +
+                    '</button>';
+
+                if (view.shared) {
+                    shared = '<span class="reports-view-shared">' + this.escapeHtml(view.is_owner ? this.i18n('shared') : this.i18n('sharedBy', view.owner)) + '</span>';
+                }
+
+                if (view.is_owner) {
+                    actions += '<button type="button" class="reports-view-share" aria-pressed="' + (view.shared ? 'true' : 'false') + '" title="' + this.escapeHtml(this.i18n(view.shared ? 'unshareView' : 'shareView')) + '">' +
+                        '<span class="dashicons dashicons-groups"></span>' +
+                        '</button>' +
+                        '<button type="button" class="reports-view-delete" title="' + this.escapeHtml(this.i18n('deleteView')) + '">' +
+                        '<span class="dashicons dashicons-trash"></span>' +
+                        '</button>';
+                }
+
+                $list.append(
+                    '<li class="reports-view' + (view === active ? ' reports-view-active' : '') + '" data-view-id="' + this.escapeHtml(view.id) + '">' +
+                    '<a href="' + this.escapeHtml(view.url) + '" class="reports-view-link">' +
+                    '<span class="reports-view-name">' + this.escapeHtml(view.name) + '</span>' +
+                    '<span class="reports-view-description">' + this.escapeHtml(view.description) + '</span>' +
+                    shared +
+                    '</a>' +
+                    '<span class="reports-view-actions">' + actions + '</span>' +
+                    '</li>'
+                );
+            });
+
+            $menu.find('.reports-views-empty').toggle(this.views.length === 0);
+            $menu.find('.reports-views-label').text(active ? active.name : this.i18n('views'));
+        },
+
+        /**
+         * Open or close the saved views menu
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onViewsToggle: function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const $toggle = $(e.currentTarget);
+            const $dropdown = $toggle.siblings('.reports-views-dropdown');
+            const open = !$dropdown.is(':visible');
+
+            $('.reports-date-picker-dropdown').hide();
+            $dropdown.toggle(open);
+            $toggle.attr('aria-expanded', open ? 'true' : 'false');
+
+            if (open) {
+                $dropdown.find('.reports-views-status').text('');
+            }
+        },
+
+        /**
+         * Send a saved views request and re-render the list from the response
+         *
+         * @param {string}  method   - HTTP method
+         * @param {string}  endpoint - Endpoint relative to the reports namespace
+         * @param {Object=} data     - Request body
+         * @returns {jqXHR}
+         */
+        sendViewRequest: function (method, endpoint, data) {
+            const reportId = $('.reports-wrap').data('report-id');
+            const request = method === 'DELETE' ? {
+                url: this.getRestUrl(endpoint, {report_id: reportId})
+            } : {
+                url: ReportsAdmin.restUrl + endpoint,
+                contentType: 'application/json',
+                data: JSON.stringify({report_id: reportId, ...data})
+            };
+
+            return $.ajax({
+                ...request,
+                method: method,
+                beforeSend: (xhr) => {
+                    xhr.setRequestHeader('X-WP-Nonce', ReportsAdmin.restNonce);
+                },
+                success: (response) => {
+                    if (response.views) {
+                        this.views = response.views;
+                        this.renderViews();
+                    }
+                },
+                error: (xhr) => {
+                    $('.reports-views-status').text(xhr.responseJSON?.message || this.i18n('viewFailed'));
+                }
+            });
+        },
+
+        /**
+         * Save the current state as a new view
+         *
+         * @param {Event} e - Submit event
+         * @returns {void}
+         */
+        onViewSave: function (e) {
+            e.preventDefault();
+
+            const $form = $(e.currentTarget);
+            const $name = $form.find('.reports-views-name');
+            const $button = $form.find('[type="submit"]').prop('disabled', true);
+
+            this.sendViewRequest('POST', 'views', {
+                name: $name.val().trim(),
+                shared: $form.find('.reports-views-shared').is(':checked'),
+                state: this.getViewState()
+            }).done(() => {
+                $name.val('');
+                $form.find('.reports-views-shared').prop('checked', false);
+                $form.find('.reports-views-status').text(this.i18n('viewSaved'));
+            }).always(() => {
+                $button.prop('disabled', false);
+            });
+        },
+
+        /**
+         * Make a view the one the report opens with, or unset it
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onViewDefault: function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const viewId = $(e.currentTarget).closest('.reports-view').data('view-id');
+            const view = this.views.find((item) => item.id === viewId);
+
+            if (view) {
+                this.sendViewRequest('POST', 'views/' + viewId, {is_default: !view.is_default});
+            }
+        },
+
+        /**
+         * Share a view with other users, or stop sharing it
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onViewShare: function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const viewId = $(e.currentTarget).closest('.reports-view').data('view-id');
+            const view = this.views.find((item) => item.id === viewId);
+
+            if (view) {
+                this.sendViewRequest('POST', 'views/' + viewId, {shared: !view.shared});
+            }
+        },
+
+        /**
+         * Delete a view
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onViewDelete: function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const viewId = $(e.currentTarget).closest('.reports-view').data('view-id');
+            const view = this.views.find((item) => item.id === viewId);
+
+            if (view && window.confirm(this.i18n('confirmView', view.name))) {
+                this.sendViewRequest('DELETE', 'views/' + viewId);
+            }
+        },
+
+        /* ========================================================================
+         * SCHEDULED EMAILS
+         * ======================================================================== */
+
+        /**
+         * Render the scheduled emails and delivery log
+         *
+         * @returns {void}
+         */
+        initSchedules: function () {
+            if (!$('.reports-schedules').length) {
+                return;
+            }
+
+            this.schedules = ReportsAdmin.schedules || [];
+            this.renderSchedules();
+            this.renderScheduleLog(ReportsAdmin.scheduleLog || []);
+        },
+
+        /**
+         * Render the list of scheduled emails
+         *
+         * @returns {void}
+         */
+        renderSchedules: function () {
+            const $panel = $('.reports-schedules');
+            const $table = $panel.find('.reports-schedules-table');
+            const $tbody = $table.find('tbody').empty();
+
+            $table.toggle(this.schedules.length > 0);
+            $panel.find('.reports-schedules-empty').toggle(this.schedules.length === 0);
+
+            this.schedules.forEach((schedule) => {
+                let details = '<span class="reports-schedule-description">' + this.escapeHtml(schedule.description) + '</span>';
+
+                if (schedule.exports.length) {
+                    details += '<span class="reports-schedule-description">' + this.escapeHtml(this.i18n('attaches', schedule.exports.join(', '))) + '</span>';
+                }
+
+                $tbody.append(
+                    '<tr data-schedule-id="' + this.escapeHtml(schedule.id) + '"' + (schedule.enabled ? '' : ' class="reports-schedule-paused"') + '>' +
+                    '<td><strong>' + this.escapeHtml(schedule.name) + '</strong>' + details + '</td>' +
+                    '<td>' + this.escapeHtml(schedule.frequency) +
+                    (schedule.enabled ? '' : ' <span class="reports-schedule-status">' + this.escapeHtml(this.i18n('paused')) + '</span>') + '</td>' +
+                    '<td>' + this.escapeHtml(schedule.recipients.join(', ')) + '</td>' +
+                    '<td>' + (schedule.enabled && schedule.next_run ? this.escapeHtml(schedule.next_run) : '&mdash;') + '</td>' +
+                    '<td class="reports-schedules-actions">' +
+                    (schedule.is_owner
+                        ? '<button type="button" class="button button-small reports-schedule-test">' + this.escapeHtml(this.i18n('sendTest')) + '</button> ' +
+                        '<button type="button" class="button-link reports-schedule-pause">' + this.escapeHtml(this.i18n(schedule.enabled ? 'pauseEmail' : 'resumeEmail')) + '</button> ' +
+                        '<button type="button" class="button-link button-link-delete reports-schedule-delete">' + this.escapeHtml(this.i18n('deleteEmail')) + '</button>'
+                        : '') +
+                    '</td>' +
+                    '</tr>'
+                );
+            });
+        },
+
+        /**
+         * Render the delivery log
+         *
+         * @param {Array<Object>} log - Log entries, newest first
+         * @returns {void}
+         */
+        renderScheduleLog: function (log) {
+            const $panel = $('.reports-schedules');
+            const $table = $panel.find('.reports-schedules-log');
+            const $tbody = $table.find('tbody').empty();
+
+            $table.toggle(log.length > 0);
+            $panel.find('.reports-schedules-log-empty').toggle(log.length === 0);
+
+            log.forEach((entry) => {
+                const status = entry.success
+                    ? '<span class="reports-schedule-sent">' + this.escapeHtml(this.i18n('emailSent')) + '</span>'
+                    : '<span class="reports-schedule-failed">' + this.escapeHtml(this.i18n('emailError', entry.message)) + '</span>';
+
+                $tbody.append(
+                    '<tr>' +
+                    '<td>' + this.escapeHtml(entry.time) + '</td>' +
+                    '<td>' + this.escapeHtml(entry.test ? this.i18n('testSend', entry.name) : entry.name) + '</td>' +
+                    '<td>' + this.escapeHtml(entry.recipients.join(', ')) + '</td>' +
+                    '<td>' + status + '</td>' +
+                    '</tr>'
+                );
+            });
+        },
+
+        /**
+         * Open or close the scheduled emails panel
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onSchedulesToggle: function (e) {
+            e.preventDefault();
+
+            const $toggle = $(e.currentTarget);
+            const $panel = $('#' + $toggle.attr('aria-controls'));
+            const open = !$panel.is(':visible');
+
+            $panel.toggle(open);
+            $toggle.attr('aria-expanded', open ? 'true' : 'false');
+
+            if (open) {
+                $panel.find('.reports-schedule-name').trigger('focus');
+            }
+        },
+
+        /**
+         * Show the day field matching the selected frequency
+         *
+         * @param {Event} e - Change event
+         * @returns {void}
+         */
+        onScheduleFrequencyChange: function (e) {
+            const frequency = $(e.currentTarget).val();
+            const $form = $(e.currentTarget).closest('.reports-schedules-form');
+
+            $form.find('.reports-schedule-weekday-field').toggle(frequency === 'weekly');
+            $form.find('.reports-schedule-monthday-field').toggle(frequency === 'monthly');
+        },
+
+        /**
+         * Show the exports of the selected tab
+         *
+         * @param {Event} e - Change event
+         * @returns {void}
+         */
+        onScheduleTabChange: function (e) {
+            const tab = $(e.currentTarget).val();
+            const $form = $(e.currentTarget).closest('.reports-schedules-form');
+
+            $form.find('.reports-schedule-exports').each((index, element) => {
+                const $fieldset = $(element);
+                const visible = $fieldset.data('tab') === tab;
+
+                $fieldset.toggle(visible);
+
+                if (!visible) {
+                    $fieldset.find('.reports-schedule-export').prop('checked', false);
+                }
+            });
+        },
+
+        /**
+         * Send a scheduled emails request and re-render from the response
+         *
+         * @param {string}  method   - HTTP method
+         * @param {string}  endpoint - Endpoint relative to the reports namespace
+         * @param {Object=} data     - Request body
+         * @returns {jqXHR}
+         */
+        sendScheduleRequest: function (method, endpoint, data) {
+            const reportId = $('.reports-wrap').data('report-id');
+            const request = method === 'DELETE' ? {
+                url: this.getRestUrl(endpoint, {report_id: reportId})
+            } : {
+                url: ReportsAdmin.restUrl + endpoint,
+                contentType: 'application/json',
+                data: JSON.stringify({report_id: reportId, ...data})
+            };
+
+            $('.reports-schedules-status').text('');
+
+            return $.ajax({
+                ...request,
+                method: method,
+                beforeSend: (xhr) => {
+                    xhr.setRequestHeader('X-WP-Nonce', ReportsAdmin.restNonce);
+                },
+                success: (response) => {
+                    if (response.schedules) {
+                        this.schedules = response.schedules;
+                        this.renderSchedules();
+                        this.renderScheduleLog(response.log || []);
+                    }
+
+                    if (response.message) {
+                        $('.reports-schedules-status').text(response.message);
+                    }
+                },
+                error: (xhr) => {
+                    // Failed sends are recorded in the delivery log
+                    if (xhr.responseJSON?.data?.log) {
+                        this.renderScheduleLog(xhr.responseJSON.data.log);
+                    }
+
+                    $('.reports-schedules-status').text(xhr.responseJSON?.message || this.i18n('emailFailed'));
+                }
+            });
+        },
+
+        /**
+         * Add a scheduled email from the form
+         *
+         * @param {Event} e - Submit event
+         * @returns {void}
+         */
+        onScheduleSave: function (e) {
+            e.preventDefault();
+
+            const $form = $(e.currentTarget);
+            const $button = $form.find('[type="submit"]').prop('disabled', true);
+            const tab = $form.find('.reports-schedule-tab').val();
+            const frequency = $form.find('.reports-schedule-frequency').val();
+            const useFilters = $form.find('.reports-schedule-filters').is(':checked');
+            const currentTab = this.getCurrentTab() || ReportsAdmin.defaultTab;
+
+            this.sendScheduleRequest('POST', 'schedules', {
+                name: $form.find('.reports-schedule-name').val().trim(),
+                tab: tab,
+                date_preset: $form.find('.reports-schedule-preset').val(),
+                filters: useFilters && tab === currentTab ? this.getViewState().filters : {},
+                frequency: frequency,
+                day: parseInt($form.find(frequency === 'monthly' ? '.reports-schedule-monthday' : '.reports-schedule-weekday').val(), 10),
+                time: $form.find('.reports-schedule-time').val(),
+                recipients: $form.find('.reports-schedule-recipients').val().split(/[\s,;]+/).filter(Boolean),
+                exports: $form.find('.reports-schedule-exports:visible .reports-schedule-export:checked').map((index, element) => element.value).get()
+            }).done(() => {
+                $form.find('.reports-schedule-name, .reports-schedule-recipients').val('');
+                $form.find('.reports-schedule-export').prop('checked', false);
+                $form.find('.reports-schedules-status').text(this.i18n('emailSaved'));
+            }).always(() => {
+                $button.prop('disabled', false);
+            });
+        },
+
+        /**
+         * Send a scheduled email to the current user now
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onScheduleTest: function (e) {
+            e.preventDefault();
+
+            const $button = $(e.currentTarget);
+            const scheduleId = $button.closest('tr').data('schedule-id');
+
+            $button.prop('disabled', true).text(this.i18n('sendingTest'));
+
+            this.sendScheduleRequest('POST', 'schedules/' + scheduleId + '/test').always(() => {
+                $button.prop('disabled', false).text(this.i18n('sendTest'));
+            });
+        },
+
+        /**
+         * Pause or resume a scheduled email
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onSchedulePause: function (e) {
+            e.preventDefault();
+
+            const scheduleId = $(e.currentTarget).closest('tr').data('schedule-id');
+            const schedule = this.schedules.find((item) => item.id === scheduleId);
+
+            if (schedule) {
+                this.sendScheduleRequest('POST', 'schedules/' + scheduleId, {enabled: !schedule.enabled});
+            }
+        },
+
+        /**
+         * Delete a scheduled email
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onScheduleDelete: function (e) {
+            e.preventDefault();
+
+            const scheduleId = $(e.currentTarget).closest('tr').data('schedule-id');
+            const schedule = this.schedules.find((item) => item.id === scheduleId);
+
+            if (schedule && window.confirm(this.i18n('confirmEmail', schedule.name))) {
+                this.sendScheduleRequest('DELETE', 'schedules/' + scheduleId);
+            }
+        },
+
+        /* ========================================================================
+         * LAYOUT
+         * ======================================================================== */
+
+        /**
+         * Get the components that can be moved while editing the layout
+         *
+         * Top-level components plus standalone tiles, which move within their
+         * own grid. Tiles inside a tiles group move with the group.
+         *
+         * @returns {jQuery}
+         */
+        getLayoutItems: function () {
+            const $components = $('.reports-components');
+
+            return $components.children('[data-component-id]')
+                .add($components.children('.reports-tiles-grid').children('[data-component-id]'));
+        },
+
+        /**
+         * Get the layout item a layout control belongs to
+         *
+         * @param {HTMLElement} control - Control element
+         * @returns {jQuery}
+         */
+        getLayoutItem: function (control) {
+            return $(control).closest('.reports-layout-controls').parent();
+        },
+
+        /**
+         * Get a component's title for labelling its layout controls
+         *
+         * @param {jQuery} $item - Component element
+         * @returns {string}
+         */
+        getComponentTitle: function ($item) {
+            const $title = $item.find('.reports-tile-label, .reports-tiles-wrapper-title, .reports-chart-title, .reports-table-title, .reports-html-title').first();
+            const title = $title.clone().children().remove().end().text().trim();
+
+            return title || String($item.data('component-id'));
+        },
+
+        /**
+         * Enter layout editing mode
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onLayoutEdit: function (e) {
+            e.preventDefault();
+
+            const $items = this.getLayoutItems();
+            const $containers = $('.reports-components').add($('.reports-components').children('.reports-tiles-grid'));
+
+            this.layoutSnapshot = {
+                containers: $containers.map((index, element) => ({element: element, children: Array.from(element.children)})).get(),
+                classes: $items.map((index, element) => ({element: element, className: element.className})).get()
+            };
+
+            $items.each((index, element) => {
+                this.addLayoutControls($(element));
+            });
+
+            $('.reports-wrap').addClass('reports-layout-editing');
+            $('.reports-layout-status').text('');
+        },
+
+        /**
+         * Add the move, width and hide controls to a component
+         *
+         * Only components with a width class (charts, tables, HTML) can be resized.
+         *
+         * @param {jQuery} $item - Component element
+         * @returns {void}
+         */
+        addLayoutControls: function ($item) {
+            const title = this.getComponentTitle($item);
+            const match = ($item.attr('class') || '').match(/reports-component--([\w-]+)/);
+            let html = '<div class="reports-layout-controls">' +
+                '<button type="button" class="reports-layout-move" title="' + this.escapeHtml(this.i18n('moveComponent', title)) + '" aria-label="' + this.escapeHtml(this.i18n('moveComponent', title)) + '">' +
+                '<span class="dashicons dashicons-move"></span>' +
+                '</button>';
+
+            if (match) {
+                const current = ReportsAdmin.layoutWidths[match[1]] ? match[1] : 'full';
+
+                html += '<select class="reports-layout-width" aria-label="' + this.escapeHtml(this.i18n('resizeLabel', title)) + '">';
+
+                $.each(ReportsAdmin.layoutWidths || {}, (width, label) => {
+                    html += '<option value="' + this.escapeHtml(width) + '"' + (width === current ? ' selected' : '') + '>' + this.escapeHtml(label) + '</option>';
+                });
+
+                html += '</select>';
+            }
+
+            html += '<button type="button" class="reports-layout-hide"><span class="dashicons"></span></button></div>';
+
+            $item.attr('draggable', 'true').prepend(html);
+            this.updateLayoutHideButton($item);
+        },
+
+        /**
+         * Sync a component's hide button with its hidden state
+         *
+         * @param {jQuery} $item - Component element
+         * @returns {void}
+         */
+        updateLayoutHideButton: function ($item) {
+            const hidden = $item.hasClass('reports-component-hidden');
+            const label = this.i18n(hidden ? 'showComponent' : 'hideComponent', this.getComponentTitle($item));
+
+            $item.children('.reports-layout-controls').find('.reports-layout-hide')
+                .attr({'aria-pressed': hidden ? 'true' : 'false', 'aria-label': label, title: label})
+                .find('.dashicons')
+                .toggleClass('dashicons-hidden', hidden)
+                .toggleClass('dashicons-visibility', !hidden);
         },
 
         /**
-         * Extract table configuration from DOM for refresh (fallback)
+         * Leave layout editing mode, keeping the current arrangement
          *
-         * @param {jQuery} $wrapper    - Table wrapper element
-         * @param {string} componentId - Component identifier
          * @returns {void}
          */
-        extractTableConfig: function ($wrapper, componentId) {
-            const $table = $wrapper.find('.reports-table');
-            const $container = $wrapper.find('.reports-table-container');
-            const columns = [];
-            const rowActions = [];
+        stopLayoutEditing: function () {
+            $('.reports-layout-controls').remove();
+            $('.reports-components [draggable="true"]').removeAttr('draggable');
+            $('.reports-wrap').removeClass('reports-layout-editing');
 
-            // Extract column info from headers
-            $table.find('thead th').each(function () {
-                const $th = $(this);
-                const columnKey = $th.data('column');
+            this.layoutSnapshot = null;
+            this.layoutDragItem = null;
+        },
 
-                // Skip the actions column
-                if ($th.hasClass('reports-table-actions-col')) {
-                    return;
-                }
+        /**
+         * Get the layout currently shown
+         *
+         * @returns {{order: string[], widths: Object.<string, string>, hidden: string[]}}
+         */
+        getLayout: function () {
+            const layout = {order: [], widths: {}, hidden: []};
 
-                if (columnKey) {
-                    columns.push({
-                        key: columnKey,
-                        label: $th.text().trim(),
-                        sortable: $th.hasClass('sortable'),
-                        format: '' // Can't determine format from DOM
-                    });
-                }
-            });
+            $('.reports-components').children().each((index, element) => {
+                const $element = $(element);
+                const $items = $element.is('[data-component-id]') ? $element : $element.children('[data-component-id]');
 
-            // Extract row actions from first row (if exists)
-            const $firstRowActions = $table.find('tbody tr:first .reports-row-actions-wrap a');
-            $firstRowActions.each(function () {
-                const $link = $(this);
-                const classes = $link.attr('class') || '';
-                const keyMatch = classes.match(/reports-row-action-(\S+)/);
-                const actionKey = keyMatch ? keyMatch[1] : '';
+                $items.each((itemIndex, item) => {
+                    const $item = $(item);
+                    const componentId = String($item.data('component-id'));
+                    const width = $item.children('.reports-layout-controls').find('.reports-layout-width').val();
 
-                if (actionKey && actionKey !== 'row') {
-                    rowActions.push({
-                        key: actionKey,
-                        label: $link.text().trim(),
-                        url: $link.attr('href') || '#',
-                        class: $link.attr('class')?.replace(/reports-row-action[^\s]*/g, '').trim() || '',
-                        confirm: $link.attr('onclick')?.match(/confirm\('([^']+)'\)/)?.[1] || '',
-                        target: $link.attr('target') || ''
-                    });
-                }
+                    layout.order.push(componentId);
+
+                    if (width) {
+                        layout.widths[componentId] = width;
+                    }
+
+                    if ($item.hasClass('reports-component-hidden')) {
+                        layout.hidden.push(componentId);
+                    }
+                });
             });
 
-            // Store configuration
-            this.tableConfigs[componentId] = {
-                columns: columns,
-                rowActions: rowActions,
-                emptyMessage: $wrapper.find('.reports-table-empty p').text() || this.i18n('noData'),
-                paginated: $container.data('paginated') === true || $container.data('paginated') === 'true',
-                perPage: parseInt($container.data('per-page'), 10) || 10
-            };
+            return layout;
         },
 
         /**
-         * Handle table column sort click
+         * Save the layout for the current user
          *
          * @param {Event} e - Click event
          * @returns {void}
          */
-        onTableSort: function (e) {
-            const $th = $(e.currentTarget);
-            const $table = $th.closest('.reports-table');
-            const columnIndex = $th.index();
-            const isAsc = $th.hasClass('sorted-asc');
+        onLayoutSave: function (e) {
+            e.preventDefault();
 
-            $table.find('th').removeClass('sorted-asc sorted-desc');
-            $th.addClass(isAsc ? 'sorted-desc' : 'sorted-asc');
+            const $toolbar = $('.reports-layout-toolbar');
+            const $status = $toolbar.find('.reports-layout-status');
+            const $buttons = $toolbar.find('button').prop('disabled', true);
 
-            const $tbody = $table.find('tbody');
-            const rows = $tbody.find('tr').toArray();
+            $.ajax({
+                url: ReportsAdmin.restUrl + 'layout',
+                method: 'POST',
+                beforeSend: (xhr) => {
+                    xhr.setRequestHeader('X-WP-Nonce', ReportsAdmin.restNonce);
+                },
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    report_id: $('.reports-wrap').data('report-id'),
+                    tab: $toolbar.data('tab'),
+                    ...this.getLayout()
+                }),
+                success: () => {
+                    this.stopLayoutEditing();
+                    $status.text(this.i18n('layoutSaved'));
+                },
+                error: (xhr) => {
+                    $status.text(xhr.responseJSON?.message || this.i18n('layoutFailed'));
+                },
+                complete: () => {
+                    $buttons.prop('disabled', false);
+                }
+            });
+        },
 
-            rows.sort((a, b) => {
-                const aVal = $(a).find('td').eq(columnIndex).text().trim();
-                const bVal = $(b).find('td').eq(columnIndex).text().trim();
+        /**
+         * Discard layout changes
+         *
+         * Puts components back in their original order, widths and visibility.
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onLayoutCancel: function (e) {
+            e.preventDefault();
 
-                const aNum = parseFloat(aVal.replace(/[^0-9.-]/g, ''));
-                const bNum = parseFloat(bVal.replace(/[^0-9.-]/g, ''));
+            const snapshot = this.layoutSnapshot;
 
-                if (!isNaN(aNum) && !isNaN(bNum)) {
-                    return isAsc ? bNum - aNum : aNum - bNum;
-                }
+            if (snapshot) {
+                snapshot.containers.forEach((container) => {
+                    $(container.element).append(container.children);
+                });
 
-                return isAsc ? bVal.localeCompare(aVal) : aVal.localeCompare(bVal);
-            });
+                snapshot.classes.forEach((item) => {
+                    item.element.className = item.className;
+                });
+            }
 
-            $tbody.append(rows);
+            this.stopLayoutEditing();
         },
 
         /**
-         * Handle table pagination button click
+         * Reset the tab to the default layout
+         *
+         * The page reloads so components hidden by the saved layout render again.
          *
          * @param {Event} e - Click event
          * @returns {void}
          */
-        onTablePage: function (e) {
-            const $button = $(e.currentTarget);
+        onLayoutReset: function (e) {
+            e.preventDefault();
 
-            if ($button.prop('disabled')) {
+            if (!window.confirm(this.i18n('confirmReset'))) {
                 return;
             }
 
-            const page = parseInt($button.data('page'), 10);
-            const $container = $button.closest('.reports-table-container');
+            const $toolbar = $('.reports-layout-toolbar');
+            const $buttons = $toolbar.find('button').prop('disabled', true);
 
-            $container.data('current-page', page);
-            this.applyTablePagination($container);
+            $.ajax({
+                url: this.getRestUrl('layout', {
+                    report_id: $('.reports-wrap').data('report-id'),
+                    tab: $toolbar.data('tab')
+                }),
+                method: 'DELETE',
+                beforeSend: (xhr) => {
+                    xhr.setRequestHeader('X-WP-Nonce', ReportsAdmin.restNonce);
+                },
+                success: () => {
+                    window.location.reload();
+                },
+                error: (xhr) => {
+                    $buttons.prop('disabled', false);
+                    $toolbar.find('.reports-layout-status').text(xhr.responseJSON?.message || this.i18n('layoutFailed'));
+                }
+            });
         },
 
         /**
-         * Apply pagination to a table
+         * Toggle whether a component is hidden
          *
-         * @param {jQuery} $container - Table container element
+         * @param {Event} e - Click event
          * @returns {void}
          */
-        applyTablePagination: function ($container) {
-            const $table = $container.find('.reports-table');
-            const $rows = $table.find('tbody tr');
-            const currentPage = $container.data('current-page') || 1;
-            const perPage = parseInt($container.data('per-page'), 10) || 10;
-            const totalRows = $rows.length;
-            const totalPages = Math.ceil(totalRows / perPage);
-            const start = (currentPage - 1) * perPage;
-            const end = start + perPage;
-            const showing = Math.min(end, totalRows);
+        onLayoutHideToggle: function (e) {
+            e.preventDefault();
 
-            // Hide all rows, then show only the current page
-            $rows.hide().slice(start, end).show();
+            const $item = this.getLayoutItem(e.currentTarget);
 
-            // Get or create pagination container
-            let $pagination = $container.find('.reports-table-pagination');
-            if (!$pagination.length && totalPages > 1) {
-                $pagination = $('<div class="reports-table-pagination"><span class="reports-table-info"></span><div class="reports-table-pages"></div></div>');
-                $container.append($pagination);
-            }
+            $item.toggleClass('reports-component-hidden');
+            this.updateLayoutHideButton($item);
+        },
 
-            if (!$pagination.length) {
+        /**
+         * Resize a component
+         *
+         * @param {Event} e - Change event
+         * @returns {void}
+         */
+        onLayoutWidthChange: function (e) {
+            const $item = this.getLayoutItem(e.currentTarget);
+
+            $item.removeClass((index, className) => (className.match(/reports-component--[\w-]+/g) || []).join(' '));
+            $item.addClass('reports-component--' + $(e.currentTarget).val());
+        },
+
+        /**
+         * Move a component with the arrow keys
+         *
+         * @param {KeyboardEvent} e - Keydown event
+         * @returns {void}
+         */
+        onLayoutMoveKeydown: function (e) {
+            const $item = this.getLayoutItem(e.currentTarget);
+            const backwards = e.key === 'ArrowUp' || e.key === 'ArrowLeft';
+
+            if (!backwards && e.key !== 'ArrowDown' && e.key !== 'ArrowRight') {
                 return;
             }
 
-            // Update info text
-            $pagination.find('.reports-table-info').text(
-                this.i18n('showing', start + 1, showing, totalRows)
-            );
+            e.preventDefault();
 
-            // Build page buttons
-            const $pages = $pagination.find('.reports-table-pages');
-            $pages.empty();
+            const $sibling = backwards ? $item.prev() : $item.next();
 
-            // Only show pagination controls if there's more than one page
-            if (totalPages <= 1) {
-                $pagination.hide();
+            if (!$sibling.length) {
                 return;
             }
 
-            $pagination.show();
-
-            // Previous button
-            const $prevBtn = $('<button type="button" class="button">&laquo; Prev</button>')
-                .data('page', currentPage - 1)
-                .prop('disabled', currentPage <= 1);
-            $pages.append($prevBtn);
+            if (backwards) {
+                $item.insertBefore($sibling);
+            } else {
+                $item.insertAfter($sibling);
+            }
 
-            // Page number buttons (with ellipsis for many pages)
-            const maxVisiblePages = 5;
-            let startPage = Math.max(1, currentPage - Math.floor(maxVisiblePages / 2));
-            let endPage = Math.min(totalPages, startPage + maxVisiblePages - 1);
+            $(e.currentTarget).trigger('focus');
+        },
 
-            // Adjust start if we're near the end
-            if (endPage - startPage < maxVisiblePages - 1) {
-                startPage = Math.max(1, endPage - maxVisiblePages + 1);
+        /**
+         * Start dragging a component
+         *
+         * @param {Event} e - Dragstart event
+         * @returns {void}
+         */
+        onLayoutDragStart: function (e) {
+            // Only the component itself is dragged, not the nested component inside it
+            if (e.target !== e.currentTarget) {
+                return;
             }
 
-            // First page + ellipsis
-            if (startPage > 1) {
-                $pages.append(
-                    $('<button type="button" class="button">1</button>').data('page', 1)
-                );
-                if (startPage > 2) {
-                    $pages.append('<span class="ellipsis">…</span>');
-                }
+            this.layoutDragItem = e.currentTarget;
+            $(e.currentTarget).addClass('reports-layout-dragging');
+
+            e.originalEvent.dataTransfer.effectAllowed = 'move';
+            e.originalEvent.dataTransfer.setData('text/plain', String($(e.currentTarget).data('component-id')));
+        },
+
+        /**
+         * Move the dragged component next to the element under the pointer
+         *
+         * Components can only move among their siblings: standalone tiles
+         * within their grid, everything else within the tab. The pointer's
+         * position across the target's diagonal decides before or after.
+         *
+         * @param {Event} e - Dragover event
+         * @returns {void}
+         */
+        onLayoutDragOver: function (e) {
+            const dragged = this.layoutDragItem;
+            const target = e.currentTarget;
+
+            if (!dragged || target === dragged || target.parentNode !== dragged.parentNode) {
+                return;
             }
 
-            // Page numbers
-            for (let i = startPage; i <= endPage; i++) {
-                const $pageBtn = $('<button type="button" class="button"></button>')
-                    .text(i)
-                    .data('page', i);
+            e.preventDefault();
+            e.originalEvent.dataTransfer.dropEffect = 'move';
 
-                if (i === currentPage) {
-                    $pageBtn.addClass('button-primary').prop('disabled', true);
-                }
+            const rect = target.getBoundingClientRect();
+            const after = (e.originalEvent.clientX - rect.left) / rect.width + (e.originalEvent.clientY - rect.top) / rect.height > 1;
 
-                $pages.append($pageBtn);
+            if (after && target.nextElementSibling !== dragged) {
+                target.after(dragged);
+            } else if (!after && target.previousElementSibling !== dragged) {
+                target.before(dragged);
             }
+        },
 
-            // Ellipsis + last page
-            if (endPage < totalPages) {
-                if (endPage < totalPages - 1) {
-                    $pages.append('<span class="ellipsis">…</span>');
-                }
-                $pages.append(
-                    $('<button type="button" class="button"></button>')
-                        .text(totalPages)
-                        .data('page', totalPages)
-                );
+        /**
+         * Accept a dropped component (it has already been moved while dragging)
+         *
+         * @param {Event} e - Drop event
+         * @returns {void}
+         */
+        onLayoutDrop: function (e) {
+            if (this.layoutDragItem) {
+                e.preventDefault();
             }
+        },
 
-            // Next button
-            const $nextBtn = $('<button type="button" class="button">Next &raquo;</button>')
-                .data('page', currentPage + 1)
-                .prop('disabled', currentPage >= totalPages);
-            $pages.append($nextBtn);
+        /**
+         * Finish dragging a component
+         *
+         * @param {Event} e - Dragend event
+         * @returns {void}
+         */
+        onLayoutDragEnd: function (e) {
+            $(e.currentTarget).removeClass('reports-layout-dragging');
+            this.layoutDragItem = null;
         },
 
         /* ========================================================================
@@ -1303,9 +5829,41 @@
                 return;
             }
 
-            const filters = this.gatherExportFilters($card);
+            const filters = this.gatherExportFilters($card);
+            const format = $card.find('.reports-export-format-select').val() || $button.data('format') || 'csv';
+
+            this.startExport(reportId, exportId, filters, $card, $button, format);
+        },
+
+        /**
+         * Handle export format change (update the button label)
+         *
+         * @param {Event} e - Change event
+         * @returns {void}
+         */
+        onExportFormatChange: function (e) {
+            const $card = $(e.currentTarget).closest('.reports-export-card');
+            const $button = $card.find('.reports-export-button');
+
+            $button.find('.button-text').text(this.getExportButtonText($card, $button));
+        },
+
+        /**
+         * Get the export button label for the selected format
+         *
+         * @param {jQuery} $card   - Export card element
+         * @param {jQuery} $button - Export button element
+         * @returns {string}
+         */
+        getExportButtonText: function ($card, $button) {
+            if ($button.data('button-text')) {
+                return $button.data('button-text');
+            }
+
+            const $option = $card.find('.reports-export-format-select option:selected');
+            const extension = $option.length ? $option.data('extension') : String($button.data('format') || 'csv').toUpperCase();
 
-            this.startExport(reportId, exportId, filters, $card, $button);
+            return this.i18n('generate', extension);
         },
 
         /**
@@ -1355,15 +5913,20 @@
          * @param {Object} filters  - Filter values
          * @param {jQuery} $card    - Export card element
          * @param {jQuery} $button  - Export button element
+         * @param {string} format   - Export format (csv, xlsx, json or ndjson)
          * @returns {void}
          */
-        startExport: function (reportId, exportId, filters, $card, $button) {
+        startExport: function (reportId, exportId, filters, $card, $button, format) {
             const $progress = $card.find('.reports-export-progress');
             const $progressFill = $card.find('.reports-export-progress-fill');
             const $progressLabel = $card.find('.reports-export-progress-label');
             const $progressPercent = $card.find('.reports-export-progress-percent');
 
+            // Starting over replaces an interrupted export of the same card
+            this.discardStoredExport($card);
+
             $button.prop('disabled', true);
+            $card.find('.reports-export-format-select').prop('disabled', true);
             $button.find('.button-text').text(this.i18n('exporting'));
             $progress.show();
             $progressFill.css('width', '0%');
@@ -1374,12 +5937,15 @@
                 report_id: reportId,
                 export_id: exportId,
                 filters: filters,
+                format: format,
                 date_preset: this.getCurrentDatePreset(),
                 date_start: this.getCurrentDateStart(),
                 date_end: this.getCurrentDateEnd()
             };
 
-            $.ajax({
+            this.exportJobs[exportId] = {token: null, request: null, retryTimer: null, cancelled: false};
+
+            this.exportJobs[exportId].request = $.ajax({
                 url: ReportsAdmin.restUrl + 'export/start',
                 method: 'POST',
                 beforeSend: (xhr) => {
@@ -1389,6 +5955,10 @@
                 data: JSON.stringify(requestData),
                 success: (response) => {
                     if (response.success) {
+                        this.exportJobs[exportId].token = response.export_token;
+                        this.storeExport(reportId, exportId, {token: response.export_token, format: response.format});
+                        $card.find('.reports-export-cancel').show();
+
                         this.processExportBatches(
                             response.export_token,
                             response.total_items,
@@ -1401,7 +5971,11 @@
                         this.handleExportError(response.message || this.i18n('exportFailed'), $card, $button);
                     }
                 },
-                error: (xhr) => {
+                error: (xhr, status) => {
+                    if (status === 'abort') {
+                        return;
+                    }
+
                     const message = xhr.responseJSON ? xhr.responseJSON.message : this.i18n('exportFailed');
                     this.handleExportError(message, $card, $button);
                 }
@@ -1411,20 +5985,34 @@
         /**
          * Process export batches recursively
          *
-         * @param {string} exportToken  - Export session token
-         * @param {number} totalItems   - Total items to export
-         * @param {number} batchSize    - Items per batch
-         * @param {number} currentBatch - Current batch index
-         * @param {jQuery} $card        - Export card element
-         * @param {jQuery} $button      - Export button element
+         * Transient failures (network errors, timeouts, 429 and 5xx responses)
+         * are retried with exponential backoff. The server reports the next
+         * batch to write, so a retried batch is never written twice.
+         *
+         * @param {string}  exportToken  - Export session token
+         * @param {number}  totalItems   - Total items to export
+         * @param {number}  batchSize    - Items per batch
+         * @param {number}  currentBatch - Current batch index
+         * @param {jQuery}  $card        - Export card element
+         * @param {jQuery}  $button      - Export button element
+         * @param {number=} attempt      - Retry attempt for the current batch
          * @returns {void}
          */
-        processExportBatches: function (exportToken, totalItems, batchSize, currentBatch, $card, $button) {
+        processExportBatches: function (exportToken, totalItems, batchSize, currentBatch, $card, $button, attempt) {
             const $progressFill = $card.find('.reports-export-progress-fill');
             const $progressLabel = $card.find('.reports-export-progress-label');
             const $progressPercent = $card.find('.reports-export-progress-percent');
+            const reportId = $button.data('report-id');
+            const exportId = $button.data('export-id');
+            const job = this.exportJobs[exportId];
 
-            $.ajax({
+            attempt = attempt || 0;
+
+            if (!job || job.cancelled || job.token !== exportToken) {
+                return;
+            }
+
+            job.request = $.ajax({
                 url: ReportsAdmin.restUrl + 'export/batch',
                 method: 'POST',
                 beforeSend: (xhr) => {
@@ -1437,7 +6025,7 @@
                 }),
                 success: (response) => {
                     if (!response.success) {
-                        this.handleExportError(response.message || this.i18n('batchFailed'), $card, $button);
+                        this.handleExportError(response.message || this.i18n('batchFailed'), $card, $button, true);
                         return;
                     }
 
@@ -1452,43 +6040,136 @@
                         $progressFill.css('width', '100%');
                         $progressPercent.text('100%');
 
+                        this.removeStoredExport(reportId, exportId);
+                        delete this.exportJobs[exportId];
+                        $card.find('.reports-export-cancel').hide();
+
                         setTimeout(() => {
                             window.location.href = response.download_url;
                             this.resetExportUI($card, $button);
+                            this.loadExportHistory();
                         }, 500);
                     } else {
-                        this.processExportBatches(
-                            exportToken,
-                            totalItems,
-                            batchSize,
-                            currentBatch + 1,
-                            $card,
-                            $button
-                        );
+                        const nextBatch = response.next_batch !== undefined ? response.next_batch : currentBatch + 1;
+
+                        // The batch is still being written by an earlier request; check again shortly
+                        if (nextBatch <= currentBatch) {
+                            job.retryTimer = setTimeout(() => {
+                                this.processExportBatches(exportToken, totalItems, batchSize, nextBatch, $card, $button);
+                            }, 1000);
+                            return;
+                        }
+
+                        this.processExportBatches(exportToken, totalItems, batchSize, nextBatch, $card, $button);
                     }
                 },
-                error: (xhr) => {
+                error: (xhr, status) => {
+                    if (status === 'abort') {
+                        return;
+                    }
+
+                    if (this.isRetryableExportError(xhr) && attempt < this.exportRetryLimit) {
+                        const delay = Math.min(30000, 1000 * Math.pow(2, attempt)) + Math.round(Math.random() * 500);
+
+                        $progressLabel.text(this.i18n('retrying', Math.ceil(delay / 1000), attempt + 1, this.exportRetryLimit));
+
+                        job.retryTimer = setTimeout(() => {
+                            this.processExportBatches(exportToken, totalItems, batchSize, currentBatch, $card, $button, attempt + 1);
+                        }, delay);
+                        return;
+                    }
+
                     const message = xhr.responseJSON ? xhr.responseJSON.message : this.i18n('batchFailed');
-                    this.handleExportError(message, $card, $button);
+                    this.handleExportError(message, $card, $button, true);
+                }
+            });
+        },
+
+        /**
+         * Check whether a failed batch request is worth retrying
+         *
+         * @param {jqXHR} xhr - Failed request
+         * @returns {boolean}
+         */
+        isRetryableExportError: function (xhr) {
+            return xhr.status === 0 || xhr.status === 408 || xhr.status === 429 || xhr.status >= 500;
+        },
+
+        /**
+         * Handle export cancel click
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onExportCancel: function (e) {
+            e.preventDefault();
+
+            const $card = $(e.currentTarget).closest('.reports-export-card');
+            const $button = $card.find('.reports-export-button');
+            const exportId = $button.data('export-id');
+            const job = this.exportJobs[exportId];
+
+            if (job) {
+                job.cancelled = true;
+                clearTimeout(job.retryTimer);
+
+                if (job.request) {
+                    job.request.abort();
                 }
+
+                if (job.token) {
+                    this.cancelExport(job.token);
+                }
+
+                delete this.exportJobs[exportId];
+            }
+
+            this.removeStoredExport($button.data('report-id'), exportId);
+            this.resetExportUI($card, $button);
+        },
+
+        /**
+         * Tell the server to abandon an export and delete its partial file
+         *
+         * @param {string} exportToken - Export session token
+         * @returns {void}
+         */
+        cancelExport: function (exportToken) {
+            $.ajax({
+                url: ReportsAdmin.restUrl + 'export/cancel',
+                method: 'POST',
+                beforeSend: (xhr) => {
+                    xhr.setRequestHeader('X-WP-Nonce', ReportsAdmin.restNonce);
+                },
+                contentType: 'application/json',
+                data: JSON.stringify({export_token: exportToken})
             });
         },
 
         /**
          * Handle export error
          *
-         * @param {string} message - Error message
-         * @param {jQuery} $card   - Export card element
-         * @param {jQuery} $button - Export button element
+         * @param {string}   message   - Error message
+         * @param {jQuery}   $card     - Export card element
+         * @param {jQuery}   $button   - Export button element
+         * @param {boolean=} resumable - The export session is kept and can be resumed
          * @returns {void}
          */
-        handleExportError: function (message, $card, $button) {
+        handleExportError: function (message, $card, $button, resumable) {
             const $progressLabel = $card.find('.reports-export-progress-label');
 
             $progressLabel.text(this.i18n('error') + ': ' + message).addClass('error');
+            $card.find('.reports-export-cancel').hide();
+            delete this.exportJobs[$button.data('export-id')];
 
             setTimeout(() => {
                 this.resetExportUI($card, $button);
+
+                if (resumable) {
+                    this.checkStoredExport($card);
+                } else {
+                    this.removeStoredExport($button.data('report-id'), $button.data('export-id'));
+                }
             }, 3000);
         },
 
@@ -1504,9 +6185,326 @@
             const $progressLabel = $card.find('.reports-export-progress-label');
 
             $button.prop('disabled', false);
-            $button.find('.button-text').text(this.i18n('download'));
+            $card.find('.reports-export-format-select').prop('disabled', false);
+            $card.find('.reports-export-cancel').hide();
+            $button.find('.button-text').text(this.getExportButtonText($card, $button));
             $progress.hide();
             $progressLabel.removeClass('error');
+        },
+
+        /* ========================================================================
+         * EXPORT RESUME
+         * ======================================================================== */
+
+        /**
+         * Offer to resume exports interrupted by a failure or a page reload
+         *
+         * @returns {void}
+         */
+        initExports: function () {
+            $('.reports-export-card').each((index, element) => {
+                this.checkStoredExport($(element));
+            });
+        },
+
+        /**
+         * Show the resume notice for a card's stored export, if it still exists on the server
+         *
+         * @param {jQuery} $card - Export card element
+         * @returns {void}
+         */
+        checkStoredExport: function ($card) {
+            const $button = $card.find('.reports-export-button');
+            const reportId = $button.data('report-id');
+            const exportId = $button.data('export-id');
+            const stored = this.getStoredExport(reportId, exportId);
+
+            if (!stored) {
+                return;
+            }
+
+            this.requestExportStatus(stored.token, (status) => {
+                const $notice = $card.find('.reports-export-resume');
+
+                $notice.find('.reports-export-resume-text').text(status.is_complete ?
+                    this.i18n('exportReady') :
+                    this.i18n('interrupted', status.processed_items, status.total_items)
+                );
+                $notice.find('.reports-export-resume-button').text(this.i18n(status.is_complete ? 'downloadExport' : 'resume'));
+                $notice.show();
+            }, () => {
+                this.removeStoredExport(reportId, exportId);
+            });
+        },
+
+        /**
+         * Get the progress of an export session
+         *
+         * @param {string}   exportToken - Export session token
+         * @param {Function} success     - Called with the status response
+         * @param {Function} failure     - Called when the session no longer exists
+         * @returns {void}
+         */
+        requestExportStatus: function (exportToken, success, failure) {
+            $.ajax({
+                url: ReportsAdmin.restUrl + 'export/status',
+                method: 'GET',
+                data: {export_token: exportToken},
+                beforeSend: (xhr) => {
+                    xhr.setRequestHeader('X-WP-Nonce', ReportsAdmin.restNonce);
+                },
+                success: (response) => {
+                    if (response.success) {
+                        success(response);
+                    } else {
+                        failure();
+                    }
+                },
+                error: (xhr) => {
+                    // Keep the stored token on network errors so it can be retried later
+                    if (xhr.status >= 400 && xhr.status < 500) {
+                        failure();
+                    }
+                }
+            });
+        },
+
+        /**
+         * Handle resume click
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onExportResume: function (e) {
+            e.preventDefault();
+
+            const $card = $(e.currentTarget).closest('.reports-export-card');
+            const $button = $card.find('.reports-export-button');
+            const reportId = $button.data('report-id');
+            const exportId = $button.data('export-id');
+            const stored = this.getStoredExport(reportId, exportId);
+
+            $card.find('.reports-export-resume').hide();
+
+            if (!stored) {
+                return;
+            }
+
+            this.requestExportStatus(stored.token, (status) => {
+                if (status.is_complete) {
+                    this.removeStoredExport(reportId, exportId);
+                    window.location.href = status.download_url;
+                    return;
+                }
+
+                const percent = Math.round((status.processed_items / status.total_items) * 100);
+
+                $card.find('.reports-export-format-select').val(status.format).prop('disabled', true);
+                $button.prop('disabled', true);
+                $button.find('.button-text').text(this.i18n('exporting'));
+                $card.find('.reports-export-progress').show();
+                $card.find('.reports-export-progress-fill').css('width', percent + '%');
+                $card.find('.reports-export-progress-percent').text(percent + '%');
+                $card.find('.reports-export-progress-label').text(this.i18n('processing', status.processed_items, status.total_items));
+                $card.find('.reports-export-cancel').show();
+
+                this.exportJobs[exportId] = {token: stored.token, request: null, retryTimer: null, cancelled: false};
+                this.processExportBatches(stored.token, status.total_items, status.batch_size, status.next_batch, $card, $button);
+            }, () => {
+                this.removeStoredExport(reportId, exportId);
+                this.handleExportError(this.i18n('exportExpired'), $card, $button);
+            });
+        },
+
+        /**
+         * Handle discard click on the resume notice
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onExportDiscard: function (e) {
+            e.preventDefault();
+
+            this.discardStoredExport($(e.currentTarget).closest('.reports-export-card'));
+        },
+
+        /**
+         * Cancel a card's stored export on the server and forget it
+         *
+         * @param {jQuery} $card - Export card element
+         * @returns {void}
+         */
+        discardStoredExport: function ($card) {
+            const $button = $card.find('.reports-export-button');
+            const reportId = $button.data('report-id');
+            const exportId = $button.data('export-id');
+            const stored = this.getStoredExport(reportId, exportId);
+
+            $card.find('.reports-export-resume').hide();
+
+            if (stored) {
+                this.cancelExport(stored.token);
+                this.removeStoredExport(reportId, exportId);
+            }
+        },
+
+        /**
+         * Get the localStorage key for an export
+         *
+         * @param {string} reportId - Report identifier
+         * @param {string} exportId - Export identifier
+         * @returns {string}
+         */
+        getExportStorageKey: function (reportId, exportId) {
+            return 'reports_export_' + reportId + '_' + exportId;
+        },
+
+        /**
+         * Remember a running export so it can be resumed after a reload
+         *
+         * @param {string} reportId - Report identifier
+         * @param {string} exportId - Export identifier
+         * @param {Object} data     - Export token and format
+         * @returns {void}
+         */
+        storeExport: function (reportId, exportId, data) {
+            try {
+                window.localStorage.setItem(this.getExportStorageKey(reportId, exportId), JSON.stringify(data));
+            } catch (error) {
+                // Storage unavailable (private mode, quota): exports just can't be resumed after a reload
+            }
+        },
+
+        /**
+         * Get a remembered export
+         *
+         * @param {string} reportId - Report identifier
+         * @param {string} exportId - Export identifier
+         * @returns {Object|null}
+         */
+        getStoredExport: function (reportId, exportId) {
+            try {
+                const data = JSON.parse(window.localStorage.getItem(this.getExportStorageKey(reportId, exportId)) || 'null');
+
+                return data && data.token ? data : null;
+            } catch (error) {
+                return null;
+            }
+        },
+
+        /**
+         * Forget a remembered export
+         *
+         * @param {string} reportId - Report identifier
+         * @param {string} exportId - Export identifier
+         * @returns {void}
+         */
+        removeStoredExport: function (reportId, exportId) {
+            try {
+                window.localStorage.removeItem(this.getExportStorageKey(reportId, exportId));
+            } catch (error) {
+                // Storage unavailable
+            }
+        },
+
+        /* ========================================================================
+         * EXPORT HISTORY
+         * ======================================================================== */
+
+        /**
+         * Load the current user's recent exports into the history panel
+         *
+         * @returns {void}
+         */
+        loadExportHistory: function () {
+            const $history = $('.reports-export-history');
+
+            if (!$history.length) {
+                return;
+            }
+
+            $.ajax({
+                url: ReportsAdmin.restUrl + 'exports',
+                method: 'GET',
+                data: {report_id: $history.data('report-id')},
+                beforeSend: (xhr) => {
+                    xhr.setRequestHeader('X-WP-Nonce', ReportsAdmin.restNonce);
+                },
+                success: (response) => {
+                    if (response.success) {
+                        this.renderExportHistory($history, response.exports || []);
+                    }
+                }
+            });
+        },
+
+        /**
+         * Render recent export rows
+         *
+         * @param {jQuery} $history - History panel element
+         * @param {Array}  exports  - Recent exports, newest first
+         * @returns {void}
+         */
+        renderExportHistory: function ($history, exports) {
+            const $table = $history.find('.reports-export-history-table');
+            const $tbody = $table.find('tbody').empty();
+
+            $table.toggle(exports.length > 0);
+            $history.find('.reports-export-history-empty').toggle(exports.length === 0);
+
+            exports.forEach((item) => {
+                const filters = item.filters.map((filter) => {
+                    return '<span class="reports-export-history-filter">' +
+                        '<strong>' + this.escapeHtml(filter.label) + ':</strong> ' +
+                        this.escapeHtml(filter.value) +
+                        '</span>';
+                }).join('');
+
+                $tbody.append(
+                    '<tr data-export-token="' + this.escapeHtml(item.export_token) + '">' +
+                    '<td><strong>' + this.escapeHtml(item.title) + '</strong> ' +
+                    '<span class="reports-export-history-format">' + this.escapeHtml(item.format) + '</span></td>' +
+                    '<td>' + (filters || '&mdash;') + '</td>' +
+                    '<td>' + this.escapeHtml(item.date_range) + '</td>' +
+                    '<td class="num">' + this.formatNumber(item.rows) + '</td>' +
+                    '<td class="num">' + this.escapeHtml(item.size) + '</td>' +
+                    '<td><span title="' + this.escapeHtml(item.created_date) + '">' + this.escapeHtml(item.created_ago) + '</span></td>' +
+                    '<td class="reports-export-history-actions">' +
+                    '<a href="' + this.escapeHtml(item.download_url) + '" class="button button-small">' + this.escapeHtml(this.i18n('downloadExport')) + '</a> ' +
+                    '<button type="button" class="button-link button-link-delete reports-export-history-delete">' + this.escapeHtml(this.i18n('deleteExport')) + '</button>' +
+                    '</td>' +
+                    '</tr>'
+                );
+            });
+        },
+
+        /**
+         * Handle delete click in the history panel
+         *
+         * @param {Event} e - Click event
+         * @returns {void}
+         */
+        onExportHistoryDelete: function (e) {
+            e.preventDefault();
+
+            if (!window.confirm(this.i18n('confirmDelete'))) {
+                return;
+            }
+
+            const $row = $(e.currentTarget).closest('tr');
+
+            $row.find('button, a').prop('disabled', true).addClass('disabled');
+
+            $.ajax({
+                url: this.getRestUrl('exports', {export_token: $row.data('export-token')}),
+                method: 'DELETE',
+                beforeSend: (xhr) => {
+                    xhr.setRequestHeader('X-WP-Nonce', ReportsAdmin.restNonce);
+                },
+                complete: () => {
+                    this.loadExportHistory();
+                }
+            });
         }
 
     };
@@ -13,12 +13,19 @@ declare( strict_types=1 );
 namespace ArrayPress\RegisterReports;
 
 use ArrayPress\DateUtils\Dates;
+use ArrayPress\RegisterReports\Traits\AlertManager;
 use ArrayPress\RegisterReports\Traits\AssetManager;
+use ArrayPress\RegisterReports\Traits\ChartImage;
 use ArrayPress\RegisterReports\Traits\ComponentRenderer;
 use ArrayPress\RegisterReports\Traits\ConfigParser;
+use ArrayPress\RegisterReports\Traits\DataCache;
 use ArrayPress\RegisterReports\Traits\DateRangeHandler;
 use ArrayPress\RegisterReports\Traits\ExportHandler;
+use ArrayPress\RegisterReports\Traits\LayoutManager;
+use ArrayPress\RegisterReports\Traits\PrintView;
+use ArrayPress\RegisterReports\Traits\ScheduleManager;
 use ArrayPress\RegisterReports\Traits\TabManager;
+use ArrayPress\RegisterReports\Traits\ViewManager;
 
 /**
  * Class Reports
@@ -27,12 +34,19 @@ use ArrayPress\RegisterReports\Traits\TabManager;
  */
 class Reports {
 
+    use AlertManager;
     use AssetManager;
+    use ChartImage;
     use ComponentRenderer;
     use ConfigParser;
+    use DataCache;
     use DateRangeHandler;
     use ExportHandler;
+    use LayoutManager;
+    use PrintView;
+    use ScheduleManager;
     use TabManager;
+    use ViewManager;
 
     /**
      * Unique identifier for this reports page.
@@ -103,6 +117,9 @@ class Reports {
             'show_tabs'        => true,
             'show_date_picker' => true,
             'body_class'       => '',
+            'customizable'     => false, // Let users reorder, resize and hide components
+            'saved_views'      => false, // Let users save, share and switch between named views
+            'email_schedules'  => false, // Let users email snapshots of a tab on a schedule
 
         // Branded header options
             'logo'             => '',
@@ -116,6 +133,21 @@ class Reports {
         // Refresh options
             'auto_refresh'     => 0,     // Seconds between auto-refresh. 0 = disabled
             'show_refresh'     => true,  // Show manual refresh button
+            'live_updates'     => false, // Push changed components over Server-Sent Events (needs auto_refresh)
+
+        // Print options
+            'show_print'       => true,  // Show print button (current tab, or every tab in sequence)
+
+        // Export options
+            'export_retention' => 3600,  // Seconds finished exports are kept for re-download
+
+        // Cache options
+            'cache_flush_on'   => [],    // Action hooks that invalidate cached component data
+
+        // Alert options
+            'alert_schedule'   => 'hourly', // WP-Cron recurrence for checking tile alerts ('' = no scheduled check)
+            'alert_recipients' => [],       // Emails for alerts notified by email (defaults to the admin email)
+            'alert_webhook'    => '',       // URL alerts notified by webhook are posted to as JSON
 
         // Help screen options
             'help_tabs'        => [],
@@ -164,6 +196,35 @@ class Reports {
         // Add body class for styling
         add_filter( 'admin_body_class', [ $this, 'add_body_class' ] );
 
+        // Invalidate cached component data when the underlying data changes
+        foreach ( (array) $this->config['cache_flush_on'] as $hook ) {
+            add_action( $hook, [ $this, 'flush_cache' ], 10, 0 );
+        }
+
+        // Deliver scheduled email snapshots
+        if ( $this->is_schedules_enabled() ) {
+            add_action( 'reports_send_scheduled_email', [ $this, 'handle_scheduled_email' ], 10, 2 );
+        }
+
+        // Check tile alerts on a schedule and show the active ones as admin notices
+        if ( did_action( 'init' ) ) {
+            $this->plan_alert_check();
+        } else {
+            add_action( 'init', [ $this, 'plan_alert_check' ] );
+        }
+
+        add_action( 'reports_check_alerts', [ $this, 'handle_alert_check' ] );
+        add_action( 'admin_notices', [ $this, 'render_alert_notices' ] );
+
+        // Remove expired export files, even when nobody starts another export
+        if ( did_action( 'init' ) ) {
+            $this->plan_export_cleanup();
+        } else {
+            add_action( 'init', [ $this, 'plan_export_cleanup' ] );
+        }
+
+        add_action( 'reports_cleanup_exports', [ $this, 'handle_export_cleanup' ] );
+
         // Fix menu highlight for submenu pages
         if ( ! empty( $this->config['parent_slug'] ) ) {
             add_filter( 'parent_file', [ $this, 'fix_parent_menu_highlight' ] );
@@ -191,6 +252,11 @@ class Reports {
         // Add report-specific class
         $classes .= ' reports-' . $this->id;
 
+        // Full report print view
+        if ( $this->is_print_all() ) {
+            $classes .= ' reports-print-all';
+        }
+
         // Add custom class from config if provided
         if ( ! empty( $this->config['body_class'] ) ) {
             $classes .= ' ' . sanitize_html_class( $this->config['body_class'] );
@@ -264,6 +330,11 @@ class Reports {
         if ( ! empty( $this->config['help_tabs'] ) || ! empty( $this->config['help_sidebar'] ) ) {
             add_action( 'load-' . $this->hook_suffix, [ $this, 'register_help_tabs' ] );
         }
+
+        // Open the user's default view
+        if ( $this->is_views_enabled() ) {
+            add_action( 'load-' . $this->hook_suffix, [ $this, 'maybe_redirect_to_default_view' ] );
+        }
     }
 
     /**
@@ -308,6 +379,7 @@ class Reports {
         // Get current tab and date range
         $current_tab      = $this->get_current_tab();
         $this->date_range = $this->get_current_date_range();
+        $print_all        = $this->is_print_all();
 
         // Add current filter values to date_range for callbacks
         $this->date_range['filters'] = $this->get_current_filters( $current_tab );
@@ -316,43 +388,152 @@ class Reports {
         $this->render_header( $current_tab );
 
         ?>
-        <div class="wrap reports-wrap" data-report-id="<?php echo esc_attr( $this->id ); ?>">
+        <div class="wrap reports-wrap" data-report-id="<?php echo esc_attr( $this->id ); ?>"<?php echo $print_all ? ' data-print="all"' : ''; ?>>
 
             <div class="reports-notices">
                 <?php settings_errors( $this->id . '_notices' ); ?>
             </div>
 
+            <?php $this->render_print_header( $print_all ? '' : $current_tab ); ?>
+
+            <?php if ( $this->is_schedules_enabled() && ! $print_all ) : ?>
+                <?php $this->render_schedules_panel( $current_tab ); ?>
+            <?php endif; ?>
+
             <div class="reports-content">
-                <?php $this->render_tab_content( $current_tab ); ?>
+                <?php if ( $print_all ) : ?>
+                    <?php $this->render_print_tabs(); ?>
+                <?php else : ?>
+                    <?php $this->render_tab_content( $current_tab ); ?>
+                <?php endif; ?>
             </div>
         </div>
         <?php
     }
 
     /**
-     * Get current filter values from URL for a tab.
+     * Get current filter values for a tab.
      *
-     * @param string $tab Tab key.
+     * @param string     $tab    Tab key.
+     * @param array|null $source Request parameters to read from. Defaults to the URL query ($_GET).
      *
      * @return array
      */
-    public function get_current_filters( string $tab ): array {
+    public function get_current_filters( string $tab, ?array $source = null ): array {
         $tab_filters = $this->tabs[ $tab ]['filters'] ?? [];
+        $source      = $source ?? wp_unslash( $_GET );
         $values      = [];
 
         foreach ( $tab_filters as $filter_key => $filter ) {
             $param_name = 'filter_' . $filter_key;
 
-            if ( isset( $_GET[ $param_name ] ) ) {
-                $values[ $filter_key ] = sanitize_text_field( $_GET[ $param_name ] );
+            // An empty value is an explicit choice (a cleared filter), not a missing one
+            if ( isset( $source[ $param_name ] ) ) {
+                $values[ $filter_key ] = $this->sanitize_filter_value( $source[ $param_name ], $filter );
             } else {
-                $values[ $filter_key ] = $filter['default'] ?? '';
+                $values[ $filter_key ] = $this->get_filter_default( $filter );
             }
         }
 
         return $values;
     }
 
+    /**
+     * Sanitize a filter value based on the filter type.
+     *
+     * @param mixed $value  Raw value.
+     * @param array $filter Filter configuration.
+     *
+     * @return mixed String for single-value filters, array for multiselect and number_range.
+     */
+    public function sanitize_filter_value( $value, array $filter ) {
+        switch ( $filter['type'] ?? 'select' ) {
+            case 'multiselect':
+                $values = array_filter( (array) $value, 'is_scalar' );
+                $values = array_filter( array_map( 'sanitize_text_field', $values ), 'strlen' );
+
+                // Static options act as an allow-list
+                if ( ! empty( $filter['options'] ) && empty( $filter['options_callback'] ) ) {
+                    $values = array_intersect( $values, array_map( 'strval', array_keys( $filter['options'] ) ) );
+                }
+
+                return array_values( $values );
+
+            case 'number_range':
+                $value = is_array( $value ) ? $value : [];
+
+                return [
+                        'min' => isset( $value['min'] ) && is_numeric( $value['min'] ) ? $value['min'] + 0 : '',
+                        'max' => isset( $value['max'] ) && is_numeric( $value['max'] ) ? $value['max'] + 0 : '',
+                ];
+
+            case 'date':
+                $value = is_scalar( $value ) ? (string) $value : '';
+
+                return preg_match( '/^\d{4}-\d{2}-\d{2}$/', $value ) ? $value : '';
+
+            default:
+                return is_scalar( $value ) ? sanitize_text_field( (string) $value ) : '';
+        }
+    }
+
+    /**
+     * Get the default value for a filter.
+     *
+     * @param array $filter Filter configuration.
+     *
+     * @return mixed
+     */
+    public function get_filter_default( array $filter ) {
+        switch ( $filter['type'] ?? 'select' ) {
+            case 'multiselect':
+                return array_values( array_map( 'strval', (array) ( $filter['default'] ?? [] ) ) );
+
+            case 'number_range':
+                return wp_parse_args( (array) ( $filter['default'] ?? [] ), [ 'min' => '', 'max' => '' ] );
+
+            default:
+                return $filter['default'] ?? '';
+        }
+    }
+
+    /**
+     * Get the options for a filter.
+     *
+     * Filters with an `options_callback` receive the search term, the value of the
+     * filter they depend on (`depends_on`), values to include (for resolving labels
+     * of selected values) and the current filter values.
+     *
+     * @param array $filter Filter configuration.
+     * @param array $args   Optional. search, parent, include and filters.
+     *
+     * @return array Options as value => label.
+     */
+    public function get_filter_options( array $filter, array $args = [] ): array {
+        $args = wp_parse_args( $args, [
+                'search'  => '',
+                'parent'  => null,
+                'include' => [],
+                'filters' => [],
+        ] );
+
+        if ( ! empty( $filter['options_callback'] ) && is_callable( $filter['options_callback'] ) ) {
+            $options = call_user_func( $filter['options_callback'], $args );
+
+            return is_array( $options ) ? $options : [];
+        }
+
+        $options = $filter['options'] ?? [];
+
+        if ( $args['search'] !== '' ) {
+            $options = array_filter( $options, function ( $label ) use ( $args ) {
+                return stripos( (string) $label, $args['search'] ) !== false;
+            } );
+        }
+
+        return $options;
+    }
+
     /**
      * Render the modern header with optional logo, tabs, and date picker.
      *
@@ -369,7 +550,8 @@ class Reports {
                 : $this->config['page_title'];
         $show_title   = $this->config['show_title'] ?? true;
         $show_refresh = $this->config['show_refresh'] ?? true;
-        $auto_refresh = (int) ( $this->config['auto_refresh'] ?? 0 );
+        $auto_refresh = $this->is_print_all() ? 0 : (int) ( $this->config['auto_refresh'] ?? 0 );
+        $live_updates = ! empty( $this->config['live_updates'] ) && $auto_refresh > 0;
         $tab_filters  = $this->tabs[ $current_tab ]['filters'] ?? [];
 
         $has_title = $show_title && ! empty( $header_title );
@@ -401,6 +583,7 @@ class Reports {
                     <?php if ( $show_refresh || $auto_refresh > 0 ) : ?>
                         <div class="reports-refresh-controls"
                              data-auto-refresh="<?php echo esc_attr( $auto_refresh ); ?>"
+                             data-live-updates="<?php echo $live_updates ? 'true' : 'false'; ?>"
                              data-report-id="<?php echo esc_attr( $this->id ); ?>">
                             <?php if ( $auto_refresh > 0 ) : ?>
                                 <span class="reports-last-updated">
@@ -409,13 +592,31 @@ class Reports {
                             <?php endif; ?>
                             <?php if ( $show_refresh ) : ?>
                                 <button type="button" class="reports-refresh-button"
-                                        title="<?php esc_attr_e( 'Refresh', 'arraypress' ); ?>">
+                                        title="<?php echo $this->has_cached_components()
+                                            ? esc_attr__( 'Refresh (Shift-click to skip the cache)', 'arraypress' )
+                                            : esc_attr__( 'Refresh', 'arraypress' ); ?>">
                                     <span class="dashicons dashicons-update"></span>
                                 </button>
                             <?php endif; ?>
                         </div>
                     <?php endif; ?>
 
+                    <?php if ( $this->is_print_enabled() ) : ?>
+                        <?php $this->render_print_button(); ?>
+                    <?php endif; ?>
+
+                    <?php if ( $this->is_schedules_enabled() && ! $this->is_print_all() ) : ?>
+                        <button type="button" class="button reports-schedules-toggle" aria-expanded="false"
+                                aria-controls="reports-schedules-<?php echo esc_attr( $this->id ); ?>">
+                            <span class="dashicons dashicons-email-alt"></span>
+                            <?php esc_html_e( 'Email', 'arraypress' ); ?>
+                        </button>
+                    <?php endif; ?>
+
+                    <?php if ( $this->is_views_enabled() ) : ?>
+                        <?php $this->render_views_menu(); ?>
+                    <?php endif; ?>
+
                     <?php if ( $this->config['show_date_picker'] ) : ?>
                         <?php $this->render_date_picker(); ?>
                     <?php endif; ?>
@@ -442,7 +643,7 @@ class Reports {
             <?php endif; ?>
 
             <?php if ( ! empty( $tab_filters ) ) : ?>
-                <?php $this->render_filter_bar( $tab_filters ); ?>
+                <?php $this->render_filter_bar( $tab_filters, $current_tab ); ?>
             <?php endif; ?>
         </div>
         <hr class="wp-header-end">
@@ -452,13 +653,14 @@ class Reports {
     /**
      * Render the filter bar for a tab.
      *
-     * @param array $filters Filter configuration.
+     * @param array  $filters Filter configuration.
+     * @param string $tab     Tab key.
      *
      * @return void
      */
-    protected function render_filter_bar( array $filters ): void {
+    protected function render_filter_bar( array $filters, string $tab ): void {
         ?>
-        <div class="reports-filter-bar">
+        <div class="reports-filter-bar" data-tab="<?php echo esc_attr( $tab ); ?>">
             <form class="reports-filter-form" method="get">
                 <?php
                 // Preserve existing params
@@ -484,6 +686,13 @@ class Reports {
                     <?php esc_html_e( 'Filter', 'arraypress' ); ?>
                 </button>
             </form>
+
+            <div class="reports-filter-chips" style="display: none;">
+                <div class="reports-filter-chips-list"></div>
+                <button type="button" class="button-link reports-filter-clear-all">
+                    <?php esc_html_e( 'Clear all', 'arraypress' ); ?>
+                </button>
+            </div>
         </div>
         <?php
     }
@@ -491,6 +700,9 @@ class Reports {
     /**
      * Render a single filter field.
      *
+     * Supported types: select, multiselect, ajax_select, checkbox, text, date and number_range.
+     * Select-based filters can set `depends_on` to reload their options when another filter changes.
+     *
      * @param string $filter_key Filter key.
      * @param array  $filter     Filter configuration.
      *
@@ -500,21 +712,68 @@ class Reports {
         $type          = $filter['type'] ?? 'select';
         $label         = $filter['label'] ?? ucfirst( $filter_key );
         $param_name    = 'filter_' . $filter_key;
-        $current_value = isset( $_GET[ $param_name ] ) ? sanitize_text_field( $_GET[ $param_name ] ) : ( $filter['default'] ?? '' );
+        $current_value = $this->date_range['filters'][ $filter_key ] ?? $this->get_filter_default( $filter );
+        $depends_on    = $filter['depends_on'] ?? '';
+        $option_args   = [
+                'parent'  => $depends_on ? ( $this->date_range['filters'][ $depends_on ] ?? null ) : null,
+                'filters' => $this->date_range['filters'] ?? [],
+        ];
 
         ?>
-        <div class="reports-filter-field reports-filter-<?php echo esc_attr( $type ); ?>">
+        <div class="reports-filter-field reports-filter-<?php echo esc_attr( $type ); ?>"
+             data-filter="<?php echo esc_attr( $filter_key ); ?>"
+             data-filter-type="<?php echo esc_attr( $type ); ?>"
+             data-label="<?php echo esc_attr( $label ); ?>"
+             data-default="<?php echo esc_attr( wp_json_encode( $this->get_filter_default( $filter ) ) ); ?>"
+                <?php if ( $depends_on ) : ?>
+                    data-depends-on="<?php echo esc_attr( $depends_on ); ?>"
+                <?php endif; ?>>
             <label for="<?php echo esc_attr( $param_name ); ?>"><?php echo esc_html( $label ); ?></label>
 
             <?php if ( $type === 'select' ) : ?>
                 <select name="<?php echo esc_attr( $param_name ); ?>" id="<?php echo esc_attr( $param_name ); ?>">
-                    <?php foreach ( $filter['options'] ?? [] as $value => $option_label ) : ?>
-                        <option value="<?php echo esc_attr( $value ); ?>" <?php selected( $current_value, $value ); ?>>
+                    <?php foreach ( $this->get_filter_options( $filter, $option_args ) as $value => $option_label ) : ?>
+                        <option value="<?php echo esc_attr( $value ); ?>" <?php selected( (string) $current_value, (string) $value ); ?>>
                             <?php echo esc_html( $option_label ); ?>
                         </option>
                     <?php endforeach; ?>
                 </select>
 
+            <?php elseif ( $type === 'multiselect' ) : ?>
+                <select name="<?php echo esc_attr( $param_name ); ?>[]"
+                        id="<?php echo esc_attr( $param_name ); ?>"
+                        multiple
+                        size="<?php echo esc_attr( $filter['size'] ?? 4 ); ?>">
+                    <?php foreach ( $this->get_filter_options( $filter, $option_args ) as $value => $option_label ) : ?>
+                        <option value="<?php echo esc_attr( $value ); ?>" <?php selected( in_array( (string) $value, (array) $current_value, true ) ); ?>>
+                            <?php echo esc_html( $option_label ); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+
+            <?php elseif ( $type === 'ajax_select' ) :
+                $selected_label = '';
+
+                if ( $current_value !== '' ) {
+                    $selected = $this->get_filter_options( $filter, array_merge( $option_args, [ 'include' => [ $current_value ] ] ) );
+                    $selected_label = $selected[ $current_value ] ?? $current_value;
+                }
+                ?>
+                <div class="reports-filter-ajax">
+                    <input type="hidden"
+                           name="<?php echo esc_attr( $param_name ); ?>"
+                           class="reports-filter-ajax-value"
+                           value="<?php echo esc_attr( $current_value ); ?>">
+                    <input type="text"
+                           id="<?php echo esc_attr( $param_name ); ?>"
+                           class="reports-filter-ajax-search"
+                           value="<?php echo esc_attr( $selected_label ); ?>"
+                           data-selected-label="<?php echo esc_attr( $selected_label ); ?>"
+                           placeholder="<?php echo esc_attr( $filter['placeholder'] ?? __( 'Search...', 'arraypress' ) ); ?>"
+                           autocomplete="off">
+                    <ul class="reports-filter-ajax-results" style="display: none;"></ul>
+                </div>
+
             <?php elseif ( $type === 'checkbox' ) : ?>
                 <input type="checkbox"
                        name="<?php echo esc_attr( $param_name ); ?>"
@@ -529,6 +788,34 @@ class Reports {
                        value="<?php echo esc_attr( $current_value ); ?>"
                        placeholder="<?php echo esc_attr( $filter['placeholder'] ?? '' ); ?>">
 
+            <?php elseif ( $type === 'date' ) : ?>
+                <input type="date"
+                       name="<?php echo esc_attr( $param_name ); ?>"
+                       id="<?php echo esc_attr( $param_name ); ?>"
+                       value="<?php echo esc_attr( $current_value ); ?>">
+
+            <?php elseif ( $type === 'number_range' ) : ?>
+                <div class="reports-filter-range">
+                    <input type="number"
+                           name="<?php echo esc_attr( $param_name ); ?>[min]"
+                           id="<?php echo esc_attr( $param_name ); ?>"
+                           value="<?php echo esc_attr( $current_value['min'] ?? '' ); ?>"
+                           min="<?php echo esc_attr( $filter['min'] ?? '' ); ?>"
+                           max="<?php echo esc_attr( $filter['max'] ?? '' ); ?>"
+                           step="<?php echo esc_attr( $filter['step'] ?? 'any' ); ?>"
+                           placeholder="<?php esc_attr_e( 'Min', 'arraypress' ); ?>"
+                           aria-label="<?php echo esc_attr( sprintf( /* translators: %s: filter label */ __( '%s minimum', 'arraypress' ), $label ) ); ?>">
+                    <span class="reports-filter-range-separator">&ndash;</span>
+                    <input type="number"
+                           name="<?php echo esc_attr( $param_name ); ?>[max]"
+                           value="<?php echo esc_attr( $current_value['max'] ?? '' ); ?>"
+                           min="<?php echo esc_attr( $filter['min'] ?? '' ); ?>"
+                           max="<?php echo esc_attr( $filter['max'] ?? '' ); ?>"
+                           step="<?php echo esc_attr( $filter['step'] ?? 'any' ); ?>"
+                           placeholder="<?php esc_attr_e( 'Max', 'arraypress' ); ?>"
+                           aria-label="<?php echo esc_attr( sprintf( /* translators: %s: filter label */ __( '%s maximum', 'arraypress' ), $label ) ); ?>">
+                </div>
+
             <?php endif; ?>
         </div>
         <?php
@@ -560,7 +847,7 @@ class Reports {
 
         // Render components
         if ( ! empty( $tab_components ) ) {
-            $this->render_components( $tab_components );
+            $this->render_components( $tab_components, $tab );
         }
 
         // Show empty state if no content
@@ -41,6 +41,31 @@ class RestApi {
 	 */
 	const BATCH_SIZE = 100;
 
+	/**
+	 * Maximum rows per page for server-side tables.
+	 */
+	const TABLE_MAX_PER_PAGE = 500;
+
+	/**
+	 * Seconds a live update stream stays open before the browser reconnects.
+	 */
+	const STREAM_DURATION = 55;
+
+	/**
+	 * Minimum seconds between live update checks.
+	 */
+	const STREAM_MIN_INTERVAL = 5;
+
+	/**
+	 * Minimum seconds between test alerts sent by the same user for a report.
+	 */
+	const ALERT_TEST_INTERVAL = 60;
+
+	/**
+	 * Seconds after which a batch lock left by a request that died is ignored.
+	 */
+	const EXPORT_LOCK_TIMEOUT = 300;
+
 	/**
 	 * Register REST API endpoints.
 	 */
@@ -72,7 +97,184 @@ class RestApi {
 			'methods'             => WP_REST_Server::READABLE,
 			'callback'            => [ __CLASS__, 'get_all_components_data' ],
 			'permission_callback' => [ __CLASS__, 'check_permissions' ],
-			'args'                => self::get_tab_args(),
+			'args'                => array_merge( self::get_tab_args(), [
+				'hashes' => [ 'type' => 'object', 'default' => [], 'sanitize_callback' => [ __CLASS__, 'sanitize_component_hashes' ] ],
+			] ),
+		] );
+
+		// Stream changed components for a tab (Server-Sent Events)
+		register_rest_route( self::NAMESPACE, '/stream', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ __CLASS__, 'stream_components' ],
+			'permission_callback' => [ __CLASS__, 'check_permissions' ],
+			'args'                => array_merge( self::get_tab_args(), [
+				'last_event_id' => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
+			] ),
+		] );
+
+		// Get options for a tab filter (searchable and dependent filters)
+		register_rest_route( self::NAMESPACE, '/filter-options', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ __CLASS__, 'get_filter_options' ],
+			'permission_callback' => [ __CLASS__, 'check_permissions' ],
+			'args'                => self::get_filter_options_args(),
+		] );
+
+		// Get a single page of a server-side table
+		register_rest_route( self::NAMESPACE, '/table', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ __CLASS__, 'get_table_data' ],
+			'permission_callback' => [ __CLASS__, 'check_permissions' ],
+			'args'                => self::get_table_args(),
+		] );
+
+		// Get a nested drill-down level of a chart
+		register_rest_route( self::NAMESPACE, '/chart-drilldown', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ __CLASS__, 'get_chart_drilldown' ],
+			'permission_callback' => [ __CLASS__, 'check_permissions' ],
+			'args'                => self::get_chart_drilldown_args(),
+		] );
+
+		// Save or reset the current user's layout for a tab
+		register_rest_route( self::NAMESPACE, '/layout', [
+			[
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => [ __CLASS__, 'save_layout' ],
+				'permission_callback' => [ __CLASS__, 'check_permissions' ],
+				'args'                => self::get_layout_args(),
+			],
+			[
+				'methods'             => WP_REST_Server::DELETABLE,
+				'callback'            => [ __CLASS__, 'reset_layout' ],
+				'permission_callback' => [ __CLASS__, 'check_permissions' ],
+				'args'                => [
+					'report_id' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+					'tab'       => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+				],
+			],
+		] );
+
+		// List and create saved views
+		register_rest_route( self::NAMESPACE, '/views', [
+			[
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => [ __CLASS__, 'get_views' ],
+				'permission_callback' => [ __CLASS__, 'check_permissions' ],
+				'args'                => [
+					'report_id' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+				],
+			],
+			[
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => [ __CLASS__, 'create_view' ],
+				'permission_callback' => [ __CLASS__, 'check_permissions' ],
+				'args'                => array_merge( self::get_view_args(), [
+					'name' => [ 'required' => true, 'type' => 'string', 'minLength' => 1, 'maxLength' => 100, 'sanitize_callback' => 'sanitize_text_field' ],
+				] ),
+			],
+		] );
+
+		// Update (rename, share, make default) and delete a saved view
+		register_rest_route( self::NAMESPACE, '/views/(?P<view_id>[a-z0-9]+)', [
+			[
+				'methods'             => WP_REST_Server::EDITABLE,
+				'callback'            => [ __CLASS__, 'update_view' ],
+				'permission_callback' => [ __CLASS__, 'check_permissions' ],
+				'args'                => array_merge( self::get_view_args(), [
+					'name'       => [ 'type' => 'string', 'minLength' => 1, 'maxLength' => 100, 'sanitize_callback' => 'sanitize_text_field' ],
+					'is_default' => [ 'type' => 'boolean' ],
+				] ),
+			],
+			[
+				'methods'             => WP_REST_Server::DELETABLE,
+				'callback'            => [ __CLASS__, 'delete_view' ],
+				'permission_callback' => [ __CLASS__, 'check_permissions' ],
+				'args'                => [
+					'report_id' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+				],
+			],
+		] );
+
+		// List and create scheduled emails
+		register_rest_route( self::NAMESPACE, '/schedules', [
+			[
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => [ __CLASS__, 'get_schedules' ],
+				'permission_callback' => [ __CLASS__, 'check_permissions' ],
+				'args'                => [
+					'report_id' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+				],
+			],
+			[
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => [ __CLASS__, 'create_schedule' ],
+				'permission_callback' => [ __CLASS__, 'check_permissions' ],
+				'args'                => array_merge( self::get_schedule_args(), [
+					'name'       => [ 'required' => true, 'type' => 'string', 'minLength' => 1, 'maxLength' => 100, 'sanitize_callback' => 'sanitize_text_field' ],
+					'tab'        => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+					'recipients' => [ 'required' => true, 'type' => 'array', 'minItems' => 1, 'items' => [ 'type' => 'string' ] ],
+				] ),
+			],
+		] );
+
+		// Update (including pause and resume) and delete a scheduled email
+		register_rest_route( self::NAMESPACE, '/schedules/(?P<schedule_id>[a-z0-9]+)', [
+			[
+				'methods'             => WP_REST_Server::EDITABLE,
+				'callback'            => [ __CLASS__, 'update_schedule' ],
+				'permission_callback' => [ __CLASS__, 'check_permissions' ],
+				'args'                => self::get_schedule_args(),
+			],
+			[
+				'methods'             => WP_REST_Server::DELETABLE,
+				'callback'            => [ __CLASS__, 'delete_schedule' ],
+				'permission_callback' => [ __CLASS__, 'check_permissions' ],
+				'args'                => [
+					'report_id' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+				],
+			],
+		] );
+
+		// Send a scheduled email to the current user now
+		register_rest_route( self::NAMESPACE, '/schedules/(?P<schedule_id>[a-z0-9]+)/test', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'send_schedule_test' ],
+			'permission_callback' => [ __CLASS__, 'check_permissions' ],
+			'args'                => [
+				'report_id' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			],
+		] );
+
+		// List the active tile alerts
+		register_rest_route( self::NAMESPACE, '/alerts', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ __CLASS__, 'get_alerts' ],
+			'permission_callback' => [ __CLASS__, 'check_permissions' ],
+			'args'                => [
+				'report_id' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			],
+		] );
+
+		// Run the alert check now, notifying alerts that started triggering
+		register_rest_route( self::NAMESPACE, '/alerts/check', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'check_alerts' ],
+			'permission_callback' => [ __CLASS__, 'check_permissions' ],
+			'args'                => [
+				'report_id' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			],
+		] );
+
+		// Send a test alert through the email and webhook channels
+		register_rest_route( self::NAMESPACE, '/alerts/test', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'send_alert_test' ],
+			'permission_callback' => [ __CLASS__, 'check_permissions' ],
+			'args'                => [
+				'report_id' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+				'channels'  => [ 'type' => 'array', 'items' => [ 'type' => 'string', 'enum' => [ 'email', 'webhook' ] ], 'default' => [] ],
+			],
 		] );
 
 		// Start export
@@ -90,6 +292,40 @@ class RestApi {
 			'permission_callback' => [ __CLASS__, 'check_batch_permissions' ],
 			'args'                => self::get_export_batch_args(),
 		] );
+
+		// Get export progress (for resuming an interrupted export)
+		register_rest_route( self::NAMESPACE, '/export/status', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ __CLASS__, 'get_export_status' ],
+			'permission_callback' => [ __CLASS__, 'check_batch_permissions' ],
+			'args'                => self::get_export_token_args(),
+		] );
+
+		// Cancel export and delete the partial file
+		register_rest_route( self::NAMESPACE, '/export/cancel', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'cancel_export' ],
+			'permission_callback' => [ __CLASS__, 'check_batch_permissions' ],
+			'args'                => self::get_export_token_args(),
+		] );
+
+		// List and delete the current user's recent exports
+		register_rest_route( self::NAMESPACE, '/exports', [
+			[
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => [ __CLASS__, 'get_export_history' ],
+				'permission_callback' => [ __CLASS__, 'check_permissions' ],
+				'args'                => [
+					'report_id' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+				],
+			],
+			[
+				'methods'             => WP_REST_Server::DELETABLE,
+				'callback'            => [ __CLASS__, 'delete_export' ],
+				'permission_callback' => [ __CLASS__, 'check_batch_permissions' ],
+				'args'                => self::get_export_token_args(),
+			],
+		] );
 	}
 
 	/**
@@ -102,6 +338,7 @@ class RestApi {
 			'date_preset'  => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
 			'date_start'   => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
 			'date_end'     => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
+			'bypass_cache' => [ 'type' => 'boolean', 'default' => false ],
 		];
 	}
 
@@ -109,312 +346,1276 @@ class RestApi {
 	 * Get tab endpoint args.
 	 */
 	private static function get_tab_args(): array {
+		return [
+			'report_id'    => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'tab'          => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'date_preset'  => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'date_start'   => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
+			'date_end'     => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
+			'bypass_cache' => [ 'type' => 'boolean', 'default' => false ],
+		];
+	}
+
+	/**
+	 * Get layout endpoint args.
+	 */
+	private static function get_layout_args(): array {
+		return [
+			'report_id' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'tab'       => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'order'     => [ 'type' => 'array', 'default' => [], 'items' => [ 'type' => 'string' ] ],
+			'widths'    => [ 'type' => 'object', 'default' => [], 'additionalProperties' => [ 'type' => 'string' ] ],
+			'hidden'    => [ 'type' => 'array', 'default' => [], 'items' => [ 'type' => 'string' ] ],
+		];
+	}
+
+	/**
+	 * Get saved view endpoint args.
+	 */
+	private static function get_view_args(): array {
+		return [
+			'report_id' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'shared'    => [ 'type' => 'boolean' ],
+			'state'     => [
+				'type'       => 'object',
+				'properties' => [
+					'tab'         => [ 'type' => 'string' ],
+					'date_preset' => [ 'type' => 'string' ],
+					'date_start'  => [ 'type' => 'string' ],
+					'date_end'    => [ 'type' => 'string' ],
+					'filters'     => [ 'type' => 'object' ],
+				],
+			],
+		];
+	}
+
+	/**
+	 * Get scheduled email endpoint args.
+	 */
+	private static function get_schedule_args(): array {
+		return [
+			'report_id'   => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'name'        => [ 'type' => 'string', 'minLength' => 1, 'maxLength' => 100, 'sanitize_callback' => 'sanitize_text_field' ],
+			'tab'         => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'date_preset' => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'filters'     => [ 'type' => 'object' ],
+			'frequency'   => [ 'type' => 'string', 'enum' => [ 'daily', 'weekly', 'monthly' ] ],
+			'day'         => [ 'type' => 'integer', 'minimum' => 0, 'maximum' => 28 ],
+			'time'        => [ 'type' => 'string', 'pattern' => '^([01][0-9]|2[0-3]):[0-5][0-9]$' ],
+			'recipients'  => [ 'type' => 'array', 'minItems' => 1, 'items' => [ 'type' => 'string' ] ],
+			'exports'     => [ 'type' => 'array', 'items' => [ 'type' => 'string' ] ],
+			'enabled'     => [ 'type' => 'boolean' ],
+		];
+	}
+
+	/**
+	 * Get table endpoint args.
+	 */
+	private static function get_table_args(): array {
+		return [
+			'report_id'    => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'component_id' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'date_preset'  => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'date_start'   => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
+			'date_end'     => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
+			'page'         => [ 'type' => 'integer', 'default' => 1, 'minimum' => 1 ],
+			'per_page'     => [ 'type' => 'integer', 'minimum' => 1, 'maximum' => self::TABLE_MAX_PER_PAGE ],
+			'orderby'      => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'order'        => [ 'type' => 'string', 'default' => 'asc', 'enum' => [ 'asc', 'desc' ] ],
+			'search'       => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
+			'bypass_cache' => [ 'type' => 'boolean', 'default' => false ],
+		];
+	}
+
+	/**
+	 * Get chart drill-down endpoint args.
+	 */
+	private static function get_chart_drilldown_args(): array {
+		return [
+			'report_id'    => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'component_id' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'date_preset'  => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'date_start'   => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
+			'date_end'     => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
+			'path'         => [ 'required' => true, 'type' => 'array', 'items' => [ 'type' => 'string' ] ],
+		];
+	}
+
+	/**
+	 * Get filter options endpoint args.
+	 */
+	private static function get_filter_options_args(): array {
+		return [
+			'report_id' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'tab'       => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'filter'    => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'search'    => [ 'type' => 'string', 'default' => '', 'sanitize_callback' => 'sanitize_text_field' ],
+			'parent'    => [ 'default' => '' ],
+			'include'   => [ 'type' => 'array', 'default' => [], 'items' => [ 'type' => 'string' ] ],
+		];
+	}
+
+	/**
+	 * Get export start endpoint args.
+	 */
+	private static function get_export_start_args(): array {
 		return [
 			'report_id'   => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
-			'tab'         => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+			'export_id'   => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
 			'date_preset' => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
 			'date_start'  => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
 			'date_end'    => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
+			'filters'     => [ 'type' => 'object', 'default' => [] ],
+			'format'      => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
+		];
+	}
+
+	/**
+	 * Get export batch endpoint args.
+	 */
+	private static function get_export_batch_args(): array {
+		return [
+			'export_token' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
+			'batch'        => [ 'required' => true, 'type' => 'integer' ],
+		];
+	}
+
+	/**
+	 * Get export status and cancel endpoint args.
+	 */
+	private static function get_export_token_args(): array {
+		return [
+			'export_token' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
 		];
 	}
 
 	/**
-	 * Get export start endpoint args.
+	 * Check permissions for REST API access.
+	 */
+	public static function check_permissions( WP_REST_Request $request ) {
+		$report_id = $request->get_param( 'report_id' );
+		$report    = Registry::instance()->get( $report_id );
+
+		if ( ! $report ) {
+			return new WP_Error( 'invalid_report', __( 'Invalid report ID.', 'arraypress' ), [ 'status' => 404 ] );
+		}
+
+		$capability = $report->get_config( 'capability', 'manage_options' );
+
+		if ( ! current_user_can( $capability ) ) {
+			return new WP_Error( 'rest_forbidden', __( 'Permission denied.', 'arraypress' ), [ 'status' => 403 ] );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check permissions for batch export requests.
+	 */
+	public static function check_batch_permissions( WP_REST_Request $request ) {
+		$export_token = $request->get_param( 'export_token' );
+		$config       = get_transient( 'reports_export_' . $export_token );
+
+		if ( ! $config ) {
+			return new WP_Error( 'invalid_export', __( 'Export session expired.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		$report = Registry::instance()->get( $config['report_id'] );
+
+		if ( ! $report ) {
+			return new WP_Error( 'invalid_report', __( 'Invalid report.', 'arraypress' ), [ 'status' => 404 ] );
+		}
+
+		// Export tokens belong to the user who started the export
+		if ( isset( $config['user_id'] ) && (int) $config['user_id'] !== get_current_user_id() ) {
+			return new WP_Error( 'rest_forbidden', __( 'Permission denied.', 'arraypress' ), [ 'status' => 403 ] );
+		}
+
+		$capability = $report->get_config( 'capability', 'manage_options' );
+
+		return current_user_can( $capability ) ? true : new WP_Error( 'rest_forbidden', __( 'Permission denied.', 'arraypress' ), [ 'status' => 403 ] );
+	}
+
+	/**
+	 * Get component data.
+	 */
+	public static function get_component_data( WP_REST_Request $request ) {
+		$report_id    = $request->get_param( 'report_id' );
+		$component_id = $request->get_param( 'component_id' );
+		$report       = Registry::instance()->get( $report_id );
+
+		$date_range = self::get_date_range_from_request( $request, $report );
+		$component  = $report->find_component_config( $component_id );
+
+		if ( ! $component ) {
+			return new WP_Error( 'invalid_component', __( 'Invalid component.', 'arraypress' ), [ 'status' => 404 ] );
+		}
+
+		$date_range['filters'] = self::get_filters_from_request( $request, $report, $component['tab'] );
+
+		$report->set_bypass_cache( (bool) $request->get_param( 'bypass_cache' ) );
+
+		// Tile groups have no callback of their own; each tile is loaded separately
+		if ( ( $component['type'] ?? '' ) === 'tiles_group' ) {
+			$tiles = self::build_tiles_group_data( $report, $component_id, $component, $date_range );
+
+			return new WP_REST_Response( [
+				'success'   => true,
+				'type'      => 'tiles_group',
+				'component' => [
+					'type'  => 'tiles_group',
+					'tiles' => $tiles,
+				],
+				'hashes'    => self::get_component_hashes( $tiles ),
+				'cache'     => array_intersect_key( $report->get_cache_ages(), $tiles ),
+			] );
+		}
+
+		$callback = $component['data_callback'] ?? null;
+
+		if ( ! $callback || ! is_callable( $callback ) ) {
+			return new WP_Error( 'invalid_callback', __( 'No data callback.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		try {
+			$data      = $report->get_component_data( $component_id, $component, $date_range );
+			$formatted = self::format_component_data( $report, $component_id, $component, $data, $date_range );
+
+			return new WP_REST_Response( [
+				'success'   => true,
+				'data'      => $data,
+				'type'      => $component['type'] ?? 'unknown',
+				'component' => $formatted,
+				'hashes'    => self::get_component_hashes( [ $component_id => $formatted ] ),
+				'cache'     => array_intersect_key( $report->get_cache_ages(), [ $component_id => true ] ),
+			] );
+		} catch ( Exception $e ) {
+			return new WP_Error( 'callback_error', $e->getMessage(), [ 'status' => 500 ] );
+		}
+	}
+
+	/**
+	 * Get all components data for refresh.
+	 *
+	 * Returns data in a format optimized for JS refresh. Lazy components are
+	 * skipped; the browser loads them individually via the component endpoint.
+	 *
+	 * The response carries a content hash per component and an ETag for the
+	 * whole tab. When the request sends the hashes it already has, only the
+	 * components whose hash differs are returned; a matching `If-None-Match`
+	 * header, or no changes at all, gets a 304 with no body.
+	 *
+	 * `cache` lists the age in seconds of component data served from the
+	 * server-side cache; `bypass_cache` skips the cache for this request.
+	 */
+	public static function get_all_components_data( WP_REST_Request $request ) {
+		$report_id = $request->get_param( 'report_id' );
+		$tab       = $request->get_param( 'tab' );
+		$report    = Registry::instance()->get( $report_id );
+
+		if ( ! $report ) {
+			return new WP_Error( 'invalid_report', __( 'Invalid report.', 'reports' ), [ 'status' => 404 ] );
+		}
+
+		$date_range     = self::get_date_range_from_request( $request, $report );
+		$all_components = $report->get_components();
+
+		// If no tab specified, use first tab
+		if ( empty( $tab ) ) {
+			$tabs = $report->get_tabs();
+			$tab  = array_key_first( $tabs );
+		}
+
+		if ( ! isset( $all_components[ $tab ] ) ) {
+			return new WP_Error( 'invalid_tab', __( 'Invalid tab.', 'reports' ), [ 'status' => 404 ] );
+		}
+
+		$date_range['filters'] = self::get_filters_from_request( $request, $report, $tab );
+
+		$report->set_bypass_cache( (bool) $request->get_param( 'bypass_cache' ) );
+
+		// Components the user has hidden are lazy, so their callbacks are skipped
+		$components      = $report->apply_user_layout( $all_components[ $tab ], $tab );
+		$components_data = self::build_tab_components_data( $report, $components, $date_range );
+		$hashes          = self::get_component_hashes( $components_data );
+		$etag            = '"' . md5( (string) wp_json_encode( [ $hashes, $date_range ] ) ) . '"';
+		$known           = self::get_known_hashes( $request, $hashes );
+
+		// Hashes the browser already has for components that are still identical
+		$unchanged = array_intersect_assoc( $hashes, $known );
+
+		if ( $request->get_header( 'if-none-match' ) === $etag || ( ! empty( $known ) && count( $unchanged ) === count( $hashes ) ) ) {
+			$response = new WP_REST_Response( null, 304 );
+			$response->header( 'ETag', $etag );
+
+			return $response;
+		}
+
+		$response = new WP_REST_Response( [
+			'success'      => true,
+			'components'   => array_diff_key( $components_data, $unchanged ),
+			'hashes'       => $hashes,
+			'cache'        => array_intersect_key( $report->get_cache_ages(), $hashes ),
+			'date_range'   => $date_range,
+			'period_label' => $report->get_period_label( $date_range ),
+		] );
+		$response->header( 'ETag', $etag );
+
+		return $response;
+	}
+
+	/**
+	 * Get content hashes for component data.
+	 *
+	 * @param array $components_data Component data keyed by component ID.
+	 *
+	 * @return array MD5 hashes keyed by component ID.
+	 */
+	private static function get_component_hashes( array $components_data ): array {
+		return array_map( function ( $data ) {
+			return md5( (string) wp_json_encode( $data ) );
+		}, $components_data );
+	}
+
+	/**
+	 * Sanitize the component hashes sent with a refresh request.
+	 *
+	 * Component IDs are kept as sent (they may contain uppercase letters) and
+	 * matched against the registered components later; only valid MD5 hashes
+	 * are kept.
+	 *
+	 * @param mixed $value Hashes keyed by component ID.
+	 *
+	 * @return array
+	 */
+	public static function sanitize_component_hashes( $value ): array {
+		$hashes = [];
+
+		foreach ( (array) $value as $component_id => $hash ) {
+			if ( is_string( $hash ) && preg_match( '/^[a-f0-9]{32}$/', $hash ) ) {
+				$hashes[ (string) $component_id ] = $hash;
+			}
+		}
+
+		return $hashes;
+	}
+
+	/**
+	 * Get the component hashes a refresh request says the browser already has.
+	 *
+	 * @param WP_REST_Request $request The REST request.
+	 * @param array           $hashes  Current hashes keyed by registered component ID.
+	 *
+	 * @return array MD5 hashes keyed by component ID, for the components in `$hashes`.
+	 */
+	private static function get_known_hashes( WP_REST_Request $request, array $hashes ): array {
+		return array_intersect_key( (array) $request->get_param( 'hashes' ), $hashes );
+	}
+
+	/**
+	 * Get refresh data for a tab's components.
+	 *
+	 * Lazy components and server-side tables are skipped; they load through
+	 * their own endpoints.
+	 *
+	 * @param Reports $report     The report instance.
+	 * @param array   $components Tab components keyed by component ID.
+	 * @param array   $date_range Date range (with filters).
+	 *
+	 * @return array Component data keyed by component ID.
+	 */
+	private static function build_tab_components_data( Reports $report, array $components, array $date_range ): array {
+		$components_data = [];
+
+		foreach ( $components as $component_id => $component ) {
+			$callback = $component['data_callback'] ?? null;
+			$type     = $component['type'] ?? 'unknown';
+
+			if ( ! empty( $component['lazy'] ) ) {
+				continue;
+			}
+
+			// Also process tiles within tiles_group components
+			if ( $type === 'tiles_group' ) {
+				$components_data += self::build_tiles_group_data( $report, $component_id, $component, $date_range );
+				continue;
+			}
+
+			if ( ! $callback || ! is_callable( $callback ) ) {
+				continue;
+			}
+
+			// Server-side tables keep their own page state and refresh via the table endpoint
+			if ( $type === 'table' && ! empty( $component['server_side'] ) ) {
+				continue;
+			}
+
+			try {
+				$raw_data = $report->get_component_data( $component_id, $component, $date_range );
+
+				$components_data[ $component_id ] = self::format_component_data( $report, $component_id, $component, $raw_data, $date_range );
+			} catch ( Exception $e ) {
+				$components_data[ $component_id ] = [
+					'type'  => $type,
+					'error' => $e->getMessage(),
+				];
+			}
+		}
+
+		return $components_data;
+	}
+
+	/**
+	 * Stream changed components for a tab as Server-Sent Events.
+	 *
+	 * Checks the tab's components every `auto_refresh` seconds and emits a
+	 * `components` event holding only the components whose data changed, or a
+	 * `ping` event when nothing did. The stream closes before the next check
+	 * would pass STREAM_DURATION seconds, telling the browser to reconnect when
+	 * that check is due. The browser sends the last event ID, so the comparison
+	 * carries on from the data it already has and a reconnect never checks
+	 * sooner than one interval after the previous check.
+	 */
+	public static function stream_components( WP_REST_Request $request ) {
+		$report = Registry::instance()->get( $request->get_param( 'report_id' ) );
+		$tab    = $request->get_param( 'tab' );
+
+		$all_components = $report->get_components();
+
+		if ( ! isset( $all_components[ $tab ] ) ) {
+			return new WP_Error( 'invalid_tab', __( 'Invalid tab.', 'reports' ), [ 'status' => 404 ] );
+		}
+
+		$date_range            = self::get_date_range_from_request( $request, $report );
+		$date_range['filters'] = self::get_filters_from_request( $request, $report, $tab );
+
+		// Components the user has hidden are lazy, so their callbacks are skipped
+		$components = $report->apply_user_layout( $all_components[ $tab ], $tab );
+
+		$interval = max( self::STREAM_MIN_INTERVAL, (int) $report->get_config( 'auto_refresh', 0 ) );
+		$context  = md5( wp_json_encode( [ $report->get_id(), $tab, $date_range ] ) );
+
+		// Resume from the hashes sent on the previous connection, if they match this context
+		$last_event_id = $request->get_header( 'last-event-id' ) ?: $request->get_param( 'last_event_id' );
+		$stream_id     = '';
+		$sequence      = 0;
+		$hashes        = null;
+		$next_check    = time();
+
+		if ( $last_event_id && preg_match( '/^([A-Za-z0-9]{12}):(\d+)$/', $last_event_id, $matches ) ) {
+			$state = get_transient( 'reports_stream_' . $matches[1] );
+
+			if ( is_array( $state ) && $state['user_id'] === get_current_user_id() && $state['context'] === $context ) {
+				$stream_id  = $matches[1];
+				$sequence   = (int) $matches[2];
+				$hashes     = $state['hashes'];
+				$next_check = (int) ( $state['checked'] ?? 0 ) + $interval;
+			}
+		}
+
+		if ( ! $stream_id ) {
+			$stream_id = wp_generate_password( 12, false );
+		}
+
+		// Long-running response: send events as they are written
+		if ( function_exists( 'set_time_limit' ) ) {
+			set_time_limit( self::STREAM_DURATION + 30 );
+		}
+
+		while ( ob_get_level() > 0 ) {
+			ob_end_flush();
+		}
+
+		header( 'Content-Type: text/event-stream; charset=utf-8' );
+		header( 'Cache-Control: no-cache, no-store' );
+		header( 'X-Accel-Buffering: no' );
+
+		echo "retry: 3000\n\n";
+		flush();
+
+		$started = time();
+
+		while ( ! connection_aborted() ) {
+			$wait = $next_check - time();
+
+			if ( $wait > 0 ) {
+				// Close rather than hold the worker past STREAM_DURATION; reconnect when the check is due
+				if ( time() - $started + $wait > self::STREAM_DURATION ) {
+					echo 'retry: ' . ( $wait * 1000 ) . "\n\n";
+					flush();
+					break;
+				}
+
+				sleep( $wait );
+			}
+
+			$next_check = time() + $interval;
+
+			// Callbacks must see fresh data, not values cached earlier in this request
+			if ( function_exists( 'wp_cache_flush_runtime' ) ) {
+				wp_cache_flush_runtime();
+			}
+
+			$components_data = self::build_tab_components_data( $report, $components, $date_range );
+			$current_hashes  = self::get_component_hashes( $components_data );
+
+			$sequence ++;
+
+			if ( $hashes === null ) {
+				// First connection: the page already shows this data
+				self::send_stream_event( $stream_id . ':' . $sequence, 'ready', [] );
+			} else {
+				$changed = array_diff_key( $components_data, array_intersect_assoc( $current_hashes, $hashes ) );
+
+				if ( ! empty( $changed ) ) {
+					self::send_stream_event( $stream_id . ':' . $sequence, 'components', [
+						'components'   => $changed,
+						'hashes'       => array_intersect_key( $current_hashes, $changed ),
+						'cache'        => array_intersect_key( $report->get_cache_ages(), $changed ),
+						'period_label' => $report->get_period_label( $date_range ),
+					] );
+				} else {
+					self::send_stream_event( $stream_id . ':' . $sequence, 'ping', [] );
+				}
+			}
+
+			$hashes = $current_hashes;
+
+			set_transient( 'reports_stream_' . $stream_id, [
+				'user_id' => get_current_user_id(),
+				'context' => $context,
+				'hashes'  => $hashes,
+				'checked' => $next_check - $interval,
+			], max( 5 * MINUTE_IN_SECONDS, 2 * $interval ) );
+		}
+
+		exit;
+	}
+
+	/**
+	 * Write a single Server-Sent Event and flush it to the browser.
+	 *
+	 * @param string $id    Event ID ("{stream}:{sequence}").
+	 * @param string $event Event name.
+	 * @param array  $data  Event payload, sent as JSON.
+	 *
+	 * @return void
+	 */
+	private static function send_stream_event( string $id, string $event, array $data ): void {
+		echo 'id: ' . $id . "\n";
+		echo 'event: ' . $event . "\n";
+		echo 'data: ' . wp_json_encode( $data ) . "\n\n";
+
+		flush();
+	}
+
+	/**
+	 * Shape a component's callback data for the JavaScript updaters.
+	 *
+	 * @param Reports $report       The report instance.
+	 * @param string  $component_id Component ID.
+	 * @param array   $component    Component configuration.
+	 * @param mixed   $raw_data     Data returned by the component's data callback.
+	 * @param array   $date_range   Date range (with filters) the data was fetched for.
+	 *
+	 * @return array
+	 */
+	private static function format_component_data( Reports $report, string $component_id, array $component, $raw_data, array $date_range ): array {
+		$type = $component['type'] ?? 'unknown';
+
+		switch ( $type ) {
+			case 'tile':
+				return self::format_tile_data( $report, $component_id, $component, (array) $raw_data, $date_range );
+
+			case 'chart':
+				return [
+					'type'       => 'chart',
+					'labels'     => $raw_data['labels'] ?? [],
+					'datasets'   => $raw_data['datasets'] ?? [],
+					'keys'       => $raw_data['keys'] ?? [],
+					'comparison' => $report->get_chart_comparison_data( $component, $date_range, $component_id ),
+				];
+
+			case 'table':
+				$rows = $raw_data['rows'] ?? $raw_data ?? [];
+
+				return [
+					'type'      => 'table',
+					'rows'      => $rows,
+					'formatted' => $report->format_table_rows( $component, (array) $rows ),
+				];
+
+			default:
+				return [
+					'type' => $type,
+					'data' => $raw_data,
+				];
+		}
+	}
+
+	/**
+	 * Shape a tile's callback data, calculating the change from the previous value.
+	 *
+	 * @param Reports $report     The report instance.
+	 * @param string  $tile_id    Tile component ID.
+	 * @param array   $tile       Tile configuration.
+	 * @param array   $raw_data   Data returned by the tile's data callback.
+	 * @param array   $date_range Date range (with filters) the data was fetched for.
+	 *
+	 * @return array
+	 */
+	private static function format_tile_data( Reports $report, string $tile_id, array $tile, array $raw_data, array $date_range ): array {
+		$value = $raw_data['value'] ?? 0;
+
+		[ $change, $change_direction ] = $report->get_tile_change( $raw_data );
+
+		// Format value (same formatter as the server-rendered tile)
+		$formatted = $report->format_value( $value, $tile['value_format'] ?? 'number', $tile );
+
+		return [
+			'type'             => 'tile',
+			'value'            => $value,
+			'formatted_value'  => $formatted,
+			'change'           => $change,
+			'change_direction' => $change_direction,
+			'alerts'           => $report->get_tile_alerts_data( $tile, $raw_data ),
+			'sparkline'        => $report->get_tile_sparkline_data( $tile_id, $tile, $date_range ),
+			'target'           => $report->get_tile_target_data( $tile_id, $tile, $raw_data, $date_range ),
+		];
+	}
+
+	/**
+	 * Get data for every tile in a tiles_group component.
+	 *
+	 * @param Reports $report       The report instance.
+	 * @param string  $component_id Group component ID.
+	 * @param array   $component    Group component configuration.
+	 * @param array   $date_range   Date range (with filters).
+	 *
+	 * @return array Tile data keyed by full tile ID ("{group}_{tile}").
+	 */
+	private static function build_tiles_group_data( Reports $report, string $component_id, array $component, array $date_range ): array {
+		$tiles_data = [];
+
+		foreach ( $component['tiles'] ?? [] as $tile_id => $tile ) {
+			$tile_callback = $tile['data_callback'] ?? null;
+			if ( ! $tile_callback || ! is_callable( $tile_callback ) ) {
+				continue;
+			}
+
+			$full_tile_id = $component_id . '_' . $tile_id;
+
+			// Tiles use the group's cache settings unless they set their own
+			$tile += [ 'cache' => $component['cache'] ?? 0 ];
+
+			try {
+				$raw_data = $report->get_component_data( $full_tile_id, $tile, $date_range );
+
+				$tiles_data[ $full_tile_id ] = self::format_tile_data( $report, $full_tile_id, $tile, (array) $raw_data, $date_range );
+			} catch ( Exception $e ) {
+				$tiles_data[ $full_tile_id ] = [
+					'type'  => 'tile',
+					'error' => $e->getMessage(),
+				];
+			}
+		}
+
+		return $tiles_data;
+	}
+
+	/**
+	 * Get options for a tab filter.
+	 *
+	 * Used by searchable (ajax_select) filters and filters that depend on another filter's value.
+	 */
+	public static function get_filter_options( WP_REST_Request $request ) {
+		$report     = Registry::instance()->get( $request->get_param( 'report_id' ) );
+		$tab        = $request->get_param( 'tab' );
+		$filter_key = $request->get_param( 'filter' );
+		$filters    = $report->get_tab( $tab )['filters'] ?? [];
+		$filter     = $filters[ $filter_key ] ?? null;
+
+		if ( ! $filter ) {
+			return new WP_Error( 'invalid_filter', __( 'Invalid filter.', 'arraypress' ), [ 'status' => 404 ] );
+		}
+
+		// Sanitize the parent value with the parent filter's rules
+		$parent     = null;
+		$depends_on = $filter['depends_on'] ?? '';
+
+		if ( $depends_on && isset( $filters[ $depends_on ] ) ) {
+			$parent = $report->sanitize_filter_value( $request->get_param( 'parent' ), $filters[ $depends_on ] );
+		}
+
+		try {
+			$options = $report->get_filter_options( $filter, [
+				'search'  => $request->get_param( 'search' ),
+				'parent'  => $parent,
+				'include' => array_map( 'sanitize_text_field', (array) $request->get_param( 'include' ) ),
+				'filters' => $report->get_current_filters( $tab, $request->get_params() ),
+			] );
+		} catch ( Exception $e ) {
+			return new WP_Error( 'callback_error', $e->getMessage(), [ 'status' => 500 ] );
+		}
+
+		$results = [];
+
+		foreach ( $options as $value => $label ) {
+			$results[] = [
+				'value' => (string) $value,
+				'label' => (string) $label,
+			];
+		}
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'options' => $results,
+		] );
+	}
+
+	/**
+	 * Get a nested drill-down level of a chart.
+	 *
+	 * The drill-down callback receives the date range (with tab filters), the component
+	 * and the path of clicked keys from the top level down.
+	 */
+	public static function get_chart_drilldown( WP_REST_Request $request ) {
+		$report_id    = $request->get_param( 'report_id' );
+		$component_id = $request->get_param( 'component_id' );
+		$report       = Registry::instance()->get( $report_id );
+		$component    = $report->find_component_config( $component_id );
+		$on_click     = $component ? $report->get_chart_click_config( $component ) : null;
+
+		if ( ! $on_click || $on_click['action'] !== 'drilldown' ) {
+			return new WP_Error( 'invalid_component', __( 'Invalid component.', 'arraypress' ), [ 'status' => 404 ] );
+		}
+
+		$path = array_values( array_map( 'sanitize_text_field', (array) $request->get_param( 'path' ) ) );
+
+		if ( empty( $path ) || count( $path ) > $on_click['maxDepth'] ) {
+			return new WP_Error( 'invalid_path', __( 'Invalid drill-down path.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		$date_range            = self::get_date_range_from_request( $request, $report );
+		$date_range['filters'] = self::get_filters_from_request( $request, $report, $component['tab'] );
+
+		$drilldown = [
+			'path'  => $path,
+			'key'   => end( $path ),
+			'depth' => count( $path ),
+		];
+
+		try {
+			$data = call_user_func( $component['on_click']['callback'], $date_range, $component, $drilldown );
+		} catch ( Exception $e ) {
+			return new WP_Error( 'callback_error', $e->getMessage(), [ 'status' => 500 ] );
+		}
+
+		if ( is_wp_error( $data ) ) {
+			return $data;
+		}
+
+		return new WP_REST_Response( [
+			'success'   => true,
+			'type'      => 'chart',
+			'labels'    => $data['labels'] ?? [],
+			'datasets'  => $data['datasets'] ?? [],
+			'keys'      => $data['keys'] ?? [],
+			'depth'     => $drilldown['depth'],
+			'drillable' => $drilldown['depth'] < $on_click['maxDepth'],
+		] );
+	}
+
+	/**
+	 * Get a single page of rows for a server-side table.
+	 */
+	public static function get_table_data( WP_REST_Request $request ) {
+		$report_id    = $request->get_param( 'report_id' );
+		$component_id = $request->get_param( 'component_id' );
+		$report       = Registry::instance()->get( $report_id );
+		$component    = $report->find_component_config( $component_id );
+
+		if ( ! $component || ( $component['type'] ?? '' ) !== 'table' ) {
+			return new WP_Error( 'invalid_component', __( 'Invalid component.', 'arraypress' ), [ 'status' => 404 ] );
+		}
+
+		$callback = $component['data_callback'] ?? null;
+
+		if ( ! $callback || ! is_callable( $callback ) ) {
+			return new WP_Error( 'invalid_callback', __( 'No data callback.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		$date_range            = self::get_date_range_from_request( $request, $report );
+		$date_range['filters'] = self::get_filters_from_request( $request, $report, $component['tab'] );
+		$date_range['table']   = $report->build_table_query( $component, [
+			'page'     => $request->get_param( 'page' ),
+			'per_page' => $request->get_param( 'per_page' ),
+			'orderby'  => $request->get_param( 'orderby' ),
+			'order'    => $request->get_param( 'order' ),
+			'search'   => $request->get_param( 'search' ),
+		] );
+
+		$report->set_bypass_cache( (bool) $request->get_param( 'bypass_cache' ) );
+
+		try {
+			$data = $report->get_component_data( $component_id, $component, $date_range );
+		} catch ( Exception $e ) {
+			return new WP_Error( 'callback_error', $e->getMessage(), [ 'status' => 500 ] );
+		}
+
+		if ( is_wp_error( $data ) ) {
+			return $data;
+		}
+
+		$rows     = $data['rows'] ?? $data ?? [];
+		$total    = (int) ( $data['total'] ?? count( $rows ) );
+		$per_page = $date_range['table']['per_page'];
+
+		return new WP_REST_Response( [
+			'success'     => true,
+			'type'        => 'table',
+			'rows'        => array_values( $rows ),
+			'formatted'   => $report->format_table_rows( $component, $rows ),
+			'total'       => $total,
+			'page'        => $date_range['table']['page'],
+			'per_page'    => $per_page,
+			'total_pages' => (int) ceil( $total / $per_page ),
+			'orderby'     => $date_range['table']['orderby'],
+			'order'       => $date_range['table']['order'],
+			'search'      => $date_range['table']['search'],
+			'cache'       => array_intersect_key( $report->get_cache_ages(), [ $component_id => true ] ),
+		] );
+	}
+
+	/**
+	 * Save the current user's layout for a tab.
+	 */
+	public static function save_layout( WP_REST_Request $request ) {
+		$report = Registry::instance()->get( $request->get_param( 'report_id' ) );
+		$tab    = $request->get_param( 'tab' );
+		$error  = self::validate_layout_request( $report, $tab );
+
+		if ( $error ) {
+			return $error;
+		}
+
+		$layout = $report->save_user_layout( $tab, [
+			'order'  => $request->get_param( 'order' ),
+			'widths' => $request->get_param( 'widths' ),
+			'hidden' => $request->get_param( 'hidden' ),
+		] );
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'layout'  => $layout,
+		] );
+	}
+
+	/**
+	 * Reset the current user's layout for a tab to the configured default.
+	 */
+	public static function reset_layout( WP_REST_Request $request ) {
+		$report = Registry::instance()->get( $request->get_param( 'report_id' ) );
+		$tab    = $request->get_param( 'tab' );
+		$error  = self::validate_layout_request( $report, $tab );
+
+		if ( $error ) {
+			return $error;
+		}
+
+		$report->reset_user_layout( $tab );
+
+		return new WP_REST_Response( [
+			'success' => true,
+		] );
+	}
+
+	/**
+	 * Check that a report allows layout changes and has the requested tab.
+	 *
+	 * @param Reports $report The report instance.
+	 * @param string  $tab    Tab key.
+	 *
+	 * @return WP_Error|null
+	 */
+	private static function validate_layout_request( Reports $report, string $tab ): ?WP_Error {
+		if ( ! $report->is_customizable() ) {
+			return new WP_Error( 'layout_disabled', __( 'This report\'s layout cannot be customized.', 'arraypress' ), [ 'status' => 403 ] );
+		}
+
+		if ( ! isset( $report->get_components()[ $tab ] ) ) {
+			return new WP_Error( 'invalid_tab', __( 'Invalid tab.', 'arraypress' ), [ 'status' => 404 ] );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the saved views the current user can see.
+	 */
+	public static function get_views( WP_REST_Request $request ) {
+		$report = Registry::instance()->get( $request->get_param( 'report_id' ) );
+
+		if ( ! $report->is_views_enabled() ) {
+			return self::views_disabled_error();
+		}
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'views'   => $report->get_views_data(),
+		] );
+	}
+
+	/**
+	 * Save the given state as a new view.
+	 */
+	public static function create_view( WP_REST_Request $request ) {
+		$report = Registry::instance()->get( $request->get_param( 'report_id' ) );
+
+		if ( ! $report->is_views_enabled() ) {
+			return self::views_disabled_error();
+		}
+
+		$view = $report->create_view(
+			$request->get_param( 'name' ),
+			(array) $request->get_param( 'state' ),
+			(bool) $request->get_param( 'shared' )
+		);
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'view'    => $report->get_view_data( $view, $report->get_default_view_id() ),
+			'views'   => $report->get_views_data(),
+		] );
+	}
+
+	/**
+	 * Update a saved view.
+	 *
+	 * Anyone who can see a view can make it their default; only its creator
+	 * can rename, share or re-save it.
+	 */
+	public static function update_view( WP_REST_Request $request ) {
+		$report  = Registry::instance()->get( $request->get_param( 'report_id' ) );
+		$view_id = $request->get_param( 'view_id' );
+
+		if ( ! $report->is_views_enabled() ) {
+			return self::views_disabled_error();
+		}
+
+		$view = $report->get_view( $view_id );
+
+		if ( ! $view ) {
+			return new WP_Error( 'invalid_view', __( 'Invalid view.', 'arraypress' ), [ 'status' => 404 ] );
+		}
+
+		$changes = array_filter( [
+			'name'   => $request->get_param( 'name' ),
+			'shared' => $request->get_param( 'shared' ),
+			'state'  => $request->get_param( 'state' ),
+		], function ( $value ) {
+			return $value !== null;
+		} );
+
+		if ( ! empty( $changes ) ) {
+			$view = $report->update_view( $view_id, $changes );
+
+			if ( ! $view ) {
+				return new WP_Error( 'rest_forbidden', __( 'Only the creator of a view can change it.', 'arraypress' ), [ 'status' => 403 ] );
+			}
+		}
+
+		$is_default = $request->get_param( 'is_default' );
+
+		if ( $is_default !== null ) {
+			if ( $is_default ) {
+				$report->set_default_view( $view_id );
+			} elseif ( $report->get_default_view_id() === $view_id ) {
+				$report->set_default_view( '' );
+			}
+		}
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'view'    => $report->get_view_data( $view, $report->get_default_view_id() ),
+			'views'   => $report->get_views_data(),
+		] );
+	}
+
+	/**
+	 * Delete a saved view.
+	 */
+	public static function delete_view( WP_REST_Request $request ) {
+		$report = Registry::instance()->get( $request->get_param( 'report_id' ) );
+
+		if ( ! $report->is_views_enabled() ) {
+			return self::views_disabled_error();
+		}
+
+		if ( ! $report->get_view( $request->get_param( 'view_id' ) ) ) {
+			return new WP_Error( 'invalid_view', __( 'Invalid view.', 'arraypress' ), [ 'status' => 404 ] );
+		}
+
+		if ( ! $report->delete_view( $request->get_param( 'view_id' ) ) ) {
+			return new WP_Error( 'rest_forbidden', __( 'Only the creator of a view can delete it.', 'arraypress' ), [ 'status' => 403 ] );
+		}
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'views'   => $report->get_views_data(),
+		] );
+	}
+
+	/**
+	 * Get the error returned when saved views are turned off for a report.
+	 *
+	 * @return WP_Error
 	 */
-	private static function get_export_start_args(): array {
-		return [
-			'report_id'   => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
-			'export_id'   => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
-			'date_preset' => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_key' ],
-			'date_start'  => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
-			'date_end'    => [ 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
-			'filters'     => [ 'type' => 'object', 'default' => [] ],
-		];
+	private static function views_disabled_error(): WP_Error {
+		return new WP_Error( 'views_disabled', __( 'Saved views are not enabled for this report.', 'arraypress' ), [ 'status' => 403 ] );
 	}
 
 	/**
-	 * Get export batch endpoint args.
+	 * Get the scheduled emails and the delivery log.
 	 */
-	private static function get_export_batch_args(): array {
-		return [
-			'export_token' => [ 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ],
-			'batch'        => [ 'required' => true, 'type' => 'integer' ],
-		];
+	public static function get_schedules( WP_REST_Request $request ) {
+		$report = Registry::instance()->get( $request->get_param( 'report_id' ) );
+
+		if ( ! $report->is_schedules_enabled() ) {
+			return self::schedules_disabled_error();
+		}
+
+		return new WP_REST_Response( self::get_schedules_response( $report ) );
 	}
 
 	/**
-	 * Check permissions for REST API access.
+	 * Create a scheduled email.
 	 */
-	public static function check_permissions( WP_REST_Request $request ) {
-		$report_id = $request->get_param( 'report_id' );
-		$report    = Registry::instance()->get( $report_id );
+	public static function create_schedule( WP_REST_Request $request ) {
+		$report = Registry::instance()->get( $request->get_param( 'report_id' ) );
 
-		if ( ! $report ) {
-			return new WP_Error( 'invalid_report', __( 'Invalid report ID.', 'arraypress' ), [ 'status' => 404 ] );
+		if ( ! $report->is_schedules_enabled() ) {
+			return self::schedules_disabled_error();
 		}
 
-		$capability = $report->get_config( 'capability', 'manage_options' );
+		$error = self::validate_schedule_recipients( (array) $request->get_param( 'recipients' ) );
 
-		if ( ! current_user_can( $capability ) ) {
-			return new WP_Error( 'rest_forbidden', __( 'Permission denied.', 'arraypress' ), [ 'status' => 403 ] );
+		if ( $error ) {
+			return $error;
 		}
 
-		return true;
+		$report->create_schedule( self::get_schedule_settings( $request ) );
+
+		return new WP_REST_Response( self::get_schedules_response( $report ) );
 	}
 
 	/**
-	 * Check permissions for batch export requests.
+	 * Update a scheduled email.
 	 */
-	public static function check_batch_permissions( WP_REST_Request $request ) {
-		$export_token = $request->get_param( 'export_token' );
-		$config       = get_transient( 'reports_export_' . $export_token );
+	public static function update_schedule( WP_REST_Request $request ) {
+		$report      = Registry::instance()->get( $request->get_param( 'report_id' ) );
+		$schedule_id = $request->get_param( 'schedule_id' );
 
-		if ( ! $config ) {
-			return new WP_Error( 'invalid_export', __( 'Export session expired.', 'arraypress' ), [ 'status' => 400 ] );
+		if ( ! $report->is_schedules_enabled() ) {
+			return self::schedules_disabled_error();
 		}
 
-		$report = Registry::instance()->get( $config['report_id'] );
+		$schedule = $report->get_schedule( $schedule_id );
 
-		if ( ! $report ) {
-			return new WP_Error( 'invalid_report', __( 'Invalid report.', 'arraypress' ), [ 'status' => 404 ] );
+		if ( ! $schedule ) {
+			return new WP_Error( 'invalid_schedule', __( 'Invalid schedule.', 'arraypress' ), [ 'status' => 404 ] );
 		}
 
-		$capability = $report->get_config( 'capability', 'manage_options' );
+		if ( ! $report->is_schedule_owner( $schedule ) ) {
+			return new WP_Error( 'rest_forbidden', __( 'Only the creator of a scheduled email can change it.', 'arraypress' ), [ 'status' => 403 ] );
+		}
 
-		return current_user_can( $capability ) ? true : new WP_Error( 'rest_forbidden', __( 'Permission denied.', 'arraypress' ), [ 'status' => 403 ] );
+		if ( $request->get_param( 'recipients' ) !== null ) {
+			$error = self::validate_schedule_recipients( (array) $request->get_param( 'recipients' ) );
+
+			if ( $error ) {
+				return $error;
+			}
+		}
+
+		$report->update_schedule( $schedule_id, self::get_schedule_settings( $request ) );
+
+		return new WP_REST_Response( self::get_schedules_response( $report ) );
 	}
 
 	/**
-	 * Get component data.
+	 * Delete a scheduled email.
 	 */
-	public static function get_component_data( WP_REST_Request $request ) {
-		$report_id    = $request->get_param( 'report_id' );
-		$component_id = $request->get_param( 'component_id' );
-		$report       = Registry::instance()->get( $report_id );
-
-		$date_range = self::get_date_range_from_request( $request, $report );
-		$components = $report->get_components();
-		$component  = null;
+	public static function delete_schedule( WP_REST_Request $request ) {
+		$report = Registry::instance()->get( $request->get_param( 'report_id' ) );
 
-		foreach ( $components as $tab_components ) {
-			if ( isset( $tab_components[ $component_id ] ) ) {
-				$component = $tab_components[ $component_id ];
-				break;
-			}
+		if ( ! $report->is_schedules_enabled() ) {
+			return self::schedules_disabled_error();
 		}
 
-		if ( ! $component ) {
-			return new WP_Error( 'invalid_component', __( 'Invalid component.', 'arraypress' ), [ 'status' => 404 ] );
+		if ( ! $report->get_schedule( $request->get_param( 'schedule_id' ) ) ) {
+			return new WP_Error( 'invalid_schedule', __( 'Invalid schedule.', 'arraypress' ), [ 'status' => 404 ] );
 		}
 
-		$callback = $component['data_callback'] ?? null;
-
-		if ( ! $callback || ! is_callable( $callback ) ) {
-			return new WP_Error( 'invalid_callback', __( 'No data callback.', 'arraypress' ), [ 'status' => 400 ] );
+		if ( ! $report->delete_schedule( $request->get_param( 'schedule_id' ) ) ) {
+			return new WP_Error( 'rest_forbidden', __( 'Only the creator of a scheduled email can delete it.', 'arraypress' ), [ 'status' => 403 ] );
 		}
 
-		try {
-			$data = call_user_func( $callback, $date_range, $component );
-
-			return new WP_REST_Response( [
-				'success' => true,
-				'data'    => $data,
-				'type'    => $component['type'] ?? 'unknown'
-			] );
-		} catch ( Exception $e ) {
-			return new WP_Error( 'callback_error', $e->getMessage(), [ 'status' => 500 ] );
-		}
+		return new WP_REST_Response( self::get_schedules_response( $report ) );
 	}
 
 	/**
-	 * Get all components data for refresh.
+	 * Send a scheduled email to the current user now.
 	 *
-	 * Returns data in a format optimized for JS refresh.
+	 * The snapshot is built exactly as for the scheduled delivery, including as
+	 * the user who created the schedule.
 	 */
-	public static function get_all_components_data( WP_REST_Request $request ) {
-		$report_id = $request->get_param( 'report_id' );
-		$tab       = $request->get_param( 'tab' );
-		$report    = Registry::instance()->get( $report_id );
+	public static function send_schedule_test( WP_REST_Request $request ) {
+		$report = Registry::instance()->get( $request->get_param( 'report_id' ) );
 
-		if ( ! $report ) {
-			return new WP_Error( 'invalid_report', __( 'Invalid report.', 'reports' ), [ 'status' => 404 ] );
+		if ( ! $report->is_schedules_enabled() ) {
+			return self::schedules_disabled_error();
 		}
 
-		$date_range     = self::get_date_range_from_request( $request, $report );
-		$all_components = $report->get_components();
+		$schedule = $report->get_schedule( $request->get_param( 'schedule_id' ) );
 
-		// If no tab specified, use first tab
-		if ( empty( $tab ) ) {
-			$tabs = $report->get_tabs();
-			$tab  = array_key_first( $tabs );
+		if ( ! $schedule ) {
+			return new WP_Error( 'invalid_schedule', __( 'Invalid schedule.', 'arraypress' ), [ 'status' => 404 ] );
 		}
 
-		if ( ! isset( $all_components[ $tab ] ) ) {
-			return new WP_Error( 'invalid_tab', __( 'Invalid tab.', 'reports' ), [ 'status' => 404 ] );
+		if ( ! $report->is_schedule_owner( $schedule ) ) {
+			return new WP_Error( 'rest_forbidden', __( 'Only the creator of a scheduled email can send a test.', 'arraypress' ), [ 'status' => 403 ] );
 		}
 
-		// Collect filter values from request
-		$filters    = [];
-		$all_params = $request->get_params();
-		foreach ( $all_params as $key => $value ) {
-			if ( str_starts_with( $key, 'filter_' ) ) {
-				$filter_key             = substr( $key, 7 ); // Remove 'filter_' prefix
-				$filters[ $filter_key ] = sanitize_text_field( $value );
-			}
+		$email  = wp_get_current_user()->user_email;
+		$result = $report->send_schedule( $schedule, [ $email ], true );
+
+		if ( is_wp_error( $result ) ) {
+			// The failure is in the delivery log too
+			return new WP_Error( $result->get_error_code(), $result->get_error_message(), [
+				'status' => 500,
+				'log'    => $report->get_schedule_log_data(),
+			] );
 		}
-		$date_range['filters'] = $filters;
 
-		$components_data = [];
+		return new WP_REST_Response( array_merge( self::get_schedules_response( $report ), [
+			/* translators: %s: email address */
+			'message' => sprintf( __( 'Test email sent to %s.', 'arraypress' ), $email ),
+		] ) );
+	}
 
-		foreach ( $all_components[ $tab ] as $component_id => $component ) {
-			$callback = $component['data_callback'] ?? null;
-			$type     = $component['type'] ?? 'unknown';
+	/**
+	 * Get the schedule settings present in a request.
+	 *
+	 * @param WP_REST_Request $request The REST request.
+	 *
+	 * @return array
+	 */
+	private static function get_schedule_settings( WP_REST_Request $request ): array {
+		$keys = [ 'name', 'tab', 'date_preset', 'filters', 'frequency', 'day', 'time', 'recipients', 'exports', 'enabled' ];
 
-			if ( ! $callback || ! is_callable( $callback ) ) {
-				continue;
-			}
+		return array_filter( array_intersect_key( $request->get_params(), array_flip( $keys ) ), function ( $value ) {
+			return $value !== null;
+		} );
+	}
 
-			try {
-				$raw_data = call_user_func( $callback, $date_range, $component );
-
-				// Format response based on component type
-				switch ( $type ) {
-					case 'tile':
-						$value          = $raw_data['value'] ?? 0;
-						$previous_value = $raw_data['previous_value'] ?? null;
-
-						// Auto-calculate change
-						$change           = $raw_data['change'] ?? null;
-						$change_direction = $raw_data['change_direction'] ?? null;
-
-						if ( $change === null && $previous_value !== null && is_numeric( $value ) && is_numeric( $previous_value ) && $previous_value != 0 ) {
-							$change           = ( ( $value - $previous_value ) / abs( $previous_value ) ) * 100;
-							$change_direction = $change > 0 ? 'up' : ( $change < 0 ? 'down' : 'neutral' );
-							$change           = abs( $change );
-						}
-
-						// Format value
-						$format    = $component['value_format'] ?? 'number';
-						$currency  = $component['currency'] ?? 'USD';
-						$formatted = self::format_value_for_api( $value, $format, $currency );
-
-						$components_data[ $component_id ] = [
-							'type'             => 'tile',
-							'value'            => $value,
-							'formatted_value'  => $formatted,
-							'change'           => $change,
-							'change_direction' => $change_direction,
-						];
-						break;
-
-					case 'chart':
-						$components_data[ $component_id ] = [
-							'type'     => 'chart',
-							'labels'   => $raw_data['labels'] ?? [],
-							'datasets' => $raw_data['datasets'] ?? [],
-						];
-						break;
-
-					case 'table':
-						$components_data[ $component_id ] = [
-							'type' => 'table',
-							'rows' => $raw_data['rows'] ?? $raw_data ?? [],
-						];
-						break;
-
-					default:
-						$components_data[ $component_id ] = [
-							'type' => $type,
-							'data' => $raw_data,
-						];
-				}
-			} catch ( Exception $e ) {
-				$components_data[ $component_id ] = [
-					'type'  => $type,
-					'error' => $e->getMessage(),
-				];
+	/**
+	 * Check that every recipient is a valid email address.
+	 *
+	 * @param array $recipients Email addresses.
+	 *
+	 * @return WP_Error|null
+	 */
+	private static function validate_schedule_recipients( array $recipients ): ?WP_Error {
+		foreach ( $recipients as $email ) {
+			if ( ! is_email( $email ) ) {
+				return new WP_Error(
+					'invalid_recipient',
+					/* translators: %s: email address */
+					sprintf( __( '"%s" is not a valid email address.', 'arraypress' ), $email ),
+					[ 'status' => 400 ]
+				);
 			}
 		}
 
-		// Also process tiles within tiles_group components
-		foreach ( $all_components[ $tab ] as $component_id => $component ) {
-			if ( ( $component['type'] ?? '' ) !== 'tiles_group' ) {
-				continue;
-			}
+		return null;
+	}
 
-			$tiles = $component['tiles'] ?? [];
-			foreach ( $tiles as $tile_id => $tile ) {
-				$tile_callback = $tile['data_callback'] ?? null;
-				if ( ! $tile_callback || ! is_callable( $tile_callback ) ) {
-					continue;
-				}
+	/**
+	 * Get the scheduled emails and delivery log for a response.
+	 *
+	 * @param Reports $report The report instance.
+	 *
+	 * @return array
+	 */
+	private static function get_schedules_response( Reports $report ): array {
+		return [
+			'success'   => true,
+			'schedules' => $report->get_schedules_data(),
+			'log'       => $report->get_schedule_log_data(),
+		];
+	}
 
-				$full_tile_id = $component_id . '_' . $tile_id;
-
-				try {
-					$raw_data       = call_user_func( $tile_callback, $date_range, $tile );
-					$value          = $raw_data['value'] ?? 0;
-					$previous_value = $raw_data['previous_value'] ?? null;
-
-					// Auto-calculate change
-					$change           = $raw_data['change'] ?? null;
-					$change_direction = $raw_data['change_direction'] ?? null;
-
-					if ( $change === null && $previous_value !== null && is_numeric( $value ) && is_numeric( $previous_value ) && $previous_value != 0 ) {
-						$change           = ( ( $value - $previous_value ) / abs( $previous_value ) ) * 100;
-						$change_direction = $change > 0 ? 'up' : ( $change < 0 ? 'down' : 'neutral' );
-						$change           = abs( $change );
-					}
-
-					// Format value
-					$format    = $tile['value_format'] ?? 'number';
-					$currency  = $tile['currency'] ?? 'USD';
-					$formatted = self::format_value_for_api( $value, $format, $currency );
-
-					$components_data[ $full_tile_id ] = [
-						'type'             => 'tile',
-						'value'            => $value,
-						'formatted_value'  => $formatted,
-						'change'           => $change,
-						'change_direction' => $change_direction,
-					];
-				} catch ( Exception $e ) {
-					$components_data[ $full_tile_id ] = [
-						'type'  => 'tile',
-						'error' => $e->getMessage(),
-					];
-				}
-			}
-		}
+	/**
+	 * Get the error returned when scheduled emails are turned off for a report.
+	 *
+	 * @return WP_Error
+	 */
+	private static function schedules_disabled_error(): WP_Error {
+		return new WP_Error( 'schedules_disabled', __( 'Scheduled emails are not enabled for this report.', 'arraypress' ), [ 'status' => 403 ] );
+	}
+
+	/**
+	 * Get the active tile alerts.
+	 */
+	public static function get_alerts( WP_REST_Request $request ) {
+		$report = Registry::instance()->get( $request->get_param( 'report_id' ) );
 
 		return new WP_REST_Response( [
-			'success'    => true,
-			'components' => $components_data,
+			'success' => true,
+			'alerts'  => array_values( $report->get_active_alerts() ),
 		] );
 	}
 
 	/**
-	 * Format a value for API response.
+	 * Run the alert check and return the active tile alerts.
 	 */
-	private static function format_value_for_api( $value, string $format, string $currency = 'USD' ): string {
-		switch ( $format ) {
-			case 'currency':
-				$cents = is_float( $value ) ? (int) ( $value * 100 ) : (int) $value;
+	public static function check_alerts( WP_REST_Request $request ) {
+		$report = Registry::instance()->get( $request->get_param( 'report_id' ) );
 
-				return format_currency( $cents, $currency );
+		return new WP_REST_Response( [
+			'success' => true,
+			'alerts'  => array_values( $report->check_alerts() ),
+		] );
+	}
 
-			case 'percentage':
-				return number_format( (float) $value, 1 ) . '%';
+	/**
+	 * Send a test alert through the email and webhook channels.
+	 *
+	 * Limited to one test per user and report every ALERT_TEST_INTERVAL seconds.
+	 */
+	public static function send_alert_test( WP_REST_Request $request ) {
+		$report  = Registry::instance()->get( $request->get_param( 'report_id' ) );
+		$limit   = 'reports_alert_test_' . $report->get_id() . '_' . get_current_user_id();
+		$results = [];
 
-			case 'number':
-				return number_format( (int) $value );
+		if ( get_transient( $limit ) ) {
+			return new WP_Error( 'rest_too_many_requests', __( 'A test alert was sent recently. Please wait a minute before sending another.', 'arraypress' ), [ 'status' => 429 ] );
+		}
 
-			case 'decimal':
-				return number_format( (float) $value, 2 );
+		set_transient( $limit, time(), self::ALERT_TEST_INTERVAL );
 
-			default:
-				return (string) $value;
+		foreach ( $report->send_test_alert( (array) $request->get_param( 'channels' ) ) as $channel => $result ) {
+			$results[ $channel ] = [
+				'success' => ! is_wp_error( $result ),
+				'message' => is_wp_error( $result ) ? $result->get_error_message() : '',
+			];
 		}
+
+		return new WP_REST_Response( [
+			'success' => ! in_array( false, wp_list_pluck( $results, 'success' ), true ),
+			'results' => $results,
+		] );
 	}
 
 	/**
@@ -440,6 +1641,12 @@ class RestApi {
 			return new WP_Error( 'invalid_callback', __( 'Missing data_callback.', 'arraypress' ), [ 'status' => 400 ] );
 		}
 
+		$format = $request->get_param( 'format' ) ?: reset( $export_config['formats'] );
+
+		if ( ! in_array( $format, $export_config['formats'], true ) ) {
+			return new WP_Error( 'invalid_format', __( 'Unsupported export format.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
 		$date_range = self::get_date_range_from_request( $request, $report );
 		$args       = [ 'date_range' => $date_range, 'filters' => $filters ];
 
@@ -460,7 +1667,7 @@ class RestApi {
 		$report->cleanup_exports();
 
 		$export_token = wp_generate_uuid4();
-		$file_path    = $report->get_export_path( $export_token );
+		$file_path    = $report->get_export_path( $export_token, $format );
 
 		// Resolve filename now if it's a callback (can't serialize closures)
 		$filename = $export_config['filename'] ?? $export_id;
@@ -478,6 +1685,9 @@ class RestApi {
 			'total_items' => $total_items,
 			'filename'    => $filename,
 			'headers'     => $export_config['headers'] ?? [],
+			'format'      => $format,
+			'user_id'     => get_current_user_id(),
+			'next_batch'  => 0,
 		], HOUR_IN_SECONDS );
 
 		return new WP_REST_Response( [
@@ -485,6 +1695,7 @@ class RestApi {
 			'export_token' => $export_token,
 			'total_items'  => $total_items,
 			'batch_size'   => self::BATCH_SIZE,
+			'format'       => $format,
 		] );
 	}
 
@@ -507,6 +1718,53 @@ class RestApi {
 			return new WP_Error( 'invalid_config', __( 'Report not found.', 'arraypress' ), [ 'status' => 400 ] );
 		}
 
+		// One batch request per export at a time: a retry that arrives while the first
+		// request for the same batch is still writing returns the current progress
+		if ( ! self::acquire_export_lock( $export_token ) ) {
+			return new WP_REST_Response( self::get_export_progress( $report, $export_token, $config ) );
+		}
+
+		try {
+			return self::write_next_export_batch( $report, $export_token, $batch );
+		} finally {
+			self::release_export_lock( $export_token );
+		}
+	}
+
+	/**
+	 * Write a batch of an export while holding the export's lock.
+	 *
+	 * @param Reports $report       The report instance.
+	 * @param string  $export_token Export token.
+	 * @param int     $batch        Batch number requested.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private static function write_next_export_batch( Reports $report, string $export_token, int $batch ) {
+		// Read the session again now the lock is held, in case another request just wrote a batch
+		wp_cache_delete( '_transient_reports_export_' . $export_token, 'options' );
+
+		$config = get_transient( 'reports_export_' . $export_token );
+
+		if ( ! $config ) {
+			return new WP_Error( 'invalid_export', __( 'Export session expired.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		// Batches must be written in order. A retried batch that was already written
+		// (e.g. the response was lost) returns the current progress instead of writing twice.
+		$next_batch = (int) ( $config['next_batch'] ?? 0 );
+
+		if ( $batch < $next_batch || ! empty( $config['is_complete'] ) ) {
+			return new WP_REST_Response( self::get_export_progress( $report, $export_token, $config ) );
+		}
+
+		if ( $batch > $next_batch ) {
+			return new WP_Error( 'invalid_batch', __( 'Export batches must be processed in order.', 'arraypress' ), [
+				'status'     => 409,
+				'next_batch' => $next_batch,
+			] );
+		}
+
 		// Re-fetch export config from report (contains callbacks we couldn't serialize)
 		$export_config = $report->find_export_config( $config['export_id'] );
 
@@ -533,15 +1791,206 @@ class RestApi {
 
 		// Use headers from transient (already resolved) or from export config
 		$headers = $config['headers'] ?? $export_config['headers'] ?? [];
-		$report->write_csv_batch( $config['file_path'], $data, $batch === 0, $headers );
+		$format  = $config['format'] ?? 'csv';
+
+		// The first batch fixes the columns, so later batches line up with its header row
+		if ( $batch === 0 ) {
+			$config['columns'] = $report->get_export_columns( $data );
+		}
+
+		if ( ! $report->write_export_batch( $format, $config['file_path'], $data, $batch === 0, $headers, $export_config['column_types'] ?? [], $config['columns'] ?? [] ) ) {
+			return new WP_Error( 'write_failed', __( 'Could not write export file.', 'arraypress' ), [ 'status' => 500 ] );
+		}
 
 		$processed_items = ( $batch * self::BATCH_SIZE ) + count( $data );
 		$is_complete     = $processed_items >= $config['total_items'] || count( $data ) < self::BATCH_SIZE;
 
-		$response = [
+		if ( $is_complete && ! $report->finalize_export( $format, $config['file_path'] ) ) {
+			return new WP_Error( 'write_failed', __( 'Could not write export file.', 'arraypress' ), [ 'status' => 500 ] );
+		}
+
+		// Persist progress so the export can be resumed from the next batch
+		$config['next_batch']      = $batch + 1;
+		$config['processed_items'] = $processed_items;
+		$config['is_complete']     = $is_complete;
+
+		// Finished files stay available for re-download from the recent exports panel
+		if ( $is_complete ) {
+			$report->add_export_history( $export_token, [
+				'export_id'  => $config['export_id'],
+				'title'      => $export_config['title'] ?? $config['export_id'],
+				'format'     => $format,
+				'filters'    => $report->describe_export_filters( $export_config, $config['filters'] ),
+				'date_range' => $report->get_period_label( $config['date_range'] ),
+				'rows'       => $processed_items,
+				'file_path'  => $config['file_path'],
+				'size'       => (int) filesize( $config['file_path'] ),
+			] );
+		}
+
+		set_transient( 'reports_export_' . $export_token, $config, $is_complete ? $report->get_export_retention() : HOUR_IN_SECONDS );
+
+		return new WP_REST_Response( self::get_export_progress( $report, $export_token, $config ) );
+	}
+
+	/**
+	 * Take the lock that serializes the batch requests of an export.
+	 *
+	 * The lock is an option row inserted with INSERT IGNORE, so only one request
+	 * can create it. A lock older than EXPORT_LOCK_TIMEOUT is taken over.
+	 *
+	 * @param string $export_token Export token.
+	 *
+	 * @return bool Whether the lock was acquired.
+	 */
+	private static function acquire_export_lock( string $export_token ): bool {
+		global $wpdb;
+
+		$option = 'reports_export_lock_' . $export_token;
+
+		$created = $wpdb->query(
+			$wpdb->prepare(
+				"INSERT IGNORE INTO {$wpdb->options} ( option_name, option_value, autoload ) VALUES ( %s, %s, 'no' )",
+				$option,
+				time()
+			)
+		);
+
+		if ( $created ) {
+			return true;
+		}
+
+		$locked_at = (int) $wpdb->get_var(
+			$wpdb->prepare( "SELECT option_value FROM {$wpdb->options} WHERE option_name = %s", $option )
+		);
+
+		if ( $locked_at > time() - self::EXPORT_LOCK_TIMEOUT ) {
+			return false;
+		}
+
+		// Only the request whose update matches the stale value takes the lock over
+		return (bool) $wpdb->query(
+			$wpdb->prepare(
+				"UPDATE {$wpdb->options} SET option_value = %s WHERE option_name = %s AND option_value = %s",
+				time(),
+				$option,
+				$locked_at
+			)
+		);
+	}
+
+	/**
+	 * Release the batch lock of an export.
+	 *
+	 * @param string $export_token Export token.
+	 *
+	 * @return void
+	 */
+	private static function release_export_lock( string $export_token ): void {
+		global $wpdb;
+
+		$wpdb->delete( $wpdb->options, [ 'option_name' => 'reports_export_lock_' . $export_token ] );
+	}
+
+	/**
+	 * Get the progress of an export, used to resume it after an interruption.
+	 */
+	public static function get_export_status( WP_REST_Request $request ) {
+		$export_token = $request->get_param( 'export_token' );
+		$config       = get_transient( 'reports_export_' . $export_token );
+		$report       = Registry::instance()->get( $config['report_id'] );
+
+		return new WP_REST_Response( array_merge( self::get_export_progress( $report, $export_token, $config ), [
+			'export_id'  => $config['export_id'],
+			'format'     => $config['format'] ?? 'csv',
+			'batch_size' => self::BATCH_SIZE,
+		] ) );
+	}
+
+	/**
+	 * Cancel an export, deleting its partial file and session.
+	 */
+	public static function cancel_export( WP_REST_Request $request ) {
+		$export_token = $request->get_param( 'export_token' );
+		$config       = get_transient( 'reports_export_' . $export_token );
+		$report       = Registry::instance()->get( $config['report_id'] );
+
+		$report->delete_export_files( $config['file_path'] );
+		$report->delete_export_history( $export_token );
+		delete_transient( 'reports_export_' . $export_token );
+
+		return new WP_REST_Response( [
+			'success' => true,
+		] );
+	}
+
+	/**
+	 * Get the current user's recent exports for a report.
+	 */
+	public static function get_export_history( WP_REST_Request $request ) {
+		$report  = Registry::instance()->get( $request->get_param( 'report_id' ) );
+		$formats = $report->get_export_formats();
+		$exports = [];
+
+		foreach ( $report->get_export_history() as $export_token => $entry ) {
+			$filters = [];
+
+			foreach ( $entry['filters'] ?? [] as $label => $value ) {
+				$filters[] = [
+					'label' => (string) $label,
+					'value' => (string) $value,
+				];
+			}
+
+			$exports[] = [
+				'export_token' => $export_token,
+				'export_id'    => $entry['export_id'],
+				'title'        => $entry['title'],
+				'format'       => strtoupper( $formats[ $entry['format'] ]['extension'] ?? $entry['format'] ),
+				'filters'      => $filters,
+				'date_range'   => $entry['date_range'],
+				'rows'         => (int) $entry['rows'],
+				'size'         => size_format( $entry['size'] ),
+				'created'      => $entry['created'],
+				'created_date' => wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $entry['created'] ),
+				'created_ago'  => sprintf(
+				/* translators: %s: human-readable time difference, e.g. "5 mins" */
+					__( '%s ago', 'arraypress' ),
+					human_time_diff( $entry['created'] )
+				),
+				'download_url' => $report->get_download_url( $export_token ),
+			];
+		}
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'exports' => $exports,
+		] );
+	}
+
+	/**
+	 * Delete a finished export from the recent exports panel.
+	 */
+	public static function delete_export( WP_REST_Request $request ) {
+		return self::cancel_export( $request );
+	}
+
+	/**
+	 * Build the progress response for an export session.
+	 *
+	 * @param Reports $report       The report instance.
+	 * @param string  $export_token Export token.
+	 * @param array   $config       Export session from the transient.
+	 *
+	 * @return array
+	 */
+	protected static function get_export_progress( Reports $report, string $export_token, array $config ): array {
+		$is_complete = ! empty( $config['is_complete'] );
+		$response    = [
 			'success'         => true,
-			'processed_items' => $processed_items,
+			'processed_items' => (int) ( $config['processed_items'] ?? 0 ),
 			'total_items'     => $config['total_items'],
+			'next_batch'      => (int) ( $config['next_batch'] ?? 0 ),
 			'is_complete'     => $is_complete,
 		];
 
@@ -549,7 +1998,7 @@ class RestApi {
 			$response['download_url'] = $report->get_download_url( $export_token );
 		}
 
-		return new WP_REST_Response( $response );
+		return $response;
 	}
 
 	/**
@@ -573,6 +2022,11 @@ class RestApi {
 			wp_die( __( 'Permission denied.', 'arraypress' ) );
 		}
 
+		// Exports are kept for re-download, so only the user who created one may fetch it
+		if ( isset( $config['user_id'] ) && (int) $config['user_id'] !== get_current_user_id() ) {
+			wp_die( __( 'Permission denied.', 'arraypress' ) );
+		}
+
 		if ( ! wp_verify_nonce( $_GET['nonce'] ?? '', 'reports_export_' . $export_token ) ) {
 			wp_die( __( 'Invalid request.', 'arraypress' ) );
 		}
@@ -584,9 +2038,10 @@ class RestApi {
 		// Use pre-resolved filename from transient (already resolved from callback in start_export)
 		$base_filename = $config['filename'] ?? $config['export_id'] ?? 'export';
 
-		$filename = sanitize_file_name( $base_filename . '-' . gmdate( 'Y-m-d' ) . '.csv' );
+		$format   = $report->get_export_formats()[ $config['format'] ?? 'csv' ] ?? $report->get_export_formats()['csv'];
+		$filename = sanitize_file_name( $base_filename . '-' . gmdate( 'Y-m-d' ) . '.' . $format['extension'] );
 
-		header( 'Content-Type: text/csv; charset=utf-8' );
+		header( 'Content-Type: ' . $format['mime'] );
 		header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
 		header( 'Content-Length: ' . filesize( $config['file_path'] ) );
 		header( 'Cache-Control: no-store, no-cache, must-revalidate' );
@@ -595,12 +2050,23 @@ class RestApi {
 
 		readfile( $config['file_path'] );
 
-		unlink( $config['file_path'] );
-		delete_transient( 'reports_export_' . $export_token );
-
+		// The file stays available for re-download until cleanup_exports() removes it
 		exit;
 	}
 
+	/**
+	 * Get tab filter values from request parameters.
+	 *
+	 * @param WP_REST_Request $request The REST request.
+	 * @param Reports         $report  The report instance.
+	 * @param string          $tab     Tab key.
+	 *
+	 * @return array Filter values keyed by filter key (without the 'filter_' prefix).
+	 */
+	protected static function get_filters_from_request( WP_REST_Request $request, Reports $report, string $tab ): array {
+		return $report->get_current_filters( $tab, $request->get_params() );
+	}
+
 	/**
 	 * Get date range from request parameters.
 	 *
@@ -0,0 +1,572 @@
+<?php
+/**
+ * Alert Manager Trait
+ *
+ * @package     ArrayPress\RegisterReports
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @since       1.0.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterReports\Traits;
+
+use Exception;
+use WP_Error;
+
+/**
+ * Trait AlertManager
+ *
+ * Evaluates threshold rules defined on tiles (`alerts`) and notifies when they trigger.
+ *
+ * Rules are evaluated whenever tile data is rendered or refreshed, to highlight
+ * the tile. A WP-Cron check evaluates them against the report's default date
+ * range and filters, keeps track of which alerts are active and sends a
+ * notification when an alert starts.
+ */
+trait AlertManager {
+
+	/**
+	 * Get the supported alert conditions.
+	 *
+	 * @return array Condition key => label.
+	 */
+	public function get_alert_conditions(): array {
+		return [
+			'above'         => __( 'Value above', 'arraypress' ),
+			'below'         => __( 'Value below', 'arraypress' ),
+			'change_above'  => __( 'Increase beyond', 'arraypress' ),
+			'change_below'  => __( 'Decrease beyond', 'arraypress' ),
+			'change_beyond' => __( 'Change beyond', 'arraypress' ),
+		];
+	}
+
+	/**
+	 * Get the alert rules of a tile, with defaults applied.
+	 *
+	 * Rules with an unknown condition or a non-numeric threshold are ignored.
+	 *
+	 * @param array $tile Tile configuration.
+	 *
+	 * @return array Rules keyed by their index in the tile's `alerts`.
+	 */
+	public function get_alert_rules( array $tile ): array {
+		$rules = [];
+
+		foreach ( (array) ( $tile['alerts'] ?? [] ) as $index => $rule ) {
+			$rule = wp_parse_args( (array) $rule, [
+				'condition' => '',
+				'threshold' => null,
+				'severity'  => 'warning',   // warning or error
+				'message'   => '',
+				'notify'    => [ 'notice' ], // notice, email, webhook
+			] );
+
+			if ( ! isset( $this->get_alert_conditions()[ $rule['condition'] ] ) || ! is_numeric( $rule['threshold'] ) ) {
+				continue;
+			}
+
+			$rule['threshold'] = (float) $rule['threshold'];
+			$rule['severity']  = $rule['severity'] === 'error' ? 'error' : 'warning';
+			$rule['notify']    = array_values( array_intersect( (array) $rule['notify'], [ 'notice', 'email', 'webhook' ] ) );
+
+			$rules[ $index ] = $rule;
+		}
+
+		return $rules;
+	}
+
+	/**
+	 * Evaluate a tile's alert rules against its data.
+	 *
+	 * @param array $tile Tile configuration.
+	 * @param array $data Data returned by the tile's data callback.
+	 *
+	 * @return array Triggered rules keyed by index, each with its `message`.
+	 */
+	public function evaluate_tile_alerts( array $tile, array $data ): array {
+		$value = $data['value'] ?? null;
+
+		if ( ! is_numeric( $value ) ) {
+			return [];
+		}
+
+		[ $change, $change_direction ] = $this->get_tile_change( $data );
+
+		// get_tile_change() returns the size of the change, the direction gives its sign
+		if ( $change !== null ) {
+			$change = $change_direction === 'down' ? -abs( (float) $change ) : abs( (float) $change );
+		}
+
+		$triggered = [];
+
+		foreach ( $this->get_alert_rules( $tile ) as $index => $rule ) {
+			$threshold = $rule['threshold'];
+
+			switch ( $rule['condition'] ) {
+				case 'above':
+					$matches = $value > $threshold;
+					break;
+
+				case 'below':
+					$matches = $value < $threshold;
+					break;
+
+				case 'change_above':
+					$matches = $change !== null && $change >= $threshold;
+					break;
+
+				case 'change_below':
+					$matches = $change !== null && $change <= -$threshold;
+					break;
+
+				default:
+					$matches = $change !== null && abs( $change ) >= $threshold;
+					break;
+			}
+
+			if ( $matches ) {
+				$rule['message']     = $this->get_alert_message( $tile, $rule );
+				$triggered[ $index ] = $rule;
+			}
+		}
+
+		return $triggered;
+	}
+
+	/**
+	 * Get the triggered alerts of a tile for the tile markup and the JavaScript updater.
+	 *
+	 * @param array $tile Tile configuration.
+	 * @param array $data Data returned by the tile's data callback.
+	 *
+	 * @return array List of alerts, each with a severity and a message.
+	 */
+	public function get_tile_alerts_data( array $tile, array $data ): array {
+		return array_values( array_map( function ( $rule ) {
+			return [
+				'severity' => $rule['severity'],
+				'message'  => $rule['message'],
+			];
+		}, $this->evaluate_tile_alerts( $tile, $data ) ) );
+	}
+
+	/**
+	 * Get the message of an alert rule.
+	 *
+	 * @param array $tile Tile configuration.
+	 * @param array $rule Alert rule.
+	 *
+	 * @return string The rule's `message`, or one describing the condition.
+	 */
+	protected function get_alert_message( array $tile, array $rule ): string {
+		if ( $rule['message'] !== '' ) {
+			return $rule['message'];
+		}
+
+		$title     = $tile['title'] ?? '';
+		$threshold = $this->format_value( $rule['threshold'], $tile['value_format'] ?? 'number', $tile );
+		$percent   = number_format_i18n( $rule['threshold'], 1 ) . '%';
+
+		switch ( $rule['condition'] ) {
+			case 'above':
+				/* translators: 1: tile title, 2: threshold */
+				return sprintf( __( '%1$s is above %2$s', 'arraypress' ), $title, $threshold );
+
+			case 'below':
+				/* translators: 1: tile title, 2: threshold */
+				return sprintf( __( '%1$s is below %2$s', 'arraypress' ), $title, $threshold );
+
+			case 'change_above':
+				/* translators: 1: tile title, 2: percentage */
+				return sprintf( __( '%1$s is up %2$s or more', 'arraypress' ), $title, $percent );
+
+			case 'change_below':
+				/* translators: 1: tile title, 2: percentage */
+				return sprintf( __( '%1$s is down %2$s or more', 'arraypress' ), $title, $percent );
+
+			default:
+				/* translators: 1: tile title, 2: percentage */
+				return sprintf( __( '%1$s changed by %2$s or more', 'arraypress' ), $title, $percent );
+		}
+	}
+
+	/**
+	 * Get every tile with alert rules, including tiles in groups.
+	 *
+	 * @return array Tile configurations keyed by component ID, with their `tab`.
+	 */
+	public function get_alert_tiles(): array {
+		$tiles = [];
+
+		foreach ( $this->components as $tab => $components ) {
+			foreach ( $components as $component_id => $component ) {
+				if ( $component['type'] === 'tile' ) {
+					$candidates = [ $component_id => $component ];
+				} elseif ( $component['type'] === 'tiles_group' ) {
+					$candidates = [];
+
+					foreach ( $component['tiles'] ?? [] as $tile_id => $tile ) {
+						$candidates[ $component_id . '_' . $tile_id ] = wp_parse_args( $tile, [
+							'value_format' => 'number',
+							'cache'        => $component['cache'] ?? 0,
+						] );
+					}
+				} else {
+					continue;
+				}
+
+				foreach ( $candidates as $tile_id => $tile ) {
+					if ( $this->get_alert_rules( $tile ) && ! empty( $tile['data_callback'] ) && is_callable( $tile['data_callback'] ) ) {
+						$tiles[ $tile_id ] = array_merge( $tile, [ 'tab' => $tab ] );
+					}
+				}
+			}
+		}
+
+		return $tiles;
+	}
+
+	/**
+	 * Schedule, reschedule or clear the recurring alert check.
+	 *
+	 * @return void
+	 */
+	public function plan_alert_check(): void {
+		$args       = [ $this->id ];
+		$recurrence = (string) $this->config['alert_schedule'];
+		$scheduled  = wp_get_schedule( 'reports_check_alerts', $args );
+
+		if ( ! $recurrence || ! isset( wp_get_schedules()[ $recurrence ] ) || ! $this->get_alert_tiles() ) {
+			if ( $scheduled ) {
+				wp_clear_scheduled_hook( 'reports_check_alerts', $args );
+			}
+
+			return;
+		}
+
+		if ( $scheduled === $recurrence ) {
+			return;
+		}
+
+		wp_clear_scheduled_hook( 'reports_check_alerts', $args );
+		wp_schedule_event( time(), $recurrence, 'reports_check_alerts', $args );
+	}
+
+	/**
+	 * Handle the recurring alert check.
+	 *
+	 * @param string $report_id Report ID the event belongs to.
+	 *
+	 * @return void
+	 */
+	public function handle_alert_check( string $report_id ): void {
+		if ( $report_id === $this->id ) {
+			$this->check_alerts();
+		}
+	}
+
+	/**
+	 * Evaluate every alert rule against the default date range and filters.
+	 *
+	 * Alerts that weren't active on the previous check are notified through
+	 * email and webhook; the admin notice shows while an alert is active.
+	 *
+	 * @return array Active alerts keyed by "{tile_id}:{rule index}".
+	 */
+	public function check_alerts(): array {
+		$previous   = $this->get_active_alerts();
+		$active     = [];
+		$date_range = $this->calculate_date_range( $this->config['default_preset'] ?? 'this_month' );
+
+		foreach ( $this->get_alert_tiles() as $tile_id => $tile ) {
+			$tile_range            = $date_range;
+			$tile_range['filters'] = $this->get_current_filters( $tile['tab'], [] );
+
+			try {
+				$data = (array) $this->get_component_data( $tile_id, $tile, $tile_range );
+			} catch ( Exception $e ) {
+				// Keep the alerts of a tile that failed to load as they were
+				foreach ( $previous as $key => $alert ) {
+					if ( $alert['tile'] === $tile_id ) {
+						$active[ $key ] = $alert;
+					}
+				}
+
+				continue;
+			}
+
+			[ $change, $change_direction ] = $this->get_tile_change( $data );
+
+			foreach ( $this->evaluate_tile_alerts( $tile, $data ) as $index => $rule ) {
+				$key = $tile_id . ':' . $index;
+
+				$active[ $key ] = [
+					'tile'      => $tile_id,
+					'tab'       => $tile['tab'],
+					'title'     => $tile['title'] ?? '',
+					'condition' => $rule['condition'],
+					'threshold' => $rule['threshold'],
+					'severity'  => $rule['severity'],
+					'message'   => $rule['message'],
+					'notify'    => $rule['notify'],
+					'value'     => $data['value'],
+					'formatted' => $this->format_value( $data['value'], $tile['value_format'] ?? 'number', $tile ),
+					'change'    => $change === null ? null : ( $change_direction === 'down' ? -1 : 1 ) * abs( (float) $change ),
+					'period'    => $this->get_period_label( $date_range ),
+					'since'     => $previous[ $key ]['since'] ?? time(),
+				];
+
+				if ( ! isset( $previous[ $key ] ) ) {
+					$this->notify_alert( $active[ $key ] );
+				}
+			}
+		}
+
+		update_option( 'reports_alerts_' . $this->id, $active, false );
+
+		return $active;
+	}
+
+	/**
+	 * Get the alerts that were active on the last check.
+	 *
+	 * @return array Active alerts keyed by "{tile_id}:{rule index}".
+	 */
+	public function get_active_alerts(): array {
+		$alerts = get_option( 'reports_alerts_' . $this->id, [] );
+
+		return is_array( $alerts ) ? $alerts : [];
+	}
+
+	/**
+	 * Send an alert through its email and webhook channels.
+	 *
+	 * @param array $alert Active alert.
+	 *
+	 * @return array Channel => true or WP_Error, for the channels the alert uses.
+	 */
+	public function notify_alert( array $alert ): array {
+		$results = [];
+
+		if ( in_array( 'email', $alert['notify'], true ) ) {
+			$results['email'] = $this->send_alert_email( $alert );
+		}
+
+		if ( in_array( 'webhook', $alert['notify'], true ) ) {
+			$results['webhook'] = $this->send_alert_webhook( $alert );
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Email an alert to the report's alert recipients.
+	 *
+	 * @param array $alert Active alert.
+	 *
+	 * @return bool|WP_Error True on success.
+	 */
+	protected function send_alert_email( array $alert ) {
+		$recipients = array_filter( (array) $this->config['alert_recipients'], 'is_email' ) ?: [ get_option( 'admin_email' ) ];
+		$error      = null;
+
+		$lines = [
+			$alert['message'],
+			'',
+			/* translators: %s: formatted tile value */
+			sprintf( __( 'Value: %s', 'arraypress' ), $alert['formatted'] ),
+		];
+
+		if ( $alert['change'] !== null ) {
+			/* translators: %s: change from the previous period, e.g. "-12.5%" */
+			$lines[] = sprintf( __( 'Change: %s', 'arraypress' ), ( $alert['change'] > 0 ? '+' : '' ) . number_format_i18n( $alert['change'], 1 ) . '%' );
+		}
+
+		/* translators: %s: report period, e.g. "This month" */
+		$lines[] = sprintf( __( 'Period: %s', 'arraypress' ), $alert['period'] );
+		$lines[] = '';
+		$lines[] = $this->get_view_url( [ 'tab' => $alert['tab'] ] );
+
+		$catch_error = function ( WP_Error $mail_error ) use ( &$error ) {
+			$error = $mail_error;
+		};
+
+		add_action( 'wp_mail_failed', $catch_error );
+
+		$sent = wp_mail(
+			$recipients,
+			sprintf(
+			/* translators: 1: site name, 2: alert message */
+				__( '[%1$s] %2$s', 'arraypress' ),
+				wp_specialchars_decode( get_bloginfo( 'name' ), ENT_QUOTES ),
+				$alert['message']
+			),
+			implode( "\n", $lines )
+		);
+
+		remove_action( 'wp_mail_failed', $catch_error );
+
+		if ( ! $sent ) {
+			return new WP_Error( 'mail_failed', $error ? $error->get_error_message() : __( 'The email could not be sent.', 'arraypress' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Post an alert as JSON to the report's alert webhook.
+	 *
+	 * @param array $alert Active alert.
+	 *
+	 * @return bool|WP_Error True when the webhook responds with a 2xx status.
+	 */
+	protected function send_alert_webhook( array $alert ) {
+		$url = (string) $this->config['alert_webhook'];
+
+		if ( ! wp_http_validate_url( $url ) ) {
+			return new WP_Error( 'invalid_webhook', __( 'No valid alert webhook URL is configured.', 'arraypress' ) );
+		}
+
+		$payload = [
+			'report'    => $this->id,
+			'tile'      => $alert['tile'],
+			'title'     => $alert['title'],
+			'condition' => $alert['condition'],
+			'threshold' => $alert['threshold'],
+			'severity'  => $alert['severity'],
+			'message'   => $alert['message'],
+			'value'     => $alert['value'],
+			'formatted' => $alert['formatted'],
+			'change'    => $alert['change'],
+			'period'    => $alert['period'],
+			'since'     => gmdate( 'c', (int) $alert['since'] ),
+			'url'       => $this->get_view_url( [ 'tab' => $alert['tab'] ] ),
+			'test'      => ! empty( $alert['test'] ),
+		];
+
+		$response = wp_remote_post( $url, [
+			'headers' => [ 'Content-Type' => 'application/json' ],
+			'body'    => wp_json_encode( $payload ),
+			'timeout' => 10,
+		] );
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		$code = (int) wp_remote_retrieve_response_code( $response );
+
+		if ( $code < 200 || $code >= 300 ) {
+			return new WP_Error(
+				'webhook_failed',
+				/* translators: %d: HTTP status code */
+				sprintf( __( 'The webhook responded with HTTP %d.', 'arraypress' ), $code )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Send a sample alert through the email and webhook channels.
+	 *
+	 * @param array $channels Channels to test. Defaults to the webhook, if configured, and email.
+	 *
+	 * @return array Channel => true or WP_Error.
+	 */
+	public function send_test_alert( array $channels = [] ): array {
+		if ( empty( $channels ) ) {
+			$channels = $this->config['alert_webhook'] ? [ 'email', 'webhook' ] : [ 'email' ];
+		}
+
+		$tab = array_key_first( $this->tabs ) ?? '';
+
+		return $this->notify_alert( [
+			'tile'      => 'test',
+			'tab'       => $tab,
+			'title'     => __( 'Test alert', 'arraypress' ),
+			'condition' => 'above',
+			'threshold' => 0,
+			'severity'  => 'warning',
+			/* translators: %s: report title */
+			'message'   => sprintf( __( 'This is a test alert from %s.', 'arraypress' ), $this->config['page_title'] ),
+			'notify'    => $channels,
+			'value'     => 1,
+			'formatted' => $this->format_value( 1, 'number' ),
+			'change'    => null,
+			'period'    => $this->get_period_label( $this->calculate_date_range( $this->config['default_preset'] ?? 'this_month' ) ),
+			'since'     => time(),
+			'test'      => true,
+		] );
+	}
+
+	/**
+	 * Render admin notices for active alerts.
+	 *
+	 * @return void
+	 */
+	public function render_alert_notices(): void {
+		if ( ! current_user_can( $this->config['capability'] ) ) {
+			return;
+		}
+
+		$alerts = array_filter( $this->get_active_alerts(), function ( $alert ) {
+			return in_array( 'notice', $alert['notify'], true );
+		} );
+
+		foreach ( $alerts as $alert ) {
+			?>
+			<div class="notice notice-<?php echo esc_attr( $alert['severity'] ); ?> reports-alert-notice">
+				<p>
+					<strong><?php echo esc_html( $this->config['page_title'] ); ?>:</strong>
+					<?php echo esc_html( $alert['message'] ); ?>
+					(<?php echo esc_html( $alert['formatted'] ); ?>)
+					<a href="<?php echo esc_url( $this->get_view_url( [ 'tab' => $alert['tab'] ] ) ); ?>">
+						<?php esc_html_e( 'View report', 'arraypress' ); ?>
+					</a>
+				</p>
+			</div>
+			<?php
+		}
+	}
+
+	/**
+	 * Render the alert badge of a tile.
+	 *
+	 * @param array $alerts Triggered alerts, each with a severity and a message.
+	 *
+	 * @return void
+	 */
+	protected function render_tile_alert_badge( array $alerts ): void {
+		if ( empty( $alerts ) ) {
+			return;
+		}
+
+		$messages = implode( "\n", wp_list_pluck( $alerts, 'message' ) );
+
+		?>
+		<span class="reports-tile-alert-badge dashicons dashicons-warning" role="img"
+		      aria-label="<?php echo esc_attr( $messages ); ?>" title="<?php echo esc_attr( $messages ); ?>"></span>
+		<?php
+	}
+
+	/**
+	 * Get the state classes of a tile with triggered alerts.
+	 *
+	 * @param array $alerts Triggered alerts, each with a severity and a message.
+	 *
+	 * @return string Classes with a leading space, or an empty string.
+	 */
+	protected function get_tile_alert_classes( array $alerts ): string {
+		if ( empty( $alerts ) ) {
+			return '';
+		}
+
+		$severity = in_array( 'error', wp_list_pluck( $alerts, 'severity' ), true ) ? 'error' : 'warning';
+
+		return ' reports-tile-alert reports-tile-alert-' . $severity;
+	}
+
+}
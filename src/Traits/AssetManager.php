@@ -83,20 +83,44 @@ trait AssetManager {
 			'restNonce'     => wp_create_nonce( 'wp_rest' ),
 			'reportId'      => $this->id,
 			'dateRange'     => $this->date_range,
+			'defaultPreset' => $this->config['default_preset'] ?? 'this_month',
+			'defaultTab'    => (string) array_key_first( $this->tabs ),
+			'locale'        => str_replace( '_', '-', get_user_locale() ),
+			'dateFormat'    => get_option( 'date_format' ),
+			'timeFormat'    => get_option( 'time_format' ),
+			'timezone'      => wp_timezone_string(),
 			'i18n'          => [
 				// General
 				'loading'        => __( 'Loading...', 'arraypress' ),
 				'error'          => __( 'Error', 'arraypress' ),
 				'noData'         => __( 'No data available', 'arraypress' ),
+				'loadFailed'     => __( 'Failed to load data.', 'arraypress' ),
+				'retry'          => __( 'Retry', 'arraypress' ),
+				'refreshFailed'  => __( 'Refresh failed', 'arraypress' ),
+				'stale'          => __( 'Stale', 'arraypress' ),
+				'staleTitle'     => __( 'The last refresh failed. Showing data from %s.', 'arraypress' ),
+				'cachedSeconds'  => __( 'Cached %ds ago', 'arraypress' ),
+				'cachedMinutes'  => __( 'Cached %dm ago', 'arraypress' ),
+				'cachedHours'    => __( 'Cached %dh ago', 'arraypress' ),
+				'cachedTitle'    => __( 'Served from the server cache. Shift-click refresh to load fresh data.', 'arraypress' ),
+				'actions'        => __( 'Actions', 'arraypress' ),
 
 				// Export
 				'exporting'      => __( 'Exporting...', 'arraypress' ),
 				'preparing'      => __( 'Preparing export...', 'arraypress' ),
 				'processing'     => __( 'Processing %1$d / %2$d', 'arraypress' ),
 				'complete'       => __( 'Export complete!', 'arraypress' ),
-				'download'       => __( 'Download CSV', 'arraypress' ),
+				'generate'       => __( 'Generate %s', 'arraypress' ),
 				'exportFailed'   => __( 'Export failed', 'arraypress' ),
 				'batchFailed'    => __( 'Batch failed', 'arraypress' ),
+				'retrying'       => __( 'Retrying in %1$ds (attempt %2$d of %3$d)...', 'arraypress' ),
+				'interrupted'    => __( 'Export interrupted at %1$d of %2$d rows.', 'arraypress' ),
+				'exportReady'    => __( 'Your export is ready to download.', 'arraypress' ),
+				'exportExpired'  => __( 'Export session expired.', 'arraypress' ),
+				'resume'         => __( 'Resume', 'arraypress' ),
+				'downloadExport' => __( 'Download', 'arraypress' ),
+				'deleteExport'   => __( 'Delete', 'arraypress' ),
+				'confirmDelete'  => __( 'Delete this export? It can no longer be downloaded.', 'arraypress' ),
 
 				// Refresh / Last Updated
 				'updatedJustNow' => __( 'Updated just now', 'arraypress' ),
@@ -106,18 +130,68 @@ trait AssetManager {
 
 				// Table Pagination
 				'showing'        => __( 'Showing %1$d-%2$d of %3$d', 'arraypress' ),
+
+				// Table Search
+				'noMatches'      => __( 'No matching results', 'arraypress' ),
+
+				// Filter Bar
+				'filterYes'      => __( 'Yes', 'arraypress' ),
+				'removeFilter'   => __( 'Remove filter: %s', 'arraypress' ),
+				'noResults'      => __( 'No results found', 'arraypress' ),
+
+				// Chart Drill-down
+				'drilldownAll'   => __( 'All', 'arraypress' ),
+
+				// Funnel Charts
+				'funnelTotal'    => __( '%s of total', 'arraypress' ),
+				'funnelPrevious' => __( '%s of previous step', 'arraypress' ),
+
+				// Layout
+				'moveComponent'  => __( 'Move %s (drag, or use the arrow keys)', 'arraypress' ),
+				'resizeLabel'    => __( 'Width of %s', 'arraypress' ),
+				'hideComponent'  => __( 'Hide %s', 'arraypress' ),
+				'showComponent'  => __( 'Show %s', 'arraypress' ),
+				'layoutSaved'    => __( 'Layout saved.', 'arraypress' ),
+				'layoutFailed'   => __( 'The layout could not be saved.', 'arraypress' ),
+				'confirmReset'   => __( 'Reset this tab to the default layout?', 'arraypress' ),
+
+				// Saved Views
+				'views'          => __( 'Views', 'arraypress' ),
+				'setDefault'     => __( 'Open this view by default', 'arraypress' ),
+				'isDefault'      => __( 'Default view (click to unset)', 'arraypress' ),
+				'shareView'      => __( 'Share with other users', 'arraypress' ),
+				'unshareView'    => __( 'Stop sharing', 'arraypress' ),
+				'sharedBy'       => __( 'Shared by %s', 'arraypress' ),
+				'shared'         => __( 'Shared', 'arraypress' ),
+				'deleteView'     => __( 'Delete view', 'arraypress' ),
+				'confirmView'    => __( 'Delete the view "%s"?', 'arraypress' ),
+				'viewSaved'      => __( 'View saved.', 'arraypress' ),
+				'viewFailed'     => __( 'The view could not be saved.', 'arraypress' ),
+
+				// Scheduled Emails
+				'sendTest'       => __( 'Send test', 'arraypress' ),
+				'sendingTest'    => __( 'Sending...', 'arraypress' ),
+				'pauseEmail'     => __( 'Pause', 'arraypress' ),
+				'resumeEmail'    => __( 'Resume', 'arraypress' ),
+				'deleteEmail'    => __( 'Delete', 'arraypress' ),
+				'paused'         => __( 'Paused', 'arraypress' ),
+				'attaches'       => __( 'Attaches %s', 'arraypress' ),
+				'confirmEmail'   => __( 'Delete the scheduled email "%s"?', 'arraypress' ),
+				'emailSaved'     => __( 'Schedule added.', 'arraypress' ),
+				'emailFailed'    => __( 'The schedule could not be saved.', 'arraypress' ),
+				'emailSent'      => __( 'Sent', 'arraypress' ),
+				'emailError'     => __( 'Failed: %s', 'arraypress' ),
+				'testSend'       => __( '%s (test)', 'arraypress' ),
+
+				// Print
+				'generatedAt'    => __( 'Generated %s', 'arraypress' ),
 			],
+			'layoutWidths'  => $this->get_layout_widths(),
+			'views'         => $this->is_views_enabled() ? $this->get_views_data() : [],
+			'schedules'     => $this->is_schedules_enabled() ? $this->get_schedules_data() : [],
+			'scheduleLog'   => $this->is_schedules_enabled() ? $this->get_schedule_log_data() : [],
 			'chartDefaults' => [
-				'colors' => [
-					'#3b82f6', // blue
-					'#10b981', // emerald
-					'#f59e0b', // amber
-					'#ef4444', // red
-					'#8b5cf6', // violet
-					'#ec4899', // pink
-					'#06b6d4', // cyan
-					'#84cc16', // lime
-				],
+				'colors' => $this->get_chart_colors(),
 			],
 		] );
 	}
@@ -0,0 +1,391 @@
+<?php
+/**
+ * Chart Image Trait
+ *
+ * @package     ArrayPress\RegisterReports
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @since       1.0.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterReports\Traits;
+
+use GdImage;
+
+/**
+ * Trait ChartImage
+ *
+ * Draws charts as PNG images with GD, for places Chart.js can't run (emails).
+ * The images are deliberately simple: no fonts beyond GD's built-in one, and
+ * the legend is left to the surrounding HTML.
+ */
+trait ChartImage {
+
+	/**
+	 * Get the default chart colors, used for datasets without their own.
+	 *
+	 * @return array Hex colors.
+	 */
+	public function get_chart_colors(): array {
+		return [
+			'#3b82f6', // blue
+			'#10b981', // emerald
+			'#f59e0b', // amber
+			'#ef4444', // red
+			'#8b5cf6', // violet
+			'#ec4899', // pink
+			'#06b6d4', // cyan
+			'#84cc16', // lime
+		];
+	}
+
+	/**
+	 * Check whether a chart can be drawn as an image.
+	 *
+	 * @param array $component Chart component configuration.
+	 *
+	 * @return bool False for unsupported chart types or when GD is not installed.
+	 */
+	public function can_render_chart_image( array $component ): bool {
+		return function_exists( 'imagecreatetruecolor' ) &&
+		       in_array( $component['chart_type'] ?? 'line', [ 'line', 'area', 'bar', 'pie', 'doughnut' ], true );
+	}
+
+	/**
+	 * Draw a chart as a PNG image.
+	 *
+	 * @param array $component Chart component configuration.
+	 * @param array $data      Chart data with `labels` and `datasets`.
+	 * @param int   $width     Image width in pixels.
+	 *
+	 * @return string|null PNG data, or null if the chart can't be drawn.
+	 */
+	public function render_chart_image( array $component, array $data, int $width = 600 ): ?string {
+		$datasets = array_values( array_filter( (array) ( $data['datasets'] ?? [] ), 'is_array' ) );
+
+		if ( ! $this->can_render_chart_image( $component ) || empty( $datasets ) ) {
+			return null;
+		}
+
+		$height = (int) min( 400, max( 200, (int) ( $component['height'] ?? 300 ) ) );
+		$image  = imagecreatetruecolor( $width, $height );
+
+		imagefill( $image, 0, 0, imagecolorallocate( $image, 255, 255, 255 ) );
+
+		if ( in_array( $component['chart_type'], [ 'pie', 'doughnut' ], true ) ) {
+			$this->draw_chart_image_pie( $image, $component, $datasets[0] );
+		} else {
+			$this->draw_chart_image_cartesian( $image, $component, array_values( (array) ( $data['labels'] ?? [] ) ), $datasets );
+		}
+
+		ob_start();
+		imagepng( $image );
+		$png = ob_get_clean();
+
+		imagedestroy( $image );
+
+		return $png ?: null;
+	}
+
+	/**
+	 * Get the colors a dataset is drawn in.
+	 *
+	 * Pie and doughnut datasets have one color per value.
+	 *
+	 * @param array $dataset Chart.js dataset.
+	 * @param int   $index   Dataset index, used to pick a default color.
+	 *
+	 * @return array Hex or rgb() colors.
+	 */
+	public function get_dataset_colors( array $dataset, int $index ): array {
+		$palette = $this->get_chart_colors();
+		$colors  = $dataset['backgroundColor'] ?? $dataset['borderColor'] ?? null;
+
+		if ( is_array( $colors ) && ! empty( $colors ) ) {
+			return array_values( $colors );
+		}
+
+		if ( is_string( $colors ) && $colors !== '' ) {
+			return [ $dataset['borderColor'] ?? $colors ];
+		}
+
+		return [ $palette[ $index % count( $palette ) ] ];
+	}
+
+	/**
+	 * Draw a line, area or bar chart.
+	 *
+	 * @param GdImage $image     Image to draw on.
+	 * @param array   $component Chart component configuration.
+	 * @param array   $labels    X axis labels.
+	 * @param array   $datasets  Chart.js datasets.
+	 *
+	 * @return void
+	 */
+	protected function draw_chart_image_cartesian( GdImage $image, array $component, array $labels, array $datasets ): void {
+		$width   = imagesx( $image );
+		$height  = imagesy( $image );
+		$type    = $component['chart_type'];
+		$stacked = ! empty( $component['stacked'] );
+		$count   = max( count( $labels ), ...array_map( function ( $dataset ) {
+			return count( (array) ( $dataset['data'] ?? [] ) );
+		}, $datasets ) );
+
+		if ( $count === 0 ) {
+			return;
+		}
+
+		// Value range, summing stacked bars per label
+		$values = [ 0 ];
+		$totals = array_fill( 0, $count, 0 );
+
+		foreach ( $datasets as $dataset ) {
+			foreach ( array_values( (array) ( $dataset['data'] ?? [] ) ) as $i => $value ) {
+				$value      = $this->get_chart_image_value( $value );
+				$values[]   = $value;
+				$totals[ $i ] += $value;
+			}
+		}
+
+		if ( $stacked ) {
+			$values = array_merge( $values, $totals );
+		}
+
+		[ $min, $max, $step ] = $this->get_chart_image_scale( min( $values ), max( $values ) );
+
+		$font   = 2;
+		$left   = 12 + imagefontwidth( $font ) * max( strlen( $this->format_chart_image_tick( $max ) ), strlen( $this->format_chart_image_tick( $min ) ) );
+		$right  = $width - 16;
+		$top    = 12;
+		$bottom = $height - 12 - imagefontheight( $font );
+		$grid   = imagecolorallocate( $image, 229, 231, 235 );
+		$text   = imagecolorallocate( $image, 100, 105, 112 );
+
+		$y_for = function ( float $value ) use ( $min, $max, $top, $bottom ): int {
+			return (int) round( $bottom - ( $value - $min ) / ( $max - $min ) * ( $bottom - $top ) );
+		};
+
+		// Horizontal grid lines with Y axis ticks
+		for ( $tick = $min; $tick <= $max + $step / 2; $tick += $step ) {
+			$y     = $y_for( $tick );
+			$label = $this->format_chart_image_tick( $tick );
+
+			imageline( $image, $left, $y, $right, $y, $grid );
+			imagestring( $image, $font, $left - 6 - imagefontwidth( $font ) * strlen( $label ), $y - (int) ( imagefontheight( $font ) / 2 ), $label, $text );
+		}
+
+		// X axis labels, skipping some when they would overlap
+		$slot    = ( $right - $left ) / $count;
+		$longest = max( 1, ...array_map( function ( $label ) {
+			return strlen( $this->get_chart_image_text( $label ) );
+		}, $labels ?: [ '' ] ) );
+		$every   = max( 1, (int) ceil( ( $longest + 2 ) * imagefontwidth( $font ) / $slot ) );
+
+		foreach ( $labels as $i => $label ) {
+			if ( $i % $every !== 0 ) {
+				continue;
+			}
+
+			$label = $this->get_chart_image_text( $label );
+			$x     = (int) round( $left + $slot * ( $i + 0.5 ) - imagefontwidth( $font ) * strlen( $label ) / 2 );
+
+			imagestring( $image, $font, max( 0, $x ), $bottom + 6, $label, $text );
+		}
+
+		$zero   = $y_for( max( $min, 0 ) );
+		$stacks = array_fill( 0, $count, 0 );
+
+		foreach ( $datasets as $index => $dataset ) {
+			$rgb    = $this->parse_chart_image_color( $this->get_dataset_colors( $dataset, $index )[0] );
+			$color  = imagecolorallocate( $image, ...$rgb );
+			$points = [];
+
+			foreach ( array_values( (array) ( $dataset['data'] ?? [] ) ) as $i => $value ) {
+				$value = $this->get_chart_image_value( $value );
+
+				if ( $type === 'bar' ) {
+					$bars      = $stacked ? 1 : count( $datasets );
+					$bar_width = max( 1, (int) floor( $slot * 0.7 / $bars ) );
+					$x         = (int) round( $left + $slot * $i + $slot * 0.15 + ( $stacked ? 0 : $bar_width * $index ) );
+					$base      = $stacked ? $y_for( $stacks[ $i ] ) : $zero;
+					$y         = $y_for( ( $stacked ? $stacks[ $i ] : 0 ) + $value );
+
+					imagefilledrectangle( $image, $x, min( $y, $base ), $x + $bar_width - 1, max( $y, $base ), $color );
+
+					$stacks[ $i ] += $value;
+					continue;
+				}
+
+				$points[] = (int) round( $left + $slot * ( $i + 0.5 ) );
+				$points[] = $y_for( $value );
+			}
+
+			if ( count( $points ) < 4 ) {
+				continue;
+			}
+
+			// Filled area under the line, closed along the zero line
+			if ( $type === 'area' || ! empty( $dataset['fill'] ) ) {
+				$polygon = array_merge( $points, [ $points[ count( $points ) - 2 ], $zero, $points[0], $zero ] );
+
+				imagefilledpolygon( $image, $polygon, imagecolorallocatealpha( $image, $rgb[0], $rgb[1], $rgb[2], 100 ) );
+			}
+
+			imagesetthickness( $image, 2 );
+
+			for ( $i = 2; $i < count( $points ); $i += 2 ) {
+				imageline( $image, $points[ $i - 2 ], $points[ $i - 1 ], $points[ $i ], $points[ $i + 1 ], $color );
+			}
+
+			imagesetthickness( $image, 1 );
+		}
+	}
+
+	/**
+	 * Draw a pie or doughnut chart from its first dataset.
+	 *
+	 * @param GdImage $image     Image to draw on.
+	 * @param array   $component Chart component configuration.
+	 * @param array   $dataset   Chart.js dataset.
+	 *
+	 * @return void
+	 */
+	protected function draw_chart_image_pie( GdImage $image, array $component, array $dataset ): void {
+		$values = array_map( [ $this, 'get_chart_image_value' ], array_values( (array) ( $dataset['data'] ?? [] ) ) );
+		$total  = array_sum( array_filter( $values, function ( $value ) {
+			return $value > 0;
+		} ) );
+
+		if ( $total <= 0 ) {
+			return;
+		}
+
+		$size   = min( imagesx( $image ), imagesy( $image ) ) - 24;
+		$center = [ (int) ( imagesx( $image ) / 2 ), (int) ( imagesy( $image ) / 2 ) ];
+		$colors = $this->get_dataset_colors( $dataset, 0 );
+		$start  = -90.0;
+
+		foreach ( $values as $i => $value ) {
+			if ( $value <= 0 ) {
+				continue;
+			}
+
+			$end   = $start + $value / $total * 360;
+			$color = imagecolorallocate( $image, ...$this->parse_chart_image_color( $colors[ $i % count( $colors ) ] ) );
+
+			imagefilledarc( $image, $center[0], $center[1], $size, $size, (int) round( $start ), (int) round( $end ), $color, IMG_ARC_PIE );
+
+			$start = $end;
+		}
+
+		if ( $component['chart_type'] === 'doughnut' ) {
+			$white = imagecolorallocate( $image, 255, 255, 255 );
+
+			imagefilledellipse( $image, $center[0], $center[1], (int) ( $size * 0.5 ), (int) ( $size * 0.5 ), $white );
+		}
+	}
+
+	/**
+	 * Get a round Y axis range and step for the given values.
+	 *
+	 * @param float $min Smallest value (zero or less).
+	 * @param float $max Largest value.
+	 *
+	 * @return array Minimum, maximum and step.
+	 */
+	protected function get_chart_image_scale( float $min, float $max ): array {
+		if ( $max <= $min ) {
+			$max = $min + 1;
+		}
+
+		$raw       = ( $max - $min ) / 4;
+		$magnitude = 10 ** floor( log10( $raw ) );
+		$step      = $magnitude;
+
+		foreach ( [ 1, 2, 2.5, 5, 10 ] as $multiple ) {
+			if ( $multiple * $magnitude >= $raw ) {
+				$step = $multiple * $magnitude;
+				break;
+			}
+		}
+
+		return [ floor( $min / $step ) * $step, ceil( $max / $step ) * $step, $step ];
+	}
+
+	/**
+	 * Format a Y axis tick, shortening thousands and millions.
+	 *
+	 * @param float $value Tick value.
+	 *
+	 * @return string
+	 */
+	protected function format_chart_image_tick( float $value ): string {
+		$abs = abs( $value );
+
+		if ( $abs >= 1000000 ) {
+			return round( $value / 1000000, 1 ) . 'M';
+		}
+
+		if ( $abs >= 1000 ) {
+			return round( $value / 1000, 1 ) . 'k';
+		}
+
+		return (string) round( $value, 2 );
+	}
+
+	/**
+	 * Get a numeric value from a dataset entry.
+	 *
+	 * @param mixed $value Number, numeric string or point object with `y`.
+	 *
+	 * @return float
+	 */
+	protected function get_chart_image_value( $value ): float {
+		if ( is_array( $value ) ) {
+			$value = $value['y'] ?? 0;
+		}
+
+		return is_numeric( $value ) ? (float) $value : 0.0;
+	}
+
+	/**
+	 * Get text GD's built-in font can draw.
+	 *
+	 * @param mixed $text Label.
+	 *
+	 * @return string ASCII text.
+	 */
+	protected function get_chart_image_text( $text ): string {
+		$text = remove_accents( is_scalar( $text ) ? (string) $text : '' );
+
+		return (string) preg_replace( '/[^\x20-\x7E]/', '', $text );
+	}
+
+	/**
+	 * Parse a hex, rgb() or rgba() color.
+	 *
+	 * @param mixed $color Color.
+	 *
+	 * @return array Red, green and blue, gray if the color can't be parsed.
+	 */
+	protected function parse_chart_image_color( $color ): array {
+		$color = is_string( $color ) ? trim( $color ) : '';
+
+		if ( preg_match( '/^#([0-9a-f]{3}|[0-9a-f]{6})$/i', $color, $matches ) ) {
+			$hex = strlen( $matches[1] ) === 3
+				? preg_replace( '/(.)/', '$1$1', $matches[1] )
+				: $matches[1];
+
+			return array_map( 'hexdec', str_split( $hex, 2 ) );
+		}
+
+		if ( preg_match( '/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i', $color, $matches ) ) {
+			return [ min( 255, (int) $matches[1] ), min( 255, (int) $matches[2] ), min( 255, (int) $matches[3] ) ];
+		}
+
+		return [ 140, 143, 148 ];
+	}
+
+}
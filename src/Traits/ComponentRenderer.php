@@ -24,15 +24,26 @@ trait ComponentRenderer {
     /**
      * Render all components for a tab.
      *
-     * @param array $components Components to render.
+     * When a tab is given, the current user's saved layout is applied.
+     *
+     * @param array  $components Components to render.
+     * @param string $tab        Optional. Tab key.
      *
      * @return void
      */
-    protected function render_components( array $components ): void {
+    protected function render_components( array $components, string $tab = '' ): void {
         if ( empty( $components ) ) {
             return;
         }
 
+        if ( $tab !== '' && $this->is_customizable() ) {
+            $components = $this->apply_user_layout( $components, $tab );
+
+            if ( ! $this->is_print_all() ) {
+                $this->render_layout_toolbar( $tab );
+            }
+        }
+
         echo '<div class="reports-components">';
 
         // Group tiles together for grid layout
@@ -42,6 +53,11 @@ trait ComponentRenderer {
         foreach ( $components as $component_id => $component ) {
             $type = $component['type'] ?? 'tile';
 
+            // The full report print view renders everything up front
+            if ( $this->is_print_all() ) {
+                $component['lazy'] = false;
+            }
+
             // If we're switching from tiles to something else, render the tile group
             if ( $current_type === 'tile' && $type !== 'tile' && ! empty( $current_group ) ) {
                 $this->render_tiles_grid( $current_group );
@@ -142,31 +158,32 @@ trait ComponentRenderer {
      *
      * @param string $component_id Component ID.
      * @param array  $component    Component configuration.
+     * @param bool   $skeleton     Render a placeholder instead of calling the data callback.
      *
      * @return void
      */
-    protected function render_tile( string $component_id, array $component ): void {
-        $data = [];
-
-        // Get data if callback exists
-        if ( ! empty( $component['data_callback'] ) && is_callable( $component['data_callback'] ) ) {
-            $data = call_user_func( $component['data_callback'], $this->date_range, $component );
+    protected function render_tile( string $component_id, array $component, bool $skeleton = false ): void {
+        $data     = [];
+        $is_lazy  = ! empty( $component['lazy'] );
+        $skeleton = $skeleton || $is_lazy;
+
+        // Get data if callback exists (lazy tiles are loaded by JavaScript)
+        if ( ! $skeleton && ! empty( $component['data_callback'] ) && is_callable( $component['data_callback'] ) ) {
+            $data = $this->get_component_data( $component_id, $component, $this->date_range );
         }
 
-        $value          = $data['value'] ?? 0;
-        $previous_value = $data['previous_value'] ?? null;
-        $label          = $component['title'] ?? '';
-        $icon_color     = $component['icon_color'] ?? 'gray';
+        $value      = $data['value'] ?? 0;
+        $label      = $component['title'] ?? '';
+        $icon_color = $component['icon_color'] ?? 'gray';
 
-        // Auto-calculate change if previous_value is provided and both are numeric
-        $change           = $data['change'] ?? null;
-        $change_direction = $data['change_direction'] ?? null;
+        [ $change, $change_direction ] = $this->get_tile_change( $data );
 
-        if ( $change === null && $previous_value !== null && is_numeric( $value ) && is_numeric( $previous_value ) && $previous_value != 0 ) {
-            $change           = ( ( $value - $previous_value ) / abs( $previous_value ) ) * 100;
-            $change_direction = $change > 0 ? 'up' : ( $change < 0 ? 'down' : 'neutral' );
-            $change           = abs( $change );
-        }
+        $alerts = $skeleton ? [] : $this->get_tile_alerts_data( $component, $data );
+
+        $has_sparkline = ! empty( $component['sparkline'] ) && is_callable( $component['sparkline'] );
+        $sparkline     = $has_sparkline && ! $skeleton ? $this->get_tile_sparkline_data( $component_id, $component, $this->date_range ) : null;
+        $has_target    = isset( $component['target'] ) && ( is_numeric( $component['target'] ) || is_callable( $component['target'] ) );
+        $target        = $has_target && ! $skeleton ? $this->get_tile_target_data( $component_id, $component, $data, $this->date_range ) : null;
 
         // Get period label from date range
         $period_label = $this->get_period_label();
@@ -178,8 +195,8 @@ trait ComponentRenderer {
         }
 
         ?>
-        <div class="reports-tile"
-             data-component-id="<?php echo esc_attr( $component_id ); ?>">
+        <div class="reports-tile<?php echo esc_attr( $this->get_component_state_classes( $component ) . $this->get_tile_alert_classes( $alerts ) ); ?>"
+             data-component-id="<?php echo esc_attr( $component_id ); ?>"<?php echo $this->get_cache_age_attribute( $component_id ); ?>>
 
             <div class="reports-tile-header">
                 <?php if ( $icon ) : ?>
@@ -188,12 +205,30 @@ trait ComponentRenderer {
 					</span>
                 <?php endif; ?>
                 <span class="reports-tile-label"><?php echo esc_html( $label ); ?></span>
+                <?php $this->render_tile_alert_badge( $alerts ); ?>
+                <?php $this->render_component_tools( $component ); ?>
             </div>
 
             <div class="reports-tile-value">
-                <?php echo esc_html( $this->format_value( $value, $component['value_format'] ?? 'number', $component ) ); ?>
+                <?php if ( $skeleton ) : ?>
+                    <span class="reports-skeleton reports-skeleton-value"></span>
+                <?php else : ?>
+                    <?php echo esc_html( $this->format_value( $value, $component['value_format'] ?? 'number', $component ) ); ?>
+                <?php endif; ?>
             </div>
 
+            <?php if ( $has_target ) : ?>
+                <?php $this->render_tile_target( $component, $target ); ?>
+            <?php endif; ?>
+
+            <?php if ( $has_sparkline ) : ?>
+                <div class="reports-tile-sparkline">
+                    <canvas class="reports-sparkline-canvas" role="img" aria-label="<?php esc_attr_e( 'Trend', 'arraypress' ); ?>"
+                            data-sparkline-color="<?php echo esc_attr( $component['sparkline_color'] ?? '' ); ?>"
+                            data-sparkline="<?php echo esc_attr( wp_json_encode( $sparkline ) ); ?>"></canvas>
+                </div>
+            <?php endif; ?>
+
             <div class="reports-tile-footer">
                 <?php if ( $change !== null && $change_direction ) : ?>
                     <?php
@@ -224,6 +259,190 @@ trait ComponentRenderer {
         <?php
     }
 
+    /**
+     * Get a tile's change from the previous period.
+     *
+     * Uses the `change` and `change_direction` returned by the data callback, or
+     * calculates them when `previous_value` is provided and both values are numeric.
+     *
+     * @param array $data Data returned by the tile's data callback.
+     *
+     * @return array Change in percent (absolute) and direction (up, down or neutral), both null if unknown.
+     */
+    public function get_tile_change( array $data ): array {
+        $value            = $data['value'] ?? 0;
+        $previous_value   = $data['previous_value'] ?? null;
+        $change           = $data['change'] ?? null;
+        $change_direction = $data['change_direction'] ?? null;
+
+        if ( $change === null && $previous_value !== null && is_numeric( $value ) && is_numeric( $previous_value ) && $previous_value != 0 ) {
+            $change           = ( ( $value - $previous_value ) / abs( $previous_value ) ) * 100;
+            $change_direction = $change > 0 ? 'up' : ( $change < 0 ? 'down' : 'neutral' );
+            $change           = abs( $change );
+        }
+
+        return [ $change, $change_direction ];
+    }
+
+    /**
+     * Get a tile's sparkline series.
+     *
+     * The `sparkline` callback receives the date range and tile configuration, like
+     * a data callback, and returns either `labels` and `values` (or `data`), or an
+     * array of values, keyed by label or not. Results are cached with the tile's
+     * cache settings.
+     *
+     * @param string $component_id Component ID.
+     * @param array  $component    Tile configuration.
+     * @param array  $date_range   Date range (with filters).
+     *
+     * @return array|null Labels, values and formatted values, or null if the tile has no sparkline.
+     */
+    public function get_tile_sparkline_data( string $component_id, array $component, array $date_range ): ?array {
+        if ( empty( $component['sparkline'] ) || ! is_callable( $component['sparkline'] ) ) {
+            return null;
+        }
+
+        $series = (array) $this->get_component_data(
+                $component_id . '_sparkline',
+                array_merge( $component, [ 'data_callback' => $component['sparkline'] ] ),
+                $date_range
+        );
+
+        if ( isset( $series['values'] ) || isset( $series['data'] ) ) {
+            $values = array_values( (array) ( $series['values'] ?? $series['data'] ) );
+            $labels = array_values( (array) ( $series['labels'] ?? array_keys( $values ) ) );
+        } else {
+            $values = array_values( $series );
+            $labels = array_is_list( $series ) ? [] : array_map( 'strval', array_keys( $series ) );
+        }
+
+        $values = array_map( function ( $value ) {
+            return is_numeric( $value ) ? $value + 0 : null;
+        }, $values );
+
+        return [
+                'labels'    => $labels ?: array_fill( 0, count( $values ), '' ),
+                'values'    => $values,
+                'formatted' => array_map( function ( $value ) use ( $component ) {
+                    return $value === null ? '' : $this->format_value( $value, $component['value_format'] ?? 'number', $component );
+                }, $values ),
+        ];
+    }
+
+    /**
+     * Get a tile's progress towards its target.
+     *
+     * The `target` is a number or a callback receiving the date range and tile
+     * configuration. While the date range is in progress, the value is projected
+     * to the end of the range at its daily run rate.
+     *
+     * @param string $component_id Component ID.
+     * @param array  $component    Tile configuration.
+     * @param array  $data         Data returned by the tile's data callback.
+     * @param array  $date_range   Date range (with filters).
+     *
+     * @return array|null Target, percentages, projection and their labels, or null without a usable target.
+     */
+    public function get_tile_target_data( string $component_id, array $component, array $data, array $date_range ): ?array {
+        $target = $component['target'] ?? null;
+        $value  = $data['value'] ?? null;
+
+        if ( is_callable( $target ) ) {
+            $target = $this->get_component_data(
+                    $component_id . '_target',
+                    array_merge( $component, [ 'data_callback' => $target ] ),
+                    $date_range
+            );
+        }
+
+        if ( ! is_numeric( $target ) || $target <= 0 || ! is_numeric( $value ) ) {
+            return null;
+        }
+
+        $format     = $component['value_format'] ?? 'number';
+        $percent    = $value / $target * 100;
+        $projection = null;
+
+        // Project the run rate to the end of a range that is still in progress
+        $now = current_time( 'mysql', true );
+
+        if ( ! empty( $date_range['start'] ) && ! empty( $date_range['end'] ) && $now > $date_range['start'] && $now < $date_range['end'] ) {
+            $elapsed    = $this->get_days_in_range( [ 'start' => $date_range['start'], 'end' => $now ] );
+            $total      = $this->get_days_in_range( $date_range );
+            $projection = $elapsed > 0 && $total > $elapsed ? $value / $elapsed * $total : null;
+        }
+
+        return [
+                'target'            => $target + 0,
+                'percent'           => round( $percent, 1 ),
+                'projection'        => $projection === null ? null : round( $projection, 2 ),
+                'projected_percent' => $projection === null ? null : round( $projection / $target * 100, 1 ),
+                'met'               => $value >= $target,
+                'percent_label'     => sprintf(
+                /* translators: %s: percentage of the target reached, e.g. "62%" */
+                        __( '%s of goal', 'arraypress' ),
+                        number_format_i18n( $percent, 0 ) . '%'
+                ),
+                'target_label'      => sprintf(
+                /* translators: %s: formatted target value */
+                        __( 'Goal: %s', 'arraypress' ),
+                        $this->format_value( $target, $format, $component )
+                ),
+                'projection_label'  => $projection === null ? '' : sprintf(
+                /* translators: 1: formatted projected value, 2: projected percentage of the target */
+                        __( 'On pace for %1$s (%2$s)', 'arraypress' ),
+                        $this->format_value( $projection, $format, $component ),
+                        number_format_i18n( $projection / $target * 100, 0 ) . '%'
+                ),
+        ];
+    }
+
+    /**
+     * Render a tile's progress towards its target as a bar or a radial gauge.
+     *
+     * Lazy tiles render it empty and fill it in when their data loads.
+     *
+     * @param array      $component Tile configuration.
+     * @param array|null $target    Target data from get_tile_target_data().
+     *
+     * @return void
+     */
+    protected function render_tile_target( array $component, ?array $target ): void {
+        $display = ( $component['target_display'] ?? 'bar' ) === 'gauge' ? 'gauge' : 'bar';
+        $percent = $target ? min( 100, max( 0, $target['percent'] ) ) : 0;
+        $classes = 'reports-tile-target reports-tile-target-' . $display;
+
+        if ( $target && $target['met'] ) {
+            $classes .= ' reports-tile-target-met';
+        }
+
+        ?>
+        <div class="<?php echo esc_attr( $classes ); ?>">
+            <?php if ( $display === 'gauge' ) : ?>
+                <svg class="reports-tile-gauge" viewBox="0 0 36 36" role="progressbar" aria-valuemin="0" aria-valuemax="100"
+                     aria-valuenow="<?php echo esc_attr( (string) round( $percent ) ); ?>" aria-label="<?php esc_attr_e( 'Progress towards goal', 'arraypress' ); ?>">
+                    <circle class="reports-tile-gauge-track" cx="18" cy="18" r="15.9155"></circle>
+                    <circle class="reports-tile-gauge-fill" cx="18" cy="18" r="15.9155" pathLength="100"
+                            stroke-dasharray="<?php echo esc_attr( $percent . ' 100' ); ?>"></circle>
+                    <text class="reports-tile-gauge-text" x="18" y="18"><?php echo esc_html( $target ? number_format_i18n( $target['percent'], 0 ) . '%' : '' ); ?></text>
+                </svg>
+            <?php else : ?>
+                <div class="reports-tile-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100"
+                     aria-valuenow="<?php echo esc_attr( (string) round( $percent ) ); ?>" aria-label="<?php esc_attr_e( 'Progress towards goal', 'arraypress' ); ?>">
+                    <span class="reports-tile-progress-fill" style="width: <?php echo esc_attr( (string) $percent ); ?>%;"></span>
+                </div>
+            <?php endif; ?>
+
+            <div class="reports-tile-target-details">
+                <span class="reports-tile-target-percent"><?php echo esc_html( $target['percent_label'] ?? '' ); ?></span>
+                <span class="reports-tile-target-goal"><?php echo esc_html( $target['target_label'] ?? '' ); ?></span>
+                <span class="reports-tile-target-projection"><?php echo esc_html( $target['projection_label'] ?? '' ); ?></span>
+            </div>
+        </div>
+        <?php
+    }
+
     /**
      * Render a tiles group component.
      *
@@ -235,17 +454,23 @@ trait ComponentRenderer {
     protected function render_tiles_group( string $component_id, array $component ): void {
         $tiles   = $component['tiles'] ?? [];
         $columns = $component['columns'] ?? 4;
+        $is_lazy = ! empty( $component['lazy'] );
 
         if ( empty( $tiles ) ) {
             return;
         }
 
         ?>
-        <div class="reports-tiles-wrapper"
+        <div class="reports-tiles-wrapper<?php echo esc_attr( $this->get_component_state_classes( $component ) ); ?>"
              data-component-id="<?php echo esc_attr( $component_id ); ?>">
 
-            <?php if ( ! empty( $component['title'] ) ) : ?>
-                <h3 class="reports-tiles-wrapper-title"><?php echo esc_html( $component['title'] ); ?></h3>
+            <?php if ( ! empty( $component['title'] ) || $this->has_component_tools( $component ) ) : ?>
+                <div class="reports-tiles-wrapper-header">
+                    <?php if ( ! empty( $component['title'] ) ) : ?>
+                        <h3 class="reports-tiles-wrapper-title"><?php echo esc_html( $component['title'] ); ?></h3>
+                    <?php endif; ?>
+                    <?php $this->render_component_tools( $component ); ?>
+                </div>
             <?php endif; ?>
 
             <div class="reports-tiles-grid reports-tiles-columns-<?php echo esc_attr( $columns ); ?>">
@@ -255,8 +480,10 @@ trait ComponentRenderer {
                             'icon'         => 'dashicons-chart-bar',
                             'icon_color'   => 'gray',
                             'value_format' => 'number',
+                            'cache'        => $component['cache'] ?? 0,
                     ] );
-                    $this->render_tile( $component_id . '_' . $tile_id, $tile );
+                    unset( $tile['lazy'] );
+                    $this->render_tile( $component_id . '_' . $tile_id, $tile, $is_lazy );
                 endforeach; ?>
             </div>
         </div>
@@ -272,11 +499,12 @@ trait ComponentRenderer {
      * @return void
      */
     protected function render_chart( string $component_id, array $component ): void {
-        $data = [];
+        $data    = [];
+        $is_lazy = ! empty( $component['lazy'] );
 
-        // Get data if callback exists
-        if ( ! empty( $component['data_callback'] ) && is_callable( $component['data_callback'] ) ) {
-            $data = call_user_func( $component['data_callback'], $this->date_range, $component );
+        // Get data if callback exists (lazy charts are loaded by JavaScript)
+        if ( ! $is_lazy && ! empty( $component['data_callback'] ) && is_callable( $component['data_callback'] ) ) {
+            $data = $this->get_component_data( $component_id, $component, $this->date_range );
         }
 
         $chart_type = $component['chart_type'] ?? 'line';
@@ -284,41 +512,82 @@ trait ComponentRenderer {
 
         // Prepare chart configuration
         $chart_config = [
-                'type'    => $chart_type,
-                'data'    => [
+                'type'      => $this->get_chart_js_type( $chart_type ),
+                'chartType' => $chart_type,
+                'data'      => [
                         'labels'   => $data['labels'] ?? [],
                         'datasets' => $data['datasets'] ?? [],
                 ],
-                'options' => $this->get_chart_options( $component, $chart_type ),
+                'options'   => $this->get_chart_options( $component, $chart_type ),
+                'style'     => [
+                        'colors'  => array_values( (array) ( $component['colors'] ?? [] ) ),
+                        'stacked' => ! empty( $component['stacked'] ),
+                        'fill'    => ! empty( $component['fill'] ),
+                        'tension' => (float) ( $component['tension'] ?? 0.4 ),
+                ],
+                'format'    => [
+                        'type'     => in_array( $component['tooltip_format'], [ 'decimal', 'currency', 'percentage' ], true )
+                                ? $component['tooltip_format']
+                                : 'number',
+                        'currency' => strtoupper( $component['currency'] ?? 'USD' ),
+                ],
         ];
 
+        $comparison = $is_lazy ? null : $this->get_chart_comparison_data( $component, $this->date_range, $component_id );
+
+        if ( $comparison ) {
+            $chart_config['comparison'] = $comparison;
+        }
+
+        $on_click = $this->get_chart_click_config( $component );
+
+        if ( $on_click ) {
+            $chart_config['onClick'] = $on_click;
+            $chart_config['keys']    = $data['keys'] ?? [];
+        }
+
         $width_class = $this->get_width_class( $component['width'] ?? 'full' );
 
         ?>
-        <div class="reports-chart-wrapper <?php echo esc_attr( $width_class . ' ' . ( $component['class'] ?? '' ) ); ?>"
-             data-component-id="<?php echo esc_attr( $component_id ); ?>"
+        <div class="reports-chart-wrapper <?php echo esc_attr( $width_class . ' ' . ( $component['class'] ?? '' ) . $this->get_component_state_classes( $component ) ); ?>"
+             data-component-id="<?php echo esc_attr( $component_id ); ?>"<?php echo $this->get_cache_age_attribute( $component_id ); ?>
              data-ajax-refresh="<?php echo $component['ajax_refresh'] ? 'true' : 'false'; ?>">
 
-            <?php if ( ! empty( $component['title'] ) ) : ?>
+            <?php if ( ! empty( $component['title'] ) || $this->has_component_tools( $component ) ) : ?>
                 <?php $period_label = $this->get_period_label(); ?>
                 <div class="reports-chart-header">
-                    <h3 class="reports-chart-title">
-                        <?php echo esc_html( $component['title'] ); ?>
-                        <?php if ( $period_label ) : ?>
-                            <span class="reports-chart-period">— <?php echo esc_html( $period_label ); ?></span>
+                    <div class="reports-chart-heading">
+                        <h3 class="reports-chart-title">
+                            <?php echo esc_html( $component['title'] ); ?>
+                            <?php if ( $period_label ) : ?>
+                                <span class="reports-chart-period">— <?php echo esc_html( $period_label ); ?></span>
+                            <?php endif; ?>
+                            <?php if ( $comparison ) : ?>
+                                <span class="reports-chart-compare"><?php echo esc_html( $comparison['period_label'] ); ?></span>
+                            <?php elseif ( $is_lazy && ! empty( $component['compare'] ) ) : ?>
+                                <span class="reports-chart-compare" style="display: none;"></span>
+                            <?php endif; ?>
+                        </h3>
+                        <?php if ( ! empty( $component['description'] ) ) : ?>
+                            <p class="reports-chart-description"><?php echo esc_html( $component['description'] ); ?></p>
                         <?php endif; ?>
-                    </h3>
-                    <?php if ( ! empty( $component['description'] ) ) : ?>
-                        <p class="reports-chart-description"><?php echo esc_html( $component['description'] ); ?></p>
-                    <?php endif; ?>
+                    </div>
+                    <?php $this->render_component_tools( $component ); ?>
                 </div>
             <?php endif; ?>
 
-            <div class="reports-chart-container" style="height: <?php echo esc_attr( $height ); ?>px;">
+            <?php if ( $on_click && $on_click['action'] === 'drilldown' ) : ?>
+                <nav class="reports-chart-breadcrumb" aria-label="<?php esc_attr_e( 'Drill-down', 'arraypress' ); ?>" style="display: none;"></nav>
+            <?php endif; ?>
+
+            <div class="reports-chart-container<?php echo $on_click ? ' reports-chart-clickable' : ''; ?>" style="height: <?php echo esc_attr( $height ); ?>px;">
                 <canvas id="chart-<?php echo esc_attr( $component_id ); ?>"
                         class="reports-chart-canvas"
                         data-chart-id="<?php echo esc_attr( $component_id ); ?>"
                         data-chart-config="<?php echo esc_attr( wp_json_encode( $chart_config ) ); ?>"></canvas>
+                <?php if ( $is_lazy ) : ?>
+                    <div class="reports-skeleton reports-skeleton-chart"></div>
+                <?php endif; ?>
             </div>
 
             <div class="reports-chart-loading" style="display: none;">
@@ -328,6 +597,130 @@ trait ComponentRenderer {
         <?php
     }
 
+    /**
+     * Get the click (drill-down) configuration for a chart.
+     *
+     * Clicking a data point either sets a tab filter (`filter`), opens a URL template
+     * (`url`) or loads a nested dataset from `callback` into the same chart (`drilldown`).
+     *
+     * @param array $component Component configuration.
+     *
+     * @return array|null Configuration for JavaScript, or null if the chart is not clickable.
+     */
+    public function get_chart_click_config( array $component ): ?array {
+        $on_click = $component['on_click'] ?? [];
+
+        if ( empty( $on_click ) || ! is_array( $on_click ) ) {
+            return null;
+        }
+
+        $action = $on_click['action'] ?? '';
+
+        switch ( $action ) {
+            case 'filter':
+                if ( empty( $on_click['filter'] ) ) {
+                    return null;
+                }
+
+                return [
+                        'action' => 'filter',
+                        'filter' => sanitize_key( $on_click['filter'] ),
+                ];
+
+            case 'url':
+                if ( empty( $on_click['url'] ) ) {
+                    return null;
+                }
+
+                return [
+                        'action' => 'url',
+                        'url'    => $on_click['url'],
+                        'target' => $on_click['target'] ?? '',
+                ];
+
+            case 'drilldown':
+                if ( empty( $on_click['callback'] ) || ! is_callable( $on_click['callback'] ) ) {
+                    return null;
+                }
+
+                return [
+                        'action'   => 'drilldown',
+                        'maxDepth' => max( 1, (int) ( $on_click['max_depth'] ?? 1 ) ),
+                ];
+        }
+
+        return null;
+    }
+
+    /**
+     * Get comparison data for a chart with the `compare` option.
+     *
+     * Calls the chart's data callback a second time with the comparison period.
+     * Datasets are aligned with the current period by index (day offset) in the browser.
+     *
+     * @param array  $component    Component configuration.
+     * @param array  $date_range   Current date range.
+     * @param string $component_id Component ID, used to cache the comparison data.
+     *
+     * @return array|null Labels, datasets and labels for the comparison period, or null if disabled.
+     */
+    public function get_chart_comparison_data( array $component, array $date_range, string $component_id = '' ): ?array {
+        $mode = $component['compare'] ?? false;
+
+        if ( ! $mode || ! in_array( $component['chart_type'] ?? 'line', [ 'line', 'bar', 'area' ], true ) ) {
+            return null;
+        }
+
+        if ( empty( $component['data_callback'] ) || ! is_callable( $component['data_callback'] ) ) {
+            return null;
+        }
+
+        $mode       = $mode === 'previous_year' ? 'previous_year' : 'previous_period';
+        $comparison = $this->get_comparison_period( $date_range, $mode );
+        $data       = $component_id !== ''
+                ? $this->get_component_data( $component_id . '_comparison', $component, $comparison )
+                : call_user_func( $component['data_callback'], $comparison, $component );
+
+        return [
+                'mode'         => $mode,
+                'label'        => $mode === 'previous_year'
+                        ? __( 'Same period last year', 'arraypress' )
+                        : __( 'Previous period', 'arraypress' ),
+                'period_label' => sprintf(
+                /* translators: %s: comparison date range */
+                        __( 'vs. %s', 'arraypress' ),
+                        Dates::format_range( $comparison['start'], $comparison['end'] )
+                ),
+                'labels'       => $data['labels'] ?? [],
+                'datasets'     => $data['datasets'] ?? [],
+        ];
+    }
+
+    /**
+     * Get the Chart.js chart type that draws a chart type.
+     *
+     * Areas are filled lines; horizontal bars, combo (bar and line) charts and
+     * funnels are bar charts. Heatmaps are drawn as HTML grids, without Chart.js.
+     *
+     * @param string $chart_type Chart type.
+     *
+     * @return string
+     */
+    public function get_chart_js_type( string $chart_type ): string {
+        switch ( $chart_type ) {
+            case 'area':
+                return 'line';
+
+            case 'horizontal_bar':
+            case 'combo':
+            case 'funnel':
+                return 'bar';
+
+            default:
+                return $chart_type;
+        }
+    }
+
     /**
      * Get Chart.js options based on component configuration.
      *
@@ -342,8 +735,10 @@ trait ComponentRenderer {
                 'maintainAspectRatio' => false,
                 'plugins'             => [
                         'legend'  => [
-                                'display'  => $component['show_legend'] ?? true,
-                                'position' => $component['legend_position'] ?? 'top',
+                                'display'  => (bool) ( $component['show_legend'] ?? true ),
+                                'position' => in_array( $component['legend_position'] ?? 'top', [ 'top', 'bottom', 'left', 'right' ], true )
+                                        ? $component['legend_position']
+                                        : 'top',
                         ],
                         'tooltip' => [
                                 'enabled'   => true,
@@ -353,8 +748,8 @@ trait ComponentRenderer {
                 ],
         ];
 
-        // Add scales for line, bar, area charts
-        if ( in_array( $chart_type, [ 'line', 'bar', 'area' ], true ) ) {
+        // Add scales for charts with axes
+        if ( in_array( $chart_type, [ 'line', 'bar', 'area', 'horizontal_bar', 'combo', 'scatter', 'bubble' ], true ) ) {
             $options['scales'] = [
                     'x' => [
                             'display' => true,
@@ -374,12 +769,54 @@ trait ComponentRenderer {
             ];
 
             // Stacked option
-            if ( ! empty( $component['stacked'] ) ) {
+            if ( ! empty( $component['stacked'] ) && ! in_array( $chart_type, [ 'scatter', 'bubble' ], true ) ) {
                 $options['scales']['x']['stacked'] = true;
                 $options['scales']['y']['stacked'] = true;
             }
         }
 
+        switch ( $chart_type ) {
+            case 'horizontal_bar':
+                // Bars run along the x axis, which holds the values
+                $options['indexAxis']                  = 'y';
+                $options['scales']['y']['beginAtZero'] = false;
+                break;
+
+            case 'combo':
+                // Datasets with 'yAxisID' => 'y1' use the secondary axis, which is hidden when none do
+                $options['scales']['y1'] = [
+                        'display'     => 'auto',
+                        'position'    => 'right',
+                        'beginAtZero' => true,
+                        'grid'        => [ 'drawOnChartArea' => false ],
+                        'title'       => [
+                                'display' => ! empty( $component['y2_axis_label'] ),
+                                'text'    => $component['y2_axis_label'] ?? '',
+                        ],
+                ];
+                break;
+
+            case 'scatter':
+            case 'bubble':
+                $options['scales']['x']['type']             = 'linear';
+                $options['scales']['x']['position']         = 'bottom';
+                $options['scales']['y']['beginAtZero']      = false;
+                $options['plugins']['tooltip']['mode']      = 'nearest';
+                $options['plugins']['tooltip']['intersect'] = true;
+                break;
+
+            case 'funnel':
+                // Steps are centered floating bars on a hidden value axis
+                $options['indexAxis']                    = 'y';
+                $options['plugins']['legend']['display'] = false;
+                $options['plugins']['tooltip']['mode']   = 'nearest';
+                $options['scales']                       = [
+                        'x' => [ 'display' => false ],
+                        'y' => [ 'grid' => [ 'display' => false ] ],
+                ];
+                break;
+        }
+
         // Line chart specific options
         if ( $chart_type === 'line' || $chart_type === 'area' ) {
             $options['elements'] = [
@@ -401,33 +838,45 @@ trait ComponentRenderer {
      * @return void
      */
     protected function render_table( string $component_id, array $component ): void {
-        $data = [];
+        $data           = [];
+        $is_server_side = ! empty( $component['server_side'] );
+        $is_lazy        = ! empty( $component['lazy'] );
+        $date_range     = $this->date_range;
+
+        // Server-side tables only fetch the first page
+        if ( $is_server_side ) {
+            $date_range['table'] = $this->build_table_query( $component );
+        }
 
-        // Get data if callback exists
-        if ( ! empty( $component['data_callback'] ) && is_callable( $component['data_callback'] ) ) {
-            $data = call_user_func( $component['data_callback'], $this->date_range, $component );
+        // Get data if callback exists (lazy tables are loaded by JavaScript)
+        if ( ! $is_lazy && ! empty( $component['data_callback'] ) && is_callable( $component['data_callback'] ) ) {
+            $data = $this->get_component_data( $component_id, $component, $date_range );
         }
 
         $columns       = $component['columns'] ?? [];
         $rows          = $data['rows'] ?? $data ?? [];
+        $total_rows    = $is_server_side ? (int) ( $data['total'] ?? count( $rows ) ) : count( $rows );
         $empty_message = $component['empty_message'] ?? __( 'No data available.', 'reports' );
         $row_actions   = $component['row_actions'] ?? [];
-        $is_paginated  = ! empty( $component['paginated'] );
-        $per_page      = $component['per_page'] ?? 10;
+        $is_paginated  = ! empty( $component['paginated'] ) || $is_server_side;
+        $is_searchable = ! empty( $component['searchable'] );
+        $per_page      = $is_server_side ? $date_range['table']['per_page'] : ( $component['per_page'] ?? 10 );
 
         $width_class = $this->get_width_class( $component['width'] ?? 'full' );
 
         // Prepare column config for JavaScript (for refresh support)
         $js_columns = [];
         foreach ( $columns as $key => $column ) {
-            $column_key   = is_string( $key ) ? $key : $column;
-            $column_label = is_array( $column ) ? ( $column['label'] ?? $key ) : $column;
+            $column_key    = is_string( $key ) ? $key : $column;
+            $column_label  = is_array( $column ) ? ( $column['label'] ?? $key ) : $column;
             $column_format = is_array( $column ) ? ( $column['format'] ?? '' ) : '';
 
             $js_columns[] = [
-                    'key'    => $column_key,
-                    'label'  => $column_label,
-                    'format' => $column_format,
+                    'key'      => $column_key,
+                    'label'    => $column_label,
+                    'format'   => $column_format,
+                    'currency' => $this->get_column_currency( $column, $component ),
+                    'sortable' => is_array( $column ) && isset( $column['sortable'] ) ? (bool) $column['sortable'] : (bool) ( $component['sortable'] ?? false ),
             ];
         }
 
@@ -451,28 +900,56 @@ trait ComponentRenderer {
                 'emptyMessage' => $empty_message,
                 'paginated'    => $is_paginated,
                 'perPage'      => $per_page,
+                'searchable'   => $is_searchable,
+                'serverSide'   => $is_server_side,
         ];
 
+        if ( $is_server_side ) {
+            $table_config['total']   = $total_rows;
+            $table_config['orderby'] = $date_range['table']['orderby'];
+            $table_config['order']   = $date_range['table']['order'];
+        }
+
         ?>
-        <div class="reports-table-wrapper <?php echo esc_attr( $width_class . ' ' . ( $component['class'] ?? '' ) ); ?>"
-             data-component-id="<?php echo esc_attr( $component_id ); ?>"
+        <div class="reports-table-wrapper <?php echo esc_attr( $width_class . ' ' . ( $component['class'] ?? '' ) . $this->get_component_state_classes( $component ) ); ?>"
+             data-component-id="<?php echo esc_attr( $component_id ); ?>"<?php echo $this->get_cache_age_attribute( $component_id ); ?>
              data-ajax-refresh="<?php echo ! empty( $component['ajax_refresh'] ) ? 'true' : 'false'; ?>"
              data-table-config="<?php echo esc_attr( wp_json_encode( $table_config ) ); ?>">
 
-            <?php if ( ! empty( $component['title'] ) ) : ?>
+            <?php if ( ! empty( $component['title'] ) || $is_searchable || $this->has_component_tools( $component ) ) : ?>
                 <div class="reports-table-header">
-                    <h3 class="reports-table-title"><?php echo esc_html( $component['title'] ); ?></h3>
-                    <?php if ( ! empty( $component['description'] ) ) : ?>
-                        <p class="reports-table-description"><?php echo esc_html( $component['description'] ); ?></p>
+                    <div class="reports-table-heading">
+                        <?php if ( ! empty( $component['title'] ) ) : ?>
+                            <h3 class="reports-table-title"><?php echo esc_html( $component['title'] ); ?></h3>
+                        <?php endif; ?>
+                        <?php if ( ! empty( $component['description'] ) ) : ?>
+                            <p class="reports-table-description"><?php echo esc_html( $component['description'] ); ?></p>
+                        <?php endif; ?>
+                    </div>
+                    <?php if ( $is_searchable ) : ?>
+                        <div class="reports-table-search">
+                            <input type="search"
+                                   class="reports-table-search-input"
+                                   placeholder="<?php esc_attr_e( 'Search...', 'arraypress' ); ?>"
+                                   aria-label="<?php esc_attr_e( 'Search table', 'arraypress' ); ?>">
+                        </div>
                     <?php endif; ?>
+                    <?php $this->render_component_tools( $component ); ?>
                 </div>
             <?php endif; ?>
 
             <div class="reports-table-container"
                  data-paginated="<?php echo $is_paginated ? 'true' : 'false'; ?>"
+                 data-server-side="<?php echo $is_server_side ? 'true' : 'false'; ?>"
                  data-per-page="<?php echo esc_attr( $per_page ); ?>">
 
-                <?php if ( empty( $rows ) ) : ?>
+                <?php if ( $is_lazy ) : ?>
+                    <div class="reports-skeleton-rows">
+                        <?php for ( $i = 0; $i < min( 5, (int) $per_page ); $i++ ) : ?>
+                            <span class="reports-skeleton reports-skeleton-line"></span>
+                        <?php endfor; ?>
+                    </div>
+                <?php elseif ( empty( $rows ) ) : ?>
                     <div class="reports-table-empty">
                         <p><?php echo esc_html( $empty_message ); ?></p>
                     </div>
@@ -487,8 +964,13 @@ trait ComponentRenderer {
                                 if ( is_array( $column ) && isset( $column['sortable'] ) ) {
                                     $is_sortable = $column['sortable'];
                                 }
+
+                                $th_class = $is_sortable ? 'sortable' : '';
+                                if ( $is_server_side && $is_sortable && $column_key === $date_range['table']['orderby'] ) {
+                                    $th_class .= ' sorted-' . $date_range['table']['order'];
+                                }
                                 ?>
-                                <th class="<?php echo $is_sortable ? 'sortable' : ''; ?>"
+                                <th class="<?php echo esc_attr( $th_class ); ?>"
                                     data-column="<?php echo esc_attr( $column_key ); ?>">
                                     <?php echo esc_html( $column_label ); ?>
                                 </th>
@@ -507,7 +989,9 @@ trait ComponentRenderer {
                                     $format = is_array( $column ) ? ( $column['format'] ?? '' ) : '';
 
                                     if ( $format ) {
-                                        $cell_value = $this->format_value( $cell_value, $format );
+                                        $cell_value = $this->format_value( $cell_value, $format, [
+                                                'currency' => $this->get_column_currency( $column, $component ),
+                                        ] );
                                     }
                                     ?>
                                     <td data-column="<?php echo esc_attr( $column_key ); ?>">
@@ -524,7 +1008,7 @@ trait ComponentRenderer {
                         </tbody>
                     </table>
 
-                    <?php if ( $is_paginated && count( $rows ) > $per_page ) : ?>
+                    <?php if ( $is_paginated && $total_rows > $per_page ) : ?>
                         <div class="reports-table-pagination">
                             <span class="reports-table-info"></span>
                             <div class="reports-table-pages"></div>
@@ -540,6 +1024,94 @@ trait ComponentRenderer {
         <?php
     }
 
+    /**
+     * Get the currency code for a table column.
+     *
+     * Falls back to the table's `currency` option, then USD.
+     *
+     * @param array|string $column    Column configuration.
+     * @param array        $component Table component configuration.
+     *
+     * @return string
+     */
+    protected function get_column_currency( $column, array $component ): string {
+        if ( is_array( $column ) && ! empty( $column['currency'] ) ) {
+            return strtoupper( $column['currency'] );
+        }
+
+        return strtoupper( $component['currency'] ?? 'USD' );
+    }
+
+    /**
+     * Format the cells of a table's formatted columns for JavaScript.
+     *
+     * JSON has no separate float type (100.0 arrives as 100), so refreshed rows
+     * carry the server-formatted cells instead of letting JavaScript guess
+     * whether a currency amount is in cents.
+     *
+     * @param array $component Table component configuration.
+     * @param array $rows      Table rows.
+     *
+     * @return array Formatted cells keyed by column key, one entry per row.
+     */
+    public function format_table_rows( array $component, array $rows ): array {
+        $formatted = [];
+
+        foreach ( array_values( $rows ) as $index => $row ) {
+            $formatted[ $index ] = [];
+
+            foreach ( $component['columns'] ?? [] as $key => $column ) {
+                $column_key = is_string( $key ) ? $key : $column;
+                $format     = is_array( $column ) ? ( $column['format'] ?? '' ) : '';
+
+                if ( $format && is_array( $row ) ) {
+                    $formatted[ $index ][ $column_key ] = $this->format_value( $row[ $column_key ] ?? '', $format, [
+                            'currency' => $this->get_column_currency( $column, $component ),
+                    ] );
+                }
+            }
+        }
+
+        return $formatted;
+    }
+
+    /**
+     * Build the normalized query for a server-side table.
+     *
+     * The result is passed to the table's data callback as `$date_range['table']`.
+     *
+     * @param array $component Component configuration.
+     * @param array $args      Requested page, per_page, orderby, order and search values.
+     *
+     * @return array
+     */
+    public function build_table_query( array $component, array $args = [] ): array {
+        $per_page = absint( $args['per_page'] ?? 0 ) ?: absint( $component['per_page'] ?? 10 ) ?: 10;
+        $page     = max( 1, absint( $args['page'] ?? 1 ) );
+        $orderby  = (string) ( $args['orderby'] ?? $component['orderby'] ?? '' );
+        $order    = strtolower( (string) ( $args['order'] ?? $component['order'] ?? 'asc' ) );
+
+        // Only allow sorting by configured columns
+        $column_keys = [];
+        foreach ( $component['columns'] ?? [] as $key => $column ) {
+            $column_keys[] = is_string( $key ) ? $key : $column;
+        }
+
+        if ( ! in_array( $orderby, $column_keys, true ) ) {
+            $orderby = '';
+        }
+
+        return [
+                'page'     => $page,
+                'per_page' => $per_page,
+                'offset'   => ( $page - 1 ) * $per_page,
+                'limit'    => $per_page,
+                'orderby'  => $orderby,
+                'order'    => $order === 'desc' ? 'desc' : 'asc',
+                'search'   => trim( (string) ( $args['search'] ?? '' ) ),
+        ];
+    }
+
     /**
      * Render row actions for a table row.
      *
@@ -600,7 +1172,7 @@ trait ComponentRenderer {
         $width_class = $this->get_width_class( $component['width'] ?? 'full' );
 
         ?>
-        <div class="reports-html-component <?php echo esc_attr( $width_class . ' ' . ( $component['class'] ?? '' ) ); ?>"
+        <div class="reports-html-component <?php echo esc_attr( $width_class . ' ' . ( $component['class'] ?? '' ) . $this->get_component_state_classes( $component ) ); ?>"
              data-component-id="<?php echo esc_attr( $component_id ); ?>">
 
             <?php if ( ! empty( $component['title'] ) ) : ?>
@@ -620,6 +1192,182 @@ trait ComponentRenderer {
         <?php
     }
 
+    /**
+     * Check whether a component gets its own refresh control.
+     *
+     * @param array $component Component configuration.
+     *
+     * @return bool
+     */
+    protected function has_component_refresh( array $component ): bool {
+        if ( empty( $component['ajax_refresh'] ) ) {
+            return false;
+        }
+
+        return ( $component['type'] ?? 'tile' ) === 'tiles_group' || ! empty( $component['data_callback'] );
+    }
+
+    /**
+     * Get the formats a component can be downloaded in from its card.
+     *
+     * Charts save their canvas as an image, heatmaps (an HTML grid) and tables
+     * their values as CSV. The files are generated in the browser.
+     *
+     * @param array $component Component configuration.
+     *
+     * @return array Format => label.
+     */
+    protected function get_component_download_formats( array $component ): array {
+        if ( empty( $component['download'] ) ) {
+            return [];
+        }
+
+        switch ( $component['type'] ?? '' ) {
+            case 'chart':
+                if ( ( $component['chart_type'] ?? 'line' ) === 'heatmap' ) {
+                    return [ 'csv' => __( 'CSV file', 'arraypress' ) ];
+                }
+
+                return [
+                        'png' => __( 'PNG image', 'arraypress' ),
+                        'svg' => __( 'SVG image', 'arraypress' ),
+                ];
+
+            case 'table':
+                return [ 'csv' => __( 'CSV file', 'arraypress' ) ];
+        }
+
+        return [];
+    }
+
+    /**
+     * Check whether a component has a refresh control or download menu.
+     *
+     * @param array $component Component configuration.
+     *
+     * @return bool
+     */
+    protected function has_component_tools( array $component ): bool {
+        return $this->has_component_refresh( $component ) || ! empty( $this->get_component_download_formats( $component ) );
+    }
+
+    /**
+     * Render a component's refresh control and download menu.
+     *
+     * The stale-data and cache badges are added here by JavaScript.
+     *
+     * @param array $component Component configuration.
+     *
+     * @return void
+     */
+    protected function render_component_tools( array $component ): void {
+        if ( ! $this->has_component_tools( $component ) ) {
+            return;
+        }
+
+        $formats = $this->get_component_download_formats( $component );
+
+        ?>
+        <div class="reports-component-tools">
+            <?php if ( $this->has_component_refresh( $component ) ) :
+                $refresh_label = sprintf(
+                /* translators: %s: component title, or the label of a tile */
+                    __( 'Refresh %s', 'arraypress' ),
+                    $component['title'] ?? $component['label'] ?? ''
+                );
+
+                $refresh_title = $this->get_component_cache_config( $component )['ttl'] > 0
+                        ? __( 'Refresh (Shift-click to skip the cache)', 'arraypress' )
+                        : __( 'Refresh', 'arraypress' );
+                ?>
+                <button type="button" class="reports-component-refresh"
+                        title="<?php echo esc_attr( $refresh_title ); ?>"
+                        aria-label="<?php echo esc_attr( $refresh_label ); ?>">
+                    <span class="dashicons dashicons-update"></span>
+                </button>
+            <?php endif; ?>
+            <?php if ( $formats ) : ?>
+                <div class="reports-component-download">
+                    <button type="button" class="reports-component-download-toggle" aria-expanded="false"
+                            title="<?php esc_attr_e( 'Download', 'arraypress' ); ?>"
+                            aria-label="<?php echo esc_attr( sprintf(
+                            /* translators: %s: component title, or the label of a tile */
+                                    __( 'Download %s', 'arraypress' ),
+                                    $component['title'] ?? $component['label'] ?? ''
+                            ) ); ?>">
+                        <span class="dashicons dashicons-download"></span>
+                    </button>
+                    <div class="reports-component-download-menu" style="display: none;">
+                        <?php foreach ( $formats as $format => $label ) : ?>
+                            <button type="button" class="reports-component-download-item"
+                                    data-format="<?php echo esc_attr( $format ); ?>">
+                                <?php echo esc_html( $label ); ?>
+                            </button>
+                        <?php endforeach; ?>
+                    </div>
+                </div>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the layout toolbar for a tab.
+     *
+     * The move, width and hide controls on each component are added by
+     * JavaScript while editing.
+     *
+     * @param string $tab Tab key.
+     *
+     * @return void
+     */
+    protected function render_layout_toolbar( string $tab ): void {
+        ?>
+        <div class="reports-layout-toolbar" data-tab="<?php echo esc_attr( $tab ); ?>">
+            <span class="reports-layout-toolbar-text">
+                <?php esc_html_e( 'Drag components to reorder them, change their width or hide the ones you don\'t need.', 'arraypress' ); ?>
+            </span>
+            <span class="reports-layout-status" role="status"></span>
+            <div class="reports-layout-actions">
+                <button type="button" class="button reports-layout-edit">
+                    <span class="dashicons dashicons-layout"></span>
+                    <?php esc_html_e( 'Customize', 'arraypress' ); ?>
+                </button>
+                <button type="button" class="button-link reports-layout-reset">
+                    <?php esc_html_e( 'Reset to default', 'arraypress' ); ?>
+                </button>
+                <button type="button" class="button reports-layout-cancel">
+                    <?php esc_html_e( 'Cancel', 'arraypress' ); ?>
+                </button>
+                <button type="button" class="button button-primary reports-layout-save">
+                    <?php esc_html_e( 'Save layout', 'arraypress' ); ?>
+                </button>
+            </div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Get the state classes for a component's root element.
+     *
+     * @param array $component Component configuration.
+     *
+     * @return string Classes with a leading space, or an empty string.
+     */
+    protected function get_component_state_classes( array $component ): string {
+        $classes = '';
+
+        if ( ! empty( $component['lazy'] ) ) {
+            $classes .= ' reports-component-lazy';
+        }
+
+        if ( ! empty( $component['hidden'] ) ) {
+            $classes .= ' reports-component-hidden';
+        }
+
+        return $classes;
+    }
+
     /**
      * Get CSS width class for component.
      *
@@ -646,11 +1394,11 @@ trait ComponentRenderer {
      *
      * @param mixed  $value     The value to format.
      * @param string $format    The format type.
-     * @param array  $component Component configuration (for currency option).
+     * @param array  $component Component or column configuration (for currency option).
      *
      * @return string
      */
-    protected function format_value( $value, string $format, array $component = [] ): string {
+    public function format_value( $value, string $format, array $component = [] ): string {
         switch ( $format ) {
             case 'currency':
                 // Use wp-currencies library (amounts should be in cents)
@@ -112,6 +112,8 @@ trait ConfigParser {
 			'data_callback' => null,
 			'class'         => '',
 			'ajax_refresh'  => true,
+			'lazy'          => false,       // Render a skeleton and load data when scrolled into view
+			'cache'         => 0,           // Seconds to cache data_callback results, or [ 'ttl' => int, 'per_user' => bool ]
 		];
 
 		$component = wp_parse_args( $component, $defaults );
@@ -139,12 +141,17 @@ trait ConfigParser {
 					'compare'         => false,     // Show comparison with previous period
 					'compare_label'   => '',
 					'trend_direction' => 'up_good', // up_good, up_bad
+					'alerts'          => [],        // Threshold rules: condition, threshold, severity, message, notify
+					'sparkline'       => null,      // Callback returning a short series for an inline trend line
+					'sparkline_color' => '',        // Defaults to the first chart color
+					'target'          => null,      // Goal: a number or a callback returning one
+					'target_display'  => 'bar',     // bar, gauge
 				] );
 				break;
 
 			case 'chart':
 				$component = wp_parse_args( $component, [
-					'chart_type'      => 'line',  // line, bar, pie, doughnut, area
+					'chart_type'      => 'line',  // line, area, bar, horizontal_bar, combo, scatter, bubble, pie, doughnut, funnel, heatmap
 					'height'          => 300,
 					'show_legend'     => true,
 					'legend_position' => 'top',
@@ -154,7 +161,12 @@ trait ConfigParser {
 					'tension'         => 0.4,
 					'x_axis_label'    => '',
 					'y_axis_label'    => '',
-					'tooltip_format'  => '',
+					'y2_axis_label'   => '',      // Secondary (right) axis of combo charts
+					'tooltip_format'  => '',      // number (default), decimal, currency, percentage: tooltips and value axis ticks
+					'currency'        => 'USD',   // Currency code when tooltip_format is currency (amounts in major units)
+					'compare'         => false,   // false, 'previous_period' or 'previous_year' (line, bar and area only)
+					'on_click'        => [],      // Drill-down: filter, url or drilldown action
+					'download'        => true,    // PNG/SVG download menu (CSV for heatmaps)
 				] );
 				break;
 
@@ -164,9 +176,11 @@ trait ConfigParser {
 					'sortable'      => true,
 					'searchable'    => false,
 					'paginated'     => true,
+					'server_side'   => false,     // Page, sort and search via the REST API
 					'per_page'      => 10,
 					'empty_message' => __( 'No data available.', 'reports' ),
 					'row_actions'   => [],
+					'download'      => true,      // CSV download of the rows matching the search, in the shown order
 				] );
 				break;
 
@@ -233,10 +247,18 @@ trait ConfigParser {
 			'columns'       => [],
 			'filters'       => [],
 			'icon'          => 'dashicons-download',
-			'button_text'   => __( 'Export CSV', 'reports' ),
+			'button_text'   => '',        // Defaults to "Generate {FORMAT}"
+			'formats'       => [ 'csv' ], // csv, xlsx, json, ndjson
+			'column_types'  => [],        // XLSX cell types by column: number, date, datetime, string
 		];
 
-		return wp_parse_args( $export, $defaults );
+		$export = wp_parse_args( $export, $defaults );
+
+		// Keep supported formats only, falling back to CSV
+		$formats           = array_intersect( (array) $export['formats'], array_keys( $this->get_export_formats() ) );
+		$export['formats'] = ! empty( $formats ) ? array_values( $formats ) : [ 'csv' ];
+
+		return $export;
 	}
 
 	/**
@@ -257,6 +279,48 @@ trait ConfigParser {
 		return $components;
 	}
 
+	/**
+	 * Find component configuration by ID.
+	 *
+	 * Tiles in a tiles group are found by their rendered ID (`{group}_{tile}`),
+	 * so they can be refreshed and retried on their own. They inherit the
+	 * group's tab and cache settings.
+	 *
+	 * @param string $component_id Component ID.
+	 *
+	 * @return array|null Component config or null if not found.
+	 */
+	public function find_component_config( string $component_id ): ?array {
+		foreach ( $this->components as $tab_components ) {
+			if ( isset( $tab_components[ $component_id ] ) ) {
+				return $tab_components[ $component_id ];
+			}
+		}
+
+		foreach ( $this->components as $tab_components ) {
+			foreach ( $tab_components as $group_id => $group ) {
+				if ( ( $group['type'] ?? '' ) !== 'tiles_group' || strpos( $component_id, $group_id . '_' ) !== 0 ) {
+					continue;
+				}
+
+				$tile_id = substr( $component_id, strlen( $group_id ) + 1 );
+
+				if ( isset( $group['tiles'][ $tile_id ] ) && is_array( $group['tiles'][ $tile_id ] ) ) {
+					return array_merge(
+						[
+							'type'  => 'tile',
+							'cache' => $group['cache'] ?? 0,
+						],
+						$group['tiles'][ $tile_id ],
+						[ 'tab' => $group['tab'] ?? '' ]
+					);
+				}
+			}
+		}
+
+		return null;
+	}
+
 	/**
 	 * Get exports for a specific tab.
 	 *
@@ -0,0 +1,224 @@
+<?php
+/**
+ * Data Cache Trait
+ *
+ * @package     ArrayPress\RegisterReports
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @since       1.0.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterReports\Traits;
+
+/**
+ * Trait DataCache
+ *
+ * Caches component data callback results in transients (or the object cache,
+ * when one is installed).
+ */
+trait DataCache {
+
+	/**
+	 * When served component data was stored, keyed by component ID.
+	 *
+	 * Only holds components served from the cache during this request.
+	 *
+	 * @var array
+	 */
+	protected array $cache_hits = [];
+
+	/**
+	 * Whether to skip cached data (fresh results are still stored).
+	 *
+	 * @var bool
+	 */
+	protected bool $bypass_cache = false;
+
+	/**
+	 * Skip cached data for the rest of this request.
+	 *
+	 * @param bool $bypass Whether to bypass the cache.
+	 *
+	 * @return void
+	 */
+	public function set_bypass_cache( bool $bypass ): void {
+		$this->bypass_cache = $bypass;
+	}
+
+	/**
+	 * Run a component's data callback, using the cache when the component has one.
+	 *
+	 * Results are cached per component, date range (including filters and table
+	 * query) and, unless `per_user` is false, per user. Failed callbacks are not cached.
+	 *
+	 * @param string $component_id Component ID (tiles in a group use "{group}_{tile}").
+	 * @param array  $component    Component configuration with a callable data_callback.
+	 * @param array  $date_range   Date range passed to the callback.
+	 *
+	 * @return mixed Callback result.
+	 */
+	public function get_component_data( string $component_id, array $component, array $date_range ) {
+		$cache = $this->get_component_cache_config( $component );
+
+		if ( $cache['ttl'] <= 0 ) {
+			return call_user_func( $component['data_callback'], $date_range, $component );
+		}
+
+		$key = $this->get_component_cache_key( $component_id, $date_range, $cache['per_user'] );
+
+		if ( ! $this->bypass_cache ) {
+			$cached = get_transient( $key );
+
+			if ( is_array( $cached ) && array_key_exists( 'data', $cached ) ) {
+				$this->cache_hits[ $component_id ] = (int) $cached['time'];
+
+				return $cached['data'];
+			}
+		}
+
+		unset( $this->cache_hits[ $component_id ] );
+
+		$data = call_user_func( $component['data_callback'], $date_range, $component );
+
+		set_transient( $key, [
+			'data' => $data,
+			'time' => time(),
+		], $cache['ttl'] );
+
+		return $data;
+	}
+
+	/**
+	 * Get a component's cache settings.
+	 *
+	 * The `cache` option takes a TTL in seconds or an array with `ttl` and `per_user`.
+	 *
+	 * @param array $component Component configuration.
+	 *
+	 * @return array{ttl: int, per_user: bool}
+	 */
+	protected function get_component_cache_config( array $component ): array {
+		$cache = $component['cache'] ?? 0;
+
+		if ( ! is_array( $cache ) ) {
+			$cache = [ 'ttl' => (int) $cache ];
+		}
+
+		return [
+			'ttl'      => max( 0, (int) ( $cache['ttl'] ?? 0 ) ),
+			'per_user' => (bool) ( $cache['per_user'] ?? true ),
+		];
+	}
+
+	/**
+	 * Check whether any component in the report caches its data.
+	 *
+	 * @return bool
+	 */
+	public function has_cached_components(): bool {
+		foreach ( $this->components as $tab_components ) {
+			foreach ( $tab_components as $component ) {
+				if ( $this->get_component_cache_config( $component )['ttl'] > 0 ) {
+					return true;
+				}
+
+				foreach ( $component['tiles'] ?? [] as $tile ) {
+					if ( $this->get_component_cache_config( $tile )['ttl'] > 0 ) {
+						return true;
+					}
+				}
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Get the cache key for a component's data.
+	 *
+	 * The key includes the report's cache generation, so flush_cache() makes
+	 * every existing entry unreachable.
+	 *
+	 * @param string $component_id Component ID.
+	 * @param array  $date_range   Date range passed to the callback.
+	 * @param bool   $per_user     Whether the data differs per user.
+	 *
+	 * @return string
+	 */
+	protected function get_component_cache_key( string $component_id, array $date_range, bool $per_user ): string {
+		return 'reports_cache_' . md5( (string) wp_json_encode( [
+				$this->id,
+				$this->get_cache_generation(),
+				$component_id,
+				$date_range,
+				$per_user ? get_current_user_id() : 0,
+			] ) );
+	}
+
+	/**
+	 * Get how old a component's data is, if it was served from the cache.
+	 *
+	 * @param string $component_id Component ID.
+	 *
+	 * @return int|null Age in seconds, or null if the data was not cached.
+	 */
+	public function get_cache_age( string $component_id ): ?int {
+		if ( ! isset( $this->cache_hits[ $component_id ] ) ) {
+			return null;
+		}
+
+		return max( 0, time() - $this->cache_hits[ $component_id ] );
+	}
+
+	/**
+	 * Get the age of all component data served from the cache during this request.
+	 *
+	 * @return array Age in seconds keyed by component ID.
+	 */
+	public function get_cache_ages(): array {
+		$ages = [];
+
+		foreach ( array_keys( $this->cache_hits ) as $component_id ) {
+			$ages[ $component_id ] = $this->get_cache_age( (string) $component_id );
+		}
+
+		return $ages;
+	}
+
+	/**
+	 * Get a `data-cache-age` attribute for a component served from the cache.
+	 *
+	 * @param string $component_id Component ID.
+	 *
+	 * @return string Attribute with a leading space, or an empty string.
+	 */
+	protected function get_cache_age_attribute( string $component_id ): string {
+		$age = $this->get_cache_age( $component_id );
+
+		return $age === null ? '' : ' data-cache-age="' . esc_attr( (string) $age ) . '"';
+	}
+
+	/**
+	 * Get the report's cache generation.
+	 *
+	 * @return int
+	 */
+	protected function get_cache_generation(): int {
+		return (int) get_option( 'reports_cache_generation_' . $this->id, 0 );
+	}
+
+	/**
+	 * Invalidate all cached component data for this report.
+	 *
+	 * Entries are not deleted one by one: bumping the generation changes every
+	 * cache key, and the old transients expire on their own.
+	 *
+	 * @return void
+	 */
+	public function flush_cache(): void {
+		update_option( 'reports_cache_generation_' . $this->id, $this->get_cache_generation() + 1, false );
+	}
+
+}
@@ -13,6 +13,7 @@ declare( strict_types=1 );
 namespace ArrayPress\RegisterReports\Traits;
 
 use ArrayPress\DateUtils\Dates;
+use DateTime;
 
 /**
  * Trait DateRangeHandler
@@ -69,6 +70,47 @@ trait DateRangeHandler {
         return array_merge( $previous, [ 'preset' => 'previous' ] );
     }
 
+    /**
+     * Get the same period one year earlier.
+     *
+     * @param array $date_range Current date range.
+     *
+     * @return array
+     */
+    public function get_previous_year_period( array $date_range ): array {
+        $shift = function ( string $date, string $format ): string {
+            return $date ? ( new DateTime( $date ) )->modify( '-1 year' )->format( $format ) : '';
+        };
+
+        return [
+                'start'       => $shift( $date_range['start'] ?? '', 'Y-m-d H:i:s' ),
+                'end'         => $shift( $date_range['end'] ?? '', 'Y-m-d H:i:s' ),
+                'start_local' => $shift( $date_range['start_local'] ?? '', 'Y-m-d' ),
+                'end_local'   => $shift( $date_range['end_local'] ?? '', 'Y-m-d' ),
+                'preset'      => 'previous_year',
+        ];
+    }
+
+    /**
+     * Get the comparison period for a date range.
+     *
+     * Tab filter values are carried over so comparison data uses the same filters.
+     *
+     * @param array  $date_range Current date range.
+     * @param string $mode       Comparison mode: 'previous_period' or 'previous_year'.
+     *
+     * @return array
+     */
+    public function get_comparison_period( array $date_range, string $mode = 'previous_period' ): array {
+        $comparison = $mode === 'previous_year'
+                ? $this->get_previous_year_period( $date_range )
+                : $this->get_previous_period( $date_range );
+
+        $comparison['filters'] = $date_range['filters'] ?? [];
+
+        return $comparison;
+    }
+
     /**
      * Get date range options for dropdown.
      *
@@ -178,13 +220,16 @@ trait DateRangeHandler {
     }
 
     /**
-     * Get a human-readable label for the current period.
+     * Get a human-readable label for a period.
+     *
+     * @param array|null $date_range Date range to label. Defaults to the current date range.
      *
      * @return string
      */
-    protected function get_period_label(): string {
-        $preset  = $this->date_range['preset'] ?? 'this_month';
-        $presets = $this->get_date_range_options();
+    public function get_period_label( ?array $date_range = null ): string {
+        $date_range = $date_range ?? $this->date_range;
+        $preset     = $date_range['preset'] ?? 'this_month';
+        $presets    = $this->get_date_range_options();
 
         // Return the preset label if found
         if ( isset( $presets[ $preset ] ) && $preset !== 'custom' ) {
@@ -192,8 +237,8 @@ trait DateRangeHandler {
         }
 
         // For custom, return the formatted date range
-        if ( $preset === 'custom' && ! empty( $this->date_range['start'] ) && ! empty( $this->date_range['end'] ) ) {
-            return Dates::format_range( $this->date_range['start'], $this->date_range['end'] );
+        if ( $preset === 'custom' && ! empty( $date_range['start'] ) && ! empty( $date_range['end'] ) ) {
+            return Dates::format_range( $date_range['start'], $date_range['end'] );
         }
 
         return '';
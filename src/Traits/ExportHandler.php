@@ -12,13 +12,57 @@ declare( strict_types=1 );
 
 namespace ArrayPress\RegisterReports\Traits;
 
+use ArrayPress\RegisterReports\Registry;
+use DateTime;
+use DateTimeZone;
+use Exception;
+use ZipArchive;
+
 /**
  * Trait ExportHandler
  *
- * Handles batched CSV export functionality with progress tracking.
+ * Handles batched CSV, XLSX, JSON and NDJSON export functionality with progress tracking.
  */
 trait ExportHandler {
 
+	/**
+	 * Get the supported export formats.
+	 *
+	 * XLSX is only available when the ZipArchive extension is installed.
+	 *
+	 * @return array Format key => label, file extension and MIME type.
+	 */
+	public function get_export_formats(): array {
+		$formats = [
+			'csv'    => [
+				'label'     => __( 'CSV', 'arraypress' ),
+				'extension' => 'csv',
+				'mime'      => 'text/csv; charset=utf-8',
+			],
+			'xlsx'   => [
+				'label'     => __( 'Excel (XLSX)', 'arraypress' ),
+				'extension' => 'xlsx',
+				'mime'      => 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+			],
+			'json'   => [
+				'label'     => __( 'JSON', 'arraypress' ),
+				'extension' => 'json',
+				'mime'      => 'application/json; charset=utf-8',
+			],
+			'ndjson' => [
+				'label'     => __( 'NDJSON (one JSON object per line)', 'arraypress' ),
+				'extension' => 'ndjson',
+				'mime'      => 'application/x-ndjson; charset=utf-8',
+			],
+		];
+
+		if ( ! class_exists( ZipArchive::class ) ) {
+			unset( $formats['xlsx'] );
+		}
+
+		return $formats;
+	}
+
 	/**
 	 * Get export directory path.
 	 *
@@ -41,11 +85,14 @@ trait ExportHandler {
 	 * Get export file path.
 	 *
 	 * @param string $export_id Export ID.
+	 * @param string $format    Export format.
 	 *
 	 * @return string
 	 */
-	public function get_export_path( string $export_id ): string {
-		return $this->get_export_dir() . '/' . $export_id . '.csv';
+	public function get_export_path( string $export_id, string $format = 'csv' ): string {
+		$extension = $this->get_export_formats()[ $format ]['extension'] ?? 'csv';
+
+		return $this->get_export_dir() . '/' . $export_id . '.' . $extension;
 	}
 
 	/**
@@ -63,6 +110,77 @@ trait ExportHandler {
 		], admin_url( 'admin-ajax.php' ) );
 	}
 
+	/**
+	 * Write a batch of rows in the given format.
+	 *
+	 * @param string $format         Export format (csv, xlsx, json or ndjson).
+	 * @param string $file_path      File path to write to.
+	 * @param array  $data           Data rows to write.
+	 * @param bool   $is_first_batch Whether this is the first batch.
+	 * @param array  $headers        Optional column headers mapping.
+	 * @param array  $column_types   Optional XLSX cell types by column key.
+	 * @param array  $columns        Optional column keys, in order. Defaults to the keys of the first row.
+	 *
+	 * @return bool Success status.
+	 */
+	public function write_export_batch( string $format, string $file_path, array $data, bool $is_first_batch, array $headers = [], array $column_types = [], array $columns = [] ): bool {
+		$columns = $columns ?: $this->get_export_columns( $data );
+
+		switch ( $format ) {
+			case 'xlsx':
+				return $this->write_xlsx_batch( $file_path, $data, $is_first_batch, $headers, $column_types, $columns );
+
+			case 'json':
+				return $this->write_json_batch( $file_path, $data, $is_first_batch );
+
+			case 'ndjson':
+				return $this->write_ndjson_batch( $file_path, $data, $is_first_batch );
+
+			default:
+				return $this->write_csv_batch( $file_path, $data, $is_first_batch, $headers, $columns );
+		}
+	}
+
+	/**
+	 * Get the column keys of an export from its first batch of rows.
+	 *
+	 * CSV and XLSX rows are written in this column order, so rows with missing
+	 * or reordered keys still line up with the header row.
+	 *
+	 * @param array $data Data rows.
+	 *
+	 * @return array Column keys of the first row.
+	 */
+	public function get_export_columns( array $data ): array {
+		$first_row = reset( $data );
+
+		return is_array( $first_row ) ? array_keys( $first_row ) : [];
+	}
+
+	/**
+	 * Finish an export file after the last batch.
+	 *
+	 * Closes the JSON array and packages XLSX rows into a workbook. CSV and
+	 * NDJSON files are complete after every batch.
+	 *
+	 * @param string $format    Export format.
+	 * @param string $file_path Export file path.
+	 *
+	 * @return bool Success status.
+	 */
+	public function finalize_export( string $format, string $file_path ): bool {
+		switch ( $format ) {
+			case 'xlsx':
+				return $this->build_xlsx_file( $file_path );
+
+			case 'json':
+				return file_put_contents( $file_path, "\n]\n", FILE_APPEND ) !== false;
+
+			default:
+				return true;
+		}
+	}
+
 	/**
 	 * Write batch data to CSV file.
 	 *
@@ -70,10 +188,13 @@ trait ExportHandler {
 	 * @param array  $data           Data rows to write.
 	 * @param bool   $is_first_batch Whether this is the first batch.
 	 * @param array  $headers        Optional column headers mapping.
+	 * @param array  $columns        Optional column keys, in order. Defaults to the keys of the first row.
 	 *
 	 * @return bool Success status.
 	 */
-	public function write_csv_batch( string $file_path, array $data, bool $is_first_batch, array $headers = [] ): bool {
+	public function write_csv_batch( string $file_path, array $data, bool $is_first_batch, array $headers = [], array $columns = [] ): bool {
+		$columns = $columns ?: $this->get_export_columns( $data );
+
 		$fp = fopen( $file_path, $is_first_batch ? 'w' : 'a' );
 
 		if ( ! $fp ) {
@@ -87,25 +208,85 @@ trait ExportHandler {
 
 		// Write headers on first batch
 		if ( $is_first_batch && ! empty( $data ) ) {
-			$first_row = reset( $data );
+			// Use custom headers where given, falling back to the column keys
+			$header_row = [];
+			foreach ( $columns as $key ) {
+				$header_row[] = $headers[ $key ] ?? $key;
+			}
+			fputcsv( $fp, $header_row );
+		}
 
-			if ( ! empty( $headers ) ) {
-				// Use custom headers, maintaining the order of the data keys
-				$header_row = [];
-				foreach ( array_keys( $first_row ) as $key ) {
-					$header_row[] = $headers[ $key ] ?? $key;
+		// Write data rows, matched to the columns by key
+		foreach ( $data as $row ) {
+			if ( is_array( $row ) ) {
+				$values = [];
+				foreach ( $columns as $key ) {
+					$values[] = $row[ $key ] ?? '';
 				}
-				fputcsv( $fp, $header_row );
-			} else {
-				// Fall back to using keys as headers
-				fputcsv( $fp, array_keys( $first_row ) );
+				fputcsv( $fp, $values );
+			}
+		}
+
+		fclose( $fp );
+
+		return true;
+	}
+
+	/**
+	 * Write batch data to a JSON file.
+	 *
+	 * Rows are streamed into a JSON array that is closed by finalize_export().
+	 *
+	 * @param string $file_path      File path to write to.
+	 * @param array  $data           Data rows to write.
+	 * @param bool   $is_first_batch Whether this is the first batch.
+	 *
+	 * @return bool Success status.
+	 */
+	public function write_json_batch( string $file_path, array $data, bool $is_first_batch ): bool {
+		$fp = fopen( $file_path, $is_first_batch ? 'w' : 'a' );
+
+		if ( ! $fp ) {
+			return false;
+		}
+
+		if ( $is_first_batch ) {
+			fwrite( $fp, '[' );
+		}
+
+		$separator = $is_first_batch ? "\n" : ",\n";
+
+		foreach ( $data as $row ) {
+			if ( is_array( $row ) ) {
+				fwrite( $fp, $separator . wp_json_encode( $row ) );
+				$separator = ",\n";
 			}
 		}
 
-		// Write data rows
+		fclose( $fp );
+
+		return true;
+	}
+
+	/**
+	 * Write batch data to an NDJSON file (one JSON object per line).
+	 *
+	 * @param string $file_path      File path to write to.
+	 * @param array  $data           Data rows to write.
+	 * @param bool   $is_first_batch Whether this is the first batch.
+	 *
+	 * @return bool Success status.
+	 */
+	public function write_ndjson_batch( string $file_path, array $data, bool $is_first_batch ): bool {
+		$fp = fopen( $file_path, $is_first_batch ? 'w' : 'a' );
+
+		if ( ! $fp ) {
+			return false;
+		}
+
 		foreach ( $data as $row ) {
 			if ( is_array( $row ) ) {
-				fputcsv( $fp, array_values( $row ) );
+				fwrite( $fp, wp_json_encode( $row ) . "\n" );
 			}
 		}
 
@@ -114,9 +295,436 @@ trait ExportHandler {
 		return true;
 	}
 
+	/**
+	 * Write batch data as XLSX worksheet rows.
+	 *
+	 * Rows are appended to a partial sheet file next to the export file and
+	 * packaged into a workbook by finalize_export().
+	 *
+	 * @param string $file_path      Export file path.
+	 * @param array  $data           Data rows to write.
+	 * @param bool   $is_first_batch Whether this is the first batch.
+	 * @param array  $headers        Optional column headers mapping.
+	 * @param array  $column_types   Optional cell types by column key.
+	 * @param array  $columns        Optional column keys, in order. Defaults to the keys of the first row.
+	 *
+	 * @return bool Success status.
+	 */
+	public function write_xlsx_batch( string $file_path, array $data, bool $is_first_batch, array $headers = [], array $column_types = [], array $columns = [] ): bool {
+		$columns = $columns ?: $this->get_export_columns( $data );
+
+		$fp = fopen( $file_path . '.part', $is_first_batch ? 'w' : 'a' );
+
+		if ( ! $fp ) {
+			return false;
+		}
+
+		// Write bold headers on first batch
+		if ( $is_first_batch && ! empty( $data ) ) {
+			$cells = '';
+
+			foreach ( $columns as $key ) {
+				$cells .= $this->get_xlsx_cell( $headers[ $key ] ?? $key, 'string', 1 );
+			}
+
+			fwrite( $fp, '<row>' . $cells . '</row>' );
+		}
+
+		foreach ( $data as $row ) {
+			if ( ! is_array( $row ) ) {
+				continue;
+			}
+
+			$cells = '';
+
+			// Match values to the columns by key, leaving missing ones empty
+			foreach ( $columns as $key ) {
+				$value  = $row[ $key ] ?? null;
+				$cells .= $this->get_xlsx_cell( $value, $column_types[ $key ] ?? $this->detect_xlsx_cell_type( $value ) );
+			}
+
+			fwrite( $fp, '<row>' . $cells . '</row>' );
+		}
+
+		fclose( $fp );
+
+		return true;
+	}
+
+	/**
+	 * Detect the XLSX cell type of a value.
+	 *
+	 * Numeric strings with leading zeros (IDs, postcodes) are kept as text.
+	 *
+	 * @param mixed $value Cell value.
+	 *
+	 * @return string number, date, datetime or string.
+	 */
+	protected function detect_xlsx_cell_type( $value ): string {
+		if ( is_int( $value ) || is_float( $value ) ) {
+			return 'number';
+		}
+
+		if ( ! is_string( $value ) ) {
+			return 'string';
+		}
+
+		if ( strlen( $value ) <= 15 && preg_match( '/^-?(0|[1-9]\d*)(\.\d+)?$/', $value ) ) {
+			return 'number';
+		}
+
+		if ( preg_match( '/^\d{4}-\d{2}-\d{2}$/', $value ) ) {
+			return 'date';
+		}
+
+		if ( preg_match( '/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/', $value ) ) {
+			return 'datetime';
+		}
+
+		return 'string';
+	}
+
+	/**
+	 * Get the XML for a single XLSX cell.
+	 *
+	 * Dates are stored as Excel serial numbers with a date number format, so
+	 * they sort and filter as dates in spreadsheet apps.
+	 *
+	 * @param mixed  $value Cell value.
+	 * @param string $type  Cell type: number, date, datetime or string.
+	 * @param int    $style Style index (1 = bold header).
+	 *
+	 * @return string
+	 */
+	protected function get_xlsx_cell( $value, string $type, int $style = 0 ): string {
+		if ( $value === null || $value === '' ) {
+			return '<c/>';
+		}
+
+		if ( $type === 'number' && is_numeric( $value ) ) {
+			return '<c><v>' . ( $value + 0 ) . '</v></c>';
+		}
+
+		if ( ( $type === 'date' || $type === 'datetime' ) && is_scalar( $value ) ) {
+			try {
+				$date   = new DateTime( (string) $value, new DateTimeZone( 'UTC' ) );
+				$serial = $date->getTimestamp() / DAY_IN_SECONDS + 25569;
+
+				return sprintf( '<c s="%d"><v>%s</v></c>', $type === 'date' ? 2 : 3, round( $serial, 6 ) );
+			} catch ( Exception $e ) {
+				// Not a parsable date, store as text
+			}
+		}
+
+		if ( is_bool( $value ) ) {
+			$value = $value ? '1' : '0';
+		} elseif ( ! is_scalar( $value ) ) {
+			$value = wp_json_encode( $value );
+		}
+
+		// Strip characters that are not allowed in XML
+		$value = preg_replace( '/[^\x{9}\x{A}\x{D}\x{20}-\x{D7FF}\x{E000}-\x{FFFD}]/u', '', (string) $value );
+
+		return sprintf(
+			'<c t="inlineStr"%s><is><t xml:space="preserve">%s</t></is></c>',
+			$style ? ' s="' . $style . '"' : '',
+			htmlspecialchars( (string) $value, ENT_XML1 | ENT_QUOTES, 'UTF-8' )
+		);
+	}
+
+	/**
+	 * Package the partial XLSX rows into a workbook.
+	 *
+	 * @param string $file_path Export file path.
+	 *
+	 * @return bool Success status.
+	 */
+	protected function build_xlsx_file( string $file_path ): bool {
+		$rows_path  = $file_path . '.part';
+		$sheet_path = $file_path . '.sheet';
+
+		if ( ! file_exists( $rows_path ) || ! class_exists( ZipArchive::class ) ) {
+			return false;
+		}
+
+		$main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+		$rels = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+		// Wrap the streamed rows in a worksheet with a frozen header row
+		$sheet = fopen( $sheet_path, 'w' );
+		$rows  = fopen( $rows_path, 'r' );
+
+		if ( ! $sheet || ! $rows ) {
+			return false;
+		}
+
+		fwrite( $sheet, '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' );
+		fwrite( $sheet, '<worksheet xmlns="' . $main . '"><sheetViews><sheetView workbookViewId="0">' );
+		fwrite( $sheet, '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>' );
+		stream_copy_to_stream( $rows, $sheet );
+		fwrite( $sheet, '</sheetData></worksheet>' );
+		fclose( $rows );
+		fclose( $sheet );
+
+		$zip = new ZipArchive();
+
+		if ( $zip->open( $file_path, ZipArchive::CREATE | ZipArchive::OVERWRITE ) !== true ) {
+			return false;
+		}
+
+		$zip->addFromString( '[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+			. '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+			. '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+			. '<Default Extension="xml" ContentType="application/xml"/>'
+			. '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+			. '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+			. '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+			. '</Types>' );
+
+		$zip->addFromString( '_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+			. '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+			. '<Relationship Id="rId1" Type="' . $rels . '/officeDocument" Target="xl/workbook.xml"/>'
+			. '</Relationships>' );
+
+		$zip->addFromString( 'xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+			. '<workbook xmlns="' . $main . '" xmlns:r="' . $rels . '">'
+			. '<sheets><sheet name="Export" sheetId="1" r:id="rId1"/></sheets>'
+			. '</workbook>' );
+
+		$zip->addFromString( 'xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+			. '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+			. '<Relationship Id="rId1" Type="' . $rels . '/worksheet" Target="worksheets/sheet1.xml"/>'
+			. '<Relationship Id="rId2" Type="' . $rels . '/styles" Target="styles.xml"/>'
+			. '</Relationships>' );
+
+		// Styles: 0 = default, 1 = bold header, 2 = date, 3 = date and time
+		$zip->addFromString( 'xl/styles.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+			. '<styleSheet xmlns="' . $main . '">'
+			. '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>'
+			. '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+			. '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+			. '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+			. '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+			. '<cellXfs count="4">'
+			. '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+			. '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+			. '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+			. '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+			. '</cellXfs>'
+			. '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+			. '</styleSheet>' );
+
+		$zip->addFile( $sheet_path, 'xl/worksheets/sheet1.xml' );
+
+		$result = $zip->close();
+
+		unlink( $rows_path );
+		unlink( $sheet_path );
+
+		return $result;
+	}
+
+	/**
+	 * Get how long finished exports are kept for re-download.
+	 *
+	 * @return int Seconds.
+	 */
+	public function get_export_retention(): int {
+		return max( MINUTE_IN_SECONDS, (int) $this->get_config( 'export_retention', HOUR_IN_SECONDS ) );
+	}
+
+	/**
+	 * Get the current user's recent exports for this report.
+	 *
+	 * Entries older than the retention period, or whose file is gone, are pruned.
+	 *
+	 * @param int $user_id Optional. User ID. Defaults to the current user.
+	 *
+	 * @return array Entries keyed by export token, newest first.
+	 */
+	public function get_export_history( int $user_id = 0 ): array {
+		$user_id = $user_id ?: get_current_user_id();
+		$history = get_user_meta( $user_id, 'reports_export_history', true );
+		$history = is_array( $history ) ? $history : [];
+		$expired = time() - $this->get_export_retention();
+
+		$current = array_filter( $history, function ( $entry ) use ( $expired ) {
+			return ( $entry['created'] ?? 0 ) >= $expired && file_exists( $entry['file_path'] ?? '' );
+		} );
+
+		if ( count( $current ) !== count( $history ) ) {
+			update_user_meta( $user_id, 'reports_export_history', $current );
+		}
+
+		$entries = array_filter( $current, function ( $entry ) {
+			return ( $entry['report_id'] ?? '' ) === $this->id;
+		} );
+
+		uasort( $entries, function ( $a, $b ) {
+			return $b['created'] <=> $a['created'];
+		} );
+
+		return $entries;
+	}
+
+	/**
+	 * Add a finished export to the current user's history.
+	 *
+	 * @param string $export_token Export token.
+	 * @param array  $entry        Export details (title, format, filters, date range, rows, file path, size).
+	 *
+	 * @return void
+	 */
+	public function add_export_history( string $export_token, array $entry ): void {
+		$user_id = get_current_user_id();
+		$history = get_user_meta( $user_id, 'reports_export_history', true );
+		$history = is_array( $history ) ? $history : [];
+
+		$history[ $export_token ] = array_merge( $entry, [
+			'report_id' => $this->id,
+			'created'   => time(),
+		] );
+
+		update_user_meta( $user_id, 'reports_export_history', $history );
+	}
+
+	/**
+	 * Remove an export from the current user's history.
+	 *
+	 * @param string $export_token Export token.
+	 *
+	 * @return void
+	 */
+	public function delete_export_history( string $export_token ): void {
+		$user_id = get_current_user_id();
+		$history = get_user_meta( $user_id, 'reports_export_history', true );
+
+		if ( is_array( $history ) && isset( $history[ $export_token ] ) ) {
+			unset( $history[ $export_token ] );
+			update_user_meta( $user_id, 'reports_export_history', $history );
+		}
+	}
+
+	/**
+	 * Describe the filters used for an export, for display in the history.
+	 *
+	 * @param array $export  Export configuration.
+	 * @param array $filters Filter values keyed by filter name (without the 'filter_' prefix).
+	 *
+	 * @return array Filter label => human-readable value, for non-empty filters only.
+	 */
+	public function describe_export_filters( array $export, array $filters ): array {
+		$described = [];
+
+		foreach ( $export['filters'] ?? [] as $filter_key => $filter ) {
+			$label   = $filter['label'] ?? $filter_key;
+			$options = $filter['options'] ?? [];
+
+			if ( ( $filter['type'] ?? 'select' ) === 'daterange' ) {
+				$start = $filters[ $filter_key . '_start' ] ?? '';
+				$end   = $filters[ $filter_key . '_end' ] ?? '';
+
+				if ( $start || $end ) {
+					$described[ $label ] = trim( $start . ' – ' . $end, ' –' );
+				}
+
+				continue;
+			}
+
+			$value = $filters[ $filter_key ] ?? '';
+
+			if ( $value === '' || $value === [] ) {
+				continue;
+			}
+
+			$values = array_map( function ( $item ) use ( $options ) {
+				return is_scalar( $item ) ? (string) ( $options[ $item ] ?? $item ) : '';
+			}, (array) $value );
+
+			$described[ $label ] = implode( ', ', array_filter( $values, 'strlen' ) );
+		}
+
+		return $described;
+	}
+
+	/**
+	 * Delete an export file and any partial files written alongside it.
+	 *
+	 * @param string $file_path Export file path.
+	 *
+	 * @return void
+	 */
+	public function delete_export_files( string $file_path ): void {
+		foreach ( [ $file_path, $file_path . '.part', $file_path . '.sheet' ] as $path ) {
+			if ( file_exists( $path ) ) {
+				unlink( $path );
+			}
+		}
+	}
+
+	/**
+	 * Get how long files in the shared export directory are kept.
+	 *
+	 * Every report writes to the same directory, so files are kept for the
+	 * longest retention of any registered report; a report with a short
+	 * retention must not delete files another report still lists.
+	 *
+	 * @return int Seconds.
+	 */
+	protected function get_shared_export_retention(): int {
+		$retention = $this->get_export_retention();
+
+		foreach ( Registry::instance()->all() as $report ) {
+			$retention = max( $retention, $report->get_export_retention() );
+		}
+
+		return $retention;
+	}
+
+	/**
+	 * Schedule or clear the hourly export file cleanup.
+	 *
+	 * Cleanup also runs when an export starts, but files of users who never
+	 * export again would otherwise stay past the retention period.
+	 *
+	 * @return void
+	 */
+	public function plan_export_cleanup(): void {
+		$args      = [ $this->id ];
+		$scheduled = wp_next_scheduled( 'reports_cleanup_exports', $args );
+
+		if ( empty( array_filter( $this->exports ) ) && ! $this->is_schedules_enabled() ) {
+			if ( $scheduled ) {
+				wp_clear_scheduled_hook( 'reports_cleanup_exports', $args );
+			}
+
+			return;
+		}
+
+		if ( ! $scheduled ) {
+			wp_schedule_event( time() + HOUR_IN_SECONDS, 'hourly', 'reports_cleanup_exports', $args );
+		}
+	}
+
+	/**
+	 * Handle the hourly export file cleanup.
+	 *
+	 * @param string $report_id Report ID the event belongs to.
+	 *
+	 * @return void
+	 */
+	public function handle_export_cleanup( string $report_id ): void {
+		if ( $report_id === $this->id ) {
+			$this->cleanup_exports();
+		}
+	}
+
 	/**
 	 * Clean up old export files and transients.
 	 *
+	 * Also removes the attachment directories of scheduled emails whose send
+	 * was cut short (e.g. by a fatal error) before it could delete them.
+	 *
 	 * @return void
 	 */
 	public function cleanup_exports(): void {
@@ -125,7 +733,12 @@ trait ExportHandler {
 		global $wp_filesystem;
 
 		$export_dir = $this->get_export_dir();
-		$expired    = time() - HOUR_IN_SECONDS;
+		$expired    = time() - $this->get_shared_export_retention();
+		$extensions = array_column( $this->get_export_formats(), 'extension' );
+
+		// Partial XLSX files left behind by unfinished exports
+		$extensions[] = 'part';
+		$extensions[] = 'sheet';
 
 		// Clean up old files
 		if ( $wp_filesystem->exists( $export_dir ) && $wp_filesystem->is_dir( $export_dir ) ) {
@@ -133,7 +746,19 @@ trait ExportHandler {
 
 			if ( $files ) {
 				foreach ( $files as $file ) {
-					if ( $file['type'] !== 'f' || ! str_ends_with( $file['name'], '.csv' ) ) {
+					// Attachment directories of scheduled emails whose send never finished
+					if ( $file['type'] === 'd' && wp_is_uuid( $file['name'] ) ) {
+						$dir_path = trailingslashit( $export_dir ) . $file['name'];
+						$dir_time = $wp_filesystem->mtime( $dir_path );
+
+						if ( $dir_time && $dir_time < $expired ) {
+							$wp_filesystem->delete( $dir_path, true );
+						}
+
+						continue;
+					}
+
+					if ( $file['type'] !== 'f' || ! in_array( pathinfo( $file['name'], PATHINFO_EXTENSION ), $extensions, true ) ) {
 						continue;
 					}
 
@@ -162,7 +787,11 @@ trait ExportHandler {
 			$export_id = str_replace( '_transient_reports_export_', '', $transient );
 			$config    = get_transient( 'reports_export_' . $export_id );
 
-			if ( ! $config || ! isset( $config['file_path'] ) || ! $wp_filesystem->exists( $config['file_path'] ) ) {
+			// XLSX rows are written to a partial file until the last batch
+			if ( ! $config || ! isset( $config['file_path'] ) || (
+					! $wp_filesystem->exists( $config['file_path'] ) &&
+					! $wp_filesystem->exists( $config['file_path'] . '.part' )
+				) ) {
 				delete_transient( 'reports_export_' . $export_id );
 			}
 		}
@@ -186,6 +815,49 @@ trait ExportHandler {
 					<?php $this->render_export_card( $export_id, $export ); ?>
 				<?php endforeach; ?>
 			</div>
+
+			<?php $this->render_export_history(); ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the recent exports panel.
+	 *
+	 * Rows are loaded and refreshed via the REST API.
+	 *
+	 * @return void
+	 */
+	protected function render_export_history(): void {
+		?>
+		<div class="reports-export-history" data-report-id="<?php echo esc_attr( $this->id ); ?>">
+			<h3 class="reports-exports-section-title"><?php esc_html_e( 'Recent Exports', 'arraypress' ); ?></h3>
+			<p class="description">
+				<?php
+				printf(
+				/* translators: %s: retention period, e.g. "1 hour" */
+					esc_html__( 'Your finished exports are kept for %s.', 'arraypress' ),
+					esc_html( human_time_diff( 0, $this->get_export_retention() ) )
+				);
+				?>
+			</p>
+
+			<table class="widefat striped reports-export-history-table" style="display: none;">
+				<thead>
+				<tr>
+					<th><?php esc_html_e( 'Export', 'arraypress' ); ?></th>
+					<th><?php esc_html_e( 'Filters', 'arraypress' ); ?></th>
+					<th><?php esc_html_e( 'Date Range', 'arraypress' ); ?></th>
+					<th class="num"><?php esc_html_e( 'Rows', 'arraypress' ); ?></th>
+					<th class="num"><?php esc_html_e( 'Size', 'arraypress' ); ?></th>
+					<th><?php esc_html_e( 'Created', 'arraypress' ); ?></th>
+					<th class="reports-export-history-actions-col"><?php esc_html_e( 'Actions', 'arraypress' ); ?></th>
+				</tr>
+				</thead>
+				<tbody></tbody>
+			</table>
+
+			<p class="reports-export-history-empty"><?php esc_html_e( 'No recent exports.', 'arraypress' ); ?></p>
 		</div>
 		<?php
 	}
@@ -205,6 +877,14 @@ trait ExportHandler {
 			$icon = 'dashicons-' . $icon;
 		}
 
+		$all_formats = $this->get_export_formats();
+		$formats     = $export['formats'] ?? [ 'csv' ];
+		$button_text = $export['button_text'] ?: sprintf(
+		/* translators: %s: export file format, e.g. CSV */
+			__( 'Generate %s', 'arraypress' ),
+			strtoupper( $all_formats[ reset( $formats ) ]['extension'] ?? 'csv' )
+		);
+
 		?>
 		<div class="reports-export-card" data-export-id="<?php echo esc_attr( $export_id ); ?>">
 			<h4 class="reports-export-title">
@@ -223,6 +903,22 @@ trait ExportHandler {
 				</div>
 			<?php endif; ?>
 
+			<?php if ( count( $formats ) > 1 ) : ?>
+				<div class="reports-export-format">
+					<label for="<?php echo esc_attr( $export_id . '_format' ); ?>">
+						<?php esc_html_e( 'Format', 'arraypress' ); ?>
+					</label>
+					<select id="<?php echo esc_attr( $export_id . '_format' ); ?>" class="reports-export-format-select">
+						<?php foreach ( $formats as $format ) : ?>
+							<option value="<?php echo esc_attr( $format ); ?>"
+							        data-extension="<?php echo esc_attr( strtoupper( $all_formats[ $format ]['extension'] ) ); ?>">
+								<?php echo esc_html( $all_formats[ $format ]['label'] ); ?>
+							</option>
+						<?php endforeach; ?>
+					</select>
+				</div>
+			<?php endif; ?>
+
 			<!-- Progress bar (hidden by default) -->
 			<div class="reports-export-progress" style="display: none;">
 				<div class="reports-export-progress-bar">
@@ -234,11 +930,30 @@ trait ExportHandler {
 				</div>
 			</div>
 
+			<!-- Interrupted export notice (hidden by default) -->
+			<div class="reports-export-resume" style="display: none;">
+				<p class="reports-export-resume-text"></p>
+				<button type="button" class="button reports-export-resume-button">
+					<?php esc_html_e( 'Resume', 'arraypress' ); ?>
+				</button>
+				<button type="button" class="button-link reports-export-discard-button">
+					<?php esc_html_e( 'Discard', 'arraypress' ); ?>
+				</button>
+			</div>
+
 			<button type="button"
 			        class="button button-primary reports-export-button"
 			        data-export-id="<?php echo esc_attr( $export_id ); ?>"
-			        data-report-id="<?php echo esc_attr( $this->id ); ?>">
-				<?php echo esc_html( $export['button_text'] ?? __( 'Generate CSV', 'arraypress' ) ); ?>
+			        data-report-id="<?php echo esc_attr( $this->id ); ?>"
+			        data-format="<?php echo esc_attr( reset( $formats ) ); ?>"
+				<?php if ( ! empty( $export['button_text'] ) ) : ?>
+					data-button-text="<?php echo esc_attr( $export['button_text'] ); ?>"
+				<?php endif; ?>>
+				<span class="button-text"><?php echo esc_html( $button_text ); ?></span>
+			</button>
+
+			<button type="button" class="button-link reports-export-cancel" style="display: none;">
+				<?php esc_html_e( 'Cancel', 'arraypress' ); ?>
 			</button>
 		</div>
 		<?php
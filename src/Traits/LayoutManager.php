@@ -0,0 +1,204 @@
+<?php
+/**
+ * Layout Manager Trait
+ *
+ * @package     ArrayPress\RegisterReports
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @since       1.0.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterReports\Traits;
+
+/**
+ * Trait LayoutManager
+ *
+ * Stores each user's component order, widths and hidden components per tab.
+ */
+trait LayoutManager {
+
+	/**
+	 * Check whether users can customize the layout of this report.
+	 *
+	 * @return bool
+	 */
+	public function is_customizable(): bool {
+		return ! empty( $this->config['customizable'] );
+	}
+
+	/**
+	 * Get the widths a component can be resized to.
+	 *
+	 * @return array Width key => label.
+	 */
+	public function get_layout_widths(): array {
+		return [
+			'full'       => __( 'Full width', 'arraypress' ),
+			'two-thirds' => __( 'Two thirds', 'arraypress' ),
+			'half'       => __( 'Half', 'arraypress' ),
+			'third'      => __( 'One third', 'arraypress' ),
+			'quarter'    => __( 'Quarter', 'arraypress' ),
+		];
+	}
+
+	/**
+	 * Check whether a component can be resized.
+	 *
+	 * Tiles size themselves within their grid, so only charts, tables and
+	 * HTML components take a width.
+	 *
+	 * @param array $component Component configuration.
+	 *
+	 * @return bool
+	 */
+	public function is_resizable_component( array $component ): bool {
+		return in_array( $component['type'] ?? 'tile', [ 'chart', 'table', 'html' ], true );
+	}
+
+	/**
+	 * Get the current user's saved layout for a tab.
+	 *
+	 * @param string $tab     Tab key.
+	 * @param int    $user_id Optional. User ID. Defaults to the current user.
+	 *
+	 * @return array{order: array, widths: array, hidden: array}
+	 */
+	public function get_user_layout( string $tab, int $user_id = 0 ): array {
+		$user_id = $user_id ?: get_current_user_id();
+		$layouts = get_user_meta( $user_id, 'reports_layout_' . $this->id, true );
+		$layout  = is_array( $layouts ) ? ( $layouts[ $tab ] ?? [] ) : [];
+
+		return [
+			'order'  => (array) ( $layout['order'] ?? [] ),
+			'widths' => (array) ( $layout['widths'] ?? [] ),
+			'hidden' => (array) ( $layout['hidden'] ?? [] ),
+		];
+	}
+
+	/**
+	 * Save the current user's layout for a tab.
+	 *
+	 * Unknown components, and widths for components that can't be resized,
+	 * are dropped.
+	 *
+	 * @param string $tab    Tab key.
+	 * @param array  $layout Layout with `order` (component IDs), `widths` (ID => width) and `hidden` (component IDs).
+	 *
+	 * @return array The layout as saved.
+	 */
+	public function save_user_layout( string $tab, array $layout ): array {
+		$components = $this->components[ $tab ] ?? [];
+		$widths     = $this->get_layout_widths();
+
+		$order = array_values( array_unique( array_filter( array_map( 'strval', (array) ( $layout['order'] ?? [] ) ), function ( $component_id ) use ( $components ) {
+			return isset( $components[ $component_id ] );
+		} ) ) );
+
+		$hidden = array_values( array_unique( array_filter( array_map( 'strval', (array) ( $layout['hidden'] ?? [] ) ), function ( $component_id ) use ( $components ) {
+			return isset( $components[ $component_id ] );
+		} ) ) );
+
+		$sizes = [];
+		foreach ( (array) ( $layout['widths'] ?? [] ) as $component_id => $width ) {
+			$component_id = (string) $component_id;
+
+			if ( is_string( $width ) && isset( $components[ $component_id ], $widths[ $width ] ) && $this->is_resizable_component( $components[ $component_id ] ) ) {
+				$sizes[ $component_id ] = $width;
+			}
+		}
+
+		$saved = [
+			'order'  => $order,
+			'widths' => $sizes,
+			'hidden' => $hidden,
+		];
+
+		$user_id = get_current_user_id();
+		$layouts = get_user_meta( $user_id, 'reports_layout_' . $this->id, true );
+		$layouts = is_array( $layouts ) ? $layouts : [];
+
+		$layouts[ $tab ] = $saved;
+
+		update_user_meta( $user_id, 'reports_layout_' . $this->id, $layouts );
+
+		return $saved;
+	}
+
+	/**
+	 * Reset the current user's layout for a tab to the configured default.
+	 *
+	 * @param string $tab Tab key.
+	 *
+	 * @return void
+	 */
+	public function reset_user_layout( string $tab ): void {
+		$user_id = get_current_user_id();
+		$layouts = get_user_meta( $user_id, 'reports_layout_' . $this->id, true );
+
+		if ( ! is_array( $layouts ) || ! isset( $layouts[ $tab ] ) ) {
+			return;
+		}
+
+		unset( $layouts[ $tab ] );
+
+		if ( empty( $layouts ) ) {
+			delete_user_meta( $user_id, 'reports_layout_' . $this->id );
+		} else {
+			update_user_meta( $user_id, 'reports_layout_' . $this->id, $layouts );
+		}
+	}
+
+	/**
+	 * Apply the current user's saved layout to a tab's components.
+	 *
+	 * Components follow the saved order; any added since the layout was saved
+	 * come after them in their configured order. Hidden components are flagged
+	 * with `hidden` and, where supported, switched to lazy loading so their data
+	 * callbacks only run if they are shown again.
+	 *
+	 * @param array  $components Tab components keyed by component ID, in configured order.
+	 * @param string $tab        Tab key.
+	 *
+	 * @return array
+	 */
+	public function apply_user_layout( array $components, string $tab ): array {
+		if ( ! $this->is_customizable() ) {
+			return $components;
+		}
+
+		$layout = $this->get_user_layout( $tab );
+		$widths = $this->get_layout_widths();
+		$sorted = [];
+
+		foreach ( $layout['order'] as $component_id ) {
+			if ( isset( $components[ $component_id ] ) ) {
+				$sorted[ $component_id ] = $components[ $component_id ];
+			}
+		}
+
+		$sorted += $components;
+
+		foreach ( $layout['widths'] as $component_id => $width ) {
+			if ( isset( $sorted[ $component_id ], $widths[ $width ] ) && $this->is_resizable_component( $sorted[ $component_id ] ) ) {
+				$sorted[ $component_id ]['width'] = $width;
+			}
+		}
+
+		foreach ( $layout['hidden'] as $component_id ) {
+			if ( ! isset( $sorted[ $component_id ] ) ) {
+				continue;
+			}
+
+			$sorted[ $component_id ]['hidden'] = true;
+
+			if ( in_array( $sorted[ $component_id ]['type'] ?? 'tile', [ 'tile', 'tiles_group', 'chart', 'table' ], true ) ) {
+				$sorted[ $component_id ]['lazy'] = true;
+			}
+		}
+
+		return $sorted;
+	}
+
+}
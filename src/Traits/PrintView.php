@@ -0,0 +1,145 @@
+<?php
+/**
+ * Print View Trait
+ *
+ * @package     ArrayPress\RegisterReports
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @since       1.0.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterReports\Traits;
+
+/**
+ * Trait PrintView
+ *
+ * Handles printing a report (or saving it as a PDF from the print dialog).
+ *
+ * The current tab is printed in place by JavaScript. The full report is
+ * printed from the `print=all` view, which renders every tab in sequence
+ * without lazy loading and opens the print dialog once it has loaded.
+ */
+trait PrintView {
+
+	/**
+	 * Check whether the print button is shown for this report.
+	 *
+	 * @return bool
+	 */
+	public function is_print_enabled(): bool {
+		return ! empty( $this->config['show_print'] );
+	}
+
+	/**
+	 * Check whether the page is the full report print view.
+	 *
+	 * @return bool
+	 */
+	public function is_print_all(): bool {
+		return $this->is_print_enabled()
+		       && count( $this->tabs ) > 1
+		       && isset( $_GET['print'] )
+		       && sanitize_key( $_GET['print'] ) === 'all';
+	}
+
+	/**
+	 * Render the print button in the header.
+	 *
+	 * Reports with several tabs get a menu to print the current tab or every tab.
+	 *
+	 * @return void
+	 */
+	protected function render_print_button(): void {
+		$has_menu = $this->config['show_tabs'] && count( $this->tabs ) > 1 && ! $this->is_print_all();
+
+		?>
+		<div class="reports-print">
+			<button type="button" class="button reports-print-toggle"<?php echo $has_menu ? ' aria-expanded="false"' : ''; ?>>
+				<span class="dashicons dashicons-printer"></span>
+				<?php esc_html_e( 'Print', 'arraypress' ); ?>
+				<?php if ( $has_menu ) : ?>
+					<span class="dashicons dashicons-arrow-down-alt2"></span>
+				<?php endif; ?>
+			</button>
+
+			<?php if ( $has_menu ) : ?>
+				<div class="reports-print-menu" style="display: none;">
+					<button type="button" class="reports-print-item" data-scope="tab">
+						<?php esc_html_e( 'This tab', 'arraypress' ); ?>
+					</button>
+					<button type="button" class="reports-print-item" data-scope="all">
+						<?php esc_html_e( 'All tabs', 'arraypress' ); ?>
+					</button>
+				</div>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the heading shown at the top of printed pages.
+	 *
+	 * Hidden on screen. JavaScript updates the date range and time when the
+	 * page is printed after the range was changed in place.
+	 *
+	 * @param string $tab Tab key, or an empty string for the full report.
+	 *
+	 * @return void
+	 */
+	protected function render_print_header( string $tab ): void {
+		if ( ! $this->is_print_enabled() ) {
+			return;
+		}
+
+		$title = ! empty( $this->config['header_title'] )
+			? $this->config['header_title']
+			: $this->config['page_title'];
+
+		$tab_label    = $tab !== '' && count( $this->tabs ) > 1 ? ( $this->tabs[ $tab ]['label'] ?? '' ) : '';
+		$period_label = $this->get_period_label();
+
+		?>
+		<div class="reports-print-header">
+			<h1 class="reports-print-title"><?php echo esc_html( $title ); ?></h1>
+			<p class="reports-print-details">
+				<?php if ( $tab_label ) : ?>
+					<span class="reports-print-tab-label"><?php echo esc_html( $tab_label ); ?></span>
+				<?php endif; ?>
+				<span class="reports-print-period"><?php echo esc_html( $period_label ); ?></span>
+				<span class="reports-print-generated">
+					<?php
+					printf(
+					/* translators: %s: date and time the report was generated */
+						esc_html__( 'Generated %s', 'arraypress' ),
+						esc_html( wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ) ) )
+					);
+					?>
+				</span>
+			</p>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render every tab in sequence for the full report print view.
+	 *
+	 * Each tab uses its own filters from the URL.
+	 *
+	 * @return void
+	 */
+	protected function render_print_tabs(): void {
+		foreach ( $this->tabs as $tab_key => $tab ) {
+			$this->date_range['filters'] = $this->get_current_filters( $tab_key );
+
+			?>
+			<section class="reports-print-tab" data-tab="<?php echo esc_attr( $tab_key ); ?>">
+				<h2 class="reports-print-tab-title"><?php echo esc_html( $tab['label'] ?? $tab_key ); ?></h2>
+				<?php $this->render_tab_content( $tab_key ); ?>
+			</section>
+			<?php
+		}
+	}
+
+}
@@ -0,0 +1,1108 @@
+<?php
+/**
+ * Schedule Manager Trait
+ *
+ * @package     ArrayPress\RegisterReports
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @since       1.0.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterReports\Traits;
+
+use ArrayPress\DateUtils\Dates;
+use ArrayPress\RegisterReports\RestApi;
+use DateTimeImmutable;
+use DateTimeZone;
+use Exception;
+use WP_Error;
+
+/**
+ * Trait ScheduleManager
+ *
+ * Emails snapshots of a tab to a list of recipients on a WP-Cron schedule.
+ *
+ * Schedules are stored in one option per report. Each enabled schedule has a
+ * single cron event for its next delivery, which schedules the one after it
+ * when it runs. Snapshots are built as the user who created the schedule.
+ */
+trait ScheduleManager {
+
+	/**
+	 * Check whether scheduled emails are enabled for this report.
+	 *
+	 * @return bool
+	 */
+	public function is_schedules_enabled(): bool {
+		return ! empty( $this->config['email_schedules'] );
+	}
+
+	/**
+	 * Get the supported delivery frequencies.
+	 *
+	 * @return array Frequency key => label.
+	 */
+	public function get_schedule_frequencies(): array {
+		return [
+			'daily'   => __( 'Daily', 'arraypress' ),
+			'weekly'  => __( 'Weekly', 'arraypress' ),
+			'monthly' => __( 'Monthly', 'arraypress' ),
+		];
+	}
+
+	/**
+	 * Get every schedule for this report.
+	 *
+	 * @return array Schedules keyed by schedule ID.
+	 */
+	public function get_schedules(): array {
+		$schedules = get_option( 'reports_schedules_' . $this->id, [] );
+
+		return is_array( $schedules ) ? $schedules : [];
+	}
+
+	/**
+	 * Get a schedule.
+	 *
+	 * @param string $schedule_id Schedule ID.
+	 *
+	 * @return array|null
+	 */
+	public function get_schedule( string $schedule_id ): ?array {
+		return $this->get_schedules()[ $schedule_id ] ?? null;
+	}
+
+	/**
+	 * Check whether the current user created a schedule.
+	 *
+	 * Snapshots are built as the schedule's creator, so only they may change,
+	 * test or delete it.
+	 *
+	 * @param array $schedule Schedule.
+	 *
+	 * @return bool
+	 */
+	public function is_schedule_owner( array $schedule ): bool {
+		return (int) ( $schedule['user_id'] ?? 0 ) === get_current_user_id();
+	}
+
+	/**
+	 * Create a schedule and plan its first delivery.
+	 *
+	 * @param array $settings Name, tab, date_preset, filters, frequency, day, time, recipients, exports and enabled.
+	 *
+	 * @return array The new schedule, including its `id`.
+	 */
+	public function create_schedule( array $settings ): array {
+		$schedules   = $this->get_schedules();
+		$schedule_id = strtolower( wp_generate_password( 12, false ) );
+
+		$schedules[ $schedule_id ] = array_merge( $this->sanitize_schedule( $settings ), [
+			'id'      => $schedule_id,
+			'user_id' => get_current_user_id(),
+			'created' => time(),
+		] );
+
+		update_option( 'reports_schedules_' . $this->id, $schedules, false );
+
+		$this->plan_schedule( $schedules[ $schedule_id ] );
+
+		return $schedules[ $schedule_id ];
+	}
+
+	/**
+	 * Update a schedule created by the current user and re-plan its next delivery.
+	 *
+	 * @param string $schedule_id Schedule ID.
+	 * @param array  $changes     Any of the settings accepted by create_schedule().
+	 *
+	 * @return array|null The updated schedule, or null if it doesn't exist or belongs to someone else.
+	 */
+	public function update_schedule( string $schedule_id, array $changes ): ?array {
+		$schedules = $this->get_schedules();
+
+		if ( ! isset( $schedules[ $schedule_id ] ) || ! $this->is_schedule_owner( $schedules[ $schedule_id ] ) ) {
+			return null;
+		}
+
+		$schedules[ $schedule_id ] = array_merge(
+			$schedules[ $schedule_id ],
+			$this->sanitize_schedule( array_merge( $schedules[ $schedule_id ], $changes ) )
+		);
+
+		update_option( 'reports_schedules_' . $this->id, $schedules, false );
+
+		$this->plan_schedule( $schedules[ $schedule_id ] );
+
+		return $schedules[ $schedule_id ];
+	}
+
+	/**
+	 * Delete a schedule created by the current user and its pending delivery.
+	 *
+	 * @param string $schedule_id Schedule ID.
+	 *
+	 * @return bool False if the schedule doesn't exist or belongs to someone else.
+	 */
+	public function delete_schedule( string $schedule_id ): bool {
+		$schedules = $this->get_schedules();
+
+		if ( ! isset( $schedules[ $schedule_id ] ) || ! $this->is_schedule_owner( $schedules[ $schedule_id ] ) ) {
+			return false;
+		}
+
+		unset( $schedules[ $schedule_id ] );
+
+		update_option( 'reports_schedules_' . $this->id, $schedules, false );
+
+		wp_clear_scheduled_hook( 'reports_send_scheduled_email', [ $this->id, $schedule_id ] );
+
+		return true;
+	}
+
+	/**
+	 * Sanitize a schedule's settings.
+	 *
+	 * The tab, date range and filters are sanitized like a saved view's state.
+	 * Invalid email addresses and exports that don't belong to the tab are dropped.
+	 *
+	 * @param array $settings Schedule settings.
+	 *
+	 * @return array
+	 */
+	public function sanitize_schedule( array $settings ): array {
+		$state     = $this->sanitize_view_state( $settings );
+		$frequency = $settings['frequency'] ?? 'weekly';
+		$frequency = isset( $this->get_schedule_frequencies()[ $frequency ] ) ? $frequency : 'weekly';
+		$time      = (string) ( $settings['time'] ?? '' );
+
+		// Weekly schedules take a weekday (0 = Sunday), monthly ones a day of the month
+		$day = (int) ( $settings['day'] ?? 0 );
+		$day = $frequency === 'monthly' ? min( 28, max( 1, $day ) ) : min( 6, max( 0, $day ) );
+
+		$recipients = array_values( array_unique( array_filter( array_map( function ( $email ) {
+			return is_string( $email ) ? sanitize_email( $email ) : '';
+		}, (array) ( $settings['recipients'] ?? [] ) ), 'is_email' ) ) );
+
+		$exports = array_values( array_intersect(
+			array_map( 'strval', (array) ( $settings['exports'] ?? [] ) ),
+			array_map( 'strval', array_keys( $this->exports[ $state['tab'] ] ?? [] ) )
+		) );
+
+		return array_merge( $state, [
+			'name'       => sanitize_text_field( (string) ( $settings['name'] ?? '' ) ),
+			'frequency'  => $frequency,
+			'day'        => $day,
+			'time'       => preg_match( '/^([01]\d|2[0-3]):[0-5]\d$/', $time ) ? $time : '08:00',
+			'recipients' => $recipients,
+			'exports'    => $exports,
+			'enabled'    => (bool) ( $settings['enabled'] ?? true ),
+		] );
+	}
+
+	/**
+	 * Get the time of a schedule's next delivery.
+	 *
+	 * Delivery times are in the site's timezone.
+	 *
+	 * @param array    $schedule Schedule.
+	 * @param int|null $after    Optional. Timestamp the delivery must come after. Defaults to now.
+	 *
+	 * @return int Timestamp.
+	 */
+	public function get_next_schedule_run( array $schedule, ?int $after = null ): int {
+		$after             = $after ?? time();
+		[ $hour, $minute ] = array_map( 'intval', explode( ':', $schedule['time'] ) );
+
+		$next = ( new DateTimeImmutable( '@' . $after ) )
+			->setTimezone( wp_timezone() )
+			->setTime( $hour, $minute );
+
+		if ( $schedule['frequency'] === 'monthly' ) {
+			$next = $next->setDate( (int) $next->format( 'Y' ), (int) $next->format( 'n' ), $schedule['day'] );
+
+			if ( $next->getTimestamp() <= $after ) {
+				$month = $next->modify( 'first day of next month' );
+				$next  = $month->setDate( (int) $month->format( 'Y' ), (int) $month->format( 'n' ), $schedule['day'] );
+			}
+
+			return $next->getTimestamp();
+		}
+
+		while ( $next->getTimestamp() <= $after || ( $schedule['frequency'] === 'weekly' && (int) $next->format( 'w' ) !== $schedule['day'] ) ) {
+			$next = $next->modify( '+1 day' )->setTime( $hour, $minute );
+		}
+
+		return $next->getTimestamp();
+	}
+
+	/**
+	 * Plan a schedule's next delivery, replacing any pending one.
+	 *
+	 * @param array $schedule Schedule.
+	 *
+	 * @return void
+	 */
+	protected function plan_schedule( array $schedule ): void {
+		$args = [ $this->id, $schedule['id'] ];
+
+		wp_clear_scheduled_hook( 'reports_send_scheduled_email', $args );
+
+		if ( ! empty( $schedule['enabled'] ) ) {
+			wp_schedule_single_event( $this->get_next_schedule_run( $schedule ), 'reports_send_scheduled_email', $args );
+		}
+	}
+
+	/**
+	 * Deliver a scheduled email and plan the next one.
+	 *
+	 * Runs on the `reports_send_scheduled_email` cron event, which every report
+	 * listens to, so events for other reports are ignored.
+	 *
+	 * @param string $report_id   Report ID the event belongs to.
+	 * @param string $schedule_id Schedule ID.
+	 *
+	 * @return void
+	 */
+	public function handle_scheduled_email( string $report_id, string $schedule_id ): void {
+		if ( $report_id !== $this->id ) {
+			return;
+		}
+
+		$schedule = $this->get_schedule( $schedule_id );
+
+		if ( ! $schedule || empty( $schedule['enabled'] ) ) {
+			return;
+		}
+
+		// Plan the next delivery first, so a fatal error while sending doesn't end the schedule
+		$this->plan_schedule( $schedule );
+
+		$this->send_schedule( $schedule );
+	}
+
+	/**
+	 * Build and send a schedule's snapshot, and record it in the delivery log.
+	 *
+	 * @param array $schedule   Schedule.
+	 * @param array $recipients Optional. Send to these addresses instead of the schedule's recipients.
+	 * @param bool  $is_test    Whether this is a test send.
+	 *
+	 * @return bool|WP_Error True on success.
+	 */
+	public function send_schedule( array $schedule, array $recipients = [], bool $is_test = false ) {
+		$recipients    = $recipients ?: $schedule['recipients'];
+		$owner_id      = (int) ( $schedule['user_id'] ?? 0 );
+		$previous_user = get_current_user_id();
+		$directory     = trailingslashit( $this->get_export_dir() ) . wp_generate_uuid4();
+
+		// Removes attachment directories left behind by sends that died before cleaning up
+		$this->cleanup_exports();
+
+		if ( empty( $recipients ) ) {
+			$result = new WP_Error( 'no_recipients', __( 'The schedule has no recipients.', 'arraypress' ) );
+		} elseif ( ! user_can( $owner_id, $this->config['capability'] ) ) {
+			$result = new WP_Error( 'invalid_owner', __( 'The user who created the schedule can no longer view this report.', 'arraypress' ) );
+		} else {
+			wp_set_current_user( $owner_id );
+
+			try {
+				$snapshot    = $this->build_schedule_snapshot( $schedule );
+				$attachments = $this->build_schedule_attachments( $schedule, $snapshot['date_range'], $directory );
+				$result      = $this->send_snapshot_email( $recipients, $snapshot, $attachments );
+			} catch ( Exception $e ) {
+				$result = new WP_Error( 'snapshot_failed', $e->getMessage() );
+			} finally {
+				wp_set_current_user( $previous_user );
+
+				// Attachments are only needed until the email is sent
+				if ( is_dir( $directory ) ) {
+					array_map( 'unlink', glob( $directory . '/*' ) ?: [] );
+					rmdir( $directory );
+				}
+			}
+		}
+
+		$this->add_schedule_log( $schedule, $recipients, $result, $is_test );
+
+		return $result;
+	}
+
+	/**
+	 * Build the email for a schedule.
+	 *
+	 * @param array $schedule Schedule.
+	 *
+	 * @return array Subject, HTML body, chart images (content ID => PNG data) and the date range used.
+	 */
+	public function build_schedule_snapshot( array $schedule ): array {
+		$filters = [];
+
+		foreach ( $schedule['filters'] ?? [] as $filter_key => $value ) {
+			$filters[ 'filter_' . $filter_key ] = $value;
+		}
+
+		$date_range            = Dates::get_range_full( $schedule['date_preset'], $schedule['date_start'] ?? '', $schedule['date_end'] ?? '' );
+		$date_range['filters'] = $this->get_current_filters( $schedule['tab'], $filters );
+		$images                = [];
+
+		ob_start();
+		$this->render_snapshot_email( $schedule, $date_range, $images );
+		$html = ob_get_clean();
+
+		return [
+			'subject'    => sprintf(
+			/* translators: 1: schedule name, 2: report period, e.g. "Last 7 days" */
+				__( '%1$s: %2$s', 'arraypress' ),
+				$schedule['name'] ?: $this->config['page_title'],
+				$this->get_period_label( $date_range )
+			),
+			'html'       => $html,
+			'images'     => $images,
+			'date_range' => $date_range,
+		];
+	}
+
+	/**
+	 * Write a schedule's exports to files for attaching to the email.
+	 *
+	 * Exports run with their default filters, in their first configured format,
+	 * through the same callbacks and writers as exports from the report page.
+	 *
+	 * @param array  $schedule   Schedule.
+	 * @param array  $date_range Date range of the snapshot.
+	 * @param string $directory  Directory to write the files to, created if needed. The caller deletes it.
+	 *
+	 * @return array File paths.
+	 */
+	protected function build_schedule_attachments( array $schedule, array $date_range, string $directory ): array {
+		$attachments = [];
+
+		foreach ( $schedule['exports'] as $export_id ) {
+			$export = $this->exports[ $schedule['tab'] ][ $export_id ] ?? null;
+
+			if ( ! $export || ! is_callable( $export['total_callback'] ?? null ) || ! is_callable( $export['data_callback'] ?? null ) ) {
+				continue;
+			}
+
+			$args  = [ 'date_range' => $date_range, 'filters' => [] ];
+			$total = call_user_func( $export['total_callback'], $args );
+
+			if ( is_wp_error( $total ) || (int) $total === 0 ) {
+				continue;
+			}
+
+			$format   = reset( $export['formats'] ) ?: 'csv';
+			$filename = $export['filename'] ?? $export_id;
+
+			if ( is_callable( $filename ) ) {
+				$filename = call_user_func( $filename, $date_range, $export );
+			}
+
+			wp_mkdir_p( $directory );
+
+			$file_path = $directory . '/' . sanitize_file_name( $filename . '.' . $this->get_export_formats()[ $format ]['extension'] );
+
+			$written   = true;
+			$columns   = [];
+
+			// The same batches as a browser export, so large exports aren't loaded at once
+			for ( $batch = 0; $batch * RestApi::BATCH_SIZE < (int) $total; $batch++ ) {
+				$data = call_user_func( $export['data_callback'], array_merge( $args, [
+					'offset' => $batch * RestApi::BATCH_SIZE,
+					'limit'  => RestApi::BATCH_SIZE,
+				] ) );
+
+				if ( $batch === 0 && is_array( $data ) ) {
+					$columns = $this->get_export_columns( $data );
+				}
+
+				$written = is_array( $data ) && $this->write_export_batch( $format, $file_path, $data, $batch === 0, $export['headers'] ?? [], $export['column_types'] ?? [], $columns );
+
+				if ( ! $written || count( $data ) < RestApi::BATCH_SIZE ) {
+					break;
+				}
+			}
+
+			// Leave out exports that failed part-way rather than attach a partial file
+			if ( $written && $this->finalize_export( $format, $file_path ) ) {
+				$attachments[] = $file_path;
+			} else {
+				$this->delete_export_files( $file_path );
+			}
+		}
+
+		return $attachments;
+	}
+
+	/**
+	 * Send a snapshot email with its charts embedded inline.
+	 *
+	 * @param array $recipients  Email addresses.
+	 * @param array $snapshot    Snapshot from build_schedule_snapshot().
+	 * @param array $attachments File paths to attach.
+	 *
+	 * @return bool|WP_Error True on success.
+	 */
+	protected function send_snapshot_email( array $recipients, array $snapshot, array $attachments ) {
+		$error = null;
+
+		$embed_images = function ( $phpmailer ) use ( $snapshot ) {
+			foreach ( $snapshot['images'] as $content_id => $png ) {
+				$phpmailer->addStringEmbeddedImage( $png, $content_id, $content_id . '.png', 'base64', 'image/png' );
+			}
+		};
+
+		$catch_error = function ( WP_Error $mail_error ) use ( &$error ) {
+			$error = $mail_error;
+		};
+
+		add_action( 'phpmailer_init', $embed_images );
+		add_action( 'wp_mail_failed', $catch_error );
+
+		$sent = wp_mail( $recipients, $snapshot['subject'], $snapshot['html'], [ 'Content-Type: text/html; charset=UTF-8' ], $attachments );
+
+		remove_action( 'phpmailer_init', $embed_images );
+		remove_action( 'wp_mail_failed', $catch_error );
+
+		if ( ! $sent ) {
+			return $error ?: new WP_Error( 'mail_failed', __( 'The email could not be sent.', 'arraypress' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get the delivery log, newest first.
+	 *
+	 * @return array
+	 */
+	public function get_schedule_log(): array {
+		$log = get_option( 'reports_schedule_log_' . $this->id, [] );
+
+		return is_array( $log ) ? $log : [];
+	}
+
+	/**
+	 * Record a delivery in the log, keeping the 50 most recent entries.
+	 *
+	 * @param array         $schedule   Schedule.
+	 * @param array         $recipients Email addresses.
+	 * @param bool|WP_Error $result     Send result.
+	 * @param bool          $is_test    Whether this was a test send.
+	 *
+	 * @return void
+	 */
+	protected function add_schedule_log( array $schedule, array $recipients, $result, bool $is_test ): void {
+		$log = $this->get_schedule_log();
+
+		array_unshift( $log, [
+			'schedule_id' => $schedule['id'],
+			'name'        => $schedule['name'],
+			'time'        => time(),
+			'recipients'  => $recipients,
+			'success'     => ! is_wp_error( $result ),
+			'message'     => is_wp_error( $result ) ? $result->get_error_message() : '',
+			'test'        => $is_test,
+		] );
+
+		update_option( 'reports_schedule_log_' . $this->id, array_slice( $log, 0, 50 ), false );
+	}
+
+	/**
+	 * Describe when a schedule is delivered, e.g. "Weekly on Monday at 8:00 am".
+	 *
+	 * @param array $schedule Schedule.
+	 *
+	 * @return string
+	 */
+	protected function get_schedule_frequency_label( array $schedule ): string {
+		global $wp_locale;
+
+		[ $hour, $minute ] = array_map( 'intval', explode( ':', $schedule['time'] ) );
+
+		$time = wp_date( get_option( 'time_format' ), $hour * HOUR_IN_SECONDS + $minute * MINUTE_IN_SECONDS, new DateTimeZone( 'UTC' ) );
+
+		switch ( $schedule['frequency'] ) {
+			case 'monthly':
+				/* translators: 1: day of the month, 2: time */
+				return sprintf( __( 'Monthly on day %1$d at %2$s', 'arraypress' ), $schedule['day'], $time );
+
+			case 'weekly':
+				/* translators: 1: weekday, 2: time */
+				return sprintf( __( 'Weekly on %1$s at %2$s', 'arraypress' ), $wp_locale->get_weekday( $schedule['day'] ), $time );
+
+			default:
+				/* translators: %s: time */
+				return sprintf( __( 'Daily at %s', 'arraypress' ), $time );
+		}
+	}
+
+	/**
+	 * Shape a schedule for the REST API and JavaScript.
+	 *
+	 * @param array $schedule Schedule.
+	 *
+	 * @return array
+	 */
+	public function get_schedule_data( array $schedule ): array {
+		$next_run = wp_next_scheduled( 'reports_send_scheduled_email', [ $this->id, $schedule['id'] ] );
+		$exports  = array_map( function ( $export_id ) use ( $schedule ) {
+			return $this->exports[ $schedule['tab'] ][ $export_id ]['title'] ?? $export_id;
+		}, $schedule['exports'] );
+
+		return [
+			'id'          => $schedule['id'],
+			'name'        => $schedule['name'],
+			'description' => $this->get_view_description( $schedule ),
+			'frequency'   => $this->get_schedule_frequency_label( $schedule ),
+			'recipients'  => $schedule['recipients'],
+			'exports'     => array_values( $exports ),
+			'enabled'     => ! empty( $schedule['enabled'] ),
+			'is_owner'    => $this->is_schedule_owner( $schedule ),
+			'next_run'    => $next_run ? wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $next_run ) : '',
+		];
+	}
+
+	/**
+	 * Get every schedule, shaped for the REST API and JavaScript.
+	 *
+	 * @return array
+	 */
+	public function get_schedules_data(): array {
+		return array_values( array_map( [ $this, 'get_schedule_data' ], $this->get_schedules() ) );
+	}
+
+	/**
+	 * Get the delivery log, shaped for the REST API and JavaScript.
+	 *
+	 * @return array
+	 */
+	public function get_schedule_log_data(): array {
+		return array_map( function ( $entry ) {
+			return [
+				'name'       => $entry['name'],
+				'time'       => wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $entry['time'] ),
+				'recipients' => $entry['recipients'],
+				'success'    => $entry['success'],
+				'message'    => $entry['message'],
+				'test'       => $entry['test'],
+			];
+		}, $this->get_schedule_log() );
+	}
+
+	/**
+	 * Render the snapshot email body.
+	 *
+	 * Email clients ignore stylesheets, so everything is styled inline and laid
+	 * out with tables.
+	 *
+	 * @param array $schedule   Schedule.
+	 * @param array $date_range Date range (with filters).
+	 * @param array $images     Chart images are added here, keyed by content ID.
+	 *
+	 * @return void
+	 */
+	protected function render_snapshot_email( array $schedule, array $date_range, array &$images ): void {
+		$tab_label = $this->tabs[ $schedule['tab'] ]['label'] ?? '';
+
+		// Components can opt out of emails with `'email' => false`
+		$components = array_filter( $this->get_components_for_tab( $schedule['tab'] ), function ( $component ) {
+			return ( $component['email'] ?? true ) !== false;
+		} );
+
+		?>
+		<!DOCTYPE html>
+		<html>
+		<head>
+			<meta charset="UTF-8">
+			<title><?php echo esc_html( $schedule['name'] ); ?></title>
+		</head>
+		<body style="margin: 0; padding: 24px 0; background: #f0f0f1; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; color: #1d2327;">
+		<table role="presentation" width="640" align="center" cellpadding="0" cellspacing="0" style="max-width: 640px; background: #fff; border: 1px solid #dcdcde; border-radius: 4px;">
+			<tr>
+				<td style="padding: 24px 20px 8px;">
+					<h1 style="margin: 0; font-size: 20px;"><?php echo esc_html( $this->config['page_title'] ); ?></h1>
+					<p style="margin: 4px 0 0; color: #646970;">
+						<?php echo esc_html( implode( ' · ', array_filter( [ count( $this->tabs ) > 1 ? $tab_label : '', $this->get_period_label( $date_range ) ] ) ) ); ?>
+					</p>
+				</td>
+			</tr>
+			<?php foreach ( $components as $component_id => $component ) : ?>
+				<tr>
+					<td style="padding: 12px 20px;">
+						<?php $this->render_snapshot_component( (string) $component_id, $component, $date_range, $images ); ?>
+					</td>
+				</tr>
+			<?php endforeach; ?>
+			<tr>
+				<td style="padding: 16px 20px 24px; border-top: 1px solid #dcdcde; color: #646970; font-size: 12px;">
+					<p style="margin: 0 0 8px;">
+						<a href="<?php echo esc_url( $this->get_view_url( $schedule ) ); ?>" style="color: #2271b1;"><?php esc_html_e( 'Open the full report', 'arraypress' ); ?></a>
+					</p>
+					<p style="margin: 0;">
+						<?php
+						printf(
+						/* translators: 1: schedule name, 2: delivery frequency, e.g. "Weekly on Monday at 8:00 am" */
+							esc_html__( 'You are receiving this email from the "%1$s" schedule (%2$s).', 'arraypress' ),
+							esc_html( $schedule['name'] ),
+							esc_html( $this->get_schedule_frequency_label( $schedule ) )
+						);
+						?>
+					</p>
+				</td>
+			</tr>
+		</table>
+		</body>
+		</html>
+		<?php
+	}
+
+	/**
+	 * Render one component of a snapshot email.
+	 *
+	 * @param string $component_id Component ID.
+	 * @param array  $component    Component configuration.
+	 * @param array  $date_range   Date range (with filters).
+	 * @param array  $images       Chart images are added here, keyed by content ID.
+	 *
+	 * @return void
+	 */
+	protected function render_snapshot_component( string $component_id, array $component, array $date_range, array &$images ): void {
+		$type = $component['type'] ?? 'tile';
+
+		if ( ! empty( $component['title'] ) && $type !== 'tile' ) {
+			echo '<h2 style="margin: 0 0 8px; font-size: 15px;">' . esc_html( $component['title'] ) . '</h2>';
+		}
+
+		try {
+			switch ( $type ) {
+				case 'tile':
+					$this->render_snapshot_tiles( [ $component_id => $component ], $date_range );
+					break;
+
+				case 'tiles_group':
+					$tiles = [];
+
+					foreach ( $component['tiles'] ?? [] as $tile_id => $tile ) {
+						$tiles[ $component_id . '_' . $tile_id ] = wp_parse_args( $tile, [
+							'value_format' => 'number',
+							'cache'        => $component['cache'] ?? 0,
+						] );
+					}
+
+					$this->render_snapshot_tiles( $tiles, $date_range, (int) ( $component['columns'] ?? 4 ) );
+					break;
+
+				case 'chart':
+					$this->render_snapshot_chart( $component_id, $component, $date_range, $images );
+					break;
+
+				case 'table':
+					$this->render_snapshot_table( $component_id, $component, $date_range );
+					break;
+
+				case 'html':
+					if ( ! empty( $component['render_callback'] ) && is_callable( $component['render_callback'] ) ) {
+						call_user_func( $component['render_callback'], $date_range, $component, $this );
+					} elseif ( ! empty( $component['content'] ) ) {
+						echo wp_kses_post( $component['content'] );
+					}
+					break;
+			}
+		} catch ( Exception $e ) {
+			echo '<p style="margin: 0; color: #d63638;">' . esc_html__( 'This component could not be loaded.', 'arraypress' ) . '</p>';
+		}
+	}
+
+	/**
+	 * Render tiles as a grid of values with their change.
+	 *
+	 * @param array $tiles      Tile configurations keyed by component ID.
+	 * @param array $date_range Date range (with filters).
+	 * @param int   $columns    Tiles per row.
+	 *
+	 * @return void
+	 */
+	protected function render_snapshot_tiles( array $tiles, array $date_range, int $columns = 1 ): void {
+		$tiles   = array_filter( $tiles, function ( $tile ) {
+			return ! empty( $tile['data_callback'] ) && is_callable( $tile['data_callback'] );
+		} );
+		$columns = max( 1, min( $columns, 4 ) );
+
+		if ( empty( $tiles ) ) {
+			return;
+		}
+
+		?>
+		<table role="presentation" width="100%" cellpadding="0" cellspacing="8" style="margin: 0 -8px;">
+			<?php foreach ( array_chunk( $tiles, $columns, true ) as $row ) : ?>
+				<tr>
+					<?php foreach ( $row as $tile_id => $tile ) :
+						$data = (array) $this->get_component_data( (string) $tile_id, $tile, $date_range );
+
+						[ $change, $change_direction ] = $this->get_tile_change( $data );
+
+						$change_color = [ 'up' => '#00a32a', 'down' => '#d63638' ][ $change_direction ] ?? '#646970';
+						$change_arrow = [ 'up' => '▲', 'down' => '▼' ][ $change_direction ] ?? '';
+						?>
+						<td width="<?php echo esc_attr( (string) floor( 100 / $columns ) ); ?>%" valign="top"
+						    style="padding: 12px; border: 1px solid #dcdcde; border-radius: 4px;">
+							<div style="color: #646970; font-size: 13px;"><?php echo esc_html( $tile['title'] ?? '' ); ?></div>
+							<div style="margin-top: 4px; font-size: 22px; font-weight: 600;">
+								<?php echo esc_html( $this->format_value( $data['value'] ?? 0, $tile['value_format'] ?? 'number', $tile ) ); ?>
+							</div>
+							<?php if ( $change !== null && $change_direction ) : ?>
+								<div style="margin-top: 4px; font-size: 12px; color: <?php echo esc_attr( $change_color ); ?>;">
+									<?php echo esc_html( trim( $change_arrow . ' ' . number_format_i18n( (float) $change, 1 ) . '%' ) ); ?>
+								</div>
+							<?php endif; ?>
+						</td>
+					<?php endforeach; ?>
+					<?php for ( $i = count( $row ); $i < $columns; $i++ ) : ?>
+						<td></td>
+					<?php endfor; ?>
+				</tr>
+			<?php endforeach; ?>
+		</table>
+		<?php
+	}
+
+	/**
+	 * Render a chart as an inline image, with a legend.
+	 *
+	 * Charts that can't be drawn as an image are shown as a table of their values.
+	 *
+	 * @param string $component_id Component ID.
+	 * @param array  $component    Component configuration.
+	 * @param array  $date_range   Date range (with filters).
+	 * @param array  $images       The chart image is added here, keyed by content ID.
+	 *
+	 * @return void
+	 */
+	protected function render_snapshot_chart( string $component_id, array $component, array $date_range, array &$images ): void {
+		if ( empty( $component['data_callback'] ) || ! is_callable( $component['data_callback'] ) ) {
+			return;
+		}
+
+		$data     = (array) $this->get_component_data( $component_id, $component, $date_range );
+		$labels   = array_values( (array) ( $data['labels'] ?? [] ) );
+		$datasets = array_values( array_filter( (array) ( $data['datasets'] ?? [] ), 'is_array' ) );
+		$png      = $this->render_chart_image( $component, $data );
+
+		// Charts without labels (scatter and bubble) have no table to fall back to
+		if ( $png === null && empty( $labels ) ) {
+			return;
+		}
+
+		if ( $png === null ) {
+			$columns = [ '' => '' ];
+			$rows    = [];
+
+			foreach ( $datasets as $index => $dataset ) {
+				$columns[ 'dataset_' . $index ] = $dataset['label'] ?? '';
+			}
+
+			foreach ( $labels as $i => $label ) {
+				$row = [ '' => $label ];
+
+				foreach ( $datasets as $index => $dataset ) {
+					$row[ 'dataset_' . $index ] = $this->format_value( array_values( (array) ( $dataset['data'] ?? [] ) )[ $i ] ?? '', 'number' );
+				}
+
+				$rows[] = $row;
+			}
+
+			$this->render_snapshot_table_rows( $columns, $rows );
+
+			return;
+		}
+
+		$content_id = 'reports-chart-' . sanitize_key( $component_id );
+
+		$images[ $content_id ] = $png;
+
+		// Pie and doughnut legends list the labels; other charts list the datasets
+		$is_circular = in_array( $component['chart_type'], [ 'pie', 'doughnut' ], true );
+		$legend      = [];
+
+		if ( $is_circular && $datasets ) {
+			$colors = $this->get_dataset_colors( $datasets[0], 0 );
+
+			foreach ( $labels as $i => $label ) {
+				$legend[] = [ $label, $colors[ $i % count( $colors ) ] ];
+			}
+		} elseif ( count( $datasets ) > 1 || ! empty( $datasets[0]['label'] ) ) {
+			foreach ( $datasets as $index => $dataset ) {
+				$legend[] = [ $dataset['label'] ?? '', $this->get_dataset_colors( $dataset, $index )[0] ];
+			}
+		}
+
+		?>
+		<img src="cid:<?php echo esc_attr( $content_id ); ?>" width="600" alt="<?php echo esc_attr( $component['title'] ?? '' ); ?>"
+		     style="display: block; max-width: 100%; height: auto;">
+		<?php if ( $legend && ( $component['show_legend'] ?? true ) ) : ?>
+			<p style="margin: 8px 0 0; font-size: 12px; color: #646970;">
+				<?php foreach ( $legend as [ $label, $color ] ) :
+					$rgb = $this->parse_chart_image_color( $color );
+					?>
+					<span style="display: inline-block; margin-right: 12px; white-space: nowrap;">
+						<span style="display: inline-block; width: 10px; height: 10px; border-radius: 2px; background: <?php echo esc_attr( sprintf( '#%02x%02x%02x', ...$rgb ) ); ?>;"></span>
+						<?php echo esc_html( is_scalar( $label ) ? (string) $label : '' ); ?>
+					</span>
+				<?php endforeach; ?>
+			</p>
+		<?php endif; ?>
+		<?php
+	}
+
+	/**
+	 * Render the first page of a table.
+	 *
+	 * @param string $component_id Component ID.
+	 * @param array  $component    Component configuration.
+	 * @param array  $date_range   Date range (with filters).
+	 *
+	 * @return void
+	 */
+	protected function render_snapshot_table( string $component_id, array $component, array $date_range ): void {
+		if ( empty( $component['data_callback'] ) || ! is_callable( $component['data_callback'] ) ) {
+			return;
+		}
+
+		if ( ! empty( $component['server_side'] ) ) {
+			$date_range['table'] = $this->build_table_query( $component );
+		}
+
+		$data     = $this->get_component_data( $component_id, $component, $date_range );
+		$rows     = (array) ( $data['rows'] ?? $data ?? [] );
+		$total    = ! empty( $component['server_side'] ) ? (int) ( $data['total'] ?? count( $rows ) ) : count( $rows );
+		$per_page = absint( $component['per_page'] ?? 10 ) ?: 10;
+		$columns  = [];
+		$cells    = [];
+
+		if ( empty( $rows ) ) {
+			echo '<p style="margin: 0; color: #646970;">' . esc_html( $component['empty_message'] ?? __( 'No data available.', 'arraypress' ) ) . '</p>';
+
+			return;
+		}
+
+		foreach ( $component['columns'] ?? [] as $key => $column ) {
+			$columns[ is_string( $key ) ? $key : $column ] = is_array( $column ) ? ( $column['label'] ?? $key ) : $column;
+		}
+
+		foreach ( array_slice( $rows, 0, $per_page ) as $row ) {
+			$cells[] = array_map( function ( $column_key ) use ( $row, $component ) {
+				$column = $component['columns'][ $column_key ] ?? [];
+				$value  = is_array( $row ) ? ( $row[ $column_key ] ?? '' ) : '';
+				$format = is_array( $column ) ? ( $column['format'] ?? '' ) : '';
+
+				return $format ? $this->format_value( $value, $format, [
+					'currency' => $this->get_column_currency( $column, $component ),
+				] ) : $value;
+			}, array_combine( array_keys( $columns ), array_keys( $columns ) ) );
+		}
+
+		$this->render_snapshot_table_rows( $columns, $cells );
+
+		if ( $total > $per_page ) {
+			echo '<p style="margin: 8px 0 0; font-size: 12px; color: #646970;">';
+			printf(
+			/* translators: 1: rows shown, 2: total rows */
+				esc_html__( 'Showing %1$d of %2$d rows.', 'arraypress' ),
+				(int) $per_page,
+				(int) $total
+			);
+			echo '</p>';
+		}
+	}
+
+	/**
+	 * Render a table for an email.
+	 *
+	 * @param array $columns Column labels keyed by column key.
+	 * @param array $rows    Rows of cell values keyed by column key. Values may contain inline HTML.
+	 *
+	 * @return void
+	 */
+	protected function render_snapshot_table_rows( array $columns, array $rows ): void {
+		?>
+		<table width="100%" cellpadding="6" cellspacing="0" style="border-collapse: collapse; font-size: 13px;">
+			<thead>
+			<tr>
+				<?php foreach ( $columns as $label ) : ?>
+					<th align="left" style="border-bottom: 2px solid #dcdcde;"><?php echo esc_html( (string) $label ); ?></th>
+				<?php endforeach; ?>
+			</tr>
+			</thead>
+			<tbody>
+			<?php foreach ( $rows as $row ) : ?>
+				<tr>
+					<?php foreach ( array_keys( $columns ) as $column_key ) : ?>
+						<td style="border-bottom: 1px solid #f0f0f1;"><?php echo wp_kses_post( (string) ( $row[ $column_key ] ?? '' ) ); ?></td>
+					<?php endforeach; ?>
+				</tr>
+			<?php endforeach; ?>
+			</tbody>
+		</table>
+		<?php
+	}
+
+	/**
+	 * Render the scheduled emails panel.
+	 *
+	 * Schedules and the delivery log are rendered by JavaScript from the localized data.
+	 *
+	 * @param string $current_tab Current tab key, selected by default.
+	 *
+	 * @return void
+	 */
+	protected function render_schedules_panel( string $current_tab ): void {
+		global $wp_locale;
+
+		$presets = array_diff_key( $this->get_date_range_options(), [ 'custom' => '' ] );
+
+		?>
+		<div class="reports-schedules" id="reports-schedules-<?php echo esc_attr( $this->id ); ?>" style="display: none;">
+			<h2 class="reports-schedules-title"><?php esc_html_e( 'Scheduled Emails', 'arraypress' ); ?></h2>
+			<p class="description">
+				<?php esc_html_e( 'Email a snapshot of a tab to a list of recipients: tile values with their change, tables and charts, with exports attached.', 'arraypress' ); ?>
+			</p>
+
+			<table class="widefat striped reports-schedules-table" style="display: none;">
+				<thead>
+				<tr>
+					<th><?php esc_html_e( 'Schedule', 'arraypress' ); ?></th>
+					<th><?php esc_html_e( 'Delivery', 'arraypress' ); ?></th>
+					<th><?php esc_html_e( 'Recipients', 'arraypress' ); ?></th>
+					<th><?php esc_html_e( 'Next Delivery', 'arraypress' ); ?></th>
+					<th class="reports-schedules-actions-col"><?php esc_html_e( 'Actions', 'arraypress' ); ?></th>
+				</tr>
+				</thead>
+				<tbody></tbody>
+			</table>
+			<p class="reports-schedules-empty"><?php esc_html_e( 'No scheduled emails yet.', 'arraypress' ); ?></p>
+
+			<form class="reports-schedules-form">
+				<h3><?php esc_html_e( 'Add Schedule', 'arraypress' ); ?></h3>
+
+				<div class="reports-schedules-fields">
+					<label>
+						<?php esc_html_e( 'Name', 'arraypress' ); ?>
+						<input type="text" class="reports-schedule-name" maxlength="100" required
+						       placeholder="<?php esc_attr_e( 'e.g. Weekly management report', 'arraypress' ); ?>"/>
+					</label>
+
+					<?php if ( count( $this->tabs ) > 1 ) : ?>
+						<label>
+							<?php esc_html_e( 'Tab', 'arraypress' ); ?>
+							<select class="reports-schedule-tab">
+								<?php foreach ( $this->tabs as $tab_key => $tab ) : ?>
+									<option value="<?php echo esc_attr( $tab_key ); ?>" <?php selected( $tab_key, $current_tab ); ?>>
+										<?php echo esc_html( $tab['label'] ?? $tab_key ); ?>
+									</option>
+								<?php endforeach; ?>
+							</select>
+						</label>
+					<?php else : ?>
+						<input type="hidden" class="reports-schedule-tab" value="<?php echo esc_attr( $current_tab ); ?>"/>
+					<?php endif; ?>
+
+					<label>
+						<?php esc_html_e( 'Date range', 'arraypress' ); ?>
+						<select class="reports-schedule-preset">
+							<?php foreach ( $presets as $preset_key => $preset_label ) : ?>
+								<option value="<?php echo esc_attr( $preset_key ); ?>" <?php selected( $preset_key, $this->date_range['preset'] ?? '' ); ?>>
+									<?php echo esc_html( $preset_label ); ?>
+								</option>
+							<?php endforeach; ?>
+						</select>
+					</label>
+
+					<label>
+						<?php esc_html_e( 'Frequency', 'arraypress' ); ?>
+						<select class="reports-schedule-frequency">
+							<?php foreach ( $this->get_schedule_frequencies() as $frequency => $label ) : ?>
+								<option value="<?php echo esc_attr( $frequency ); ?>" <?php selected( $frequency, 'weekly' ); ?>>
+									<?php echo esc_html( $label ); ?>
+								</option>
+							<?php endforeach; ?>
+						</select>
+					</label>
+
+					<label class="reports-schedule-weekday-field">
+						<?php esc_html_e( 'Day', 'arraypress' ); ?>
+						<select class="reports-schedule-weekday">
+							<?php for ( $day = 0; $day < 7; $day++ ) : ?>
+								<option value="<?php echo esc_attr( (string) $day ); ?>" <?php selected( $day, 1 ); ?>>
+									<?php echo esc_html( $wp_locale->get_weekday( $day ) ); ?>
+								</option>
+							<?php endfor; ?>
+						</select>
+					</label>
+
+					<label class="reports-schedule-monthday-field" style="display: none;">
+						<?php esc_html_e( 'Day of the month', 'arraypress' ); ?>
+						<select class="reports-schedule-monthday">
+							<?php for ( $day = 1; $day <= 28; $day++ ) : ?>
+								<option value="<?php echo esc_attr( (string) $day ); ?>"><?php echo esc_html( (string) $day ); ?></option>
+							<?php endfor; ?>
+						</select>
+					</label>
+
+					<label>
+						<?php esc_html_e( 'Time', 'arraypress' ); ?>
+						<input type="time" class="reports-schedule-time" value="08:00" required/>
+					</label>
+				</div>
+
+				<label class="reports-schedule-recipients-field">
+					<?php esc_html_e( 'Recipients', 'arraypress' ); ?>
+					<textarea class="reports-schedule-recipients" rows="2" required
+					          placeholder="<?php esc_attr_e( 'One email address per line, or separated by commas', 'arraypress' ); ?>"></textarea>
+				</label>
+
+				<label class="reports-schedule-filters-field">
+					<input type="checkbox" class="reports-schedule-filters" checked/>
+					<?php esc_html_e( 'Apply the filters currently selected on this tab', 'arraypress' ); ?>
+				</label>
+
+				<?php foreach ( array_filter( $this->exports ) as $tab_key => $tab_exports ) : ?>
+					<fieldset class="reports-schedule-exports" data-tab="<?php echo esc_attr( $tab_key ); ?>"
+						<?php echo $tab_key !== $current_tab ? 'style="display: none;"' : ''; ?>>
+						<legend><?php esc_html_e( 'Attach exports', 'arraypress' ); ?></legend>
+						<?php foreach ( $tab_exports as $export_id => $export ) : ?>
+							<label>
+								<input type="checkbox" class="reports-schedule-export" value="<?php echo esc_attr( $export_id ); ?>"/>
+								<?php echo esc_html( $export['title'] ?? $export_id ); ?>
+							</label>
+						<?php endforeach; ?>
+					</fieldset>
+				<?php endforeach; ?>
+
+				<div class="reports-schedules-form-actions">
+					<button type="submit" class="button button-primary"><?php esc_html_e( 'Add schedule', 'arraypress' ); ?></button>
+					<span class="reports-schedules-status" role="status"></span>
+				</div>
+			</form>
+
+			<h3><?php esc_html_e( 'Delivery Log', 'arraypress' ); ?></h3>
+			<table class="widefat striped reports-schedules-log" style="display: none;">
+				<thead>
+				<tr>
+					<th><?php esc_html_e( 'Sent', 'arraypress' ); ?></th>
+					<th><?php esc_html_e( 'Schedule', 'arraypress' ); ?></th>
+					<th><?php esc_html_e( 'Recipients', 'arraypress' ); ?></th>
+					<th><?php esc_html_e( 'Status', 'arraypress' ); ?></th>
+				</tr>
+				</thead>
+				<tbody></tbody>
+			</table>
+			<p class="reports-schedules-log-empty"><?php esc_html_e( 'No emails sent yet.', 'arraypress' ); ?></p>
+		</div>
+		<?php
+	}
+
+}
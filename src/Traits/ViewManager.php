@@ -0,0 +1,471 @@
+<?php
+/**
+ * View Manager Trait
+ *
+ * @package     ArrayPress\RegisterReports
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @since       1.0.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterReports\Traits;
+
+use ArrayPress\DateUtils\Dates;
+
+/**
+ * Trait ViewManager
+ *
+ * Handles saved views: named bookmarks of a tab, date range and filters.
+ *
+ * Each user's views, and their default view, are stored in their user meta,
+ * so saves by different users never overwrite each other. Shared views are
+ * read from the meta of every user who has saved one.
+ */
+trait ViewManager {
+
+	/**
+	 * Check whether saved views are enabled for this report.
+	 *
+	 * @return bool
+	 */
+	public function is_views_enabled(): bool {
+		return ! empty( $this->config['saved_views'] );
+	}
+
+	/**
+	 * Get every saved view for this report, including other users' private views.
+	 *
+	 * @return array Views keyed by view ID.
+	 */
+	protected function get_all_views(): array {
+		$views    = [];
+		$user_ids = get_users( [
+			'meta_key' => 'reports_views_' . $this->id,
+			'fields'   => 'ID',
+		] );
+
+		foreach ( $user_ids as $user_id ) {
+			$views += $this->get_user_views( (int) $user_id );
+		}
+
+		return $views;
+	}
+
+	/**
+	 * Get the views a user saved for this report.
+	 *
+	 * @param int $user_id User ID.
+	 *
+	 * @return array Views keyed by view ID.
+	 */
+	protected function get_user_views( int $user_id ): array {
+		$views = get_user_meta( $user_id, 'reports_views_' . $this->id, true );
+
+		return is_array( $views ) ? $views : [];
+	}
+
+	/**
+	 * Store the current user's views for this report.
+	 *
+	 * @param array $views Views keyed by view ID.
+	 *
+	 * @return void
+	 */
+	protected function save_user_views( array $views ): void {
+		if ( empty( $views ) ) {
+			delete_user_meta( get_current_user_id(), 'reports_views_' . $this->id );
+
+			return;
+		}
+
+		update_user_meta( get_current_user_id(), 'reports_views_' . $this->id, $views );
+	}
+
+	/**
+	 * Get the saved views the current user can see: their own and shared ones.
+	 *
+	 * @return array Views keyed by view ID, sorted by name.
+	 */
+	public function get_views(): array {
+		$user_id = get_current_user_id();
+
+		$views = array_filter( $this->get_all_views(), function ( $view ) use ( $user_id ) {
+			return (int) ( $view['user_id'] ?? 0 ) === $user_id || ! empty( $view['shared'] );
+		} );
+
+		uasort( $views, function ( $a, $b ) {
+			return strnatcasecmp( $a['name'], $b['name'] );
+		} );
+
+		return $views;
+	}
+
+	/**
+	 * Get a saved view the current user can see.
+	 *
+	 * @param string $view_id View ID.
+	 *
+	 * @return array|null
+	 */
+	public function get_view( string $view_id ): ?array {
+		return $this->get_views()[ $view_id ] ?? null;
+	}
+
+	/**
+	 * Check whether the current user created a view.
+	 *
+	 * @param array $view View.
+	 *
+	 * @return bool
+	 */
+	public function is_view_owner( array $view ): bool {
+		return (int) ( $view['user_id'] ?? 0 ) === get_current_user_id();
+	}
+
+	/**
+	 * Save the current state as a new view.
+	 *
+	 * @param string $name   View name.
+	 * @param array  $state  Tab, date_preset, date_start, date_end and filters (filter key => value).
+	 * @param bool   $shared Whether other users can see the view.
+	 *
+	 * @return array The new view, including its `id`.
+	 */
+	public function create_view( string $name, array $state, bool $shared = false ): array {
+		$views   = $this->get_user_views( get_current_user_id() );
+		$view_id = strtolower( wp_generate_password( 12, false ) );
+
+		$views[ $view_id ] = array_merge( $this->sanitize_view_state( $state ), [
+			'id'      => $view_id,
+			'name'    => $name,
+			'user_id' => get_current_user_id(),
+			'shared'  => $shared,
+			'created' => time(),
+		] );
+
+		$this->save_user_views( $views );
+
+		return $views[ $view_id ];
+	}
+
+	/**
+	 * Update a view created by the current user.
+	 *
+	 * @param string $view_id View ID.
+	 * @param array  $changes Any of `name`, `shared` and `state`.
+	 *
+	 * @return array|null The updated view, or null if the view doesn't exist or belongs to someone else.
+	 */
+	public function update_view( string $view_id, array $changes ): ?array {
+		$views = $this->get_user_views( get_current_user_id() );
+
+		if ( ! isset( $views[ $view_id ] ) || ! $this->is_view_owner( $views[ $view_id ] ) ) {
+			return null;
+		}
+
+		if ( isset( $changes['name'] ) ) {
+			$views[ $view_id ]['name'] = $changes['name'];
+		}
+
+		if ( isset( $changes['shared'] ) ) {
+			$views[ $view_id ]['shared'] = (bool) $changes['shared'];
+		}
+
+		if ( isset( $changes['state'] ) && is_array( $changes['state'] ) ) {
+			$views[ $view_id ] = array_merge( $views[ $view_id ], $this->sanitize_view_state( $changes['state'] ) );
+		}
+
+		$this->save_user_views( $views );
+
+		return $views[ $view_id ];
+	}
+
+	/**
+	 * Delete a view created by the current user.
+	 *
+	 * Other users who picked it as their default land on the report's
+	 * default state instead.
+	 *
+	 * @param string $view_id View ID.
+	 *
+	 * @return bool False if the view doesn't exist or belongs to someone else.
+	 */
+	public function delete_view( string $view_id ): bool {
+		$views = $this->get_user_views( get_current_user_id() );
+
+		if ( ! isset( $views[ $view_id ] ) || ! $this->is_view_owner( $views[ $view_id ] ) ) {
+			return false;
+		}
+
+		unset( $views[ $view_id ] );
+
+		$this->save_user_views( $views );
+
+		// Clear the current user's default if it pointed at this view
+		if ( $this->get_default_view_id() === '' ) {
+			delete_user_meta( get_current_user_id(), 'reports_default_view_' . $this->id );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get the current user's default view.
+	 *
+	 * @return string View ID, or an empty string if none is set (or it is no longer available).
+	 */
+	public function get_default_view_id(): string {
+		$view_id = (string) get_user_meta( get_current_user_id(), 'reports_default_view_' . $this->id, true );
+
+		return $view_id !== '' && $this->get_view( $view_id ) ? $view_id : '';
+	}
+
+	/**
+	 * Set the view the current user lands on when opening the report.
+	 *
+	 * @param string $view_id View ID, or an empty string to clear the default.
+	 *
+	 * @return void
+	 */
+	public function set_default_view( string $view_id ): void {
+		if ( $view_id === '' ) {
+			delete_user_meta( get_current_user_id(), 'reports_default_view_' . $this->id );
+
+			return;
+		}
+
+		update_user_meta( get_current_user_id(), 'reports_default_view_' . $this->id, $view_id );
+	}
+
+	/**
+	 * Sanitize the state stored in a view.
+	 *
+	 * Unknown tabs fall back to the first tab, dates are only kept for the
+	 * custom preset and only filters defined on the tab are kept.
+	 *
+	 * @param array $state Tab, date_preset, date_start, date_end and filters (filter key => value).
+	 *
+	 * @return array
+	 */
+	public function sanitize_view_state( array $state ): array {
+		$tab = sanitize_key( (string) ( $state['tab'] ?? '' ) );
+
+		if ( ! isset( $this->tabs[ $tab ] ) ) {
+			$tab = (string) array_key_first( $this->tabs );
+		}
+
+		$presets = $this->config['date_presets'] ?? [];
+		$preset  = sanitize_key( (string) ( $state['date_preset'] ?? '' ) );
+
+		if ( ! isset( $presets[ $preset ] ) ) {
+			$preset = $this->config['default_preset'] ?? 'this_month';
+		}
+
+		$date_start = '';
+		$date_end   = '';
+
+		if ( $preset === 'custom' ) {
+			$date_start = preg_match( '/^\d{4}-\d{2}-\d{2}$/', (string) ( $state['date_start'] ?? '' ) ) ? $state['date_start'] : '';
+			$date_end   = preg_match( '/^\d{4}-\d{2}-\d{2}$/', (string) ( $state['date_end'] ?? '' ) ) ? $state['date_end'] : '';
+		}
+
+		$filters = [];
+
+		foreach ( $this->tabs[ $tab ]['filters'] ?? [] as $filter_key => $filter ) {
+			$value = $state['filters'][ $filter_key ] ?? '';
+
+			if ( $value === '' || $value === [] ) {
+				continue;
+			}
+
+			$value = $this->sanitize_filter_value( $value, $filter );
+
+			// Drop empty parts, such as a number range with only a minimum
+			if ( is_array( $value ) ) {
+				$value = array_filter( $value, function ( $item ) {
+					return $item !== '';
+				} );
+			}
+
+			if ( $value !== '' && $value !== [] ) {
+				$filters[ $filter_key ] = $value;
+			}
+		}
+
+		return [
+			'tab'         => $tab,
+			'date_preset' => $preset,
+			'date_start'  => $date_start,
+			'date_end'    => $date_end,
+			'filters'     => $filters,
+		];
+	}
+
+	/**
+	 * Get the report URL that opens a view.
+	 *
+	 * List filters use `filter_x[]` parameters, matching the filter form.
+	 *
+	 * @param array $view View.
+	 *
+	 * @return string
+	 */
+	public function get_view_url( array $view ): string {
+		$args = array_filter( [
+			'page'        => $this->config['menu_slug'],
+			'tab'         => $view['tab'] ?? '',
+			'date_preset' => $view['date_preset'] ?? '',
+			'date_start'  => $view['date_start'] ?? '',
+			'date_end'    => $view['date_end'] ?? '',
+		], 'strlen' );
+
+		foreach ( $view['filters'] ?? [] as $filter_key => $value ) {
+			$args[ 'filter_' . $filter_key ] = $value;
+		}
+
+		$query = http_build_query( $args, '', '&', PHP_QUERY_RFC3986 );
+		$query = preg_replace( '/%5B\d+%5D=/', '%5B%5D=', $query );
+
+		return admin_url( 'admin.php' ) . '?' . $query;
+	}
+
+	/**
+	 * Describe a view's tab, date range and filters in one line.
+	 *
+	 * @param array $view View.
+	 *
+	 * @return string
+	 */
+	protected function get_view_description( array $view ): string {
+		$parts   = [];
+		$presets = $this->config['date_presets'] ?? [];
+
+		if ( count( $this->tabs ) > 1 && isset( $this->tabs[ $view['tab'] ] ) ) {
+			$parts[] = $this->tabs[ $view['tab'] ]['label'] ?? $view['tab'];
+		}
+
+		if ( $view['date_preset'] === 'custom' && $view['date_start'] && $view['date_end'] ) {
+			$range   = Dates::get_range_full( 'custom', $view['date_start'], $view['date_end'] );
+			$parts[] = Dates::format_range( $range['start'], $range['end'] );
+		} else {
+			$parts[] = $presets[ $view['date_preset'] ] ?? $view['date_preset'];
+		}
+
+		$filter_count = count( $view['filters'] ?? [] );
+
+		if ( $filter_count ) {
+			$parts[] = sprintf(
+			/* translators: %d: number of active filters */
+				_n( '%d filter', '%d filters', $filter_count, 'arraypress' ),
+				$filter_count
+			);
+		}
+
+		return implode( ' · ', $parts );
+	}
+
+	/**
+	 * Shape a view for the REST API and JavaScript.
+	 *
+	 * @param array  $view            View.
+	 * @param string $default_view_id The current user's default view ID.
+	 *
+	 * @return array
+	 */
+	public function get_view_data( array $view, string $default_view_id = '' ): array {
+		$owner = get_userdata( (int) ( $view['user_id'] ?? 0 ) );
+
+		return [
+			'id'          => $view['id'],
+			'name'        => $view['name'],
+			'description' => $this->get_view_description( $view ),
+			'url'         => $this->get_view_url( $view ),
+			'shared'      => ! empty( $view['shared'] ),
+			'owner'       => $owner ? $owner->display_name : '',
+			'is_owner'    => $this->is_view_owner( $view ),
+			'is_default'  => $view['id'] === $default_view_id,
+		];
+	}
+
+	/**
+	 * Get the views the current user can see, shaped for the REST API and JavaScript.
+	 *
+	 * @return array
+	 */
+	public function get_views_data(): array {
+		$default_view_id = $this->get_default_view_id();
+
+		return array_values( array_map( function ( $view ) use ( $default_view_id ) {
+			return $this->get_view_data( $view, $default_view_id );
+		}, $this->get_views() ) );
+	}
+
+	/**
+	 * Send the user to their default view when they open the report with a plain URL.
+	 *
+	 * Any query argument besides `page` (a tab, date range, filter, `print=all` or
+	 * one added by another plugin) skips the redirect, so it is never dropped.
+	 * Runs on the page's load hook, before any output.
+	 *
+	 * @return void
+	 */
+	public function maybe_redirect_to_default_view(): void {
+		if ( array_diff( array_keys( $_GET ), [ 'page' ] ) ) {
+			return;
+		}
+
+		$view_id = $this->get_default_view_id();
+
+		if ( $view_id === '' ) {
+			return;
+		}
+
+		wp_safe_redirect( $this->get_view_url( $this->get_view( $view_id ) ) );
+		exit;
+	}
+
+	/**
+	 * Render the saved views menu in the header.
+	 *
+	 * The list of views is rendered by JavaScript from the localized views.
+	 *
+	 * @return void
+	 */
+	protected function render_views_menu(): void {
+		?>
+		<div class="reports-views">
+			<button type="button" class="reports-views-toggle button" aria-expanded="false">
+				<span class="dashicons dashicons-star-empty"></span>
+				<span class="reports-views-label"><?php esc_html_e( 'Views', 'arraypress' ); ?></span>
+				<span class="dashicons dashicons-arrow-down-alt2"></span>
+			</button>
+
+			<div class="reports-views-dropdown" style="display: none;">
+				<ul class="reports-views-list"></ul>
+				<p class="reports-views-empty"><?php esc_html_e( 'No saved views yet.', 'arraypress' ); ?></p>
+
+				<form class="reports-views-form">
+					<label class="reports-views-name-label">
+						<?php esc_html_e( 'Save current view as', 'arraypress' ); ?>
+						<input type="text" class="reports-views-name" maxlength="100" required
+							   placeholder="<?php esc_attr_e( 'e.g. EU last quarter', 'arraypress' ); ?>"/>
+					</label>
+					<label class="reports-views-shared-label">
+						<input type="checkbox" class="reports-views-shared"/>
+						<?php esc_html_e( 'Share with other users of this report', 'arraypress' ); ?>
+					</label>
+					<div class="reports-views-form-actions">
+						<span class="reports-views-status" role="status"></span>
+						<button type="submit" class="button button-primary button-small">
+							<?php esc_html_e( 'Save view', 'arraypress' ); ?>
+						</button>
+					</div>
+				</form>
+			</div>
+		</div>
+		<?php
+	}
+
+}
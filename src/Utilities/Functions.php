@@ -36,4 +36,25 @@ if ( ! function_exists( __NAMESPACE__ . '\\get_reports' ) ) {
 	function get_reports( string $id ): ?Reports {
 		return Registry::instance()->get( $id );
 	}
-}
\ No newline at end of file
+}
+
+if ( ! function_exists( __NAMESPACE__ . '\\flush_reports_cache' ) ) {
+	/**
+	 * Invalidate the cached component data of a registered reports page.
+	 *
+	 * @param string $id Reports ID.
+	 *
+	 * @return bool False if no reports page is registered with this ID.
+	 */
+	function flush_reports_cache( string $id ): bool {
+		$reports = Registry::instance()->get( $id );
+
+		if ( ! $reports ) {
+			return false;
+		}
+
+		$reports->flush_cache();
+
+		return true;
+	}
+}